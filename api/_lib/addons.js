@@ -0,0 +1,97 @@
+// Optional add-ons offered on the sketch review pages. The catalog comes from
+// addon-catalog.json, or from HubSpot products flagged `sketch_addon` when
+// ADDON_CATALOG_SOURCE=hubspot, so prices change without touching the pages.
+// Approvals are repriced from here; the page only says which add-ons it wants.
+import { hubspotRequest } from './hubspot.js';
+import { ValidationError } from './validate.js';
+import catalogFile from './addon-catalog.json' with { type: 'json' };
+
+// `per`: 'costume' prices are multiplied by the deal's costume count
+const PER_COSTUME = 'costume';
+const PER_ORDER = 'order';
+
+const PRODUCT_PROPERTIES = [
+  'name', 'price', 'description', 'hs_sku', 'hs_images', 'addon_pricing', 'addon_disclaimer', 'addon_active'
+];
+
+function normalizeAddOn(addOn) {
+  return {
+    id: String(addOn.id),
+    name: addOn.name,
+    description: addOn.description || '',
+    price: Math.round((parseFloat(addOn.price) || 0) * 100) / 100,
+    per: addOn.per === PER_ORDER ? PER_ORDER : PER_COSTUME,
+    image: addOn.image || null,
+    disclaimer: addOn.disclaimer || '',
+    active: addOn.active !== false
+  };
+}
+
+function productToAddOn(product) {
+  const p = product.properties;
+  return normalizeAddOn({
+    id: p.hs_sku || product.id,
+    name: p.name,
+    description: p.description,
+    price: p.price,
+    per: p.addon_pricing === 'per_order' ? PER_ORDER : PER_COSTUME,
+    image: (p.hs_images || '').split(';')[0],
+    disclaimer: p.addon_disclaimer,
+    active: p.addon_active !== 'false'
+  });
+}
+
+async function loadHubSpotCatalog() {
+  const data = await hubspotRequest('/crm/v3/objects/products/search', {
+    method: 'POST',
+    idempotent: true,
+    json: {
+      filterGroups: [{ filters: [{ propertyName: 'sketch_addon', operator: 'EQ', value: 'true' }] }],
+      properties: PRODUCT_PROPERTIES,
+      sorts: [{ propertyName: 'createdate', direction: 'ASCENDING' }],
+      limit: 100
+    }
+  });
+  return ((data && data.results) || []).map(productToAddOn);
+}
+
+/** The add-on catalog; inactive entries are left out unless asked for. */
+export async function getAddOnCatalog({ includeInactive = false } = {}) {
+  const catalog = process.env.ADDON_CATALOG_SOURCE === 'hubspot'
+    ? await loadHubSpotCatalog()
+    : catalogFile.map(normalizeAddOn);
+  return includeInactive ? catalog : catalog.filter(a => a.active);
+}
+
+/**
+ * Price the add-ons a customer picked. `selection` is a list of catalog IDs;
+ * `{ id }` or `{ name }` objects from pages loaded before the catalog existed
+ * are accepted too, but any price they carry is ignored. Throws a
+ * ValidationError for unknown or inactive add-ons.
+ */
+export function priceAddOns(selection, catalog, costumeCount) {
+  const count = Math.max(parseInt(costumeCount) || 1, 1);
+  const seen = new Set();
+  const priced = [];
+
+  for (const entry of selection) {
+    const key = typeof entry === 'string' ? entry : (entry && (entry.id || entry.name));
+    const addOn = catalog.find(a => a.id === key) ||
+      catalog.find(a => a.name.toLowerCase() === String(key || '').toLowerCase());
+    if (!addOn) throw new ValidationError(`Unknown add-on: ${key}`);
+    if (!addOn.active) throw new ValidationError(`${addOn.name} is no longer available`);
+    if (seen.has(addOn.id)) continue;
+    seen.add(addOn.id);
+
+    const quantity = addOn.per === PER_COSTUME ? count : 1;
+    priced.push({
+      id: addOn.id,
+      name: addOn.name,
+      price: addOn.price,
+      per: addOn.per,
+      quantity,
+      amount: Math.round(addOn.price * quantity * 100) / 100
+    });
+  }
+  return priced;
+}
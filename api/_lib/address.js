@@ -0,0 +1,193 @@
+// Shipping address checks and clean-up. US addresses get USPS-style street
+// abbreviations, a two-letter state and a ZIP whose first three digits must
+// belong to that state (zip-states.json, from the USPS three-digit ZIP
+// prefix list); Canadian addresses a province and a postal code in
+// "A1A 1A1" form that matches it; anywhere else just needs a street, city
+// and country. Problems are reported per field so the form can show them
+// next to the input.
+import { ValidationError, text } from './validate.js';
+import zipStates from './zip-states.json' with { type: 'json' };
+
+export const ADDRESS_PROPERTIES = {
+  street: 'shipping_street_address__deal_',
+  street2: 'shipping_street_address_2__deal_',
+  city: 'shipping_city',
+  state: 'shipping_state',
+  zip: 'shipping_zip_code',
+  country: 'shipping_country'
+};
+
+export class AddressError extends ValidationError {
+  constructor(fields) {
+    super(`Please check the address: ${Object.values(fields).join(' ')}`);
+    this.name = 'AddressError';
+    this.fields = fields;
+  }
+}
+
+const PROVINCES = {
+  AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+  NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island',
+  QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+};
+
+// The province(s) each postal code's first letter is assigned to
+const POSTAL_DISTRICTS = {
+  A: ['NL'], B: ['NS'], C: ['PE'], E: ['NB'], G: ['QC'], H: ['QC'], J: ['QC'], K: ['ON'], L: ['ON'], M: ['ON'],
+  N: ['ON'], P: ['ON'], R: ['MB'], S: ['SK'], T: ['AB'], V: ['BC'], X: ['NT', 'NU'], Y: ['YT']
+};
+
+const COUNTRY_NAMES = {
+  US: ['US', 'USA', 'U.S.', 'U.S.A.', 'UNITED STATES', 'UNITED STATES OF AMERICA'],
+  CA: ['CA', 'CAN', 'CANADA']
+};
+
+// USPS Publication 28 abbreviations for the common street suffixes,
+// directionals and secondary unit designators
+const SUFFIXES = {
+  ALLEY: 'Aly', AVENUE: 'Ave', BOULEVARD: 'Blvd', CIRCLE: 'Cir', COURT: 'Ct', COVE: 'Cv', CROSSING: 'Xing',
+  DRIVE: 'Dr', EXPRESSWAY: 'Expy', FREEWAY: 'Fwy', HIGHWAY: 'Hwy', LANE: 'Ln', LOOP: 'Loop', PARKWAY: 'Pkwy',
+  PLACE: 'Pl', PLAZA: 'Plz', POINT: 'Pt', ROAD: 'Rd', ROUTE: 'Rte', SQUARE: 'Sq', STREET: 'St', TERRACE: 'Ter',
+  TRAIL: 'Trl', TURNPIKE: 'Tpke', WAY: 'Way'
+};
+const DIRECTIONALS = {
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W', NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW'
+};
+const UNITS = {
+  APARTMENT: 'Apt', BUILDING: 'Bldg', DEPARTMENT: 'Dept', FLOOR: 'Fl', ROOM: 'Rm', SUITE: 'Ste', UNIT: 'Unit'
+};
+
+function bare(word) {
+  return word.replace(/\.$/, '').toUpperCase();
+}
+
+/** `street` with USPS abbreviations: "100 North Main Street Suite 4" → "100 N Main St Ste 4". */
+export function abbreviateStreet(street) {
+  const words = street.split(/\s+/).filter(Boolean);
+  // Only the part before a unit designator has a suffix and directionals
+  let end = words.findIndex((w, i) => i > 0 && UNITS[bare(w)]);
+  if (end === -1) end = words.length;
+
+  const out = words.map((w, i) => (UNITS[bare(w)] && i < words.length - 1 ? UNITS[bare(w)] : w));
+  let last = end - 1;
+  if (last > 1 && DIRECTIONALS[bare(out[last])]) {
+    out[last] = DIRECTIONALS[bare(out[last])];
+    last--;
+  }
+  if (last > 1 && SUFFIXES[bare(out[last])]) out[last] = SUFFIXES[bare(out[last])];
+  // A leading directional after the house number, when a street name follows
+  if (end > 3 && DIRECTIONALS[bare(out[1])]) out[1] = DIRECTIONALS[bare(out[1])];
+  return out.join(' ');
+}
+
+/** 'US', 'CA', or the country as entered (defaulting to the US). */
+export function normalizeCountry(value) {
+  const cleaned = (value || '').trim().replace(/\s+/g, ' ');
+  if (!cleaned) return 'US';
+  const upper = cleaned.toUpperCase();
+  for (const [code, names] of Object.entries(COUNTRY_NAMES)) {
+    if (names.includes(upper)) return code;
+  }
+  return /^[A-Za-z]{2}$/.test(cleaned) ? upper : cleaned;
+}
+
+function regionCode(value, regions) {
+  const upper = value.toUpperCase().replace(/\./g, '');
+  if (regions[upper]) return upper;
+  const match = Object.entries(regions).find(([, name]) => name.toUpperCase() === upper);
+  return match ? match[0] : null;
+}
+
+/** The states a ZIP code's three-digit prefix belongs to, or null when it isn't in the table. */
+export function zipStatesFor(zip) {
+  const prefix = zip.substring(0, 3);
+  const range = zipStates.prefixes.find(([from, to]) => prefix >= from && prefix <= to);
+  return range ? range[2] : null;
+}
+
+function checkUs(address, errors) {
+  address.street = abbreviateStreet(address.street);
+  if (address.street2) address.street2 = abbreviateStreet(address.street2);
+
+  const state = address.state ? regionCode(address.state, zipStates.states) : null;
+  if (!address.state) errors.state = 'State is required.';
+  else if (!state) errors.state = `"${address.state}" isn't a US state.`;
+  else address.state = state;
+
+  const zip = address.zip.match(/^(\d{5})(?:-?(\d{4}))?$/);
+  if (!address.zip) errors.zip = 'ZIP code is required.';
+  else if (!zip) errors.zip = 'ZIP code must be 5 digits (or ZIP+4).';
+  else {
+    address.zip = zip[2] ? `${zip[1]}-${zip[2]}` : zip[1];
+    const states = zipStatesFor(zip[1]);
+    if (state && states && !states.includes(state)) {
+      errors.zip = `ZIP code ${zip[1]} is in ${states.map(s => zipStates.states[s]).join(' or ')}, not ${zipStates.states[state]}.`;
+    }
+  }
+}
+
+function checkCanada(address, errors) {
+  const province = address.state ? regionCode(address.state, PROVINCES) : null;
+  if (!address.state) errors.state = 'Province is required.';
+  else if (!province) errors.state = `"${address.state}" isn't a Canadian province or territory.`;
+  else address.state = province;
+
+  const postal = address.zip.toUpperCase().replace(/\s+/g, '');
+  if (!address.zip) errors.zip = 'Postal code is required.';
+  else if (!/^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]\d[ABCEGHJ-NPRSTV-Z]\d$/.test(postal)) {
+    errors.zip = 'Postal code must look like A1A 1A1.';
+  } else {
+    address.zip = `${postal.substring(0, 3)} ${postal.substring(3)}`;
+    const provinces = POSTAL_DISTRICTS[postal[0]];
+    if (province && !provinces.includes(province)) {
+      errors.zip = `Postal code ${address.zip} is in ${provinces.map(p => PROVINCES[p]).join(' or ')}, not ${PROVINCES[province]}.`;
+    }
+  }
+}
+
+/**
+ * The cleaned-up address, or an AddressError with a message per field
+ * (`street`, `city`, `state`, `zip`). `street2` stays undefined
+ * when it wasn't sent, so callers can leave the saved one alone.
+ */
+export function normalizeAddress(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new ValidationError('address must be an object');
+  const field = (name, max) => text(input[name], name, { max }).replace(/\s+/g, ' ');
+  const address = {
+    street: field('street', 200),
+    street2: input.street2 === undefined ? undefined : field('street2', 200),
+    city: field('city', 100),
+    state: field('state', 100),
+    zip: field('zip', 20),
+    country: normalizeCountry(text(input.country, 'country', { max: 100 }))
+  };
+
+  const errors = {};
+  if (!address.street) errors.street = 'Street address is required.';
+  if (!address.city) errors.city = 'City is required.';
+  if (address.country === 'US') {
+    checkUs(address, errors);
+  } else if (address.country === 'CA') {
+    checkCanada(address, errors);
+  }
+  if (Object.keys(errors).length > 0) throw new AddressError(errors);
+  return address;
+}
+
+/** One-line form of an address, e.g. "1 Main St, Ste 4, Macon, GA, 31201". */
+export function formatAddress({ street, street2, city, state, zip, country }) {
+  return [
+    street,
+    street2,
+    [city, state, zip].filter(Boolean).join(', '),
+    country && country !== 'US' ? country : null
+  ].filter(Boolean).join(', ');
+}
+
+/** The address saved on a deal's `shipping_*` properties. */
+export function dealAddress(properties) {
+  const address = {};
+  for (const [key, property] of Object.entries(ADDRESS_PROPERTIES)) address[key] = properties[property] || '';
+  address.country = address.country || 'US';
+  return address;
+}
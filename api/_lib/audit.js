@@ -0,0 +1,166 @@
+// Audit trail of customer and staff actions on a deal. Each entry records
+// who did what (actor, IP, user agent), the property changes and a
+// timestamp. Entries go to the local audit log and are mirrored to a note on
+// the deal, which is the durable copy: /api/deal-history merges the two, so
+// the timeline survives a cold start. Recording never fails the action it
+// describes; problems are reported and the request carries on.
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import os from 'node:os';
+import { createNote, getDealNotes } from './hubspot.js';
+import { getStaffSession } from './auth.js';
+import { appendLogRecord, readLogRecords } from './local-log.js';
+import { reportError } from './report-error.js';
+
+export const AUDIT_ACTIONS = {
+  'sketch.submitted': 'Sketch submitted for review',
+  'sketch.approved': 'Sketch approved',
+  'sketch.revision_requested': 'Revision requested',
+  'options.saved': 'Sketch options saved',
+  'options.selected': 'Sketch option selected',
+  'options.cleared': 'Sketch options cleared',
+  'shipping.confirmed': 'Shipping address confirmed',
+  'measurements.saved': 'Costume measurements saved',
+  'measurements.submitted': 'Costume measurements submitted',
+  'po_quote.saved': 'PO quote draft saved',
+  'po_quote.sent': 'PO quote sent to customer',
+  'po_quote.finalized': 'PO quote finalized',
+  'po_quote.changes_requested': 'Changes requested on PO quote',
+  'po_quote.change_request_replied': 'Reply sent on PO quote change request',
+  'po_quote.change_request_resolved': 'PO quote change request resolved',
+  'po.uploaded': 'Purchase order uploaded',
+  'po.amended': 'Purchase order amendment uploaded',
+  'po.replaced': 'Purchase order replaced',
+  'tax_exemption.uploaded': 'Tax exemption certificate uploaded',
+  'tax_exemption.approved': 'Tax exemption certificate approved',
+  'links.revoked': 'Customer links revoked',
+  'reminder.sent': 'Reminder sent to customer',
+  'reminder.escalated': 'Reminders escalated to staff'
+};
+
+// Marks the machine-readable copy of the entry at the end of a mirrored note
+const NOTE_MARKER = '[audit] ';
+
+export function auditLogPath() {
+  return process.env.AUDIT_LOG_PATH || path.join(os.tmpdir(), 'sketch-review-audit.jsonl');
+}
+
+function header(req, name) {
+  const value = req.headers && req.headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/** Staff when signed in, otherwise the customer holding the deal link. */
+export function auditActor(req) {
+  const session = getStaffSession(req);
+  return session ? { type: 'staff', email: session.email } : { type: 'customer', email: null };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/** `{ property: { from, to } }` for each property in `after` that changed. */
+export function diffProperties(before, after) {
+  const changes = {};
+  for (const [key, to] of Object.entries(after || {})) {
+    const from = before ? before[key] : undefined;
+    if (isBlank(from) && isBlank(to)) continue;
+    if (String(from) === String(to)) continue;
+    changes[key] = { from: isBlank(from) ? null : from, to: isBlank(to) ? null : to };
+  }
+  return changes;
+}
+
+function noteBody(entry, summary) {
+  const by = entry.actor.type === 'staff'
+    ? `By: ${entry.actor.email}`
+    : `By: ${entry.actor.type}${entry.ip ? ` (IP ${entry.ip})` : ''}`;
+  const lines = [summary || `${entry.label}.`, '', by];
+  const changed = Object.entries(entry.changes);
+  if (changed.length > 0) {
+    lines.push('', 'Changes:');
+    for (const [key, { from, to }] of changed) {
+      const show = v => (v === null ? '(empty)' : String(v).length > 120 ? `${String(v).substring(0, 120)}…` : String(v));
+      lines.push(`• ${key}: ${show(from)} → ${show(to)}`);
+    }
+  }
+  // Escaped so HubSpot's HTML handling of the note can't alter the JSON,
+  // and so customer text quoting the marker can't be mistaken for it
+  const json = JSON.stringify(entry).replace(/</g, '\\u003c').replace(/>/g, '\\u003e').replace(/&/g, '\\u0026')
+    .replace(/\[audit\]/g, '\\u005baudit]');
+  lines.push('', NOTE_MARKER + json);
+  return lines.join('\n');
+}
+
+/**
+ * Record an action on a deal. `summary` is the human-readable first line of
+ * the HubSpot note; `attachmentIds` are attached to that note. Resolves to
+ * the entry.
+ */
+export async function recordAudit(req, { dealId, dealName = null, action, endpoint, changes = {}, details = {}, summary, attachmentIds, actor }) {
+  const entry = {
+    id: randomUUID(),
+    dealId: String(dealId),
+    dealName,
+    action,
+    label: AUDIT_ACTIONS[action] || action,
+    actor: actor || auditActor(req),
+    ip: (header(req, 'x-forwarded-for') || header(req, 'x-real-ip') || '').split(',')[0].trim() || null,
+    userAgent: header(req, 'user-agent') || null,
+    endpoint,
+    changes,
+    details,
+    timestamp: new Date().toISOString()
+  };
+
+  try {
+    await appendLogRecord(auditLogPath(), entry, { maxRecords: 5000 });
+  } catch (e) {
+    console.error('Audit log write failed:', e.message);
+  }
+
+  try {
+    await createNote(dealId, noteBody(entry, summary), { attachmentIds });
+  } catch (e) {
+    console.error('Audit note failed:', e.message);
+    await reportError('sketch-review', endpoint, e, dealId, dealName);
+  }
+
+  return entry;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+}
+
+/** The audit entry mirrored into a note body, or null for other notes. */
+export function parseAuditNote(body) {
+  const text = decodeEntities(String(body || ''));
+  // The summary above the entry can quote the marker too (and notes written
+  // before it was escaped can have it inside the JSON): the entry is the
+  // first place the rest of the note parses.
+  for (let at = text.indexOf(NOTE_MARKER); at !== -1; at = text.indexOf(NOTE_MARKER, at + 1)) {
+    try {
+      const entry = JSON.parse(text.slice(at + NOTE_MARKER.length).trim());
+      return entry && entry.id && entry.action ? entry : null;
+    } catch (e) { /* not the entry; keep looking */ }
+  }
+  return null;
+}
+
+/** The deal's audit timeline, oldest first, from the local log and the deal's notes. */
+export async function getDealHistory(dealId) {
+  const byId = new Map();
+  for (const note of await getDealNotes(dealId)) {
+    const entry = parseAuditNote(note.body);
+    if (entry && entry.dealId === String(dealId)) byId.set(entry.id, entry);
+  }
+  for (const entry of await readLogRecords(auditLogPath())) {
+    if (entry.dealId === String(dealId)) byId.set(entry.id, entry);
+  }
+  return [...byId.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
@@ -0,0 +1,96 @@
+// Request authorization for the api/ handlers.
+// Staff sign in with a magic link emailed to their @showoffinc.com address
+// and carry a signed session cookie; customers send the signed link token
+// from their email.
+import { verifyLinkToken } from './link-token.js';
+import { signClaims, openSignedClaims, nowSeconds } from './signing.js';
+
+const SESSION_COOKIE = 'staff_session';
+const SESSION_DAYS = 7;
+const LOGIN_LINK_MINUTES = 15;
+
+/**
+ * Staff are @showoffinc.com addresses. When STAFF_EMAILS (comma-separated)
+ * is set, only those addresses; removing someone ends their session too.
+ */
+export function isStaffEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  if (!/^[^@\s]+@showoffinc\.com$/.test(normalized)) return false;
+  const allowList = (process.env.STAFF_EMAILS || '')
+    .split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+  return allowList.length === 0 || allowList.includes(normalized);
+}
+
+function readStaffClaims(value, purpose) {
+  if (!value) return null;
+  try {
+    const claims = openSignedClaims(value);
+    if (claims.p === purpose && claims.exp > nowSeconds() && isStaffEmail(claims.e)) return claims;
+  } catch (e) { /* treated as signed out */ }
+  return null;
+}
+
+/** Short-lived token for the magic link emailed to a staff address. */
+export function issueStaffLoginToken(email) {
+  const iat = nowSeconds();
+  return signClaims({ p: 'staff-login', e: email.trim().toLowerCase(), iat, exp: iat + LOGIN_LINK_MINUTES * 60 });
+}
+
+/** Exchange a magic-link token for a session cookie; null when invalid or expired. */
+export function redeemStaffLoginToken(token) {
+  const claims = readStaffClaims(token, 'staff-login');
+  return claims ? staffSessionCookie(claims.e) : null;
+}
+
+export function staffSessionCookie(email) {
+  const iat = nowSeconds();
+  const maxAge = SESSION_DAYS * 86400;
+  const session = signClaims({ p: 'staff-session', e: email, iat, exp: iat + maxAge });
+  return `${SESSION_COOKIE}=${session}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+export function clearStaffSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Lax`;
+}
+
+function readCookie(req, name) {
+  const header = (req.headers && req.headers.cookie) || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return rest.join('=');
+  }
+  return null;
+}
+
+/** The signed-in staff member as `{ email }`, or null. */
+export function getStaffSession(req) {
+  const claims = readStaffClaims(readCookie(req, SESSION_COOKIE), 'staff-session');
+  return claims ? { email: claims.e } : null;
+}
+
+export function isStaffRequest(req) {
+  return !!getStaffSession(req);
+}
+
+// Sketch-review links sent before signed tokens carry only ?dealId=. They keep
+// working until LEGACY_SKETCH_LINKS_UNTIL (an ISO date, unset = never); after
+// that the page offers to email a fresh link via /api/request-link.
+function legacyLinksAllowed() {
+  const until = Date.parse(process.env.LEGACY_SKETCH_LINKS_UNTIL || '');
+  return until > Date.now();
+}
+
+/**
+ * Authorize a request against a deal, as staff or with a customer link token
+ * for `purpose`. Resolves `{ staff, legacy, claims }`; throws a
+ * LinkTokenError when neither applies.
+ */
+export async function authorizeDealRequest(req, dealId, purpose) {
+  if (isStaffRequest(req)) return { staff: true, legacy: false, claims: null };
+
+  const token = (req.query && req.query.token) || (req.body && req.body.token);
+  if (!token && legacyLinksAllowed()) return { staff: false, legacy: true, claims: null };
+
+  const claims = await verifyLinkToken(token, { dealId, purpose });
+  return { staff: false, legacy: false, claims };
+}
@@ -0,0 +1,8 @@
+// Deployment settings shared by the api/ handlers
+export const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || 'https://sketch-review.vercel.app';
+
+// n8n webhooks live under one base URL; override per environment
+export function n8nWebhookUrl(name) {
+  const base = process.env.N8N_WEBHOOK_BASE_URL || 'https://showoffinc.app.n8n.cloud/webhook';
+  return `${base.replace(/\/$/, '')}/${name}`;
+}
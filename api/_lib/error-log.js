@@ -0,0 +1,28 @@
+// Local store of reported errors, read back by /api/errors. Kept in
+// ERROR_LOG_PATH (default under /tmp, so recent history only); every error
+// also still goes to the n8n error-alert workflow.
+import path from 'node:path';
+import os from 'node:os';
+import { appendLogRecord, readLogRecords } from './local-log.js';
+
+export function errorLogPath() {
+  return process.env.ERROR_LOG_PATH || path.join(os.tmpdir(), 'sketch-review-errors.jsonl');
+}
+
+export async function appendErrorRecord(record) {
+  await appendLogRecord(errorLogPath(), record);
+}
+
+/**
+ * Recorded errors, newest first. `deal` matches the HubSpot deal ID or the
+ * deal number at the start of the deal name; `since` is a Date.
+ */
+export async function readErrorRecords({ deal, endpoint, code, since, limit = 100 } = {}) {
+  const records = (await readLogRecords(errorLogPath())).reverse();
+  return records.filter(r =>
+    (!deal || r.dealId === String(deal) || String(r.dealName || '').startsWith(String(deal))) &&
+    (!endpoint || r.endpoint === endpoint) &&
+    (!code || r.code === code) &&
+    (!since || Date.parse(r.timestamp) >= since.getTime())
+  ).slice(0, limit);
+}
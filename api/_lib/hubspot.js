@@ -0,0 +1,448 @@
+// Shared HubSpot data layer for the api/ handlers.
+// Every call goes through hubspotRequest, which adds auth, retries 429s and
+// transient failures with backoff, and throws a HubSpotError on anything else.
+
+const HUBSPOT_BASE = 'https://api.hubapi.com';
+const HUBSPOT_PORTAL_ID = '46092307';
+const MAX_RETRIES = 3;
+
+// Association type IDs (HUBSPOT_DEFINED)
+const LINE_ITEM_TO_DEAL = 20;
+const NOTE_TO_DEAL = 214;
+
+export class HubSpotError extends Error {
+  constructor(message, { status = null, body = null, path = null } = {}) {
+    super(message);
+    this.name = 'HubSpotError';
+    this.status = status;
+    this.body = body;
+    this.path = path;
+  }
+}
+
+export class HubSpotNotFoundError extends HubSpotError {
+  constructor(message, details) {
+    super(message, { ...details, status: 404 });
+    this.name = 'HubSpotNotFoundError';
+  }
+}
+
+export class HubSpotRateLimitError extends HubSpotError {
+  constructor(message, details) {
+    super(message, { ...details, status: 429 });
+    this.name = 'HubSpotRateLimitError';
+  }
+}
+
+export class HubSpotConfigError extends HubSpotError {
+  constructor(message) {
+    super(message);
+    this.name = 'HubSpotConfigError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function retryDelay(attempt, retryAfterHeader) {
+  const retryAfter = parseFloat(retryAfterHeader);
+  if (retryAfter > 0) return retryAfter * 1000;
+  const base = Number(process.env.HUBSPOT_RETRY_BASE_MS) || 500;
+  return base * Math.pow(2, attempt);
+}
+
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try { return JSON.parse(text); } catch (e) { return text; }
+}
+
+/**
+ * Low-level request against the HubSpot API. `path` is relative to
+ * api.hubapi.com. Pass `json` for a JSON body or `formData` for multipart.
+ * 429s are always retried; 5xx and network errors are only retried when
+ * the request is idempotent (everything but POST, unless told otherwise),
+ * so a create is never sent twice.
+ */
+export async function hubspotRequest(path, { method = 'GET', json, formData, idempotent } = {}) {
+  const token = process.env.HUBSPOT_TOKEN;
+  if (!token) throw new HubSpotConfigError('HubSpot token not configured');
+
+  const canRetryFailures = idempotent !== undefined ? idempotent : method !== 'POST';
+  const headers = { 'Authorization': `Bearer ${token}` };
+  if (json !== undefined) headers['Content-Type'] = 'application/json';
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(`${HUBSPOT_BASE}${path}`, {
+        method,
+        headers,
+        body: formData || (json !== undefined ? JSON.stringify(json) : undefined)
+      });
+    } catch (e) {
+      if (canRetryFailures && attempt < MAX_RETRIES) {
+        await sleep(retryDelay(attempt));
+        continue;
+      }
+      throw new HubSpotError(`HubSpot request failed: ${e.message}`, { path });
+    }
+
+    if (response.ok) {
+      if (response.status === 204) return null;
+      return readBody(response);
+    }
+
+    const retryable = response.status === 429 || (canRetryFailures && response.status >= 500);
+    if (retryable && attempt < MAX_RETRIES) {
+      await sleep(retryDelay(attempt, response.headers.get('retry-after')));
+      continue;
+    }
+
+    const body = await readBody(response);
+    const detail = typeof body === 'string' ? body : JSON.stringify(body);
+    const message = `HubSpot ${method} ${path.split('?')[0]} failed: ${response.status} ${(detail || '').substring(0, 300)}`;
+    if (response.status === 404) throw new HubSpotNotFoundError(message, { body, path });
+    if (response.status === 429) throw new HubSpotRateLimitError(message, { body, path });
+    throw new HubSpotError(message, { status: response.status, body, path });
+  }
+}
+
+export function dealRecordUrl(dealId) {
+  return `https://app.hubspot.com/contacts/${HUBSPOT_PORTAL_ID}/record/0-3/${dealId}`;
+}
+
+// ── Deals ──
+
+/** Fetch a deal by ID. Resolves to null when the deal doesn't exist. */
+export async function getDeal(dealId, properties) {
+  try {
+    return await hubspotRequest(
+      `/crm/v3/objects/deals/${encodeURIComponent(dealId)}?properties=${properties.join(',')}`
+    );
+  } catch (e) {
+    if (e instanceof HubSpotNotFoundError) return null;
+    throw e;
+  }
+}
+
+/** CRM deal search; `query` is HubSpot's free-text match on the deal's default searchable properties. */
+export async function searchDeals({ filterGroups, properties, sorts, limit = 10, after, query }) {
+  return hubspotRequest('/crm/v3/objects/deals/search', {
+    method: 'POST',
+    idempotent: true,
+    json: { filterGroups, properties, sorts, limit, after, query }
+  });
+}
+
+/**
+ * Find a deal by the order number at the start of its name (e.g. "10722").
+ * Uses a dealname CONTAINS_TOKEN search, then keeps only a deal whose name
+ * starts with the number so a stray token match elsewhere in a name is ignored.
+ */
+export async function findDealByNumber(dealNumber, properties) {
+  const data = await searchDeals({
+    filterGroups: [{
+      filters: [{ propertyName: 'dealname', operator: 'CONTAINS_TOKEN', value: String(dealNumber) }]
+    }],
+    properties: Array.from(new Set(['dealname', ...properties])),
+    limit: 5
+  });
+  return (data.results || []).find(d =>
+    (d.properties.dealname || '').startsWith(String(dealNumber))
+  ) || null;
+}
+
+export async function updateDeal(dealId, properties) {
+  return hubspotRequest(`/crm/v3/objects/deals/${encodeURIComponent(dealId)}`, {
+    method: 'PATCH',
+    json: { properties }
+  });
+}
+
+/**
+ * Save `properties` on the deal, then run `send` (usually the n8n call the
+ * new status stands for) and resolve to its result. Saved first so a
+ * repeated request sees the status and is refused; if `send` throws, the
+ * values from `previous` (the deal's properties as loaded) are put back.
+ */
+export async function updateDealWhile(dealId, properties, previous, send) {
+  await updateDeal(dealId, properties);
+  try {
+    return await send();
+  } catch (error) {
+    const restore = Object.fromEntries(Object.keys(properties).map(key => [key, (previous && previous[key]) || '']));
+    try {
+      await updateDeal(dealId, restore);
+    } catch (e) {
+      console.error(`Deal ${dealId} reset failed:`, e.message);
+    }
+    throw error;
+  }
+}
+
+// ── Associations ──
+
+export async function getAssociations(fromType, fromId, toType) {
+  const data = await hubspotRequest(
+    `/crm/v4/objects/${fromType}/${encodeURIComponent(fromId)}/associations/${toType}`
+  );
+  return (data && data.results) || [];
+}
+
+export async function getAssociatedIds(fromType, fromId, toType) {
+  const results = await getAssociations(fromType, fromId, toType);
+  return results.map(r => String(r.toObjectId));
+}
+
+// ── Line items ──
+
+function normalizeLineItem(item) {
+  return {
+    id: item.id,
+    name: item.properties.name || 'Item',
+    price: parseFloat(item.properties.price) || 0,
+    quantity: parseInt(item.properties.quantity) || 1,
+    amount: parseFloat(item.properties.amount) || 0,
+    description: item.properties.description || ''
+  };
+}
+
+export async function getLineItems(dealId) {
+  const ids = await getAssociatedIds('deals', dealId, 'line_items');
+  if (ids.length === 0) return [];
+  const data = await hubspotRequest('/crm/v3/objects/line_items/batch/read', {
+    method: 'POST',
+    idempotent: true,
+    json: {
+      inputs: ids.map(id => ({ id })),
+      properties: ['name', 'price', 'quantity', 'amount', 'description']
+    }
+  });
+  return ((data && data.results) || []).map(normalizeLineItem);
+}
+
+export function lineItemsTotal(lineItems) {
+  return lineItems.reduce((sum, item) => sum + (item.amount || item.price * item.quantity), 0);
+}
+
+/**
+ * Create `items` on the deal and then archive the line items it had before.
+ * The new items go in first so a failed create leaves the old ones in place
+ * rather than an empty deal.
+ */
+export async function replaceLineItems(dealId, items) {
+  const ids = await getAssociatedIds('deals', dealId, 'line_items');
+  const created = items.length === 0 ? [] : await createLineItems(dealId, items);
+  if (ids.length > 0) {
+    await hubspotRequest('/crm/v3/objects/line_items/batch/archive', {
+      method: 'POST',
+      idempotent: true,
+      json: { inputs: ids.map(id => ({ id })) }
+    });
+  }
+  return created;
+}
+
+async function createLineItems(dealId, items) {
+  const data = await hubspotRequest('/crm/v3/objects/line_items/batch/create', {
+    method: 'POST',
+    json: {
+      inputs: items.map(item => ({
+        properties: {
+          name: item.name,
+          price: String(parseFloat(item.price) || 0),
+          quantity: String(parseInt(item.quantity) || 1),
+          ...(item.description ? { description: item.description } : {}),
+          ...(item.productId ? { hs_product_id: String(item.productId) } : {})
+        },
+        associations: [{
+          to: { id: String(dealId) },
+          types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: LINE_ITEM_TO_DEAL }]
+        }]
+      }))
+    }
+  });
+  return ((data && data.results) || []).map(normalizeLineItem);
+}
+
+// ── Contacts ──
+
+function normalizeContact(c) {
+  return {
+    id: c.id,
+    name: [c.properties.firstname, c.properties.lastname].filter(Boolean).join(' '),
+    email: c.properties.email || ''
+  };
+}
+
+export async function getContact(contactId) {
+  const c = await hubspotRequest(
+    `/crm/v3/objects/contacts/${encodeURIComponent(contactId)}?properties=firstname,lastname,email`
+  );
+  return normalizeContact(c);
+}
+
+/** Find a contact by email with the given properties. Resolves to null when there is none. */
+export async function findContactByEmail(email, properties = []) {
+  const data = await hubspotRequest('/crm/v3/objects/contacts/search', {
+    method: 'POST',
+    idempotent: true,
+    json: {
+      filterGroups: [{ filters: [{ propertyName: 'email', operator: 'EQ', value: String(email).toLowerCase() }] }],
+      properties: Array.from(new Set(['email', ...properties])),
+      limit: 1
+    }
+  });
+  return ((data && data.results) || [])[0] || null;
+}
+
+export async function createContact(properties) {
+  return hubspotRequest('/crm/v3/objects/contacts', { method: 'POST', json: { properties } });
+}
+
+export async function updateContact(contactId, properties) {
+  return hubspotRequest(`/crm/v3/objects/contacts/${encodeURIComponent(contactId)}`, {
+    method: 'PATCH',
+    json: { properties }
+  });
+}
+
+/**
+ * Resolve the deal's contact IDs by association label. `primaryId` falls
+ * back to the first associated contact when none is labelled Primary Contact.
+ */
+export async function getDealContactIds(dealId) {
+  const assocs = await getAssociations('deals', dealId, 'contacts');
+  const hasLabel = label => r => (r.associationTypes || []).some(a => a.label === label);
+  const payer = assocs.find(hasLabel('Payer'));
+  const primary = assocs.find(hasLabel('Primary Contact')) || assocs[0];
+  return {
+    payerId: payer ? String(payer.toObjectId) : null,
+    primaryId: primary ? String(primary.toObjectId) : null
+  };
+}
+
+/** Payer and Primary Contact for a deal, either of which may be null. */
+export async function getDealContacts(dealId) {
+  const { payerId, primaryId } = await getDealContactIds(dealId);
+  const payer = payerId ? await getContact(payerId) : null;
+  const primary = !primaryId ? null : (primaryId === payerId ? payer : await getContact(primaryId));
+  return { payer, primary };
+}
+
+// ── Products ──
+
+function normalizeProduct(product) {
+  const p = product.properties;
+  return {
+    id: String(product.id),
+    name: p.name || '',
+    sku: p.hs_sku || '',
+    price: Math.round((parseFloat(p.price) || 0) * 100) / 100,
+    description: p.description || '',
+    image: (p.hs_images || '').split(';')[0] || null
+  };
+}
+
+/** Products whose name, SKU or description match `query`, sorted by name. */
+export async function searchProducts(query, { limit = 20 } = {}) {
+  const data = await hubspotRequest('/crm/v3/objects/products/search', {
+    method: 'POST',
+    idempotent: true,
+    json: {
+      query,
+      properties: ['name', 'price', 'hs_sku', 'description', 'hs_images'],
+      sorts: [{ propertyName: 'name', direction: 'ASCENDING' }],
+      limit
+    }
+  });
+  return ((data && data.results) || []).map(normalizeProduct);
+}
+
+// ── Quotes ──
+
+export async function getDealQuote(dealId) {
+  const ids = await getAssociatedIds('deals', dealId, 'quotes');
+  if (ids.length === 0) return null;
+  const q = await hubspotRequest(
+    `/crm/v3/objects/quotes/${ids[0]}?properties=hs_title,hs_status,hs_expiration_date,hs_quote_link`
+  );
+  return {
+    id: q.id,
+    title: q.properties.hs_title,
+    status: q.properties.hs_status,
+    expirationDate: q.properties.hs_expiration_date,
+    quoteLink: q.properties.hs_quote_link
+  };
+}
+
+// ── Files ──
+
+export async function getSignedFileUrl(fileId) {
+  const data = await hubspotRequest(`/files/v3/files/${encodeURIComponent(fileId)}/signed-url`);
+  return data.url;
+}
+
+/** A file's bytes, fetched through a signed URL (works for private files). */
+export async function getFileContent(fileId) {
+  const url = await getSignedFileUrl(fileId);
+  const response = await fetch(url);
+  if (!response.ok) throw new HubSpotError(`File download failed: ${response.status}`, { status: response.status, path: `/files/v3/files/${fileId}` });
+  return Buffer.from(await response.arrayBuffer());
+}
+
+export async function deleteFile(fileId) {
+  return hubspotRequest(`/files/v3/files/${encodeURIComponent(fileId)}`, { method: 'DELETE' });
+}
+
+export async function uploadFile({ buffer, fileName, contentType, folderPath, access = 'PRIVATE', overwrite = false }) {
+  const formData = new FormData();
+  formData.append('file', new Blob([buffer], { type: contentType }), fileName);
+  formData.append('options', JSON.stringify({ access, overwrite }));
+  formData.append('folderPath', folderPath);
+  return hubspotRequest('/files/v3/files', { method: 'POST', formData });
+}
+
+// ── Notes ──
+
+/** Create a note on the deal, optionally attaching uploaded file IDs. */
+export async function createNote(dealId, body, { attachmentIds = [] } = {}) {
+  const properties = {
+    hs_note_body: body,
+    hs_timestamp: new Date().toISOString()
+  };
+  if (attachmentIds.length > 0) properties.hs_attachment_ids = attachmentIds.join(';');
+  return hubspotRequest('/crm/v3/objects/notes', {
+    method: 'POST',
+    json: {
+      properties,
+      associations: [{
+        to: { id: String(dealId) },
+        types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: NOTE_TO_DEAL }]
+      }]
+    }
+  });
+}
+
+/** The deal's notes, oldest first, as `{ id, body, timestamp }`. */
+export async function getDealNotes(dealId) {
+  const ids = await getAssociatedIds('deals', dealId, 'notes');
+  const notes = [];
+  // Batch reads take at most 100 IDs
+  for (let i = 0; i < ids.length; i += 100) {
+    const data = await hubspotRequest('/crm/v3/objects/notes/batch/read', {
+      method: 'POST',
+      idempotent: true,
+      json: {
+        inputs: ids.slice(i, i + 100).map(id => ({ id })),
+        properties: ['hs_note_body', 'hs_timestamp']
+      }
+    });
+    for (const n of (data && data.results) || []) {
+      notes.push({ id: n.id, body: n.properties.hs_note_body || '', timestamp: n.properties.hs_timestamp || null });
+    }
+  }
+  return notes.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
@@ -0,0 +1,119 @@
+// Signed customer link tokens.
+// A token is a set of signed claims (see signing.js) naming the deal, what
+// the link is for, when it was issued, when it expires and the deal's link
+// nonce at issue time. Bumping the deal's `link_token_nonce`
+// property revokes every link issued before the bump.
+import crypto from 'crypto';
+import { getDeal, updateDeal } from './hubspot.js';
+import { PUBLIC_BASE_URL } from './config.js';
+import { signClaims, openSignedClaims, getSigningSecret, safeEqual, nowSeconds } from './signing.js';
+
+export const NONCE_PROPERTY = 'link_token_nonce';
+
+// Default lifetime per purpose, in days
+export const LINK_PURPOSES = {
+  'po-review': 120,
+  'po-upload': 120,
+  'sketch-approval': 60
+};
+
+const MAX_LIFETIME_DAYS = 365;
+
+// Customer-facing page for each purpose that has one
+const LINK_PAGES = {
+  'po-review': '/po-quote-review.html',
+  'sketch-approval': '/'
+};
+
+// Links sent before signed tokens carried a 16-char HMAC of the deal ID.
+// They are still honoured for PO links until the deal's nonce is first bumped.
+const LEGACY_PURPOSES = ['po-review', 'po-upload'];
+
+export class LinkTokenError extends Error {
+  constructor(reason) {
+    super(reason === 'expired' ? 'This link has expired' : 'Invalid or expired link');
+    this.name = 'LinkTokenError';
+    this.reason = reason;
+  }
+}
+
+function currentNonce(deal) {
+  return parseInt(deal.properties[NONCE_PROPERTY]) || 0;
+}
+
+function legacySignature(dealId) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(String(dealId)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Check signature, deal, purpose and expiry without any network calls.
+ * Returns the claims `{ d, p, iat, exp, n }` or throws a LinkTokenError.
+ */
+export function decodeLinkToken(token, { dealId, purpose }) {
+  if (!token || typeof token !== 'string') throw new LinkTokenError('missing');
+
+  if (/^[0-9a-f]{16}$/.test(token)) {
+    if (!LEGACY_PURPOSES.includes(purpose) || !safeEqual(token, legacySignature(dealId))) {
+      throw new LinkTokenError('signature');
+    }
+    return { d: String(dealId), p: purpose, iat: null, exp: null, n: null, legacy: true };
+  }
+
+  let claims;
+  try {
+    claims = openSignedClaims(token);
+  } catch (e) {
+    throw new LinkTokenError(e.reason);
+  }
+  if (String(claims.d) !== String(dealId)) throw new LinkTokenError('deal');
+  if (claims.p !== purpose) throw new LinkTokenError('purpose');
+  if (!(claims.exp > nowSeconds())) throw new LinkTokenError('expired');
+  return claims;
+}
+
+/**
+ * Full verification: decodeLinkToken plus the revocation check against the
+ * deal's current nonce. A deal that no longer exists is left for the caller
+ * to 404 on.
+ */
+export async function verifyLinkToken(token, { dealId, purpose }) {
+  const claims = decodeLinkToken(token, { dealId, purpose });
+  const deal = await getDeal(dealId, [NONCE_PROPERTY]);
+  if (deal) {
+    const nonce = currentNonce(deal);
+    if (claims.legacy ? nonce !== 0 : claims.n !== nonce) throw new LinkTokenError('revoked');
+  }
+  return claims;
+}
+
+/** Issue a token for `purpose` on a deal. Returns `{ token, expiresAt }`. */
+export async function issueLinkToken(dealId, purpose, { expiresInDays } = {}) {
+  if (!LINK_PURPOSES[purpose]) throw new Error(`Unknown link purpose: ${purpose}`);
+  const days = Math.min(parseFloat(expiresInDays) || LINK_PURPOSES[purpose], MAX_LIFETIME_DAYS);
+
+  const deal = await getDeal(dealId, [NONCE_PROPERTY]);
+  if (!deal) return null;
+
+  const iat = nowSeconds();
+  const claims = { d: String(deal.id), p: purpose, iat, exp: iat + Math.round(days * 86400), n: currentNonce(deal) };
+  return {
+    token: signClaims(claims),
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+}
+
+/** Revoke every outstanding link for a deal. Returns the new nonce. */
+export async function revokeLinkTokens(dealId) {
+  const deal = await getDeal(dealId, [NONCE_PROPERTY]);
+  if (!deal) return null;
+  const nonce = currentNonce(deal) + 1;
+  await updateDeal(dealId, { [NONCE_PROPERTY]: String(nonce) });
+  return nonce;
+}
+
+/** The customer link for a token, or null for purposes without a page. */
+export function linkUrl(dealId, purpose, token) {
+  const page = LINK_PAGES[purpose];
+  if (!page) return null;
+  return `${PUBLIC_BASE_URL}${page}?dealId=${encodeURIComponent(dealId)}&token=${encodeURIComponent(token)}`;
+}
@@ -0,0 +1,36 @@
+// Append-only JSON-lines logs kept on local disk (the error log and the audit
+// log). Vercel only allows writes under /tmp, which is per instance and
+// cleared on a cold start, so each log's path can be pointed at a mounted
+// volume through its own env variable.
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const TRIM_AT_BYTES = 2 * 1024 * 1024;
+
+async function readLines(file) {
+  try {
+    return (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+/** Append a record; once the file passes 2MB only the newest `maxRecords` are kept. */
+export async function appendLogRecord(file, record, { maxRecords = 1000 } = {}) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, JSON.stringify(record) + '\n');
+
+  const { size } = await fs.stat(file);
+  if (size > TRIM_AT_BYTES) {
+    const lines = await readLines(file);
+    await fs.writeFile(file, lines.slice(-maxRecords).join('\n') + '\n');
+  }
+}
+
+/** Every readable record, oldest first. */
+export async function readLogRecords(file) {
+  return (await readLines(file)).map(line => {
+    try { return JSON.parse(line); } catch (e) { return null; }
+  }).filter(Boolean);
+}
@@ -0,0 +1,219 @@
+// Outgoing email for the api/ handlers. MAIL_TRANSPORT picks how a message
+// goes out:
+//   n8n   (default) posted to the `send-email` webhook, which sends it
+//   smtp  straight to SMTP_HOST:SMTP_PORT, upgrading with STARTTLS when the
+//         server offers it (SMTP_SECURE=true for implicit TLS on 465) and
+//         signing in with SMTP_USER / SMTP_PASS when they are set
+//   log   written to the console only, for local runs
+// Other transports can be added to TRANSPORTS as `async (message) => result`.
+import net from 'node:net';
+import tls from 'node:tls';
+import { randomUUID } from 'node:crypto';
+import { postToN8n } from './n8n.js';
+
+export const DEFAULT_FROM = 'Show Off Inc. <support@showoffinc.com>';
+const SMTP_TIMEOUT_MS = 15000;
+
+export class MailError extends Error {
+  constructor(message, { transport = null, status = null, body = null } = {}) {
+    super(message);
+    this.name = 'MailError';
+    this.transport = transport;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function addressOf(value) {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function base64Body(value) {
+  return Buffer.from(value, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/** RFC 5322 source for `message`: text, or text and HTML as multipart/alternative. */
+export function buildMessage({ from, to, cc = [], replyTo, subject, text, html }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    ...(cc.length > 0 ? [`Cc: ${cc.join(', ')}`] : []),
+    ...(replyTo ? [`Reply-To: ${replyTo}`] : []),
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${addressOf(from).split('@')[1] || 'localhost'}>`,
+    'MIME-Version: 1.0'
+  ];
+  const part = (type, body) =>
+    `Content-Type: ${type}; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n${base64Body(body)}`;
+  if (!html) return `${headers.join('\r\n')}\r\n${part('text/plain', text)}`;
+
+  const boundary = `=_${randomUUID()}`;
+  return `${headers.join('\r\n')}\r\nContent-Type: multipart/alternative; boundary="${boundary}"\r\n\r\n` +
+    `--${boundary}\r\n${part('text/plain', text)}\r\n` +
+    `--${boundary}\r\n${part('text/html', html)}\r\n` +
+    `--${boundary}--\r\n`;
+}
+
+// One SMTP conversation: each command waits for the server's full reply
+class SmtpConnection {
+  constructor(socket) {
+    this.buffer = '';
+    this.waiting = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new MailError('SMTP server timed out', { transport: 'smtp' })));
+    socket.on('data', chunk => {
+      this.buffer += chunk.toString('utf8');
+      this.flush();
+    });
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new MailError('SMTP connection closed', { transport: 'smtp' })));
+  }
+
+  // A reply ends with a complete line whose code is followed by a space
+  flush() {
+    const lines = this.buffer.split('\r\n');
+    const last = lines.slice(0, -1).findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (last === -1 || !this.waiting) return;
+    const reply = lines.slice(0, last + 1);
+    this.buffer = lines.slice(last + 1).join('\r\n');
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({ code: parseInt(reply[last].substring(0, 3)), lines: reply.map(line => line.substring(4)) });
+  }
+
+  fail(error) {
+    if (!this.waiting) return;
+    const { reject } = this.waiting;
+    this.waiting = null;
+    reject(error);
+  }
+
+  reply() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  async command(line, expected) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.reply();
+    if (!expected.includes(reply.code)) {
+      const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+      throw new MailError(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`,
+        { transport: 'smtp', status: reply.code, body: reply.lines.join('\n') });
+    }
+    return reply;
+  }
+
+  upgrade(host) {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.setTimeout(0);
+    return new Promise((resolve, reject) => {
+      const secure = tls.connect({ socket: plain, servername: host }, () => resolve());
+      secure.once('error', reject);
+      this.attach(secure);
+    });
+  }
+
+  quit() {
+    this.socket.removeAllListeners('close');
+    this.socket.end('QUIT\r\n');
+  }
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new MailError('SMTP connection timed out', { transport: 'smtp' })));
+  });
+}
+
+async function sendSmtp(message) {
+  const host = process.env.SMTP_HOST;
+  if (!host) throw new MailError('SMTP_HOST is not configured', { transport: 'smtp' });
+  const secure = process.env.SMTP_SECURE === 'true';
+  const port = parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587);
+  const name = process.env.SMTP_HELO_NAME || 'localhost';
+
+  const smtp = new SmtpConnection(await connect({ host, port, secure }));
+  try {
+    await smtp.command(null, [220]);
+    let ehlo = await smtp.command(`EHLO ${name}`, [250]);
+    if (!secure && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await smtp.command('STARTTLS', [220]);
+      await smtp.upgrade(host);
+      ehlo = await smtp.command(`EHLO ${name}`, [250]);
+    }
+    if (process.env.SMTP_USER) {
+      const credentials = Buffer.from(`\0${process.env.SMTP_USER}\0${process.env.SMTP_PASS || ''}`).toString('base64');
+      await smtp.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+    await smtp.command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+    for (const rcpt of [...message.to, ...message.cc]) await smtp.command(`RCPT TO:<${addressOf(rcpt)}>`, [250, 251]);
+    await smtp.command('DATA', [354]);
+    // Lines starting with a dot are doubled so they can't end the message early
+    const data = buildMessage(message).replace(/\r\n\./g, '\r\n..');
+    const accepted = await smtp.command(`${data.replace(/\r\n$/, '')}\r\n.`, [250]);
+    return { transport: 'smtp', response: accepted.lines.join(' ') };
+  } finally {
+    smtp.quit();
+  }
+}
+
+export const TRANSPORTS = {
+  async n8n(message) {
+    const result = await postToN8n('send-email', message);
+    return { transport: 'n8n', response: result };
+  },
+  smtp: sendSmtp,
+  async log(message) {
+    console.log(`Mail to ${message.to.join(', ')}: ${message.subject}\n${message.text}`);
+    return { transport: 'log' };
+  }
+};
+
+export function mailTransport() {
+  return process.env.MAIL_TRANSPORT || 'n8n';
+}
+
+function recipients(value) {
+  return (Array.isArray(value) ? value : [value]).filter(Boolean).map(String);
+}
+
+/**
+ * Send an email with the configured transport. `to` and `cc` take an address
+ * or a list; `text` is required and `html` optional. Resolves to
+ * `{ transport, response }`; throws a MailError (or the n8n transport's
+ * N8nError) when it isn't accepted.
+ */
+export async function sendMail({ to, cc, replyTo, subject, text, html }) {
+  const send = TRANSPORTS[mailTransport()];
+  if (!send) throw new MailError(`Unknown MAIL_TRANSPORT: ${mailTransport()}`);
+  const message = {
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to: recipients(to),
+    cc: recipients(cc),
+    replyTo: replyTo || null,
+    subject,
+    text,
+    html: html || null
+  };
+  if (message.to.length === 0) throw new MailError('No recipient for the email');
+  return send(message);
+}
@@ -0,0 +1,198 @@
+// Sizing for each costume on a deal, collected from the coach after the
+// sketch is approved. Kept as JSON in `costume_measurements`:
+//   { rows: [{ name, size, bust, waist, hip, girth, height, notes }],
+//     updatedAt, updatedBy, submittedAt }
+// with one row per costume (up to `ofcostumes`). A row is complete with a
+// dancer's name and either a size or all five measurements (inches). Rows can
+// be saved half-filled; submitting needs every costume complete.
+import { ValidationError, text, number, list } from './validate.js';
+
+export const MEASUREMENTS_PROPERTY = 'costume_measurements';
+
+export const MEASUREMENT_FIELDS = [
+  { key: 'bust', label: 'Bust', min: 10, max: 100 },
+  { key: 'waist', label: 'Waist', min: 10, max: 100 },
+  { key: 'hip', label: 'Hip', min: 10, max: 100 },
+  { key: 'girth', label: 'Girth', min: 20, max: 120 },
+  { key: 'height', label: 'Height', min: 20, max: 100 }
+];
+
+const CSV_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'size', label: 'Size' },
+  ...MEASUREMENT_FIELDS,
+  { key: 'notes', label: 'Notes' }
+];
+// Other headings a coach's own spreadsheet might use
+const CSV_ALIASES = { dancer: 'name', 'dancer name': 'name', hips: 'hip', 'torso girth': 'girth', comments: 'notes' };
+
+/**
+ * Bad rows. `rows` has an entry per row: `{ field: message }` for the
+ * row's own problems.
+ */
+export class MeasurementsError extends ValidationError {
+  constructor(message, rows = []) {
+    super(message);
+    this.name = 'MeasurementsError';
+    this.rows = rows;
+  }
+}
+
+/** Parse `costume_measurements`; no rows when unset or unreadable. */
+export function parseMeasurements(raw) {
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    if (parsed && typeof parsed === 'object' && Array.isArray(parsed.rows)) return parsed;
+  } catch (e) { /* treated as none */ }
+  return { rows: [], updatedAt: null, updatedBy: null, submittedAt: null };
+}
+
+export function blankRow() {
+  return { name: '', size: '', bust: null, waist: null, hip: null, girth: null, height: null, notes: '' };
+}
+
+export function isComplete(row) {
+  return Boolean(row.name) && (Boolean(row.size) || MEASUREMENT_FIELDS.every(f => row[f.key] !== null));
+}
+
+function readRow(input) {
+  const row = blankRow();
+  const errors = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { row, errors: { name: 'Row must be an object.' } };
+  for (const [key, max] of [['name', 100], ['size', 20], ['notes', 500]]) {
+    try {
+      row[key] = text(input[key], key, { max }).replace(/\s+/g, ' ');
+    } catch (e) {
+      errors[key] = e.message;
+    }
+  }
+  for (const field of MEASUREMENT_FIELDS) {
+    const value = input[field.key];
+    if (value === undefined || value === null || String(value).trim() === '') continue;
+    try {
+      row[field.key] = number(String(value).replace(/["”]|\s*(?:in|inches)$/gi, ''), field.label, { min: field.min, max: field.max });
+    } catch (e) {
+      errors[field.key] = `${field.label} must be in inches, from ${field.min} to ${field.max}.`;
+    }
+  }
+  return { row, errors };
+}
+
+/**
+ * Rows from a save, checked; blank rows are allowed. With `submit`, every
+ * one of `costumeCount` rows has to be complete.
+ */
+export function readMeasurementRows(value, { costumeCount, submit = false }) {
+  const inputs = list(value, 'rows', { max: costumeCount });
+  const results = inputs.map(readRow);
+  const rows = results.map(r => r.row);
+  while (submit && rows.length < costumeCount) rows.push(blankRow());
+  const errors = rows.map((row, i) => ({ ...(results[i] ? results[i].errors : {}) }));
+
+  if (submit) {
+    rows.forEach((row, i) => {
+      if (isComplete(row)) return;
+      if (!row.name) errors[i].name = errors[i].name || 'Name is required.';
+      if (!row.size) errors[i].size = errors[i].size || 'Enter a size or all five measurements.';
+    });
+  }
+  if (errors.some(e => Object.keys(e).length > 0)) {
+    const incomplete = submit ? rows.filter(row => !isComplete(row)).length : 0;
+    throw new MeasurementsError(
+      incomplete > 0
+        ? `${incomplete} of ${costumeCount} costumes still need a name and a size or measurements.`
+        : 'Please check the highlighted measurements.',
+      errors
+    );
+  }
+  return rows;
+}
+
+/** The saved rows padded with blank ones to one per costume. */
+export function rowsForCostumes(rows, costumeCount) {
+  const padded = rows.slice(0, costumeCount).map(row => ({ ...blankRow(), ...row }));
+  while (padded.length < costumeCount) padded.push(blankRow());
+  return padded;
+}
+
+export function measurementSummary(data, costumeCount) {
+  return {
+    costumeCount,
+    complete: data.rows.slice(0, costumeCount).filter(isComplete).length,
+    updatedAt: data.updatedAt || null,
+    updatedBy: data.updatedBy || null,
+    submittedAt: data.submittedAt || null
+  };
+}
+
+function csvCell(value) {
+  let cell = value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheet apps from running a cell as a formula
+  if (/^[=+\-@]/.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/** CSV with a heading row and a line per costume. */
+export function measurementsCsv(rows) {
+  const lines = [['Costume', ...CSV_COLUMNS.map(c => (c.min ? `${c.label} (in)` : c.label))].join(',')];
+  rows.forEach((row, i) => lines.push([i + 1, ...CSV_COLUMNS.map(c => csvCell(row[c.key]))].join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function parseCsvRecords(source) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch !== '"') {
+        cell += ch;
+      } else if (source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || record.length > 0) records.push([...record, cell]);
+  return records.filter(r => r.some(c => c.trim()));
+}
+
+/**
+ * Rows from a CSV file: a heading row (Name, Size, Bust, Waist, Hip, Girth,
+ * Height, Notes, in any order; others are ignored), then a line per dancer.
+ */
+export function parseMeasurementsCsv(source) {
+  const records = parseCsvRecords(String(source || '').replace(/^\uFEFF/, ''));
+  if (records.length === 0) throw new ValidationError('The CSV file is empty');
+  const keys = records[0].map(heading => {
+    const name = heading.toLowerCase().replace(/\(.*?\)/g, '').replace(/\s+/g, ' ').trim();
+    const column = CSV_COLUMNS.find(c => c.key === name || c.label.toLowerCase() === name);
+    return column ? column.key : (CSV_ALIASES[name] || null);
+  });
+  if (!keys.includes('name')) throw new ValidationError('The CSV file needs a Name column');
+
+  return records.slice(1).map(record => {
+    const row = {};
+    keys.forEach((key, i) => {
+      if (key) row[key] = (record[i] || '').trim().replace(/^'(?=[=+\-@])/, '');
+    });
+    return row;
+  });
+}
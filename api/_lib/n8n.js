@@ -0,0 +1,39 @@
+// Forwarding to the n8n workflows. Pages never call n8n directly; the api/
+// routes validate first and then post here. When N8N_WEBHOOK_SECRET is set
+// it goes along as X-Webhook-Secret so the workflows can drop direct calls.
+import { n8nWebhookUrl } from './config.js';
+
+export class N8nError extends Error {
+  constructor(message, { status = null, body = null, webhook = null } = {}) {
+    super(message);
+    this.name = 'N8nError';
+    this.status = status;
+    this.body = body;
+    this.webhook = webhook;
+  }
+}
+
+/**
+ * POST a JSON payload to an n8n webhook by name. Resolves the parsed
+ * response (null when empty); throws an N8nError on a non-2xx.
+ * Must be awaited: Vercel stops the function once the response is sent.
+ */
+export async function postToN8n(webhook, payload) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.N8N_WEBHOOK_SECRET) headers['X-Webhook-Secret'] = process.env.N8N_WEBHOOK_SECRET;
+
+  const response = await fetch(n8nWebhookUrl(webhook), {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(payload)
+  });
+  const text = await response.text();
+  let body = null;
+  if (text) {
+    try { body = JSON.parse(text); } catch (e) { body = text; }
+  }
+  if (!response.ok) {
+    throw new N8nError(`n8n ${webhook} failed: ${response.status}`, { status: response.status, body, webhook });
+  }
+  return body;
+}
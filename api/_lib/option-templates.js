@@ -0,0 +1,68 @@
+// Reusable sketch options saved by each designer from designer.html. They
+// live as JSON on the designer's own HubSpot contact (found by their staff
+// email, created on first save), so they follow them between browsers.
+import { findContactByEmail, createContact, updateContact } from './hubspot.js';
+import { ValidationError, text } from './validate.js';
+import { readSketchOption } from './sketch-review.js';
+
+export const TEMPLATES_PROPERTY = 'sketch_option_templates';
+
+const MAX_TEMPLATES = 100;
+// HubSpot text properties are capped at 65,536 characters
+const MAX_TEMPLATES_LENGTH = 60000;
+
+function parseTemplates(raw) {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.filter(t => t && t.name && t.option) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/** A designer's templates sorted by name; empty when they have none yet. */
+export async function getOptionTemplates(email) {
+  const contact = await findContactByEmail(email, [TEMPLATES_PROPERTY]);
+  const templates = contact ? parseTemplates(contact.properties[TEMPLATES_PROPERTY]) : [];
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function writeTemplates(email, templates) {
+  const raw = JSON.stringify(templates);
+  if (raw.length > MAX_TEMPLATES_LENGTH) {
+    throw new ValidationError('Your saved templates are full; delete some before saving another');
+  }
+  const contact = await findContactByEmail(email, [TEMPLATES_PROPERTY]);
+  if (contact) await updateContact(contact.id, { [TEMPLATES_PROPERTY]: raw });
+  else await createContact({ email: String(email).toLowerCase(), [TEMPLATES_PROPERTY]: raw });
+}
+
+/**
+ * Save `option` as the template called `name`, replacing any template of the
+ * same name (case-insensitive). The option's label is dropped; it is given a
+ * new one when the template is added to a deal. Throws a ValidationError.
+ */
+export async function saveOptionTemplate(email, { name, option }) {
+  const template = {
+    name: text(name, 'name', { max: 100, required: true }),
+    option: readSketchOption(option, 'option', { label: false }),
+    updatedAt: new Date().toISOString()
+  };
+  const key = template.name.toLowerCase();
+  const templates = (await getOptionTemplates(email)).filter(t => t.name.toLowerCase() !== key);
+  if (templates.length >= MAX_TEMPLATES) throw new ValidationError(`You can keep at most ${MAX_TEMPLATES} templates`);
+  templates.push(template);
+  await writeTemplates(email, templates);
+  return template;
+}
+
+/** Delete the template called `name`. Resolves to false when there was none. */
+export async function deleteOptionTemplate(email, name) {
+  const key = text(name, 'name', { max: 100, required: true }).toLowerCase();
+  const templates = await getOptionTemplates(email);
+  const kept = templates.filter(t => t.name.toLowerCase() !== key);
+  if (kept.length === templates.length) return false;
+  await writeTemplates(email, kept);
+  return true;
+}
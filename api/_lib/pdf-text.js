@@ -0,0 +1,232 @@
+// Text from an uploaded PDF, for reading values off customers' documents.
+// Like pdf.js it covers the common case and nothing more: text drawn with
+// simple (single-byte) fonts in uncompressed or Flate-compressed content
+// streams. Scanned pages and text in embedded CID fonts come back empty;
+// callers treat that as "not found".
+import zlib from 'node:zlib';
+
+// A few KB of Flate data can expand to gigabytes, so decoding stops at these
+const MAX_STREAM_BYTES = 10 * 1024 * 1024;
+const MAX_CONTENT_BYTES = 50 * 1024 * 1024;
+
+/** The PDF's streams expand past the limits above; it isn't read. */
+export class PdfTooLargeError extends Error {
+  constructor() {
+    super(`PDF content expands past ${MAX_STREAM_BYTES / 1024 / 1024}MB in one stream or ${MAX_CONTENT_BYTES / 1024 / 1024}MB in all`);
+    this.name = 'PdfTooLargeError';
+  }
+}
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+const DELIMITERS = '()<>[]{}/%';
+// Simple fonts almost always use WinAnsiEncoding, which is Latin-1 apart
+// from the punctuation at 0x80-0x9f
+const WIN_ANSI = {
+  0x80: '€', 0x82: '‚', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ',
+  0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™',
+  0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+function isSpace(ch) {
+  return ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t' || ch === '\f' || ch === '\0';
+}
+
+// The streams in the file that draw page content, decoded
+function contentStreams(buffer) {
+  const pdf = buffer.toString('latin1');
+  const streams = [];
+  let total = 0;
+  for (const m of pdf.matchAll(/stream\r?\n/g)) {
+    if (pdf.slice(m.index - 3, m.index) === 'end') continue;
+    const dictStart = pdf.lastIndexOf('obj', m.index);
+    const dict = dictStart === -1 ? '' : pdf.slice(dictStart, m.index);
+    const start = m.index + m[0].length;
+    const end = pdf.indexOf('endstream', start);
+    if (end === -1) break;
+    // Images, fonts and the like hold no page text
+    if (/\/Subtype\s*\/(?:Image|Type1C|CIDFontType0C|OpenType)|\/Length[123]\b|\/Type\s*\/(?:XRef|ObjStm|Metadata)/.test(dict)) continue;
+    const filters = (dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/) || [, ''])[1];
+    if (filters && filters.replace(/\/FlateDecode|[\s[\]]/g, '')) continue;
+    let data = buffer.subarray(start, end);
+    if (filters) {
+      try {
+        data = zlib.inflateSync(data, {
+          finishFlush: zlib.constants.Z_SYNC_FLUSH,
+          maxOutputLength: Math.min(MAX_STREAM_BYTES, MAX_CONTENT_BYTES - total) || 1
+        });
+      } catch (e) {
+        if (e.code === 'ERR_BUFFER_TOO_LARGE') throw new PdfTooLargeError();
+        continue;
+      }
+    }
+    total += data.length;
+    if (total > MAX_CONTENT_BYTES) throw new PdfTooLargeError();
+    const content = data.toString('latin1');
+    if (/\bBT\b/.test(content)) streams.push(content);
+  }
+  return streams;
+}
+
+function readLiteral(src, i) {
+  let out = '';
+  let depth = 1;
+  for (i++; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '\\') {
+      const next = src[++i];
+      if (ESCAPES[next] !== undefined) {
+        out += ESCAPES[next];
+      } else if (/[0-7]/.test(next)) {
+        let octal = next;
+        while (octal.length < 3 && /[0-7]/.test(src[i + 1])) octal += src[++i];
+        out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+      } else if (next === '\r') {
+        if (src[i + 1] === '\n') i++;
+      } else if (next !== '\n') {
+        out += next;
+      }
+    } else if (ch === '(') {
+      depth++;
+      out += ch;
+    } else if (ch === ')') {
+      if (--depth === 0) return { value: out, end: i + 1 };
+      out += ch;
+    } else {
+      out += ch;
+    }
+  }
+  return { value: out, end: i };
+}
+
+function readHex(src, i) {
+  const end = src.indexOf('>', i);
+  let hex = src.slice(i + 1, end === -1 ? src.length : end).replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2) hex += '0';
+  return { value: Buffer.from(hex, 'hex').toString('latin1'), end: end === -1 ? src.length : end + 1 };
+}
+
+// Operands and operators of a content stream, in order
+function* tokens(src) {
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (isSpace(ch)) {
+      i++;
+    } else if (ch === '%') {
+      while (i < src.length && src[i] !== '\n' && src[i] !== '\r') i++;
+    } else if (ch === '(') {
+      const { value, end } = readLiteral(src, i);
+      yield { string: value };
+      i = end;
+    } else if (ch === '<' && src[i + 1] !== '<') {
+      const { value, end } = readHex(src, i);
+      yield { string: value };
+      i = end;
+    } else if (ch === '[' || ch === ']') {
+      yield { mark: ch };
+      i++;
+    } else if (ch === '<' || ch === '>') {
+      i += 2;
+    } else {
+      let j = i + 1;
+      while (j < src.length && !isSpace(src[j]) && !DELIMITERS.includes(src[j])) j++;
+      const word = src.slice(i, j);
+      if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) yield { number: parseFloat(word) };
+      else if (word[0] === '/') yield { name: word };
+      else yield { op: word };
+      i = j;
+    }
+  }
+}
+
+// Text pieces on the same baseline are joined with a space, so a label and
+// its value drawn as separate text objects ("Total", "$2,340.00") stay on
+// one line; anything lower starts a new line.
+function streamText(src) {
+  let text = '';
+  let operands = [];
+  let array = null;
+  let y = 0;
+  let shownY = null;
+  let moved = false;
+  let nextLine = false;
+
+  const show = str => {
+    if (!str) return;
+    if (shownY !== null && (nextLine || Math.abs(y - shownY) > 1)) text += '\n';
+    else if (shownY !== null && moved && !/\s$/.test(text)) text += ' ';
+    text += str;
+    shownY = y;
+    moved = false;
+    nextLine = false;
+  };
+  const strings = () => operands.filter(o => o.string !== undefined).map(o => o.string).join('');
+
+  for (const token of tokens(src)) {
+    if (token.mark === '[') {
+      array = [];
+    } else if (token.mark === ']') {
+      operands.push({ array: array || [] });
+      array = null;
+    } else if (array) {
+      array.push(token);
+    } else if (!token.op) {
+      operands.push(token);
+    } else {
+      const nums = operands.filter(o => o.number !== undefined).map(o => o.number);
+      switch (token.op) {
+        case 'BT':
+          y = 0;
+          moved = true;
+          break;
+        case 'Td':
+        case 'TD':
+          if (nums.length >= 2) y += nums[1];
+          moved = true;
+          break;
+        case 'Tm':
+          if (nums.length >= 6) y = nums[5];
+          moved = true;
+          break;
+        case 'T*':
+          nextLine = true;
+          break;
+        case 'Tj':
+          show(strings());
+          break;
+        case "'":
+        case '"':
+          nextLine = true;
+          show(strings());
+          break;
+        case 'TJ': {
+          let str = '';
+          for (const part of (operands.find(o => o.array) || { array: [] }).array) {
+            // A wide negative kern is a word gap
+            if (part.number !== undefined && part.number < -200 && str && !str.endsWith(' ')) str += ' ';
+            if (part.string !== undefined) str += part.string;
+          }
+          show(str);
+          break;
+        }
+        default:
+          break;
+      }
+      operands = [];
+    }
+  }
+  return text;
+}
+
+/**
+ * The PDF's text, a line per line of text on the page as far as it can tell.
+ * Throws a PdfTooLargeError for a PDF whose streams expand past the limits.
+ */
+export function extractPdfText(buffer) {
+  const text = contentStreams(buffer).map(streamText).join('\n');
+  return text.replace(/[\x80-\x9f]/g, ch => WIN_ANSI[ch.charCodeAt(0)] || ' ')
+    .split('\n')
+    .map(line => line.replace(/[^\S\n]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
@@ -0,0 +1,336 @@
+// Minimal PDF writer for the documents rendered on the server (the PO quote).
+// It covers what those need and nothing more: the standard Helvetica fonts,
+// text, lines, filled rectangles and JPEG/PNG images on US Letter pages.
+// Coordinates are in points from the top-left corner of the page.
+import zlib from 'node:zlib';
+
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// Advance widths (1/1000 em) for character codes 32-126, from the Adobe AFMs
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsiEncoding codes for the punctuation customers paste in from Word
+const WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+function encodeText(str) {
+  const codes = [];
+  for (const ch of String(str)) {
+    const code = ch.codePointAt(0);
+    if (code >= 32 && code <= 126) codes.push(code);
+    else if (code >= 160 && code <= 255) codes.push(code);
+    else if (WIN_ANSI[ch]) codes.push(WIN_ANSI[ch]);
+    else if (ch === '\t') codes.push(32);
+    else codes.push(63); // '?'
+  }
+  return codes;
+}
+
+function charWidth(code, bold) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  return code >= 32 && code <= 126 ? widths[code - 32] : 556;
+}
+
+function colorOp(hex, op) {
+  const n = parseInt(String(hex).replace('#', ''), 16);
+  const c = [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(v => (v / 255).toFixed(3));
+  return `${c.join(' ')} ${op}`;
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+// ── Images ──
+
+function parseJpeg(buffer) {
+  let i = 2;
+  while (i + 9 < buffer.length) {
+    if (buffer[i] !== 0xff) return null;
+    const marker = buffer[i + 1];
+    const length = buffer.readUInt16BE(i + 2);
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const components = buffer[i + 9];
+      return {
+        width: buffer.readUInt16BE(i + 7),
+        height: buffer.readUInt16BE(i + 5),
+        colorSpace: components === 1 ? '/DeviceGray' : components === 4 ? '/DeviceCMYK' : '/DeviceRGB',
+        bitsPerComponent: 8,
+        filter: '/DCTDecode',
+        data: buffer
+      };
+    }
+    i += 2 + length;
+  }
+  return null;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+function unfilterPng(data, height, stride, bpp) {
+  const out = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y++) {
+    const type = data[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[row - stride + x] : 0;
+      const c = x >= bpp && y > 0 ? out[row - stride + x - bpp] : 0;
+      const raw = data[src + x];
+      let value;
+      switch (type) {
+        case 0: value = raw; break;
+        case 1: value = raw + a; break;
+        case 2: value = raw + b; break;
+        case 3: value = raw + ((a + b) >> 1); break;
+        case 4: value = raw + paeth(a, b, c); break;
+        default: throw new Error(`Unknown PNG filter ${type}`);
+      }
+      out[row + x] = value & 255;
+    }
+  }
+  return out;
+}
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function parsePng(buffer) {
+  let ihdr = null;
+  let palette = null;
+  const idat = [];
+  for (let i = 8; i + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(i);
+    const type = buffer.toString('latin1', i + 4, i + 8);
+    const chunk = buffer.subarray(i + 8, i + 8 + length);
+    if (type === 'IHDR') {
+      ihdr = { width: chunk.readUInt32BE(0), height: chunk.readUInt32BE(4), bitDepth: chunk[8], colorType: chunk[9], interlace: chunk[12] };
+    } else if (type === 'PLTE') palette = chunk;
+    else if (type === 'IDAT') idat.push(chunk);
+    else if (type === 'IEND') break;
+    i += 12 + length;
+  }
+  if (!ihdr || ihdr.interlace !== 0 || !PNG_CHANNELS[ihdr.colorType]) return null;
+  const { width, height, bitDepth, colorType } = ihdr;
+  const channels = PNG_CHANNELS[colorType];
+  // Sub-byte depths only occur for gray and palette images, which PDF takes as packed rows
+  if (bitDepth !== 8 && !(bitDepth < 8 && channels === 1)) return null;
+  if (colorType === 3 && !palette) return null;
+
+  const stride = Math.ceil(width * channels * bitDepth / 8);
+  const pixels = unfilterPng(zlib.inflateSync(Buffer.concat(idat)), height, stride, Math.max(1, channels * bitDepth / 8));
+  const colorSpace = colorType === 3
+    ? `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`
+    : channels >= 3 ? '/DeviceRGB' : '/DeviceGray';
+
+  let color = pixels;
+  let alpha = null;
+  if (colorType === 4 || colorType === 6) {
+    const colorChannels = channels - 1;
+    color = Buffer.alloc(width * height * colorChannels);
+    alpha = Buffer.alloc(width * height);
+    for (let p = 0; p < width * height; p++) {
+      pixels.copy(color, p * colorChannels, p * channels, p * channels + colorChannels);
+      alpha[p] = pixels[p * channels + colorChannels];
+    }
+  }
+  return {
+    width,
+    height,
+    colorSpace,
+    bitsPerComponent: bitDepth,
+    filter: '/FlateDecode',
+    data: zlib.deflateSync(color),
+    alpha: alpha && zlib.deflateSync(alpha)
+  };
+}
+
+/** Width, height and PDF stream data for a JPEG or PNG; null for anything else. */
+export function readImage(buffer) {
+  if (!buffer || buffer.length < 16) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return parseJpeg(buffer);
+  if (buffer.toString('latin1', 1, 4) === 'PNG') return parsePng(buffer);
+  return null;
+}
+
+// ── Document ──
+
+export class PdfDocument {
+  constructor() {
+    this.pages = [];
+    this.images = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = { ops: [], images: new Set() };
+    this.pages.push(this.page);
+  }
+
+  textWidth(str, size, { bold = false } = {}) {
+    return encodeText(str).reduce((w, code) => w + charWidth(code, bold), 0) * size / 1000;
+  }
+
+  /** Draw one line of text with its baseline at `y`. `align` is relative to `x` and `width`. */
+  text(str, x, y, { size = 10, bold = false, color = '#000000', align = 'left', width = 0 } = {}) {
+    const codes = encodeText(str);
+    if (codes.length === 0) return;
+    let left = x;
+    if (align === 'right') left = x + width - this.textWidth(str, size, { bold });
+    if (align === 'center') left = x + (width - this.textWidth(str, size, { bold })) / 2;
+    const hex = Buffer.from(codes).toString('hex');
+    this.page.ops.push(
+      `BT ${colorOp(color, 'rg')} /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(left)} ${num(PAGE_HEIGHT - y)} Td <${hex}> Tj ET`
+    );
+  }
+
+  /** Split text into lines no wider than `width`, keeping its own line breaks. */
+  wrap(str, width, { size = 10, bold = false } = {}) {
+    const lines = [];
+    for (const paragraph of String(str || '').split(/\r?\n/)) {
+      let line = '';
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.textWidth(candidate, size, { bold }) <= width) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+        // A single word wider than the line is broken wherever it has to be
+        line = '';
+        for (const ch of word) {
+          if (line && this.textWidth(line + ch, size, { bold }) > width) {
+            lines.push(line);
+            line = '';
+          }
+          line += ch;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  line(x1, y1, x2, y2, { color = '#000000', width = 1 } = {}) {
+    this.page.ops.push(
+      `${colorOp(color, 'RG')} ${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+    );
+  }
+
+  rect(x, y, width, height, { fill = '#000000' } = {}) {
+    this.page.ops.push(`${colorOp(fill, 'rg')} ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+  }
+
+  /**
+   * Draw a JPEG or PNG scaled to fit inside the box, keeping its aspect
+   * ratio. Returns the drawn size, or null when the image can't be read.
+   */
+  image(buffer, x, y, maxWidth, maxHeight) {
+    let image;
+    try {
+      image = readImage(buffer);
+    } catch (e) {
+      image = null;
+    }
+    if (!image) return null;
+    const scale = Math.min(maxWidth / image.width, maxHeight / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    const name = `Im${this.images.length + 1}`;
+    this.images.push({ name, ...image });
+    this.page.images.add(name);
+    this.page.ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(PAGE_HEIGHT - y - height)} cm /${name} Do Q`);
+    return { width, height };
+  }
+
+  toBuffer() {
+    const objects = [];
+    const add = body => {
+      objects.push(body);
+      return objects.length;
+    };
+    const stream = (dict, data) => Buffer.concat([
+      Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`, 'latin1'),
+      data,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+
+    const catalog = add(null);
+    const pagesRef = add(null);
+    const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const imageRefs = {};
+    for (const image of this.images) {
+      const smask = image.alpha
+        ? add(stream(`/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, image.alpha))
+        : null;
+      imageRefs[image.name] = add(stream(
+        `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${image.colorSpace} ` +
+        `/BitsPerComponent ${image.bitsPerComponent} /Filter ${image.filter}${smask ? ` /SMask ${smask} 0 R` : ''}`,
+        image.data
+      ));
+    }
+
+    const pageRefs = this.pages.map(page => {
+      const content = add(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'))));
+      const xobjects = [...page.images].map(name => `/${name} ${imageRefs[name]} 0 R`).join(' ');
+      return add(
+        `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Contents ${content} 0 R ` +
+        `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >>${xobjects ? ` /XObject << ${xobjects} >>` : ''} >> >>`
+      );
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+    objects[pagesRef - 1] = `<< /Type /Pages /Kids [${pageRefs.map(r => `${r} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, i) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+      chunks.push(chunk);
+      const at = offset;
+      offset += chunk.length;
+      return at;
+    });
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>`,
+      'startxref',
+      String(offset),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(xref + '\n', 'latin1'));
+    return Buffer.concat(chunks);
+  }
+}
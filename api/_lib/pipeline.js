@@ -0,0 +1,38 @@
+// Where a deal is in the sketch review and PO quote pipelines, as HubSpot
+// search filter groups (groups are OR'd, the filters in a group AND'd). The
+// staff dashboard lists each view and the reminder job follows up on some.
+import { APPROVED_STATUSES, REVISION_REQUESTED } from './sketch-review.js';
+import { FINALIZED_STATUSES } from './po-quote.js';
+import { CHANGES_REQUESTED, SENT_TO_CUSTOMER } from './po-change-requests.js';
+
+const DECIDED_SKETCH = [...APPROVED_STATUSES, REVISION_REQUESTED];
+const UNCONFIRMED = { propertyName: 'shipping_address_confirmed_date', operator: 'NOT_HAS_PROPERTY' };
+
+export const PIPELINE_VIEWS = {
+  'awaiting-review': [
+    [{ propertyName: 'sketch', operator: 'HAS_PROPERTY' }, { propertyName: 'sketch_approved', operator: 'NOT_IN', values: DECIDED_SKETCH }],
+    [{ propertyName: 'sketch_public_url', operator: 'HAS_PROPERTY' }, { propertyName: 'sketch_approved', operator: 'NOT_IN', values: DECIDED_SKETCH }]
+  ],
+  'revision-requested': [[{ propertyName: 'sketch_approved', operator: 'EQ', value: REVISION_REQUESTED }]],
+  'approved': [[{ propertyName: 'sketch_approved', operator: 'IN', values: APPROVED_STATUSES }]],
+  'po-draft': [[{ propertyName: 'po_quote_status', operator: 'EQ', value: 'Draft' }]],
+  'po-sent': [[{ propertyName: 'po_quote_status', operator: 'EQ', value: SENT_TO_CUSTOMER }]],
+  'po-changes-requested': [[{ propertyName: 'po_quote_status', operator: 'EQ', value: CHANGES_REQUESTED }]],
+  'po-finalized': [[{ propertyName: 'po_quote_status', operator: 'EQ', value: 'Finalized' }]],
+  'po-received': [[{ propertyName: 'po_quote_status', operator: 'EQ', value: 'PO Received' }]],
+  // Finalized quotes with no PO on the deal yet
+  'po-missing': [[
+    { propertyName: 'po_quote_status', operator: 'EQ', value: 'Finalized' },
+    { propertyName: 'po_received_date', operator: 'NOT_HAS_PROPERTY' }
+  ]],
+  // Approved designs and finalized quotes are headed for production
+  'shipping-unconfirmed': [
+    [{ propertyName: 'sketch_approved', operator: 'IN', values: APPROVED_STATUSES }, UNCONFIRMED],
+    [{ propertyName: 'po_quote_status', operator: 'IN', values: FINALIZED_STATUSES }, UNCONFIRMED]
+  ]
+};
+
+/** The `filterGroups` for searchDeals. */
+export function viewFilterGroups(view) {
+  return PIPELINE_VIEWS[view].map(filters => ({ filters }));
+}
@@ -0,0 +1,138 @@
+// Customer change requests on a PO quote, kept as JSON in the deal's
+// `po_change_requests` property (like `sketch_history`). Each request holds
+// the customer's message, staff replies and a snapshot of the quote they were
+// looking at, so a resent quote can say what changed since they asked.
+import { randomUUID } from 'node:crypto';
+
+export const CHANGE_REQUESTS_PROPERTY = 'po_change_requests';
+export const CHANGES_REQUESTED = 'Changes Requested';
+// Where a quote goes back to when its last open request is resolved without a resend
+export const SENT_TO_CUSTOMER = 'Sent to Customer';
+
+// HubSpot text properties hold 65,536 characters; oldest resolved requests go first
+const MAX_REQUESTS_LENGTH = 60000;
+
+export function parseChangeRequests(raw) {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.filter(r => r && r.id && r.message) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function openChangeRequests(requests) {
+  return requests.filter(r => r.status === 'open');
+}
+
+/** The parts of a quote a customer would ask about, for quoteChanges. */
+export function quoteSnapshot({ items, pricing, addressee, quoteTitle, quoteNotes }) {
+  return {
+    items: items.map(item => ({ id: item.id || null, name: item.name, quantity: item.quantity, price: item.price })),
+    discount: pricing ? pricing.discount : 0,
+    shipping: pricing ? pricing.shipping : 0,
+    tax: pricing ? pricing.tax : 0,
+    taxExempt: pricing ? pricing.taxExempt : false,
+    total: pricing ? pricing.total : items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+    addressee: addressee || '',
+    quoteTitle: quoteTitle || '',
+    quoteNotes: quoteNotes || ''
+  };
+}
+
+function money(n) {
+  return '$' + (Number(n) || 0).toFixed(2);
+}
+
+// Line items are matched by HubSpot ID; items added in the form have none yet
+function findItem(items, item) {
+  return (item.id && items.find(i => i.id === item.id)) || items.find(i => i.name === item.name);
+}
+
+/** Plain-language list of what differs between two quote snapshots. */
+export function quoteChanges(before, after) {
+  const changes = [];
+  const matched = new Set();
+  for (const item of after.items) {
+    const previous = findItem(before.items.filter(i => !matched.has(i)), item);
+    if (!previous) {
+      changes.push(`Added ${item.name} (${item.quantity} × ${money(item.price)})`);
+      continue;
+    }
+    matched.add(previous);
+    if (previous.name !== item.name) changes.push(`Renamed ${previous.name} to ${item.name}`);
+    if (previous.quantity !== item.quantity) changes.push(`${item.name}: quantity ${previous.quantity} → ${item.quantity}`);
+    if (previous.price !== item.price) changes.push(`${item.name}: price ${money(previous.price)} → ${money(item.price)} each`);
+  }
+  for (const item of before.items) {
+    if (!matched.has(item)) changes.push(`Removed ${item.name}`);
+  }
+  if (before.discount !== after.discount) changes.push(`Discount: ${money(before.discount)} → ${money(after.discount)}`);
+  if (before.shipping !== after.shipping) changes.push(`Shipping: ${money(before.shipping)} → ${money(after.shipping)}`);
+  if (before.taxExempt !== after.taxExempt) {
+    changes.push(after.taxExempt ? 'Marked tax-exempt' : 'No longer tax-exempt');
+  } else if (before.tax !== after.tax) {
+    changes.push(`Sales tax: ${money(before.tax)} → ${money(after.tax)}`);
+  }
+  if (before.addressee !== after.addressee) changes.push('Updated who the quote is addressed to');
+  if (before.quoteTitle !== after.quoteTitle) changes.push('Updated the quote title');
+  if (before.quoteNotes !== after.quoteNotes) changes.push('Updated the quote notes');
+  if (changes.length > 0 && before.total !== after.total) changes.push(`Total: ${money(before.total)} → ${money(after.total)}`);
+  return changes;
+}
+
+function trim(requests) {
+  const next = [...requests];
+  while (JSON.stringify(next).length > MAX_REQUESTS_LENGTH) {
+    const oldest = next.findIndex(r => r.status !== 'open');
+    if (oldest === -1) break;
+    next.splice(oldest, 1);
+  }
+  return next;
+}
+
+/** Requests with a new open one from the customer. */
+export function addChangeRequest(requests, { message, snapshot }) {
+  return trim([...requests, {
+    id: randomUUID(),
+    message,
+    status: 'open',
+    requestedAt: new Date().toISOString(),
+    replies: [],
+    snapshot
+  }]);
+}
+
+/** Requests with a staff reply on `id`; null when there is no such request. */
+export function replyToChangeRequest(requests, id, { message, by }) {
+  if (!requests.some(r => r.id === id)) return null;
+  return trim(requests.map(r => (r.id === id
+    ? { ...r, replies: [...(r.replies || []), { message, by, at: new Date().toISOString() }] }
+    : r)));
+}
+
+/**
+ * Requests with `ids` resolved by `by`. When the quote was resent, `changes`
+ * is what the new quote does differently from the one each request was made on.
+ */
+export function resolveChangeRequests(requests, ids, { by, quote = null }) {
+  const resolvedAt = new Date().toISOString();
+  return trim(requests.map(r => {
+    if (!ids.includes(r.id) || r.status !== 'open') return r;
+    const resolved = { ...r, status: 'resolved', resolvedAt, resolvedBy: by };
+    if (quote) {
+      resolved.resent = true;
+      resolved.changes = r.snapshot ? quoteChanges(r.snapshot, quote) : [];
+    }
+    return resolved;
+  }));
+}
+
+/** What the customer sees: their requests without the internal snapshot. */
+export function customerChangeRequests(requests) {
+  return requests.map(({ snapshot, resolvedBy, ...request }) => ({
+    ...request,
+    replies: (request.replies || []).map(({ message, at }) => ({ message, at }))
+  }));
+}
@@ -0,0 +1,171 @@
+// Reads the PO number, total and vendor off an uploaded purchase order and
+// compares them with the quote, so staff don't have to open every PO to
+// check it. PDFs are read with pdf-text.js. PNG/JPG scans need an OCR
+// program on the server: PO_OCR_COMMAND, e.g. "tesseract stdin stdout",
+// gets the image on stdin and prints its text. Without one, images are
+// stored unchecked. The result is kept with the document in `po_documents`,
+// summed up in the deal's `po_check` and sent with the staff notification.
+import { spawn } from 'node:child_process';
+import { extractPdfText, PdfTooLargeError } from './pdf-text.js';
+
+export const PO_CHECK_PROPERTY = 'po_check';
+export const VENDOR_NAME = 'Show Off Inc.';
+const OCR_TIMEOUT_MS = 30000;
+
+function money(n) {
+  return '$' + Number(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// "PO-4471", "po 4471" and "#4471" are the same number
+function comparablePoNumber(value) {
+  return String(value || '').toUpperCase().replace(/^(?:P\.?\s*O\.?|PURCHASE\s+ORDER)\s*(?:#|NO\.?|NUMBER)?/, '').replace(/[^A-Z0-9]/g, '');
+}
+
+function readImageText(buffer) {
+  const [command, ...args] = (process.env.PO_OCR_COMMAND || '').trim().split(/\s+/);
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    // Not spawn's `timeout` option: its timer is left running when the command can't start
+    const timer = setTimeout(() => child.kill(), OCR_TIMEOUT_MS);
+    const out = [];
+    const err = [];
+    child.stdout.on('data', c => out.push(c));
+    child.stderr.on('data', c => err.push(c));
+    child.on('error', reject);
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0) resolve(Buffer.concat(out).toString('utf8'));
+      else reject(new Error(`OCR exited with ${code}: ${Buffer.concat(err).toString('utf8').trim().substring(0, 200)}`));
+    });
+    child.stdin.on('error', () => { /* reported by close */ });
+    child.stdin.end(buffer);
+  });
+}
+
+/**
+ * The document's text and how it was read (`pdf` or `ocr`); `text` is null
+ * with a `note` when it couldn't be.
+ */
+export async function extractPoText(buffer, fileType) {
+  if (fileType === 'application/pdf') {
+    let text;
+    try {
+      text = extractPdfText(buffer);
+    } catch (e) {
+      if (e instanceof PdfTooLargeError) return { text: null, method: 'pdf', note: `Unreadable: ${e.message}` };
+      throw e;
+    }
+    return text ? { text, method: 'pdf' } : { text: null, method: 'pdf', note: 'No text in the PDF (it may be a scan)' };
+  }
+  if (!process.env.PO_OCR_COMMAND) return { text: null, method: null, note: 'Images are not read (no OCR set up)' };
+  const text = (await readImageText(buffer)).trim();
+  return text ? { text, method: 'ocr' } : { text: null, method: 'ocr', note: 'No text found in the image' };
+}
+
+// The last amount on the line: "$615", "2,340" or "2340.00", not a bare quantity like "12"
+function amountIn(line) {
+  const amounts = [...line.matchAll(/(\$\s?)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{2})?(?![\d,])/g)]
+    .filter(m => m[1] || m[3] || m[2].includes(','));
+  if (amounts.length === 0) return null;
+  const last = amounts[amounts.length - 1];
+  return parseFloat(last[2].replace(/,/g, '') + (last[3] || ''));
+}
+
+/** PO number, total and vendor as printed on the document; null when not found. */
+export function readPoFields(text) {
+  const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+
+  let poNumber = null;
+  for (const [i, line] of lines.entries()) {
+    const m = line.match(/\b(?:P\.?\s?O\.?|Purchase\s+Order)\s*(?:#|No\.?|Num(?:ber)?\.?)\s*:?\s*([A-Z0-9][A-Z0-9/-]*)?/i) ||
+      line.match(/\b(?:P\.?\s?O\.?|Purchase\s+Order)\s*:\s*([A-Z0-9][A-Z0-9/-]*)?/i);
+    if (!m) continue;
+    // The number can sit on the line below its label
+    const value = m[1] || (lines[i + 1] || '').split(/\s+/)[0];
+    if (/\d/.test(value)) {
+      poNumber = value;
+      break;
+    }
+  }
+
+  // The last total on the document is the grand total; subtotals and tax aren't it
+  let total = null;
+  for (const [i, line] of lines.entries()) {
+    if (!/\btotal\b/i.test(line) || /sub-?\s?total|tax/i.test(line)) continue;
+    const amount = amountIn(line) ?? (lines[i + 1] ? amountIn(lines[i + 1]) : null);
+    if (amount !== null) total = amount;
+  }
+
+  let vendor = null;
+  for (const [i, line] of lines.entries()) {
+    const m = line.match(/^(?:Vendor|Supplier|Sold\s+By|Pay\s+To|Remit\s+To)(?:\s+Name)?\s*:?\s*(.*)$/i);
+    if (!m) continue;
+    vendor = (m[1] || lines[i + 1] || '').trim() || null;
+    if (vendor) break;
+  }
+
+  return { poNumber, total, vendor };
+}
+
+/**
+ * The document's fields against the quote: `findings` describes each one,
+ * `mismatches` are the ones staff should look at.
+ */
+export function checkPo(fields, { quoteTotal, quotePoNumber }) {
+  const findings = [];
+  const mismatches = [];
+
+  if (!fields.poNumber) {
+    findings.push('PO number not found');
+  } else if (!quotePoNumber) {
+    findings.push(`PO number ${fields.poNumber} (none entered on the quote)`);
+  } else if (comparablePoNumber(fields.poNumber) === comparablePoNumber(quotePoNumber)) {
+    findings.push(`PO number ${fields.poNumber} matches the quote`);
+  } else {
+    mismatches.push(`PO number ${fields.poNumber} vs ${quotePoNumber} entered on the quote`);
+  }
+
+  if (fields.total === null) {
+    findings.push('PO total not found');
+  } else if (!quoteTotal) {
+    findings.push(`PO total ${money(fields.total)}`);
+  } else if (Math.abs(fields.total - quoteTotal) < 0.005) {
+    findings.push(`PO total ${money(fields.total)} matches the quote`);
+  } else {
+    mismatches.push(`PO total ${money(fields.total)} vs quote ${money(quoteTotal)}`);
+  }
+
+  if (!fields.vendor) {
+    findings.push('Vendor not found');
+  } else if (/show\s*off/i.test(fields.vendor)) {
+    findings.push(`Vendor ${fields.vendor}`);
+  } else {
+    mismatches.push(`Vendor ${fields.vendor}, not ${VENDOR_NAME}`);
+  }
+
+  return { ...fields, quoteTotal: quoteTotal || null, quotePoNumber: quotePoNumber || null, mismatches, findings: [...mismatches, ...findings] };
+}
+
+/**
+ * Read and check an uploaded PO. Never throws: a document that can't be
+ * read comes back with a `note` saying why.
+ */
+export async function checkPoDocument(buffer, fileType, quote) {
+  let extracted;
+  try {
+    extracted = await extractPoText(buffer, fileType);
+  } catch (e) {
+    console.error('PO text extraction failed:', e.message);
+    extracted = { text: null, method: fileType === 'application/pdf' ? 'pdf' : 'ocr', note: `Could not read the document: ${e.message}` };
+  }
+  const checkedAt = new Date().toISOString();
+  if (!extracted.text) return { method: extracted.method, note: extracted.note, mismatches: [], findings: [], checkedAt };
+  return { method: extracted.method, ...checkPo(readPoFields(extracted.text), quote), checkedAt };
+}
+
+/** One line for the deal and the notification, e.g. "... PO total $2,340.00 vs quote $2,415.00". */
+export function poCheckSummary(check) {
+  if (check.note) return `PO not checked: ${check.note}`;
+  if (check.mismatches.length > 0) return `PO check found mismatches: ${check.mismatches.join('; ')}`;
+  return `PO check found no mismatches: ${check.findings.join('; ')}`;
+}
@@ -0,0 +1,138 @@
+// Purchase orders the customer uploaded for a deal, kept as JSON in
+// `po_documents`:
+//   { documents: [{ id, uploadKey, fileId, fileName, fileType, size, url, kind,
+//                   uploadedAt, replaces?, replacedBy?, replacedAt? }],
+//     uploads: { [uploadKey]: { fileName, fileType, size, chunkCount, chunks, startedAt } } }
+// A document is the PO itself or an amendment to it; replacing one keeps the
+// old file but marks it replaced. Files too big for one request come in
+// chunks of PO_CHUNK_BYTES, each stored as its own private file until the
+// last arrives and they're joined (`uploads` tracks them). Every upload has
+// a key from the browser, so a retried chunk or a retried finish is a no-op.
+import { randomUUID } from 'node:crypto';
+import { ValidationError, text, number, oneOf } from './validate.js';
+
+export const PO_DOCUMENTS_PROPERTY = 'po_documents';
+export const PO_FILE_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+export const PO_DOCUMENT_KINDS = ['po', 'amendment'];
+export const MAX_PO_BYTES = 25 * 1024 * 1024;
+// Vercel caps request bodies at 4.5MB; 2MB of file is under 3MB as base64
+export const PO_CHUNK_BYTES = 2 * 1024 * 1024;
+// The upload token lasts a day, so an upload older than that can't be finished
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+/** Parse `po_documents`; nothing uploaded when unset or unreadable. */
+export function parsePoDocuments(raw) {
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    if (parsed && typeof parsed === 'object') {
+      return {
+        documents: Array.isArray(parsed.documents) ? parsed.documents : [],
+        uploads: parsed.uploads && typeof parsed.uploads === 'object' ? parsed.uploads : {}
+      };
+    }
+  } catch (e) { /* treated as none */ }
+  return { documents: [], uploads: {} };
+}
+
+/**
+ * The deal's documents. Deals with a PO from before `po_documents` list it
+ * from `po` / `po_document_url`.
+ */
+export function dealPoDocuments(properties) {
+  const { documents } = parsePoDocuments(properties[PO_DOCUMENTS_PROPERTY]);
+  if (documents.length > 0 || !properties.po_document_url) return documents;
+  return [{
+    id: 'original',
+    fileId: properties.po || null,
+    fileName: 'Purchase order',
+    url: properties.po_document_url,
+    kind: 'po',
+    uploadedAt: properties.po_received_date || null
+  }];
+}
+
+/** What the customer's page shows of a document (no file links). */
+export function publicPoDocument(document) {
+  return {
+    id: document.id,
+    fileName: document.fileName,
+    kind: document.kind,
+    size: document.size || null,
+    uploadedAt: document.uploadedAt || null,
+    replaces: document.replaces || null,
+    replacedAt: document.replacedAt || null
+  };
+}
+
+export function readUploadKey(value) {
+  const key = text(value, 'uploadKey', { max: 100, required: true });
+  if (!/^[A-Za-z0-9_:-]{8,}$/.test(key)) throw new ValidationError('uploadKey must be 8 or more letters, digits, - or _');
+  return key;
+}
+
+export function readFileType(value) {
+  if (value === undefined || value === null || value === '') return 'application/pdf';
+  if (!PO_FILE_TYPES.includes(value)) throw new ValidationError('File type not allowed. Please upload a PDF, PNG, or JPG.');
+  return value;
+}
+
+/** Name, type and size of a file about to arrive in chunks. */
+export function readChunkedFile(input) {
+  const size = number(input.size, 'size', { min: 1, integer: true });
+  if (size > MAX_PO_BYTES) {
+    throw new ValidationError('File is too large (max 25MB). Please email your PO to support@showoffinc.com.');
+  }
+  return {
+    fileName: text(input.fileName, 'fileName', { max: 255, required: true }),
+    fileType: readFileType(input.fileType),
+    size,
+    chunkCount: Math.ceil(size / PO_CHUNK_BYTES)
+  };
+}
+
+/** Decode chunk `index` of `upload`; every chunk but the last is PO_CHUNK_BYTES. */
+export function readChunk(data, index, upload) {
+  if (typeof data !== 'string' || !data) throw new ValidationError('data is required');
+  const buffer = Buffer.from(data.includes(',') ? data.split(',')[1] : data, 'base64');
+  const expected = Math.min(PO_CHUNK_BYTES, upload.size - index * PO_CHUNK_BYTES);
+  if (buffer.length !== expected) {
+    throw new ValidationError(`Chunk ${index + 1} of ${upload.chunkCount} should be ${expected} bytes, got ${buffer.length}`);
+  }
+  return buffer;
+}
+
+/**
+ * Whether the upload is a PO or an amendment, and which document it replaces.
+ * Only a document that hasn't itself been replaced can be.
+ */
+export function readPlacement(input, documents) {
+  const kind = input.kind === undefined || input.kind === null || input.kind === ''
+    ? 'po'
+    : oneOf(input.kind, 'kind', PO_DOCUMENT_KINDS);
+  if (input.replaces === undefined || input.replaces === null || input.replaces === '') return { kind, replaces: null };
+  const replaced = documents.find(d => d.id === input.replaces);
+  if (!replaced) throw new ValidationError('The document to replace was not found');
+  if (replaced.replacedBy) throw new ValidationError(`${replaced.fileName} has already been replaced`);
+  return { kind: replaced.kind, replaces: replaced };
+}
+
+/** File name in HubSpot: "10760 Fenn_PO.pdf", then "10760 Fenn_PO_2.pdf", "10760 Fenn_PO_Amendment.pdf". */
+export function poFileName(dealName, documents, kind, originalName) {
+  const ext = originalName.split('.').pop() || 'pdf';
+  const base = kind === 'amendment' ? 'PO_Amendment' : 'PO';
+  const count = documents.filter(d => d.kind === kind).length + 1;
+  return `${dealName}_${base}${count > 1 ? `_${count}` : ''}.${ext}`;
+}
+
+/** The documents with `document` added, and whatever it replaces marked so. */
+export function addPoDocument(documents, document) {
+  const added = { id: randomUUID(), ...document };
+  return documents
+    .map(d => (d.id === added.replaces ? { ...d, replacedBy: added.id, replacedAt: added.uploadedAt } : d))
+    .concat(added);
+}
+
+/** Keys of uploads started too long ago to be finished. */
+export function staleUploads(uploads, now = Date.now()) {
+  return Object.keys(uploads).filter(key => now - Date.parse(uploads[key].startedAt) > UPLOAD_TTL_MS);
+}
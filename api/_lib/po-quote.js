@@ -0,0 +1,59 @@
+// PO quote state shared by the staff and customer PO handlers
+import { text, number, list } from './validate.js';
+
+// Once a formal quote exists the PO quote can't be edited or finalized again
+export const FINALIZED = 'Finalized';
+export const FINALIZED_STATUSES = [FINALIZED, 'PO Received'];
+
+export function isFinalized(status) {
+  return FINALIZED_STATUSES.includes(status);
+}
+
+// Quotes are honoured for this long after they are sent
+const QUOTE_VALID_DAYS = 120;
+
+/** Parse `po_quote_verbiage`; empty when unset or unreadable. */
+export function parseVerbiage(raw) {
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * The quote's sent date and expiration as YYYY-MM-DD. A quote that hasn't
+ * been sent yet is dated today.
+ */
+export function quoteDates(verbiage) {
+  const rawSentDate = verbiage.sentDate || new Date().toISOString().split('T')[0];
+  const sentDate = rawSentDate.includes('T') ? rawSentDate.split('T')[0] : rawSentDate;
+  const expDate = new Date(sentDate + 'T12:00:00');
+  expDate.setDate(expDate.getDate() + QUOTE_VALID_DAYS);
+  return { sentDate, expirationDate: expDate.toISOString().split('T')[0] };
+}
+
+const VERBIAGE_FIELDS = [
+  'schoolName', 'mailingCity', 'mailingState', 'mailingZip', 'mailingCountry', 'purchaseTerms', 'commentsBy', 'poNumber'
+];
+
+/** Line items from the staff PO quote form; `id` is the HubSpot line item, if any. */
+export function readQuoteItems(value) {
+  return list(value, 'items', { max: 100, required: true }).map((item, i) => ({
+    id: item && item.id ? text(item.id, `items[${i}].id`, { max: 50 }) : undefined,
+    name: text(item && item.name, `items[${i}].name`, { max: 200, required: true }),
+    quantity: number(item && item.quantity, `items[${i}].quantity`, { min: 1, max: 10000, integer: true }),
+    price: number(item && item.price, `items[${i}].price`, { max: 1000000 })
+  }));
+}
+
+/** Presentation-only quote fields; unknown keys are dropped. */
+export function readVerbiage(value) {
+  const verbiage = {};
+  if (!value || typeof value !== 'object') return verbiage;
+  for (const field of VERBIAGE_FIELDS) {
+    if (value[field] !== undefined) verbiage[field] = text(value[field], `verbiage.${field}`, { max: 200 });
+  }
+  return verbiage;
+}
@@ -0,0 +1,136 @@
+// Quote pricing on top of the line items: a percentage or fixed discount, a
+// shipping charge and sales tax for the ship-to state. The terms staff set in
+// po-quote.html live as JSON in `quote_pricing`; every page that shows a total
+// gets its breakdown from priceQuote so they all agree.
+//
+// Tax is the statewide base rate from tax-rates.json, charged on the
+// discounted merchandise (not shipping). TAX_COLLECTION_STATES, a comma-
+// separated list of state codes, limits it to the states we collect in.
+import { ValidationError, text, number, oneOf } from './validate.js';
+import taxRates from './tax-rates.json' with { type: 'json' };
+
+export const PRICING_PROPERTY = 'quote_pricing';
+// Deal properties dealPricing needs; add them to a handler's getDeal list
+export const PRICING_PROPERTIES = [PRICING_PROPERTY, 'shipping_state'];
+export const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+const MAX_SHIPPING = 100000;
+const MAX_FIXED_DISCOUNT = 1000000;
+
+function cents(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/** Parse `quote_pricing`; no discount, shipping or exemption when unset or unreadable. */
+export function parsePricing(raw) {
+  let parsed = {};
+  try {
+    parsed = JSON.parse(raw || '{}') || {};
+  } catch (e) { /* treated as unset */ }
+  const discountType = DISCOUNT_TYPES.includes(parsed.discountType) ? parsed.discountType : '';
+  return {
+    discountType,
+    discountValue: discountType ? Math.max(parseFloat(parsed.discountValue) || 0, 0) : 0,
+    discountLabel: discountType ? String(parsed.discountLabel || '') : '',
+    shipping: Math.max(parseFloat(parsed.shipping) || 0, 0),
+    taxExempt: parsed.taxExempt === true,
+    // Certificates from before staff review made the quote exempt on upload
+    exemptionCertificate: parsed.exemptionCertificate && parsed.exemptionCertificate.fileId
+      ? { ...parsed.exemptionCertificate, status: parsed.exemptionCertificate.status === 'pending' ? 'pending' : 'approved' }
+      : null
+  };
+}
+
+/**
+ * The staff-editable pricing terms from a request body, or null when the
+ * body has none (leave the saved terms alone). The exemption certificate is
+ * only set by /api/tax-exemption, so it isn't read here. Throws a
+ * ValidationError.
+ */
+export function readPricing(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object') throw new ValidationError('pricing must be an object');
+  const discountType = value.discountType ? oneOf(value.discountType, 'pricing.discountType', DISCOUNT_TYPES) : '';
+  const discountValue = discountType
+    ? cents(number(value.discountValue, 'pricing.discountValue', { max: discountType === 'percent' ? 100 : MAX_FIXED_DISCOUNT }))
+    : 0;
+  const shipping = value.shipping === undefined || value.shipping === '' ? 0 : value.shipping;
+  return {
+    discountType,
+    discountValue,
+    discountLabel: discountType ? text(value.discountLabel, 'pricing.discountLabel', { max: 100 }) : '',
+    shipping: cents(number(shipping, 'pricing.shipping', { max: MAX_SHIPPING })),
+    taxExempt: value.taxExempt === true || value.taxExempt === 'true'
+  };
+}
+
+function collectionStates() {
+  const list = (process.env.TAX_COLLECTION_STATES || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+/** Two-letter code for a state given as a code or a full name; null when unknown. */
+export function stateCode(state) {
+  const value = String(state || '').trim();
+  if (!value) return null;
+  if (taxRates[value.toUpperCase()]) return value.toUpperCase();
+  const lower = value.toLowerCase();
+  return Object.keys(taxRates).find(code => taxRates[code].name.toLowerCase() === lower) || null;
+}
+
+/** Sales tax percentage for a ship-to state; 0 when unknown or not collected. */
+export function taxRateFor(state) {
+  const code = stateCode(state);
+  if (!code) return 0;
+  const states = collectionStates();
+  if (states && !states.includes(code)) return 0;
+  return taxRates[code].rate;
+}
+
+/**
+ * Price `subtotal` (the line items, an option or items plus add-ons) with the
+ * deal's `pricing` terms, taxed for `state`. Amounts are rounded to cents.
+ * The terms are returned alongside the amounts so a page can reprice a
+ * changed subtotal the same way.
+ */
+export function priceQuote(subtotal, pricing, state) {
+  const terms = pricing || parsePricing(null);
+  const base = cents(Math.max(parseFloat(subtotal) || 0, 0));
+  const discount = terms.discountType === 'percent'
+    ? cents(base * terms.discountValue / 100)
+    : terms.discountType === 'fixed' ? Math.min(cents(terms.discountValue), base) : 0;
+  const taxState = stateCode(state);
+  const taxRate = terms.taxExempt ? 0 : taxRateFor(taxState);
+  const tax = cents((base - discount) * taxRate / 100);
+  const shipping = cents(terms.shipping || 0);
+  return {
+    subtotal: base,
+    discountType: terms.discountType || '',
+    discountValue: terms.discountValue || 0,
+    discountLabel: terms.discountLabel || '',
+    discount,
+    shipping,
+    taxState,
+    taxRate,
+    taxExempt: !!terms.taxExempt,
+    tax,
+    total: cents(base - discount + shipping + tax)
+  };
+}
+
+/** priceQuote with the deal's saved terms and ship-to state. */
+export function dealPricing(properties, subtotal) {
+  return priceQuote(subtotal, parsePricing(properties[PRICING_PROPERTY]), properties.shipping_state);
+}
+
+/** "Discount (10%)", or the label staff gave it. */
+export function discountDescription(pricing) {
+  if (pricing.discountLabel) return pricing.discountLabel;
+  return pricing.discountType === 'percent' ? `Discount (${pricing.discountValue}%)` : 'Discount';
+}
+
+/** "Sales tax (GA 4%)", "Sales tax (exempt)" or "Sales tax". */
+export function taxDescription(pricing) {
+  if (pricing.taxExempt) return 'Sales tax (exempt)';
+  return pricing.taxState && pricing.taxRate ? `Sales tax (${pricing.taxState} ${pricing.taxRate}%)` : 'Sales tax';
+}
@@ -0,0 +1,285 @@
+// The PO quote as a branded PDF, rendered here rather than from a HubSpot
+// quote template. /api/quote-pdf serves it for preview and download, and
+// finalizing a quote stores a copy in HubSpot Files attached to the deal.
+import { getDeal, getLineItems, lineItemsTotal, getDealContacts, uploadFile, updateDeal } from './hubspot.js';
+import { SKETCH_PROPERTIES, currentSketchSource, resolveSketchUrl } from './sketch-history.js';
+import { parseVerbiage, quoteDates } from './po-quote.js';
+import { PRICING_PROPERTY, PRICING_PROPERTIES, parsePricing, priceQuote, discountDescription, taxDescription } from './pricing.js';
+import { PdfDocument, PAGE_WIDTH, PAGE_HEIGHT } from './pdf.js';
+
+export const QUOTE_PDF_PROPERTY = 'po_quote_pdf';
+
+const QUOTE_FOLDER = '/po-quotes';
+const MAX_SKETCH_BYTES = 10 * 1024 * 1024;
+
+const QUOTE_PROPERTIES = [
+  'dealname', 'po_quote_addressee', 'po_quote_title', 'po_quote_notes', 'po_quote_verbiage', ...SKETCH_PROPERTIES,
+  ...PRICING_PROPERTIES
+];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function formatDate(ymd) {
+  const d = new Date(ymd + 'T12:00:00');
+  return `${MONTHS[d.getMonth()]} ${d.getDate()}, ${d.getFullYear()}`;
+}
+
+function formatMoney(n) {
+  return '$' + Number(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// The thumbnail is a nice-to-have; a sketch that can't be fetched is left off
+async function loadSketch(properties) {
+  try {
+    const sketchUrl = await resolveSketchUrl(currentSketchSource(properties));
+    if (!sketchUrl) return null;
+    const response = await fetch(sketchUrl);
+    if (!response.ok) return null;
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return buffer.length <= MAX_SKETCH_BYTES ? buffer : null;
+  } catch (e) {
+    console.warn('Quote sketch unavailable:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Everything the quote PDF shows, from the deal as saved. `draft` holds
+ * values from a form that haven't been saved yet (items, addressee,
+ * quoteTitle, quoteNotes, verbiage, pricing) and takes precedence. Resolves to null
+ * when the deal doesn't exist.
+ */
+export async function loadQuote(dealId, draft = {}) {
+  const deal = await getDeal(dealId, QUOTE_PROPERTIES);
+  if (!deal) return null;
+  const p = deal.properties;
+
+  const verbiage = { ...parseVerbiage(p.po_quote_verbiage), ...(draft.verbiage || {}) };
+  const lineItems = (draft.items || await getLineItems(deal.id)).map(item => ({
+    name: item.name,
+    description: item.description || '',
+    quantity: parseInt(item.quantity) || 1,
+    price: parseFloat(item.price) || 0
+  }));
+  const { payer, primary } = await getDealContacts(deal.id);
+  const dealName = p.dealname || '';
+  const terms = { ...parsePricing(p[PRICING_PROPERTY]), ...(draft.pricing || {}) };
+
+  return {
+    dealId: deal.id,
+    dealNumber: (dealName.match(/^\d+/) || [deal.id])[0],
+    title: draft.quoteTitle || p.po_quote_title || dealName,
+    addressee: draft.addressee !== undefined ? draft.addressee : (p.po_quote_addressee || ''),
+    notes: draft.quoteNotes !== undefined ? draft.quoteNotes : (p.po_quote_notes || ''),
+    schoolName: verbiage.schoolName || '',
+    address: {
+      city: verbiage.mailingCity || '',
+      state: verbiage.mailingState || '',
+      zip: verbiage.mailingZip || '',
+      country: verbiage.mailingCountry || ''
+    },
+    purchaseTerms: verbiage.purchaseTerms || 'Net 30',
+    poNumber: verbiage.poNumber || '',
+    contact: payer || primary,
+    lineItems,
+    pricing: priceQuote(lineItemsTotal(lineItems), terms, p.shipping_state),
+    ...quoteDates(verbiage),
+    sketch: await loadSketch(p)
+  };
+}
+
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const BOTTOM = PAGE_HEIGHT - 64;
+const NAVY = '#2d3e50';
+const INK = '#33475b';
+const MUTED = '#7c98b6';
+const RULE = '#cbd6e2';
+
+// Line item table columns: [x, width, align]
+const COLUMNS = {
+  item: [MARGIN, 272, 'left'],
+  qty: [MARGIN + 272, 50, 'center'],
+  price: [MARGIN + 322, 94, 'right'],
+  total: [MARGIN + 416, 100, 'right']
+};
+
+function label(doc, str, x, y) {
+  doc.text(str.toUpperCase(), x, y, { size: 8, bold: true, color: MUTED });
+}
+
+function paragraph(doc, str, x, y, width, { size = 10, color = INK } = {}) {
+  for (const line of doc.wrap(str, width, { size })) {
+    doc.text(line, x, y, { size, color });
+    y += size * 1.4;
+  }
+  return y;
+}
+
+function tableHeader(doc, y) {
+  const headings = { item: 'Item & Description', qty: 'Qty', price: 'Unit Price', total: 'Total' };
+  for (const [key, [x, width, align]] of Object.entries(COLUMNS)) {
+    doc.text(headings[key], x, y, { size: 9, bold: true, color: INK, align, width });
+  }
+  doc.line(MARGIN, y + 6, MARGIN + CONTENT_WIDTH, y + 6, { color: INK, width: 1.5 });
+  return y + 22;
+}
+
+// Start a new page when the next `height` points won't fit on this one
+function ensureRoom(doc, y, height, { table = false } = {}) {
+  if (y + height <= BOTTOM) return y;
+  doc.addPage();
+  return table ? tableHeader(doc, MARGIN + 10) : MARGIN + 10;
+}
+
+function drawHeader(doc, quote) {
+  const titleLines = doc.wrap(quote.title, 330, { size: 18, bold: true });
+  const height = Math.max(128, 96 + titleLines.length * 22);
+  doc.rect(0, 0, PAGE_WIDTH, height, { fill: NAVY });
+
+  doc.text('Trimsuits by Show Off Inc.', MARGIN, 52, { size: 15, bold: true, color: '#ffffff' });
+  titleLines.forEach((line, i) => {
+    doc.text(line, MARGIN, 88 + i * 22, { size: 18, bold: true, color: '#ffffff' });
+  });
+
+  const right = [PAGE_WIDTH - MARGIN - 160, 160];
+  doc.text('QUOTE', right[0], 52, { size: 12, bold: true, color: '#b0c1d4', align: 'right', width: right[1] });
+  doc.text(`Quote #${quote.dealNumber}`, right[0], 76, { size: 9, color: '#ffffff', align: 'right', width: right[1] });
+  doc.text(`Date: ${formatDate(quote.sentDate)}`, right[0], 90, { size: 9, color: '#ffffff', align: 'right', width: right[1] });
+  doc.text(`Expires: ${formatDate(quote.expirationDate)}`, right[0], 104, { size: 9, color: '#ffffff', align: 'right', width: right[1] });
+  return height + 32;
+}
+
+function drawAddressee(doc, quote, top) {
+  const width = 300;
+  let y = top;
+  label(doc, 'Prepared for', MARGIN, y);
+  y += 16;
+  if (quote.schoolName) {
+    doc.text(quote.schoolName, MARGIN, y, { size: 11, bold: true, color: INK });
+    y += 16;
+  }
+  if (quote.addressee) y = paragraph(doc, quote.addressee, MARGIN, y, width);
+  const { city, state, zip, country } = quote.address;
+  const cityLine = [city, [state, zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  if (cityLine) y = paragraph(doc, cityLine, MARGIN, y, width);
+  if (country) y = paragraph(doc, country, MARGIN, y, width);
+  if (quote.contact) {
+    y += 6;
+    y = paragraph(doc, [quote.contact.name, quote.contact.email].filter(Boolean).join(' · '), MARGIN, y, width, { size: 9, color: MUTED });
+  }
+
+  let imageBottom = top;
+  if (quote.sketch) {
+    const box = 150;
+    const x = PAGE_WIDTH - MARGIN - box;
+    const drawn = doc.image(quote.sketch, x, top + 10, box, box);
+    if (drawn) {
+      label(doc, 'Design', x, top);
+      imageBottom = top + 10 + drawn.height;
+    }
+  }
+  return Math.max(y, imageBottom) + 24;
+}
+
+function drawLineItems(doc, quote, top) {
+  let y = tableHeader(doc, ensureRoom(doc, top, 60));
+  const [itemX, itemWidth] = COLUMNS.item;
+  for (const item of quote.lineItems) {
+    const lines = doc.wrap(item.name, itemWidth - 8, { size: 10 });
+    const details = item.description ? doc.wrap(item.description, itemWidth - 8, { size: 8.5 }) : [];
+    const height = lines.length * 14 + details.length * 12 + 8;
+    y = ensureRoom(doc, y, height, { table: true });
+    lines.forEach((line, i) => doc.text(line, itemX, y + i * 14, { size: 10, color: INK }));
+    details.forEach((line, i) => doc.text(line, itemX, y + lines.length * 14 + i * 12, { size: 8.5, color: MUTED }));
+    const cells = { qty: String(item.quantity), price: formatMoney(item.price), total: formatMoney(item.price * item.quantity) };
+    for (const [key, value] of Object.entries(cells)) {
+      const [x, width, align] = COLUMNS[key];
+      doc.text(value, x, y, { size: 10, color: INK, align, width });
+    }
+    y += height;
+    doc.line(MARGIN, y - 12, MARGIN + CONTENT_WIDTH, y - 12, { color: '#eaf0f6' });
+  }
+
+  return drawTotals(doc, quote.pricing, y);
+}
+
+// Subtotal, then each adjustment that applies, then the total
+function drawTotals(doc, pricing, top) {
+  const rows = [];
+  if (pricing.discount || pricing.shipping || pricing.tax || pricing.taxExempt) {
+    rows.push(['Subtotal', formatMoney(pricing.subtotal)]);
+    if (pricing.discount) rows.push([discountDescription(pricing), '-' + formatMoney(pricing.discount)]);
+    if (pricing.shipping) rows.push(['Shipping', formatMoney(pricing.shipping)]);
+    if (pricing.tax || pricing.taxExempt) rows.push([taxDescription(pricing), formatMoney(pricing.tax)]);
+  }
+  let y = ensureRoom(doc, top, 30 + rows.length * 16);
+  const [labelX] = COLUMNS.qty;
+  const [totalX, totalWidth] = COLUMNS.total;
+  for (const [name, amount] of rows) {
+    doc.text(name, labelX, y, { size: 10, color: INK });
+    doc.text(amount, totalX, y, { size: 10, color: INK, align: 'right', width: totalWidth });
+    y += 16;
+  }
+  if (rows.length > 0) y += 6;
+  doc.line(labelX, y - 6, MARGIN + CONTENT_WIDTH, y - 6, { color: INK, width: 1.5 });
+  doc.text('Total', labelX, y + 10, { size: 11, bold: true, color: INK });
+  doc.text(formatMoney(pricing.total), totalX, y + 10, { size: 12, bold: true, color: INK, align: 'right', width: totalWidth });
+  return y + 40;
+}
+
+function drawSection(doc, title, body, top) {
+  const lines = doc.wrap(body, CONTENT_WIDTH, { size: 10 });
+  let y = ensureRoom(doc, top, 30);
+  label(doc, title, MARGIN, y);
+  y += 16;
+  for (const line of lines) {
+    y = ensureRoom(doc, y, 14);
+    doc.text(line, MARGIN, y, { size: 10, color: INK });
+    y += 14;
+  }
+  return y + 16;
+}
+
+function drawFooters(doc, quote) {
+  doc.pages.forEach((page, i) => {
+    doc.page = page;
+    doc.line(MARGIN, PAGE_HEIGHT - 44, MARGIN + CONTENT_WIDTH, PAGE_HEIGHT - 44, { color: RULE, width: 0.5 });
+    doc.text(`Show Off Inc. · Quote #${quote.dealNumber} · Valid until ${formatDate(quote.expirationDate)}`,
+      MARGIN, PAGE_HEIGHT - 30, { size: 8, color: MUTED });
+    doc.text(`Page ${i + 1} of ${doc.pages.length}`, MARGIN, PAGE_HEIGHT - 30,
+      { size: 8, color: MUTED, align: 'right', width: CONTENT_WIDTH });
+  });
+}
+
+/** Render a quote from loadQuote as PDF bytes. */
+export function renderQuotePdf(quote) {
+  const doc = new PdfDocument();
+  let y = drawHeader(doc, quote);
+  y = drawAddressee(doc, quote, y);
+  if (quote.poNumber) y = drawSection(doc, 'PO number', quote.poNumber, y);
+  if (quote.notes) y = drawSection(doc, 'Comments', quote.notes, y);
+  y = drawLineItems(doc, quote, y);
+  y = drawSection(doc, 'Purchase terms', quote.purchaseTerms, y);
+  drawSection(doc, 'Expiration',
+    `This quote is valid for 120 days, until ${formatDate(quote.expirationDate)}. Prices are in US dollars.`, y);
+  drawFooters(doc, quote);
+  return doc.toBuffer();
+}
+
+export function quotePdfFileName(quote) {
+  return `Quote-${quote.dealNumber}.pdf`;
+}
+
+/** Upload the rendered quote to HubSpot Files and record it on the deal. Resolves to the file ID. */
+export async function storeQuotePdf(quote, buffer) {
+  const uploaded = await uploadFile({
+    buffer,
+    fileName: `${quote.dealNumber}-${Date.now()}-${quotePdfFileName(quote)}`,
+    contentType: 'application/pdf',
+    folderPath: QUOTE_FOLDER
+  });
+  const fileId = String(uploaded.id);
+  await updateDeal(quote.dealId, { [QUOTE_PDF_PROPERTY]: fileId });
+  return fileId;
+}
@@ -0,0 +1,143 @@
+// Follow-up emails for deals a customer has left sitting: a sketch waiting
+// for review, a PO quote sent but not finalized, and a finalized quote with
+// no purchase order. /api/reminders runs on a schedule and works through
+// each stage; the state per deal is kept as JSON in `customer_reminders`:
+//   { [stage]: { marker, since, count, lastSentAt, escalatedAt } }
+// `marker` identifies what the customer is being reminded about (the sketch,
+// the sent quote); when it changes the count starts over. After
+// REMINDER_MAX_ATTEMPTS reminders the next one goes to staff instead.
+import { parseVerbiage } from './po-quote.js';
+
+export const REMINDERS_PROPERTY = 'customer_reminders';
+export const REMINDER_PROPERTIES = [
+  'dealname', 'sketch', 'sketch_public_url', 'po_quote_verbiage', 'po_quote_link', REMINDERS_PROPERTY
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `view` is the PIPELINE_VIEWS entry listing the deals; `days` the wait
+// before each reminder (REMINDER_<STAGE>_DAYS overrides it)
+export const REMINDER_STAGES = {
+  'sketch-review': {
+    view: 'awaiting-review',
+    days: 3,
+    purpose: 'sketch-approval',
+    contact: 'primary',
+    marker: p => p.sketch || p.sketch_public_url || '',
+    since: () => null
+  },
+  'po-review': {
+    view: 'po-sent',
+    days: 5,
+    purpose: 'po-review',
+    contact: 'payer',
+    marker: p => parseVerbiage(p.po_quote_verbiage).sentDate || p.po_quote_link || '',
+    since: p => parseVerbiage(p.po_quote_verbiage).sentDate || null
+  },
+  'po-missing': {
+    view: 'po-missing',
+    days: 7,
+    purpose: 'po-review',
+    contact: 'payer',
+    marker: p => p.po_quote_link || '',
+    since: () => null
+  }
+};
+
+function envName(stage) {
+  return `REMINDER_${stage.toUpperCase().replace(/-/g, '_')}_DAYS`;
+}
+
+/** Thresholds and escalation address from the environment. */
+export function reminderSettings() {
+  const days = {};
+  for (const [stage, config] of Object.entries(REMINDER_STAGES)) {
+    days[stage] = parseFloat(process.env[envName(stage)]) || config.days;
+  }
+  return {
+    days,
+    maxAttempts: parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 3,
+    escalateTo: process.env.REMINDER_ESCALATION_EMAIL || 'support@showoffinc.com'
+  };
+}
+
+/** Parse `customer_reminders`; empty when unset or unreadable. */
+export function parseReminders(raw) {
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * What is due for a deal in `stage`. `entry` is the stage's saved state
+ * (started over when its marker no longer matches); `action` is 'remind',
+ * 'escalate' or null; `changed` says whether the entry needs saving even
+ * when nothing is sent.
+ */
+export function nextReminder(saved, { marker, since, days, maxAttempts, now = new Date() }) {
+  let entry = saved;
+  let changed = false;
+  if (!entry || entry.marker !== marker) {
+    entry = { marker, since: since || now.toISOString(), count: 0, lastSentAt: null, escalatedAt: null };
+    changed = true;
+  }
+  if (entry.escalatedAt) return { action: null, entry, changed };
+
+  const last = Date.parse(entry.lastSentAt || entry.since);
+  if (!isNaN(last) && now.getTime() - last < days * DAY_MS) return { action: null, entry, changed };
+  return { action: entry.count >= maxAttempts ? 'escalate' : 'remind', entry, changed };
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const CUSTOMER_COPY = {
+  'sketch-review': {
+    subject: name => `Reminder: your costume design for ${name} is ready for review`,
+    body: 'Your costume design is ready and waiting for your review. Take a look, approve it or tell us what to change:',
+    button: 'Review your design'
+  },
+  'po-review': {
+    subject: name => `Reminder: your quote for ${name} is ready to finalize`,
+    body: 'Your quote is ready. Review it, add your PO number and finalize it to get the formal quote for your purchasing office:',
+    button: 'Review your quote'
+  },
+  'po-missing': {
+    subject: name => `Reminder: we're waiting on the purchase order for ${name}`,
+    body: "We haven't received a purchase order for your finalized quote yet. Once your district issues it, upload it here so we can start production:",
+    button: 'Upload your purchase order'
+  }
+};
+
+/** The customer email for a reminder; `url` is a freshly issued link. */
+export function reminderEmail(stage, { dealName, contactName, url }) {
+  const copy = CUSTOMER_COPY[stage];
+  const greeting = contactName ? `Hi ${contactName.split(' ')[0]},` : 'Hi,';
+  const text = `${greeting}\n\n${copy.body}\n\n${url}\n\nQuestions? Just reply to this email.\n\nShow Off Inc.`;
+  const html = `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(copy.body)}</p>` +
+    `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 20px;background:#4C76B8;color:#fff;border-radius:4px;text-decoration:none;font-weight:600">${copy.button}</a></p>` +
+    '<p>Questions? Just reply to this email.</p><p>Show Off Inc.</p>';
+  return { subject: copy.subject(dealName || 'your order'), text, html };
+}
+
+const STAGE_DESCRIPTIONS = {
+  'sketch-review': 'has not reviewed their sketch',
+  'po-review': 'has not finalized their PO quote',
+  'po-missing': 'has not sent a purchase order for their finalized quote'
+};
+
+/** The staff email when reminders haven't worked (or can't be sent). */
+export function escalationEmail(stage, { dealName, count, contactEmail, since, dashboardUrl, hubspotUrl }) {
+  const why = contactEmail
+    ? `The customer (${contactEmail}) ${STAGE_DESCRIPTIONS[stage]} since ${since.split('T')[0]}, after ${count} reminder(s).`
+    : `The customer ${STAGE_DESCRIPTIONS[stage]} since ${since.split('T')[0]}, and the deal has no contact email to remind.`;
+  return {
+    subject: `Follow up needed: ${dealName || 'deal'}`,
+    text: `${why}\n\nNo more automatic reminders will go out for this. Please follow up directly.\n\n` +
+      `Dashboard: ${dashboardUrl}\nHubSpot: ${hubspotUrl}`
+  };
+}
@@ -0,0 +1,68 @@
+// Error reporting for the api/ handlers. Each failure gets an error code and
+// a request ID, is recorded in the local error log for /api/errors (with the
+// HubSpot or n8n response body when there is one) and is posted to the n8n
+// error-alert workflow. Handlers return the `{ requestId, code }` it resolves
+// to the client, so anyone quoting the ID can be matched to the record.
+// Reporting must never take a request down with it, so failures are swallowed.
+import { randomUUID } from 'node:crypto';
+import { HubSpotError, HubSpotNotFoundError, HubSpotRateLimitError, HubSpotConfigError } from './hubspot.js';
+import { N8nError, postToN8n } from './n8n.js';
+import { MailError } from './mail.js';
+import { appendErrorRecord } from './error-log.js';
+
+const MAX_BODY_LENGTH = 2000;
+
+export function errorCode(error) {
+  if (error instanceof HubSpotConfigError) return 'CONFIG_MISSING';
+  if (error instanceof HubSpotNotFoundError) return 'HUBSPOT_NOT_FOUND';
+  if (error instanceof HubSpotRateLimitError) return 'HUBSPOT_RATE_LIMITED';
+  if (error instanceof HubSpotError) return 'HUBSPOT_ERROR';
+  if (error instanceof N8nError) return 'N8N_ERROR';
+  if (error instanceof MailError) return 'MAIL_ERROR';
+  if (error && error.name === 'TypeError' && /fetch/i.test(error.message)) return 'NETWORK_ERROR';
+  return 'INTERNAL_ERROR';
+}
+
+function responseBody(error) {
+  if (!error || error.body === undefined || error.body === null) return null;
+  const body = typeof error.body === 'string' ? error.body : JSON.stringify(error.body);
+  return body.length > MAX_BODY_LENGTH ? `${body.substring(0, MAX_BODY_LENGTH)}…` : body;
+}
+
+export async function reportError(system, endpoint, error, dealId, dealName) {
+  const record = {
+    requestId: randomUUID(),
+    code: errorCode(error),
+    system,
+    endpoint,
+    dealId: dealId ? String(dealId) : null,
+    dealName: dealName || null,
+    message: (error && error.message) || String(error),
+    status: (error && error.status) || null,
+    path: (error && (error.path || error.webhook)) || null,
+    responseBody: responseBody(error),
+    timestamp: new Date().toISOString(),
+    alerted: false
+  };
+
+  try {
+    await postToN8n('error-alert', {
+      system, endpoint,
+      error: record.message,
+      status: record.status,
+      code: record.code,
+      requestId: record.requestId,
+      dealId: dealName ? `${dealName} (${dealId})` : (dealId || 'unknown'),
+      timestamp: record.timestamp
+    });
+    record.alerted = true;
+  } catch (e) { /* still recorded locally below */ }
+
+  try {
+    await appendErrorRecord(record);
+  } catch (e) {
+    console.error('Error log write failed:', e.message);
+  }
+
+  return { requestId: record.requestId, code: record.code };
+}
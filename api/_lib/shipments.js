@@ -0,0 +1,90 @@
+// A team order split across several delivery addresses. Each shipment group
+// has a recipient, an address (checked like any shipping address) and how
+// many of the order's costumes go there; the groups are kept as JSON in
+// `shipping_groups` and must add up to the deal's `ofcostumes`. The first
+// group's address is also written to the deal's `shipping_*` properties, so
+// everything that reads a single ship-to (tax, the quote PDF) keeps working.
+import { randomUUID } from 'node:crypto';
+import { ValidationError, text, number, list } from './validate.js';
+import { AddressError, normalizeAddress } from './address.js';
+
+export const SHIPMENTS_PROPERTY = 'shipping_groups';
+const MAX_GROUPS = 50;
+
+/**
+ * A bad set of groups. `groups` has an entry per group: `{ field: message }`
+ * for the group's own problems (address fields, `recipient`, `quantity`).
+ */
+export class ShipmentsError extends ValidationError {
+  constructor(message, groups = []) {
+    super(message);
+    this.name = 'ShipmentsError';
+    this.groups = groups;
+  }
+}
+
+/** Parse `shipping_groups`; empty when unset or unreadable. */
+export function parseShipments(raw) {
+  try {
+    const parsed = JSON.parse(raw || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function readGroup(input) {
+  const errors = {};
+  let recipient = '';
+  let quantity = 0;
+  let address = null;
+  try {
+    recipient = text(input.recipient, 'recipient', { max: 100 });
+    if (!recipient) errors.recipient = 'Recipient name is required.';
+  } catch (e) {
+    errors.recipient = e.message;
+  }
+  try {
+    quantity = number(input.quantity, 'quantity', { min: 1, max: 1000, integer: true });
+  } catch (e) {
+    errors.quantity = 'Number of costumes must be a whole number, at least 1.';
+  }
+  try {
+    address = normalizeAddress({ ...(input.address || {}), street2: (input.address || {}).street2 || '' });
+  } catch (e) {
+    if (!(e instanceof AddressError)) throw e;
+    Object.assign(errors, e.fields);
+  }
+  return { group: { recipient, quantity, address }, errors };
+}
+
+/**
+ * The groups in a confirm-shipping payload, checked and with their
+ * addresses normalized; throws a ShipmentsError when any group has a
+ * problem or the quantities don't add up to `costumeCount`.
+ */
+export function readShipments(value, { costumeCount }) {
+  const inputs = list(value, 'shipments', { max: MAX_GROUPS, required: true });
+  if (inputs.some(g => !g || typeof g !== 'object' || Array.isArray(g))) {
+    throw new ValidationError('Each shipment must be an object');
+  }
+  const results = inputs.map(readGroup);
+  const groups = results.map(r => r.errors);
+  if (groups.some(errors => Object.keys(errors).length > 0)) {
+    throw new ShipmentsError('Please check the shipping details for each group', groups);
+  }
+
+  const total = results.reduce((sum, r) => sum + r.group.quantity, 0);
+  if (total !== costumeCount) {
+    throw new ShipmentsError(
+      `The shipments add up to ${total} costume${total === 1 ? '' : 's'}, but the order has ${costumeCount}.`,
+      groups
+    );
+  }
+  return results.map(r => ({ id: randomUUID(), ...r.group }));
+}
+
+/** One-line description of a group, e.g. "4 costumes to Jo Lee". */
+export function shipmentLabel(group) {
+  return `${group.quantity} costume${group.quantity === 1 ? '' : 's'} to ${group.recipient}`;
+}
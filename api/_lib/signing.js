@@ -0,0 +1,49 @@
+// HMAC-signed claims, shared by customer link tokens and staff sessions.
+// A signed value is `<payload>.<signature>`, both base64url. Callers keep
+// their tokens apart with a purpose claim (`p`) they check on open.
+import crypto from 'crypto';
+
+export class SignatureError extends Error {
+  constructor(reason) {
+    super(`Signed value rejected: ${reason}`);
+    this.name = 'SignatureError';
+    this.reason = reason;
+  }
+}
+
+export function getSigningSecret() {
+  const secret = process.env.LINK_TOKEN_SECRET || process.env.PO_QUOTE_SECRET;
+  if (!secret) throw new Error('Link token secret not configured');
+  return secret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(data).digest('base64url');
+}
+
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+export function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+export function signClaims(claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/** Check the signature and return the claims; throws a SignatureError. */
+export function openSignedClaims(value) {
+  const [payload, signature, extra] = String(value).split('.');
+  if (!payload || !signature || extra !== undefined) throw new SignatureError('malformed');
+  if (!safeEqual(signature, sign(payload))) throw new SignatureError('signature');
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new SignatureError('malformed');
+  }
+}
@@ -0,0 +1,110 @@
+// Sketch revision history, kept as JSON in the deal's `sketch_history`
+// property (like `sketch_options`). Each entry is a sketch the customer was
+// shown, snapshotted when they asked for changes, with the revision notes,
+// reference images and sketch annotations they sent. The sketch on the deal now is the current
+// version and is only added once it gets a revision request of its own.
+import { getSignedFileUrl, uploadFile } from './hubspot.js';
+
+export const HISTORY_PROPERTY = 'sketch_history';
+export const SKETCH_PROPERTIES = ['sketch', 'approved_sketch_link', 'sketch_public_url', HISTORY_PROPERTY];
+
+// HubSpot text properties hold 65,536 characters; oldest versions go first
+const MAX_HISTORY_LENGTH = 60000;
+const REFERENCE_FOLDER = '/sketch-revisions';
+
+export function parseSketchHistory(raw) {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.filter(v => v && v.version) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/** The sketch currently on the deal: its file ID and/or link. */
+export function currentSketchSource(properties) {
+  return {
+    fileId: properties.sketch || null,
+    url: properties.approved_sketch_link || properties.sketch_public_url || null
+  };
+}
+
+function sameSketch(a, b) {
+  return !!a && !!b && (a.fileId || null) === (b.fileId || null) && (a.url || null) === (b.url || null);
+}
+
+/** Signed URL from the file ID when there is one, falling back to the stored link. */
+export async function resolveSketchUrl(source) {
+  if (source.fileId) {
+    try {
+      return await getSignedFileUrl(source.fileId);
+    } catch (e) { /* fall through to the link */ }
+  }
+  return source.url || null;
+}
+
+/** Upload the customer's reference images to HubSpot Files; `[{ fileId, name }]`. */
+export async function storeReferenceImages(dealId, images) {
+  const stored = [];
+  for (const image of images) {
+    const [, base64 = ''] = image.data.split(',');
+    const uploaded = await uploadFile({
+      buffer: Buffer.from(base64, 'base64'),
+      fileName: `${dealId}_${Date.now()}_${image.name}`,
+      contentType: image.type,
+      folderPath: REFERENCE_FOLDER
+    });
+    stored.push({ fileId: String(uploaded.id), name: image.name });
+  }
+  return stored;
+}
+
+/**
+ * History with a revision request recorded against the current sketch.
+ * Repeated requests against the same sketch are added to its entry.
+ */
+export function addRevision(history, source, revision) {
+  const next = history.map(v => ({ ...v, revisions: [...(v.revisions || [])] }));
+  const last = next[next.length - 1];
+  if (last && sameSketch(last, source)) {
+    last.revisions.push(revision);
+  } else {
+    next.push({
+      version: last ? last.version + 1 : 1,
+      fileId: source.fileId,
+      url: source.url,
+      revisions: [revision]
+    });
+  }
+  while (next.length > 1 && JSON.stringify(next).length > MAX_HISTORY_LENGTH) next.shift();
+  return next;
+}
+
+/**
+ * Version info for the review page: the current version number and the
+ * earlier versions with resolved image URLs, oldest first.
+ */
+export async function sketchVersionsForPage(properties) {
+  const history = parseSketchHistory(properties[HISTORY_PROPERTY]);
+  const source = currentSketchSource(properties);
+  const last = history[history.length - 1];
+  const currentVersion = last ? (sameSketch(last, source) ? last.version : last.version + 1) : 1;
+
+  const earlier = await Promise.all(history.filter(v => v.version < currentVersion).map(async v => ({
+    version: v.version,
+    url: await resolveSketchUrl(v),
+    revisions: await Promise.all((v.revisions || []).map(async r => ({
+      notes: r.notes,
+      requestedAt: r.requestedAt,
+      referenceImages: await Promise.all((r.referenceImages || []).map(async img => ({
+        name: img.name,
+        url: await resolveSketchUrl({ fileId: img.fileId })
+      }))),
+      annotations: r.annotations || [],
+      annotatedSketchUrl: r.annotatedSketch ? await resolveSketchUrl({ fileId: r.annotatedSketch.fileId }) : null
+    })))
+  })));
+
+  return { currentVersion, earlier };
+}
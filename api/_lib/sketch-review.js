@@ -0,0 +1,118 @@
+// Sketch review state shared by the customer-facing handlers
+import crypto from 'node:crypto';
+import { ValidationError, text, number, list, url } from './validate.js';
+
+// `sketch_approved` values that lock the review page
+export const APPROVED_STATUSES = ['Approved', 'Yes'];
+export const REVISION_REQUESTED = 'Revision Requested';
+
+// Values of the deal's `costume_components` multi-checkbox, with their labels
+export const COSTUME_COMPONENTS = {
+  one_piece: 'One-Piece',
+  two_piece: 'Two-Piece',
+  sleeves: 'Sleeves',
+  arm_drapes: 'Arm Drapes',
+  mock_neck: 'Mock Neck',
+  mitts: 'Mitts',
+  mesh: 'Mesh',
+  skirt: 'Skirt',
+  pants: 'Pants'
+};
+
+export function isApproved(status) {
+  return APPROVED_STATUSES.includes(status);
+}
+
+/** The deal's `sketch_options` as an array; empty when unset or unreadable. */
+export function parseSketchOptions(raw) {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Version of the deal's `sketch_options` as last read. designer.html sends
+ * it back with a save so set-options can refuse to overwrite options someone
+ * else saved in the meantime. Empty options have a version too.
+ */
+export function sketchOptionsVersion(raw) {
+  return crypto.createHash('sha256').update(raw || '').digest('hex').substring(0, 16);
+}
+
+export function optionTotal(option) {
+  return (option.items || []).reduce((sum, item) =>
+    sum + (parseFloat(item.price) || 0) * (parseInt(item.quantity) || 1), 0);
+}
+
+// `sketch_options` is a HubSpot text property, capped at 65,536 characters
+const MAX_OPTIONS_LENGTH = 60000;
+
+function readOptionItem(item, field) {
+  if (!item || typeof item !== 'object') throw new ValidationError(`${field} must be an object`);
+  const cleaned = {
+    name: text(item.name, `${field}.name`, { max: 255, required: true }),
+    quantity: number(item.quantity === undefined || item.quantity === '' ? 1 : item.quantity, `${field}.quantity`, { min: 1, max: 10000, integer: true }),
+    price: Math.round(number(item.price, `${field}.price`, { max: 1000000 }) * 100) / 100
+  };
+  const productId = text(item.productId, `${field}.productId`, { max: 30 });
+  const sku = text(item.sku, `${field}.sku`, { max: 100 });
+  const description = text(item.description, `${field}.description`, { max: 1000 });
+  if (productId) cleaned.productId = productId;
+  if (sku) cleaned.sku = sku;
+  if (description) cleaned.description = description;
+  return cleaned;
+}
+
+/**
+ * One option as the designer sent it: name, description, image and items
+ * (product ID and SKU when picked from the catalog). Zero-priced items are
+ * kept, since included pieces are often listed at $0. Options saved as
+ * templates have no label.
+ */
+export function readSketchOption(option, field, { label = true } = {}) {
+  if (!option || typeof option !== 'object') throw new ValidationError(`${field} must be an object`);
+  const cleaned = {};
+  if (label) cleaned.label = text(option.label, `${field}.label`, { max: 10, required: true });
+  const name = text(option.name, `${field}.name`, { max: 100 });
+  const description = text(option.description, `${field}.description`, { max: 2000 });
+  const image = url(option.image, `${field}.image`);
+  if (name) cleaned.name = name;
+  if (description) cleaned.description = description;
+  if (image) cleaned.image = image;
+  cleaned.items = list(option.items, `${field}.items`, { max: 50, required: true })
+    .map((item, i) => readOptionItem(item, `${field}.items[${i}]`));
+  return cleaned;
+}
+
+/** Validate the options for `sketch_options`; throws a ValidationError. */
+export function readSketchOptions(value) {
+  const options = list(value, 'options', { max: 50, required: true })
+    .map((option, i) => readSketchOption(option, `options[${i}]`));
+  const labels = options.map(o => o.label);
+  const duplicate = labels.find((l, i) => labels.indexOf(l) !== i);
+  if (duplicate) throw new ValidationError(`Option ${duplicate} appears more than once`);
+  if (JSON.stringify(options).length > MAX_OPTIONS_LENGTH) {
+    throw new ValidationError('These options are too large to save; shorten the descriptions or remove some options');
+  }
+  return options;
+}
+
+/** Plain-text summary of the options for `line_items_summary` and emails. */
+export function optionsSummary(options) {
+  const lines = [];
+  options.forEach(opt => {
+    const itemLines = opt.items.map(item => {
+      const lineTotal = item.price * item.quantity;
+      if (item.quantity > 1) return `  ${item.name} (x${item.quantity}): $${lineTotal.toFixed(2)}`;
+      return `  ${item.name}: $${item.price.toFixed(2)}`;
+    });
+    lines.push(`Option ${opt.label}: $${optionTotal(opt).toFixed(2)}`);
+    itemLines.forEach(l => lines.push(l));
+    lines.push('');
+  });
+  return lines.join('\n').trim();
+}
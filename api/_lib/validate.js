@@ -0,0 +1,61 @@
+// Payload checks for the api/ handlers. Each helper returns the cleaned
+// value or throws a ValidationError, which handlers turn into a 400.
+
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+export function text(value, field, { max = 500, required = false } = {}) {
+  if (value === undefined || value === null) value = '';
+  if (typeof value !== 'string' && typeof value !== 'number') throw new ValidationError(`${field} must be text`);
+  const cleaned = String(value).trim();
+  if (required && !cleaned) throw new ValidationError(`${field} is required`);
+  if (cleaned.length > max) throw new ValidationError(`${field} must be ${max} characters or fewer`);
+  return cleaned;
+}
+
+export function email(value, field, { required = false } = {}) {
+  const cleaned = text(value, field, { max: 254, required });
+  if (cleaned && !EMAIL_PATTERN.test(cleaned)) throw new ValidationError(`${field} is not a valid email address`);
+  return cleaned;
+}
+
+/** Comma- or semicolon-separated addresses, returned joined with ", ". */
+export function emailList(value, field, { max = 5 } = {}) {
+  const list = text(value, field, { max: 1000 }).split(/[,;]/).map(e => e.trim()).filter(Boolean);
+  if (list.length > max) throw new ValidationError(`${field} can have at most ${max} addresses`);
+  list.forEach(e => email(e, field));
+  return list.join(', ');
+}
+
+export function number(value, field, { min = 0, max = Infinity, integer = false } = {}) {
+  const parsed = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max || (integer && !Number.isInteger(parsed))) {
+    throw new ValidationError(`${field} must be ${integer ? 'a whole number' : 'a number'} from ${min}${max === Infinity ? ' up' : ` to ${max}`}`);
+  }
+  return parsed;
+}
+
+export function oneOf(value, field, allowed) {
+  if (!allowed.includes(value)) throw new ValidationError(`${field} must be one of: ${allowed.join(', ')}`);
+  return value;
+}
+
+export function list(value, field, { max = 50, required = false } = {}) {
+  if (value === undefined || value === null) value = [];
+  if (!Array.isArray(value)) throw new ValidationError(`${field} must be a list`);
+  if (required && value.length === 0) throw new ValidationError(`${field} must not be empty`);
+  if (value.length > max) throw new ValidationError(`${field} can have at most ${max} entries`);
+  return value;
+}
+
+export function url(value, field) {
+  const cleaned = text(value, field, { max: 2000 });
+  if (cleaned && !/^https?:\/\//i.test(cleaned)) throw new ValidationError(`${field} must be an http(s) URL`);
+  return cleaned || null;
+}
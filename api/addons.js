@@ -0,0 +1,22 @@
+import { getAddOnCatalog } from './_lib/addons.js';
+import { reportError } from './_lib/report-error.js';
+
+// Public add-on catalog for the sketch review pages, which render their
+// toggles from it. Prices shown here are the ones /api/approve charges.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+
+  try {
+    const addOns = await getAddOnCatalog();
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+    return res.status(200).json({ addOns: addOns.map(({ active, ...addOn }) => addOn) });
+  } catch (error) {
+    console.error('Add-on catalog error:', error.message);
+    const report = await reportError('sketch-review', '/api/addons', error);
+    return res.status(500).json({ error: 'Failed to load add-ons', details: error.message, ...report });
+  }
+}
@@ -0,0 +1,125 @@
+import { getDeal, getLineItems, lineItemsTotal, updateDealWhile } from './_lib/hubspot.js';
+import { authorizeDealRequest } from './_lib/auth.js';
+import { LinkTokenError } from './_lib/link-token.js';
+import { postToN8n } from './_lib/n8n.js';
+import { ValidationError, list } from './_lib/validate.js';
+import { getAddOnCatalog, priceAddOns } from './_lib/addons.js';
+import { isApproved, REVISION_REQUESTED, parseSketchOptions, optionTotal } from './_lib/sketch-review.js';
+import { PRICING_PROPERTIES, dealPricing } from './_lib/pricing.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+const DEAL_PROPERTIES = [
+  'dealname', 'sketch_approved', 'sketch_options', 'selected_sketch_option', 'is_po_customer',
+  'has_stoning', 'stoning_budget_low', 'stoning_budget_high', 'ofcostumes', ...PRICING_PROPERTIES
+];
+
+// Customer approval of a sketch (single design or the selected option).
+// Everything forwarded to n8n except which add-ons were picked comes from the
+// deal or the add-on catalog, not the page.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const { dealId, label, stoningBudgetApproved } = req.body || {};
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    await authorizeDealRequest(req, dealId, 'sketch-approval');
+    const selectedAddOns = list(req.body.addOns, 'addOns', { max: 10 });
+
+    const deal = await getDeal(dealId, DEAL_PROPERTIES);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname;
+
+    const status = deal.properties.sketch_approved;
+    if (isApproved(status)) return res.status(409).json({ error: 'This design has already been approved' });
+    if (status === REVISION_REQUESTED) {
+      return res.status(409).json({ error: 'A revision has been requested for this design' });
+    }
+
+    const stoningLow = parseFloat(deal.properties.stoning_budget_low) || 0;
+    const stoningHigh = parseFloat(deal.properties.stoning_budget_high) || 0;
+    const hasStoning = deal.properties.has_stoning === 'Yes' && stoningLow > 0 && stoningHigh > 0;
+    if (hasStoning && stoningBudgetApproved !== true) {
+      return res.status(400).json({ error: 'Please acknowledge the rhinestone stoning budget' });
+    }
+
+    const addOns = selectedAddOns.length > 0
+      ? priceAddOns(selectedAddOns, await getAddOnCatalog({ includeInactive: true }), deal.properties.ofcostumes)
+      : [];
+
+    const payload = {
+      dealId: deal.id,
+      orderName: dealName || 'Your Order',
+      action: 'approved',
+      addOns,
+      addOnsTotal: Math.round(addOns.reduce((sum, a) => sum + a.amount, 0) * 100) / 100,
+      approvedAt: new Date().toISOString(),
+      stoningBudgetApproved: hasStoning,
+      stoningBudgetLow: hasStoning ? stoningLow : null,
+      stoningBudgetHigh: hasStoning ? stoningHigh : null,
+      isPoCustomer: deal.properties.is_po_customer === 'true'
+    };
+
+    // Multi-option deals approve the option saved by /api/select-option
+    const options = parseSketchOptions(deal.properties.sketch_options);
+    if (options.length > 0) {
+      const selected = deal.properties.selected_sketch_option;
+      const option = options.find(o => o.label === selected);
+      if (!option) return res.status(400).json({ error: 'Select an option before approving' });
+      if (label && label !== selected) {
+        return res.status(409).json({ error: `Option ${selected} is selected on this deal, not ${label}` });
+      }
+      payload.hasOptions = true;
+      payload.selectedOption = {
+        label: option.label,
+        name: option.name || '',
+        total: optionTotal(option),
+        items: option.items
+      };
+    }
+
+    // Discount, shipping and tax on the approved items plus add-ons
+    const itemsTotal = payload.selectedOption ? payload.selectedOption.total : lineItemsTotal(await getLineItems(deal.id));
+    payload.pricing = dealPricing(deal.properties, itemsTotal + payload.addOnsTotal);
+
+    // Marked approved first so a double-click or retry can't approve twice
+    await updateDealWhile(deal.id, { sketch_approved: 'Approved' }, deal.properties, () => postToN8n('sketch-review', payload));
+
+    const approvedWhat = payload.selectedOption
+      ? `Option ${payload.selectedOption.label}${payload.selectedOption.name ? ` (${payload.selectedOption.name})` : ''}, $${payload.selectedOption.total.toFixed(2)}`
+      : 'the sketch';
+    await recordAudit(req, {
+      dealId: deal.id,
+      dealName,
+      action: 'sketch.approved',
+      endpoint: '/api/approve',
+      changes: diffProperties(deal.properties, { sketch_approved: 'Approved' }),
+      details: {
+        selectedOption: payload.selectedOption || null,
+        addOns,
+        addOnsTotal: payload.addOnsTotal,
+        pricing: payload.pricing,
+        stoningBudgetApproved: hasStoning,
+        stoningBudgetLow: payload.stoningBudgetLow,
+        stoningBudgetHigh: payload.stoningBudgetHigh
+      },
+      summary: `Sketch approved: ${approvedWhat}${addOns.length > 0 ? ` with ${addOns.map(a => a.name).join(', ')}` : ''}.`
+    });
+
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Approve error:', error.message);
+    const report = await reportError('sketch-review', '/api/approve', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to approve the design', details: error.message, ...report });
+  }
+}
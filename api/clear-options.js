@@ -1,3 +1,8 @@
+import { getDeal, updateDeal } from './_lib/hubspot.js';
+import { isStaffRequest } from './_lib/auth.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
 // Vercel serverless function to clear sketch options from a HubSpot deal
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -7,37 +12,35 @@ export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
 
-  const HUBSPOT_TOKEN = process.env.HUBSPOT_TOKEN;
-  if (!HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+  // Options belong to the designer, like set-options; a customer link can't clear them
+  if (!isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
 
   const { dealId } = req.body;
   if (!dealId) return res.status(400).json({ error: 'dealId is required' });
 
   try {
-    const response = await fetch(
-      `https://api.hubapi.com/crm/v3/objects/deals/${dealId}`,
-      {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${HUBSPOT_TOKEN}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          properties: {
-            sketch_options: '',
-            selected_sketch_option: ''
-          }
-        })
-      }
-    );
-
-    if (!response.ok) {
-      const err = await response.json();
-      return res.status(response.status).json({ error: 'HubSpot update failed', details: err });
-    }
+    const before = await getDeal(dealId, ['dealname', 'sketch_options', 'selected_sketch_option', 'sketch_options_viewed_at']);
+    const properties = { sketch_options: '', selected_sketch_option: '', sketch_options_viewed_at: '' };
+    await updateDeal(dealId, properties);
+
+    await recordAudit(req, {
+      dealId,
+      dealName: before ? before.properties.dealname : null,
+      action: 'options.cleared',
+      endpoint: '/api/clear-options',
+      changes: diffProperties(before && before.properties, properties),
+      summary: 'Sketch options cleared.'
+    });
 
     return res.status(200).json({ success: true });
   } catch (error) {
-    return res.status(500).json({ error: 'Failed to clear options', details: error.message });
+    console.error('Clear options error:', error.message);
+    const report = await reportError('sketch-review', '/api/clear-options', error, dealId);
+    if (error.status) {
+      return res.status(error.status).json({ error: 'HubSpot update failed', details: error.body, ...report });
+    }
+    return res.status(500).json({ error: 'Failed to clear options', details: error.message, ...report });
   }
 }
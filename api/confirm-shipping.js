@@ -1,13 +1,53 @@
-async function reportError(system, endpoint, error, dealId) {
-  try {
-    await fetch('https://showoffinc.app.n8n.cloud/webhook/error-alert', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ system, endpoint, error: error.message || String(error), dealId: dealId || 'unknown', timestamp: new Date().toISOString() })
+import { getDeal, updateDeal } from './_lib/hubspot.js';
+import { authorizeDealRequest } from './_lib/auth.js';
+import { LinkTokenError } from './_lib/link-token.js';
+import { ValidationError } from './_lib/validate.js';
+import { ADDRESS_PROPERTIES, AddressError, normalizeAddress, formatAddress, dealAddress } from './_lib/address.js';
+import { SHIPMENTS_PROPERTY, ShipmentsError, parseShipments, readShipments, shipmentLabel } from './_lib/shipments.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+// Shipment groups replace the single address; one note per group
+async function confirmShipments(req, res, { dealId, before, shipments }) {
+  const groups = readShipments(shipments, { costumeCount: parseInt(before.ofcostumes) || 1 });
+  const confirmedAt = new Date().toISOString();
+  const properties = {
+    [SHIPMENTS_PROPERTY]: JSON.stringify(groups.map(g => ({ ...g, confirmedAt }))),
+    shipping_address_confirmed_date: confirmedAt
+  };
+  for (const [key, property] of Object.entries(ADDRESS_PROPERTIES)) properties[property] = groups[0].address[key];
+  await updateDeal(dealId, properties);
+
+  const previous = formatAddress(dealAddress(before));
+  const earlier = parseShipments(before[SHIPMENTS_PROPERTY]);
+  for (const [i, group] of groups.entries()) {
+    const address = formatAddress(group.address);
+    await recordAudit(req, {
+      dealId,
+      dealName: before.dealname || null,
+      action: 'shipping.confirmed',
+      endpoint: '/api/confirm-shipping',
+      // The deal's own properties change with the first group
+      changes: i === 0 ? diffProperties(before, properties) : {},
+      details: { address, shipmentId: group.id, group: i + 1, of: groups.length, recipient: group.recipient, quantity: group.quantity },
+      summary: `Shipment ${i + 1} of ${groups.length} confirmed by customer during sketch approval: ` +
+        `${shipmentLabel(group)}.\n\nAddress: ${address}` +
+        (i === 0 && earlier.length === 0 && previous ? `\nPrevious shipping address: ${previous}` : '')
     });
-  } catch (e) { /* silent */ }
+  }
+
+  return res.status(200).json({ success: true, address: groups[0].address, shipments: groups });
 }
 
+// Customer confirms the deal's shipping address after approving the sketch,
+//   { dealId, token, address? }
+// optionally replacing it with `address` ({ street, street2, city, state,
+// zip, country }), which is checked and normalized first (_lib/address.js).
+// A bad address is a 400 with `fields`, a message per field for the form.
+// A team shipping to several addresses sends shipment groups instead,
+//   { dealId, token, shipments: [{ recipient, quantity, address }] }
+// which must cover every costume (_lib/shipments.js); a bad set is a 400
+// with `groups`, the field messages for each group.
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -18,77 +58,54 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'dealId is required' });
   }
 
-  const headers = {
-    'Authorization': `Bearer ${process.env.HUBSPOT_TOKEN}`,
-    'Content-Type': 'application/json'
-  };
-
   try {
-    // If address provided, update it first
-    const properties = { shipping_address_confirmed_date: new Date().toISOString() };
-    if (address && address.street) {
-      properties.shipping_street_address__deal_ = address.street || '';
-      properties.shipping_street_address_2__deal_ = address.street2 || '';
-      properties.shipping_city = address.city || '';
-      properties.shipping_state = address.state || '';
-      properties.shipping_zip_code = address.zip || '';
-    }
+    await authorizeDealRequest(req, dealId, 'sketch-approval');
+    const updated = address ? normalizeAddress(address) : null;
 
-    // Set confirmed date (and optionally update address)
-    const updateRes = await fetch(`https://api.hubapi.com/crm/v3/objects/deals/${dealId}`, {
-      method: 'PATCH',
-      headers,
-      body: JSON.stringify({ properties })
-    });
+    const before = (await getDeal(dealId, [
+      'dealname', 'ofcostumes', ...Object.values(ADDRESS_PROPERTIES), 'shipping_address_confirmed_date', SHIPMENTS_PROPERTY
+    ]) || { properties: {} }).properties;
 
-    if (!updateRes.ok) {
-      const err = await updateRes.text();
-      throw new Error('HubSpot update failed: ' + err);
-    }
+    if (req.body.shipments !== undefined) return await confirmShipments(req, res, { dealId, before, shipments: req.body.shipments });
 
-    // Get address for audit note
-    const dealRes = await fetch(
-      `https://api.hubapi.com/crm/v3/objects/deals/${dealId}?properties=shipping_street_address__deal_,shipping_street_address_2__deal_,shipping_city,shipping_state,shipping_zip_code`,
-      { headers }
-    );
+    // If address provided, update it first; street2 is kept when it wasn't sent.
+    // A single address replaces any shipment groups.
+    const properties = { shipping_address_confirmed_date: new Date().toISOString() };
+    if (updated) {
+      for (const [key, property] of Object.entries(ADDRESS_PROPERTIES)) {
+        if (updated[key] !== undefined) properties[property] = updated[key];
+      }
+      if (before[SHIPMENTS_PROPERTY]) properties[SHIPMENTS_PROPERTY] = '';
+    }
 
-    if (dealRes.ok) {
-      const deal = await dealRes.json();
-      const addr = [
-        deal.properties.shipping_street_address__deal_,
-        deal.properties.shipping_street_address_2__deal_,
-        [deal.properties.shipping_city, deal.properties.shipping_state, deal.properties.shipping_zip_code].filter(Boolean).join(', ')
-      ].filter(Boolean).join(', ');
+    // Set confirmed date (and optionally update address)
+    await updateDeal(dealId, properties);
 
-      // Create audit note
-      const noteRes = await fetch('https://api.hubapi.com/crm/v3/objects/notes', {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
-          properties: {
-            hs_note_body: 'Shipping address confirmed by customer during sketch approval.\n\nAddress: ' + addr,
-            hs_timestamp: new Date().toISOString()
-          }
-        })
-      });
+    const previous = formatAddress(dealAddress(before));
+    const confirmed = dealAddress({ ...before, ...properties });
+    const addr = formatAddress(confirmed);
+    const changed = Boolean(updated) && addr !== previous;
 
-      if (noteRes.ok) {
-        const note = await noteRes.json();
-        await fetch(
-          `https://api.hubapi.com/crm/v4/objects/notes/${note.id}/associations/deals/${dealId}`,
-          {
-            method: 'PUT',
-            headers,
-            body: JSON.stringify([{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 214 }])
-          }
-        );
-      }
-    }
+    await recordAudit(req, {
+      dealId,
+      dealName: before.dealname || null,
+      action: 'shipping.confirmed',
+      endpoint: '/api/confirm-shipping',
+      changes: diffProperties(before, properties),
+      details: { address: addr, updated: changed, previousAddress: changed ? previous : undefined },
+      summary: changed
+        ? `Shipping address changed and confirmed by customer during sketch approval.\n\nOld address: ${previous || '(none)'}\nNew address: ${addr}`
+        : 'Shipping address confirmed by customer during sketch approval.\n\nAddress: ' + addr
+    });
 
-    return res.status(200).json({ success: true });
+    return res.status(200).json({ success: true, address: confirmed });
   } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
+    if (error instanceof AddressError) return res.status(400).json({ error: error.message, fields: error.fields });
+    if (error instanceof ShipmentsError) return res.status(400).json({ error: error.message, groups: error.groups });
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
     console.error('Confirm shipping error:', error.message);
-    await reportError('sketch-review', '/api/confirm-shipping', error, dealId);
-    return res.status(500).json({ error: 'Failed to confirm shipping address' });
+    const report = await reportError('sketch-review', '/api/confirm-shipping', error, dealId);
+    return res.status(500).json({ error: 'Failed to confirm shipping address', ...report });
   }
 }
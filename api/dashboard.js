@@ -0,0 +1,103 @@
+import { searchDeals, dealRecordUrl } from './_lib/hubspot.js';
+import { isStaffRequest } from './_lib/auth.js';
+import { ValidationError, text, oneOf } from './_lib/validate.js';
+import { PIPELINE_VIEWS, viewFilterGroups } from './_lib/pipeline.js';
+import { reportError } from './_lib/report-error.js';
+
+const DEAL_PROPERTIES = [
+  'dealname', 'amount', 'createdate', 'hs_lastmodifieddate', 'sketch_approved', 'po_quote_status',
+  'is_po_customer', 'shipping_address_confirmed_date'
+];
+
+const SORTS = {
+  oldest: { propertyName: 'createdate', direction: 'ASCENDING' },
+  newest: { propertyName: 'createdate', direction: 'DESCENDING' },
+  // Least recently touched first: deals that may have stalled
+  stale: { propertyName: 'hs_lastmodifieddate', direction: 'ASCENDING' }
+};
+
+const DEFAULT_LIMIT = 50;
+// HubSpot search returns at most 200 results per page
+const MAX_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dealRow(deal) {
+  const p = deal.properties;
+  const first = (p.dealname || '').split(/\s/)[0];
+  const dealNumber = /^\d+$/.test(first) ? first : null;
+  const created = Date.parse(p.createdate);
+  return {
+    id: deal.id,
+    dealName: p.dealname || '',
+    dealNumber,
+    amount: parseFloat(p.amount) || 0,
+    createdAt: p.createdate || null,
+    updatedAt: p.hs_lastmodifieddate || null,
+    ageDays: isNaN(created) ? null : Math.floor((Date.now() - created) / DAY_MS),
+    sketchStatus: p.sketch_approved || null,
+    poQuoteStatus: p.po_quote_status || null,
+    isPoCustomer: p.is_po_customer === 'true',
+    shippingConfirmedAt: p.shipping_address_confirmed_date || null,
+    links: {
+      designer: `/designer.html?deal=${encodeURIComponent(dealNumber || deal.id)}`,
+      poQuote: `/po-quote.html?dealId=${encodeURIComponent(deal.id)}`,
+      hubspot: dealRecordUrl(deal.id)
+    }
+  };
+}
+
+// Deals per tab; one search each, run one at a time to stay under HubSpot's search rate limit
+async function countViews(query) {
+  const counts = {};
+  for (const view of Object.keys(PIPELINE_VIEWS)) {
+    const data = await searchDeals({ filterGroups: viewFilterGroups(view), properties: ['dealname'], limit: 1, query });
+    counts[view] = (data && data.total) || 0;
+  }
+  return counts;
+}
+
+// Staff dashboard of deals in the sketch review and PO quote pipelines (dashboard.html renders it).
+//   GET ?view=awaiting-review&q=Tigerettes&sort=oldest&limit=50&after=50
+//   GET ?counts=1&q=   number of deals in every view
+// Customer links aren't listed; the page issues them on demand through /api/link-token.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+  if (!isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  const params = req.query || {};
+  try {
+    const query = text(params.q, 'q', { max: 100 }) || undefined;
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (params.counts) return res.status(200).json({ counts: await countViews(query) });
+
+    const view = oneOf(params.view || 'awaiting-review', 'view', Object.keys(PIPELINE_VIEWS));
+    const sort = oneOf(params.sort || 'oldest', 'sort', Object.keys(SORTS));
+    const limit = Math.min(parseInt(params.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+    const after = params.after ? text(params.after, 'after', { max: 20 }) : undefined;
+
+    const data = await searchDeals({
+      filterGroups: viewFilterGroups(view),
+      properties: DEAL_PROPERTIES,
+      sorts: [SORTS[sort]],
+      limit,
+      after,
+      query
+    });
+
+    return res.status(200).json({
+      view,
+      sort,
+      total: (data && data.total) || 0,
+      deals: ((data && data.results) || []).map(dealRow),
+      after: (data && data.paging && data.paging.next && data.paging.next.after) || null
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Dashboard error:', error.message);
+    const report = await reportError('sketch-review', '/api/dashboard', error);
+    return res.status(500).json({ error: 'Failed to load deals', details: error.message, ...report });
+  }
+}
@@ -0,0 +1,32 @@
+import { getDeal, findDealByNumber } from './_lib/hubspot.js';
+import { isStaffRequest } from './_lib/auth.js';
+import { getDealHistory } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+// Staff timeline of everything recorded against a deal: approvals, revisions,
+// option changes, address confirmations and PO events, oldest first.
+//   GET ?dealId=  (HubSpot ID or deal number)
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+  if (!isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
+
+  const { dealId } = req.query || {};
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    const deal = await getDeal(dealId, ['dealname']) || await findDealByNumber(dealId, ['dealname']);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname;
+
+    const entries = await getDealHistory(deal.id);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ dealId: deal.id, dealName, entries });
+  } catch (error) {
+    console.error('Deal history error:', error.message);
+    const report = await reportError('sketch-review', '/api/deal-history', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to load deal history', details: error.message, ...report });
+  }
+}
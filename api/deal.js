@@ -1,16 +1,30 @@
-async function reportError(system, endpoint, error, dealId, dealName) {
+import { getDeal, updateDeal, findDealByNumber, getDealContactIds, getLineItems, lineItemsTotal } from './_lib/hubspot.js';
+import { authorizeDealRequest } from './_lib/auth.js';
+import { LinkTokenError } from './_lib/link-token.js';
+import { parseSketchOptions, sketchOptionsVersion, optionTotal } from './_lib/sketch-review.js';
+import { PRICING_PROPERTIES, dealPricing } from './_lib/pricing.js';
+import { SKETCH_PROPERTIES, currentSketchSource, resolveSketchUrl, sketchVersionsForPage } from './_lib/sketch-history.js';
+import { ADDRESS_PROPERTIES, dealAddress } from './_lib/address.js';
+import { SHIPMENTS_PROPERTY, parseShipments } from './_lib/shipments.js';
+import { reportError } from './_lib/report-error.js';
+
+const DEAL_PROPERTIES = [
+  'dealname', 'amount', 'designer_notes', 'sketch_video_url', 'has_stoning', 'stoning_budget_low',
+  'stoning_budget_high', 'sketch_options', 'selected_sketch_option', 'is_po_customer', 'sketch_approved',
+  'ofcostumes', 'is_alteration', ...Object.values(ADDRESS_PROPERTIES), 'shipping_address_confirmed_date',
+  SHIPMENTS_PROPERTY, 'costume_components', 'sketch_options_saved_by', 'sketch_options_saved_at', 'sketch_options_viewed_at',
+  ...SKETCH_PROPERTIES, ...PRICING_PROPERTIES
+];
+
+// The first time a customer opens the current options, note it for the
+// designer. Failing to record it shouldn't stop the page from loading.
+async function markOptionsViewed(deal) {
+  if (!deal.properties.sketch_options || deal.properties.sketch_options_viewed_at) return;
   try {
-    await fetch('https://showoffinc.app.n8n.cloud/webhook/error-alert', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        system, endpoint,
-        error: error.message || String(error),
-        dealId: dealName ? `${dealName} (${dealId})` : (dealId || 'unknown'),
-        timestamp: new Date().toISOString()
-      })
-    });
-  } catch (e) { /* silent */ }
+    await updateDeal(deal.id, { sketch_options_viewed_at: new Date().toISOString() });
+  } catch (e) {
+    console.warn('Could not record options view:', e.message);
+  }
 }
 
 // Vercel serverless function to fetch deal + line items from HubSpot
@@ -30,147 +44,55 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'dealId is required' });
   }
 
-  const HUBSPOT_TOKEN = process.env.HUBSPOT_TOKEN;
-
-  if (!HUBSPOT_TOKEN) {
+  if (!process.env.HUBSPOT_TOKEN) {
     console.error('HUBSPOT_TOKEN not configured');
     return res.status(500).json({ error: 'HubSpot token not configured' });
   }
 
-  const headers = {
-    'Authorization': `Bearer ${HUBSPOT_TOKEN}`,
-    'Content-Type': 'application/json'
-  };
-
   let dealName = null;
   try {
-    // First try to get deal directly by ID
-    let deal = null;
-    let hubspotDealId = dealId;
-
-    const directResponse = await fetch(
-      `https://api.hubapi.com/crm/v3/objects/deals/${dealId}?properties=dealname,amount,designer_notes,sketch_video_url,has_stoning,stoning_budget_low,stoning_budget_high,sketch_options,is_po_customer,sketch_approved,ofcostumes,is_alteration,shipping_street_address__deal_,shipping_street_address_2__deal_,shipping_city,shipping_state,shipping_zip_code,shipping_address_confirmed_date,sketch,sketch_public_url,approved_sketch_link`,
-      { headers }
-    );
-
-    if (directResponse.ok) {
-      deal = await directResponse.json();
-    } else {
-      // If direct lookup fails, search by deal name containing the number
-      console.log(`Direct lookup failed for ${dealId}, searching by name...`);
+    const access = await authorizeDealRequest(req, dealId, 'sketch-approval');
 
-      const searchResponse = await fetch(
-        'https://api.hubapi.com/crm/v3/objects/deals/search',
-        {
-          method: 'POST',
-          headers,
-          body: JSON.stringify({
-            filterGroups: [{
-              filters: [{
-                propertyName: 'dealname',
-                operator: 'CONTAINS_TOKEN',
-                value: dealId
-              }]
-            }],
-            properties: ['dealname', 'amount', 'designer_notes', 'sketch_video_url', 'has_stoning', 'stoning_budget_low', 'stoning_budget_high', 'sketch_options', 'is_po_customer', 'sketch_approved', 'ofcostumes', 'is_alteration', 'shipping_street_address__deal_', 'shipping_street_address_2__deal_', 'shipping_city', 'shipping_state', 'shipping_zip_code', 'shipping_address_confirmed_date', 'sketch', 'sketch_public_url', 'approved_sketch_link'],
-            limit: 1
-          })
-        }
-      );
-
-      if (searchResponse.ok) {
-        const searchData = await searchResponse.json();
-        if (searchData.results && searchData.results.length > 0) {
-          deal = searchData.results[0];
-          hubspotDealId = deal.id;
-        }
-      }
+    // First try to get deal directly by ID, then by the number in the deal name.
+    // Signed links always carry the HubSpot ID, so only staff and legacy links search.
+    let deal = await getDeal(dealId, DEAL_PROPERTIES);
+    if (!deal && !access.claims) {
+      console.log(`Direct lookup failed for ${dealId}, searching by name...`);
+      deal = await findDealByNumber(dealId, DEAL_PROPERTIES);
     }
 
     if (!deal) {
       return res.status(404).json({ error: 'Deal not found', dealId });
     }
     dealName = deal.properties.dealname;
+    const hubspotDealId = deal.id;
 
     // Check for payer contact on the deal
     let hasPayer = false;
     try {
-      const contactAssocResponse = await fetch(
-        `https://api.hubapi.com/crm/v4/objects/deals/${hubspotDealId}/associations/contacts`,
-        { headers }
-      );
-      if (contactAssocResponse.ok) {
-        const contactAssocData = await contactAssocResponse.json();
-        hasPayer = (contactAssocData.results || []).some(r =>
-          (r.associationTypes || []).some(a => a.typeId === 102 && a.label === 'Payer')
-        );
-      }
+      hasPayer = !!(await getDealContactIds(hubspotDealId)).payerId;
     } catch (e) { /* non-critical, default to false */ }
 
-    // Get associated line items
-    const assocResponse = await fetch(
-      `https://api.hubapi.com/crm/v4/objects/deals/${hubspotDealId}/associations/line_items`,
-      { headers }
-    );
-
-    let lineItems = [];
-
-    if (assocResponse.ok) {
-      const assocData = await assocResponse.json();
-      const lineItemIds = (assocData.results || []).map(r => r.toObjectId);
-
-      if (lineItemIds.length > 0) {
-        // Fetch line item details
-        const lineItemsResponse = await fetch(
-          'https://api.hubapi.com/crm/v3/objects/line_items/batch/read',
-          {
-            method: 'POST',
-            headers,
-            body: JSON.stringify({
-              inputs: lineItemIds.map(id => ({ id })),
-              properties: ['name', 'price', 'quantity', 'amount', 'description']
-            })
-          }
-        );
-
-        if (lineItemsResponse.ok) {
-          const lineItemsData = await lineItemsResponse.json();
-          lineItems = (lineItemsData.results || []).map(item => ({
-            id: item.id,
-            name: item.properties.name || 'Item',
-            price: parseFloat(item.properties.price) || 0,
-            quantity: parseInt(item.properties.quantity) || 1,
-            amount: parseFloat(item.properties.amount) || 0,
-            description: item.properties.description || ''
-          }));
-        }
-      }
-    }
+    const lineItems = await getLineItems(hubspotDealId);
 
     // Resolve sketch URL: signed URL from file ID (priority) > approved_sketch_link > sketch_public_url
-    let sketchUrl = null;
-    const sketchFileId = deal.properties.sketch;
-    if (sketchFileId) {
-      try {
-        const signedRes = await fetch(
-          `https://api.hubapi.com/files/v3/files/${sketchFileId}/signed-url`,
-          { headers }
-        );
-        if (signedRes.ok) {
-          const signedData = await signedRes.json();
-          sketchUrl = signedData.url;
-        }
-      } catch (e) { /* fall through to other sources */ }
-    }
-    if (!sketchUrl && deal.properties.approved_sketch_link) {
-      sketchUrl = deal.properties.approved_sketch_link;
-    }
-    if (!sketchUrl && deal.properties.sketch_public_url) {
-      sketchUrl = deal.properties.sketch_public_url;
-    }
+    const sketchUrl = await resolveSketchUrl(currentSketchSource(deal.properties));
+    const { currentVersion, earlier } = await sketchVersionsForPage(deal.properties);
 
     // Calculate total
-    const total = lineItems.reduce((sum, item) => sum + (item.amount || item.price * item.quantity), 0);
+    const total = lineItemsTotal(lineItems);
+    const sketchOptions = parseSketchOptions(deal.properties.sketch_options);
+    const sketchOptionPricing = {};
+    for (const option of sketchOptions) sketchOptionPricing[option.label] = dealPricing(deal.properties, optionTotal(option));
+    if (!access.staff && sketchOptions.length > 0) await markOptionsViewed(deal);
+
+    // Who last saved the options, and whether the customer has seen them, for designer.html
+    const staffDetails = !access.staff ? {} : {
+      sketchOptionsVersion: sketchOptionsVersion(deal.properties.sketch_options),
+      sketchOptionsSavedBy: deal.properties.sketch_options_saved_by || null,
+      sketchOptionsSavedAt: deal.properties.sketch_options_saved_at || null,
+      sketchOptionsViewedAt: deal.properties.sketch_options_viewed_at || null
+    };
 
     return res.status(200).json({
       dealId: deal.id,
@@ -178,8 +100,10 @@ export default async function handler(req, res) {
       amount: parseFloat(deal.properties.amount) || total,
       lineItems: lineItems,
       total: total,
+      pricing: dealPricing(deal.properties, total),
       designerNotes: deal.properties.designer_notes || null,
       sketchVideoUrl: deal.properties.sketch_video_url || null,
+      costumeComponents: (deal.properties.costume_components || '').split(';').filter(Boolean),
       hasPayer: hasPayer,
       hasStoning: deal.properties.has_stoning === 'Yes',
       stoningBudgetLow: parseFloat(deal.properties.stoning_budget_low) || null,
@@ -188,28 +112,22 @@ export default async function handler(req, res) {
       isAlteration: deal.properties.is_alteration === 'true',
       sketchApproved: deal.properties.sketch_approved || null,
       ofcostumes: parseInt(deal.properties.ofcostumes) || 1,
-      shippingAddress: {
-        street: deal.properties.shipping_street_address__deal_ || '',
-        street2: deal.properties.shipping_street_address_2__deal_ || '',
-        city: deal.properties.shipping_city || '',
-        state: deal.properties.shipping_state || '',
-        zip: deal.properties.shipping_zip_code || ''
-      },
+      shippingAddress: dealAddress(deal.properties),
+      shipments: parseShipments(deal.properties[SHIPMENTS_PROPERTY]),
       shippingConfirmed: !!deal.properties.shipping_address_confirmed_date,
       sketchUrl: sketchUrl,
-      sketchOptions: (() => {
-        try {
-          const raw = deal.properties.sketch_options;
-          if (!raw) return null;
-          const parsed = JSON.parse(raw);
-          return Array.isArray(parsed) && parsed.length > 0 ? parsed : null;
-        } catch (e) { return null; }
-      })()
+      sketchVersion: currentVersion,
+      sketchVersions: earlier,
+      sketchOptions: sketchOptions.length > 0 ? sketchOptions : null,
+      sketchOptionPricing: sketchOptions.length > 0 ? sketchOptionPricing : null,
+      selectedSketchOption: deal.properties.selected_sketch_option || null,
+      ...staffDetails
     });
 
   } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
     console.error('Error fetching deal:', error.message);
-    await reportError('sketch-review', '/api/deal', error, dealId, dealName);
-    return res.status(500).json({ error: 'Failed to fetch deal data', details: error.message });
+    const report = await reportError('sketch-review', '/api/deal', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to fetch deal data', details: error.message, ...report });
   }
 }
@@ -0,0 +1,30 @@
+import { isStaffRequest } from './_lib/auth.js';
+import { readErrorRecords } from './_lib/error-log.js';
+
+const MAX_LIMIT = 500;
+
+// Staff view of recently reported errors, newest first (errors.html renders it).
+//   GET ?deal=10722&endpoint=/api/deal&code=HUBSPOT_ERROR&since=2026-10-18&limit=100
+// `deal` takes a HubSpot deal ID or the deal number; `since` is an ISO date.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+  if (!isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
+
+  const { deal, endpoint, code, since, limit } = req.query || {};
+
+  let sinceDate = null;
+  if (since) {
+    sinceDate = new Date(since);
+    if (isNaN(sinceDate.getTime())) return res.status(400).json({ error: 'since must be an ISO date' });
+  }
+  const max = Math.min(parseInt(limit) || 100, MAX_LIMIT);
+
+  try {
+    const errors = await readErrorRecords({ deal, endpoint, code, since: sinceDate, limit: max });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ errors, count: errors.length });
+  } catch (error) {
+    console.error('Error log read failed:', error.message);
+    return res.status(500).json({ error: 'Failed to read the error log', details: error.message });
+  }
+}
@@ -0,0 +1,105 @@
+import { getDeal, getDealContacts, updateDealWhile } from './_lib/hubspot.js';
+import { verifyLinkToken, LinkTokenError } from './_lib/link-token.js';
+import { postToN8n } from './_lib/n8n.js';
+import { ValidationError, text, email, emailList } from './_lib/validate.js';
+import { FINALIZED, isFinalized, readVerbiage } from './_lib/po-quote.js';
+import { loadQuote, renderQuotePdf, storeQuotePdf } from './_lib/quote-pdf.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+// Customer finalization of a PO quote from po-quote-review.html. The quote is
+// rendered as a PDF and attached to the deal, then n8n creates the formal
+// HubSpot quote and emails it. The deal is marked Finalized before any of
+// that, so a second finalize while the first is still running gets a 409;
+// once n8n has saved the quote link, a second finalize just returns it.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const { dealId, token } = req.body || {};
+  if (!dealId || !token) return res.status(400).json({ error: 'dealId and token are required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    await verifyLinkToken(token, { dealId, purpose: 'po-review' });
+
+    const fields = {
+      quoteTitle: text(req.body.quoteTitle, 'quoteTitle', { max: 200 }),
+      addressee: text(req.body.addressee, 'addressee', { max: 200 }),
+      quoteNotes: text(req.body.quoteNotes, 'quoteNotes', { max: 2000 }),
+      poNumber: text(req.body.poNumber, 'poNumber', { max: 100 }),
+      verbiage: readVerbiage(req.body.verbiage),
+      ccEmails: emailList(req.body.ccEmails, 'ccEmails')
+    };
+    const sendTo = email(req.body.contactEmail, 'contactEmail');
+
+    const deal = await getDeal(dealId, ['dealname', 'po_quote_status', 'po_quote_link']);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname;
+
+    if (deal.properties.po_quote_status === FINALIZED && !deal.properties.po_quote_link) {
+      return res.status(409).json({ error: 'This quote is already being finalized' });
+    }
+    if (isFinalized(deal.properties.po_quote_status)) {
+      return res.status(200).json({ success: true, alreadyFinalized: true, quoteLink: deal.properties.po_quote_link || null });
+    }
+
+    // The customer may send the quote to any address; who it's for comes from the deal
+    const { payer, primary } = await getDealContacts(deal.id);
+    const contact = payer || primary;
+    const contactEmail = sendTo || (contact && contact.email);
+    if (!contactEmail) return res.status(400).json({ error: 'Enter an email address to send the quote to' });
+
+    let quotePdfFileId = null;
+    const result = await updateDealWhile(deal.id, { po_quote_status: FINALIZED }, deal.properties, async () => {
+      // The PDF is a copy for the deal and the email; finalizing doesn't wait on it
+      let quote = null;
+      try {
+        quote = await loadQuote(deal.id, {
+          addressee: fields.addressee,
+          quoteTitle: fields.quoteTitle,
+          quoteNotes: fields.quoteNotes,
+          verbiage: { ...fields.verbiage, ...(fields.poNumber ? { poNumber: fields.poNumber } : {}) }
+        });
+        quotePdfFileId = await storeQuotePdf(quote, renderQuotePdf(quote));
+      } catch (e) {
+        console.warn('Quote PDF not attached:', e.message);
+      }
+
+      return postToN8n('finalize-po-quote', {
+        dealId: deal.id,
+        ...fields,
+        quoteTitle: fields.quoteTitle || dealName,
+        contactEmail,
+        contactName: contact ? contact.name : null,
+        contactId: contact ? contact.id : null,
+        pricing: quote ? quote.pricing : null,
+        quotePdfFileId
+      });
+    });
+
+    await recordAudit(req, {
+      dealId: deal.id,
+      dealName,
+      action: 'po_quote.finalized',
+      endpoint: '/api/finalize-po-quote',
+      changes: diffProperties(deal.properties, { po_quote_status: FINALIZED }),
+      details: { ...fields, contactEmail },
+      summary: `PO quote finalized by customer${fields.poNumber ? ` (PO ${fields.poNumber})` : ''}; formal quote sent to ${contactEmail}.`,
+      attachmentIds: quotePdfFileId ? [quotePdfFileId] : []
+    });
+
+    return res.status(200).json({ success: true, quotePdfFileId, ...(result && typeof result === 'object' ? result : {}) });
+  } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Finalize PO quote error:', error.message);
+    const report = await reportError('sketch-review', '/api/finalize-po-quote', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to finalize the quote', details: error.message, ...report });
+  }
+}
@@ -0,0 +1,55 @@
+import { issueLinkToken, revokeLinkTokens, linkUrl, LINK_PURPOSES } from './_lib/link-token.js';
+import { isStaffRequest } from './_lib/auth.js';
+import { safeEqual } from './_lib/signing.js';
+import { recordAudit, auditActor } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+// Admin endpoint for customer links. n8n calls this with the admin key
+// instead of computing tokens itself; signed-in staff can call it too.
+//   { adminKey, dealId, purpose, expiresInDays? }  -> { token, expiresAt, url }
+//   { adminKey, dealId, action: 'revoke' }         -> { nonce }
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const { adminKey, dealId, purpose, expiresInDays, action } = req.body || {};
+  const ADMIN_KEY = process.env.PO_ADMIN_KEY;
+  if (!isStaffRequest(req) && (!ADMIN_KEY || typeof adminKey !== 'string' || !safeEqual(adminKey, ADMIN_KEY))) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+  if (action !== 'revoke' && !LINK_PURPOSES[purpose]) {
+    return res.status(400).json({ error: `purpose must be one of: ${Object.keys(LINK_PURPOSES).join(', ')}` });
+  }
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  try {
+    if (action === 'revoke') {
+      const nonce = await revokeLinkTokens(dealId);
+      if (nonce === null) return res.status(404).json({ error: 'Deal not found' });
+      await recordAudit(req, {
+        dealId,
+        action: 'links.revoked',
+        endpoint: '/api/link-token',
+        actor: isStaffRequest(req) ? auditActor(req) : { type: 'system', email: null },
+        details: { nonce },
+        summary: 'All customer links for this deal were revoked.'
+      });
+      return res.status(200).json({ success: true, nonce });
+    }
+
+    const issued = await issueLinkToken(dealId, purpose, { expiresInDays });
+    if (!issued) return res.status(404).json({ error: 'Deal not found' });
+
+    return res.status(200).json({ ...issued, purpose, url: linkUrl(dealId, purpose, issued.token) });
+  } catch (error) {
+    console.error('Link token error:', error.message);
+    const report = await reportError('sketch-review', '/api/link-token', error, dealId);
+    return res.status(500).json({ error: 'Failed to issue link', details: error.message, ...report });
+  }
+}
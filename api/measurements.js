@@ -0,0 +1,104 @@
+import { getDeal, updateDeal } from './_lib/hubspot.js';
+import { authorizeDealRequest, getStaffSession } from './_lib/auth.js';
+import { LinkTokenError } from './_lib/link-token.js';
+import { ValidationError, text } from './_lib/validate.js';
+import {
+  MEASUREMENTS_PROPERTY, MeasurementsError, parseMeasurements, readMeasurementRows, rowsForCostumes,
+  measurementSummary, measurementsCsv, parseMeasurementsCsv
+} from './_lib/measurements.js';
+import { recordAudit } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+function costumeCountOf(deal) {
+  return parseInt(deal.properties.ofcostumes) || 1;
+}
+
+function csvFileName(deal) {
+  const name = (deal.properties.dealname || `deal-${deal.id}`).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${name}-measurements.csv`;
+}
+
+// Per-costume sizing after sketch approval (see _lib/measurements.js), on the
+// customer's sketch-approval link or for staff (production reads it here).
+//   GET ?dealId=&token=              rows, one per costume, and progress
+//   GET ?dealId=&token=&format=csv   the same as a CSV download
+//   POST { dealId, token, rows | csv, submit? }
+// A POST saves whatever is filled in; `csv` replaces the rows with the file's.
+// With `submit` every costume must be complete. Bad rows are a 400 with
+// `rows`, the field messages for each row.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'GET or POST only' });
+
+  const params = (req.method === 'GET' ? req.query : req.body) || {};
+  const { dealId } = params;
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    await authorizeDealRequest(req, dealId, 'sketch-approval');
+    const deal = await getDeal(dealId, ['dealname', 'ofcostumes', MEASUREMENTS_PROPERTY]);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname || null;
+    const costumeCount = costumeCountOf(deal);
+    const saved = parseMeasurements(deal.properties[MEASUREMENTS_PROPERTY]);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    if (req.method === 'GET') {
+      const rows = rowsForCostumes(saved.rows, costumeCount);
+      if (params.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${csvFileName(deal)}"`);
+        return res.status(200).send(measurementsCsv(rows));
+      }
+      return res.status(200).json({ dealId: deal.id, dealName: dealName || '', rows, ...measurementSummary(saved, costumeCount) });
+    }
+
+    let input = req.body.rows;
+    if (req.body.csv !== undefined) {
+      input = parseMeasurementsCsv(text(req.body.csv, 'csv', { max: 200000, required: true }));
+      if (input.length > costumeCount) {
+        throw new ValidationError(`The file lists ${input.length} dancers, but the order has ${costumeCount} costumes`);
+      }
+    }
+    const submit = Boolean(req.body.submit);
+    const rows = readMeasurementRows(input, { costumeCount, submit });
+
+    const staff = getStaffSession(req);
+    const now = new Date().toISOString();
+    const data = {
+      rows,
+      updatedAt: now,
+      updatedBy: staff ? staff.email : 'customer',
+      submittedAt: submit ? now : (saved.submittedAt || null)
+    };
+    await updateDeal(deal.id, { [MEASUREMENTS_PROPERTY]: JSON.stringify(data) });
+
+    const summary = measurementSummary(data, costumeCount);
+    await recordAudit(req, {
+      dealId: deal.id,
+      dealName,
+      action: submit ? 'measurements.submitted' : 'measurements.saved',
+      endpoint: '/api/measurements',
+      details: { complete: summary.complete, costumeCount, imported: req.body.csv !== undefined },
+      summary: submit
+        ? `Measurements submitted for all ${costumeCount} costumes.`
+        : `Measurements saved${req.body.csv !== undefined ? ' from a CSV file' : ''}: ${summary.complete} of ${costumeCount} costumes complete.`
+    });
+
+    return res.status(200).json({ success: true, rows: rowsForCostumes(rows, costumeCount), ...summary });
+  } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
+    if (error instanceof MeasurementsError) return res.status(400).json({ error: error.message, rows: error.rows });
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Measurements error:', error.message);
+    const report = await reportError('sketch-review', '/api/measurements', error, dealId, dealName);
+    const failed = req.method === 'GET' ? 'Failed to load measurements' : 'Failed to save measurements';
+    return res.status(500).json({ error: failed, details: error.message, ...report });
+  }
+}
@@ -0,0 +1,54 @@
+import { uploadFile } from './_lib/hubspot.js';
+import { isStaffRequest } from './_lib/auth.js';
+import { ValidationError, text, oneOf } from './_lib/validate.js';
+import { reportError } from './_lib/report-error.js';
+
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const IMAGE_FOLDER = '/sketch-options';
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+function readImage(value) {
+  if (!value || typeof value !== 'object') throw new ValidationError('image is required');
+  const type = oneOf(value.type, 'image.type', IMAGE_TYPES);
+  const data = typeof value.data === 'string' ? value.data : '';
+  if (!data.startsWith(`data:${type};base64,`)) throw new ValidationError('image must be a base64 data URL');
+  const buffer = Buffer.from(data.split(',')[1], 'base64');
+  if (buffer.length === 0) throw new ValidationError('image is empty');
+  if (buffer.length > MAX_IMAGE_BYTES) throw new ValidationError('The image is too large (max 2MB)');
+  return { name: text(value.name, 'image.name', { max: 255 }) || 'option', type, buffer };
+}
+
+// Picture for one sketch option, uploaded from designer.html. The file is
+// public (but not indexed) because options.html shows it by URL to customers
+// who have no HubSpot access; the returned URL goes into the option's `image`.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  if (!isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
+
+  const { dealId } = req.body || {};
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  try {
+    const image = readImage(req.body.image);
+    const uploaded = await uploadFile({
+      buffer: image.buffer,
+      fileName: `${dealId}-${Date.now()}-${image.name}`,
+      contentType: image.type,
+      folderPath: IMAGE_FOLDER,
+      access: 'PUBLIC_NOT_INDEXABLE'
+    });
+    return res.status(200).json({ success: true, fileId: String(uploaded.id), url: uploaded.url });
+  } catch (error) {
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Option image error:', error.message);
+    const report = await reportError('sketch-review', '/api/option-image', error, dealId);
+    return res.status(500).json({ error: 'Failed to upload the image', details: error.message, ...report });
+  }
+}
@@ -0,0 +1,39 @@
+import { isStaffRequest, getStaffSession } from './_lib/auth.js';
+import { ValidationError } from './_lib/validate.js';
+import { getOptionTemplates, saveOptionTemplate, deleteOptionTemplate } from './_lib/option-templates.js';
+import { reportError } from './_lib/report-error.js';
+
+// The signed-in designer's saved option templates.
+//   GET                                  -> { templates: [{ name, option, updatedAt }] }
+//   POST { name, option }                -> { template }   (replaces a same-named template)
+//   POST { action: 'delete', name }      -> { success }
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'GET or POST only' });
+
+  if (!isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
+  const session = getStaffSession(req);
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  try {
+    if (req.method === 'GET') {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({ templates: await getOptionTemplates(session.email) });
+    }
+
+    const body = req.body || {};
+    if (body.action === 'delete') {
+      const deleted = await deleteOptionTemplate(session.email, body.name);
+      if (!deleted) return res.status(404).json({ error: 'Template not found' });
+      return res.status(200).json({ success: true });
+    }
+
+    const template = await saveOptionTemplate(session.email, body);
+    return res.status(200).json({ success: true, template });
+  } catch (error) {
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Option templates error:', error.message);
+    const report = await reportError('sketch-review', '/api/option-templates', error);
+    return res.status(500).json({ error: 'Failed to update option templates', details: error.message, ...report });
+  }
+}
@@ -0,0 +1,181 @@
+import { getDeal, getLineItems, lineItemsTotal, getDealContacts, updateDeal, dealRecordUrl } from './_lib/hubspot.js';
+import { getStaffSession } from './_lib/auth.js';
+import { verifyLinkToken, issueLinkToken, linkUrl, LinkTokenError } from './_lib/link-token.js';
+import { postToN8n } from './_lib/n8n.js';
+import { PUBLIC_BASE_URL } from './_lib/config.js';
+import { ValidationError, text, oneOf } from './_lib/validate.js';
+import { isFinalized } from './_lib/po-quote.js';
+import { PRICING_PROPERTIES, dealPricing } from './_lib/pricing.js';
+import {
+  CHANGE_REQUESTS_PROPERTY, CHANGES_REQUESTED, SENT_TO_CUSTOMER, parseChangeRequests, openChangeRequests,
+  quoteSnapshot, addChangeRequest, replyToChangeRequest, resolveChangeRequests, customerChangeRequests
+} from './_lib/po-change-requests.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+const DEAL_PROPERTIES = [
+  'dealname', 'po_quote_status', 'po_quote_addressee', 'po_quote_title', 'po_quote_notes',
+  CHANGE_REQUESTS_PROPERTY, ...PRICING_PROPERTIES
+];
+
+// The customer asks for changes to the quote they were sent. Staff get the
+// request by email (through n8n) and as a banner on po-quote.html.
+async function requestChanges(req, res, deal) {
+  const message = text(req.body.message, 'message', { max: 5000, required: true });
+  const lineItems = await getLineItems(deal.id);
+  const snapshot = quoteSnapshot({
+    items: lineItems,
+    pricing: dealPricing(deal.properties, lineItemsTotal(lineItems)),
+    addressee: deal.properties.po_quote_addressee,
+    quoteTitle: deal.properties.po_quote_title,
+    quoteNotes: deal.properties.po_quote_notes
+  });
+
+  const requests = addChangeRequest(parseChangeRequests(deal.properties[CHANGE_REQUESTS_PROPERTY]), { message, snapshot });
+  const request = requests[requests.length - 1];
+  const properties = { [CHANGE_REQUESTS_PROPERTY]: JSON.stringify(requests), po_quote_status: CHANGES_REQUESTED };
+  await updateDeal(deal.id, properties);
+
+  await recordAudit(req, {
+    dealId: deal.id,
+    dealName: deal.properties.dealname,
+    action: 'po_quote.changes_requested',
+    endpoint: '/api/po-change-request',
+    changes: diffProperties(deal.properties, { po_quote_status: CHANGES_REQUESTED }),
+    details: { requestId: request.id, message },
+    summary: `Customer requested changes to the PO quote: ${message}`
+  });
+
+  // The request is saved either way; staff also see it on po-quote.html
+  const { payer, primary } = await getDealContacts(deal.id);
+  const contact = payer || primary;
+  try {
+    await postToN8n('po-change-request', {
+      action: 'requested',
+      dealId: deal.id,
+      dealName: deal.properties.dealname || '',
+      requestId: request.id,
+      message,
+      contactEmail: contact ? contact.email : null,
+      contactName: contact ? contact.name : null,
+      quoteUrl: `${PUBLIC_BASE_URL}/po-quote.html?dealId=${encodeURIComponent(deal.id)}`,
+      dealUrl: dealRecordUrl(deal.id)
+    });
+  } catch (e) {
+    console.error('Change request notification failed:', e.message);
+  }
+
+  return res.status(200).json({ success: true, changeRequests: customerChangeRequests(requests) });
+}
+
+// Staff reply to a request (emailed to the customer) or resolve it without
+// resending the quote. Resending from po-quote.html resolves open requests
+// through /api/save-po-quote instead.
+async function staffAction(req, res, deal, session) {
+  const action = oneOf(req.body.action, 'action', ['reply', 'resolve']);
+  const requestId = text(req.body.requestId, 'requestId', { max: 100, required: true });
+  const message = text(req.body.message, 'message', { max: 5000, required: action === 'reply' });
+
+  let requests = parseChangeRequests(deal.properties[CHANGE_REQUESTS_PROPERTY]);
+  const request = requests.find(r => r.id === requestId);
+  if (!request) return res.status(404).json({ error: 'Change request not found' });
+  if (action === 'resolve' && request.status !== 'open') {
+    return res.status(409).json({ error: 'This change request is already resolved' });
+  }
+
+  if (message) requests = replyToChangeRequest(requests, requestId, { message, by: session.email });
+  if (action === 'resolve') requests = resolveChangeRequests(requests, [requestId], { by: session.email });
+
+  const properties = { [CHANGE_REQUESTS_PROPERTY]: JSON.stringify(requests) };
+  if (openChangeRequests(requests).length === 0 && deal.properties.po_quote_status === CHANGES_REQUESTED) {
+    properties.po_quote_status = SENT_TO_CUSTOMER;
+  }
+  await updateDeal(deal.id, properties);
+
+  await recordAudit(req, {
+    dealId: deal.id,
+    dealName: deal.properties.dealname,
+    action: action === 'reply' ? 'po_quote.change_request_replied' : 'po_quote.change_request_resolved',
+    endpoint: '/api/po-change-request',
+    changes: diffProperties(deal.properties, { po_quote_status: properties.po_quote_status }),
+    details: { requestId, message },
+    summary: action === 'reply'
+      ? `${session.email} replied to a PO quote change request: ${message}`
+      : `${session.email} resolved a PO quote change request` + (message ? `: ${message}` : '.')
+  });
+
+  // The reply is saved either way; `notified` tells staff whether the customer was emailed
+  let notified = false;
+  const { payer, primary } = await getDealContacts(deal.id);
+  const contact = payer || primary;
+  if (message && contact && contact.email) {
+    try {
+      const { token } = await issueLinkToken(deal.id, 'po-review');
+      await postToN8n('po-change-request', {
+        action: action === 'reply' ? 'replied' : 'resolved',
+        dealId: deal.id,
+        dealName: deal.properties.dealname || '',
+        requestId,
+        requestMessage: request.message,
+        message,
+        contactEmail: contact.email,
+        contactName: contact.name,
+        reviewUrl: linkUrl(deal.id, 'po-review', token),
+        staffEmail: session.email
+      });
+      notified = true;
+    } catch (e) {
+      console.error('Change request reply notification failed:', e.message);
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    notified,
+    changeRequests: requests,
+    poQuoteStatus: properties.po_quote_status || deal.properties.po_quote_status || null
+  });
+}
+
+// PO quote change requests.
+//   POST { dealId, token, message }   customer, with the po-review link
+//   POST { dealId, action: 'reply' | 'resolve', requestId, message }
+//                                     staff; the message is optional when resolving
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const { dealId, token } = req.body || {};
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  const session = getStaffSession(req);
+  const staffRequest = !!req.body.action;
+  if (staffRequest && !session) return res.status(401).json({ error: 'Staff login required' });
+  if (!staffRequest && !token) return res.status(403).json({ error: 'Access denied' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    if (!staffRequest) await verifyLinkToken(token, { dealId, purpose: 'po-review' });
+
+    const deal = await getDeal(dealId, DEAL_PROPERTIES);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname;
+
+    if (isFinalized(deal.properties.po_quote_status)) {
+      return res.status(409).json({ error: `This quote is already ${deal.properties.po_quote_status.toLowerCase()} and can't be changed` });
+    }
+
+    return staffRequest ? await staffAction(req, res, deal, session) : await requestChanges(req, res, deal);
+  } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('PO change request error:', error.message);
+    const report = await reportError('sketch-review', '/api/po-change-request', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to save the change request', details: error.message, ...report });
+  }
+}
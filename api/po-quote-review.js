@@ -1,33 +1,16 @@
-import crypto from 'crypto';
-
-async function reportError(system, endpoint, error, dealId, dealName) {
-  try {
-    await fetch('https://showoffinc.app.n8n.cloud/webhook/error-alert', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        system, endpoint,
-        error: error.message || String(error),
-        dealId: dealName ? `${dealName} (${dealId})` : (dealId || 'unknown'),
-        timestamp: new Date().toISOString()
-      })
-    });
-  } catch (e) { /* silent */ }
-}
-
-function validateToken(dealId, token) {
-  const secret = process.env.PO_QUOTE_SECRET;
-  if (!secret || !token) return false;
-  const expected = crypto
-    .createHmac('sha256', secret)
-    .update(String(dealId))
-    .digest('hex')
-    .substring(0, 16);
-  return crypto.timingSafeEqual(
-    Buffer.from(expected, 'utf8'),
-    Buffer.from(String(token).substring(0, 16).padEnd(16, '0'), 'utf8')
-  );
-}
+import { getDeal, getLineItems, lineItemsTotal, getDealContacts } from './_lib/hubspot.js';
+import { verifyLinkToken, issueLinkToken, LinkTokenError } from './_lib/link-token.js';
+import { parseVerbiage, quoteDates } from './_lib/po-quote.js';
+import { PRICING_PROPERTY, PRICING_PROPERTIES, parsePricing, dealPricing } from './_lib/pricing.js';
+import { CHANGE_REQUESTS_PROPERTY, parseChangeRequests, customerChangeRequests } from './_lib/po-change-requests.js';
+import { PO_DOCUMENTS_PROPERTY, dealPoDocuments, publicPoDocument } from './_lib/po-documents.js';
+import { reportError } from './_lib/report-error.js';
+
+const DEAL_PROPERTIES = [
+  'dealname', 'amount', 'po_quote_addressee', 'po_quote_title', 'po_quote_notes', 'po_quote_verbiage',
+  'po_quote_status', 'po_quote_link', 'po_document_url', 'po_received_date', 'createdate', CHANGE_REQUESTS_PROPERTY,
+  'po', PO_DOCUMENTS_PROPERTY, ...PRICING_PROPERTIES
+];
 
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -39,135 +22,43 @@ export default async function handler(req, res) {
   if (!dealId) return res.status(400).json({ error: 'dealId is required' });
   if (!token) return res.status(403).json({ error: 'Access denied' });
 
-  if (!validateToken(dealId, token)) {
-    return res.status(403).json({ error: 'Invalid or expired link' });
-  }
-
-  const HUBSPOT_TOKEN = process.env.HUBSPOT_TOKEN;
-  if (!HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
-
-  const headers = {
-    'Authorization': `Bearer ${HUBSPOT_TOKEN}`,
-    'Content-Type': 'application/json'
-  };
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
 
   let dealName = null;
   try {
+    await verifyLinkToken(token, { dealId, purpose: 'po-review' });
+
     // Fetch deal with PO properties
-    const dealRes = await fetch(
-      `https://api.hubapi.com/crm/v3/objects/deals/${dealId}?properties=dealname,amount,po_quote_addressee,po_quote_title,po_quote_notes,po_quote_verbiage,po_quote_status,po_quote_link,po_document_url,po_received_date,createdate`,
-      { headers }
-    );
-    if (!dealRes.ok) return res.status(404).json({ error: 'Deal not found' });
-    const deal = await dealRes.json();
+    const deal = await getDeal(dealId, DEAL_PROPERTIES);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
     dealName = deal.properties.dealname;
 
-    // Fetch line items
-    const assocRes = await fetch(
-      `https://api.hubapi.com/crm/v4/objects/deals/${dealId}/associations/line_items`,
-      { headers }
-    );
-    let lineItems = [];
-    if (assocRes.ok) {
-      const assocData = await assocRes.json();
-      const ids = (assocData.results || []).map(r => r.toObjectId);
-      if (ids.length > 0) {
-        const batchRes = await fetch(
-          'https://api.hubapi.com/crm/v3/objects/line_items/batch/read',
-          {
-            method: 'POST', headers,
-            body: JSON.stringify({
-              inputs: ids.map(id => ({ id })),
-              properties: ['name', 'price', 'quantity', 'amount', 'description']
-            })
-          }
-        );
-        if (batchRes.ok) {
-          const batchData = await batchRes.json();
-          lineItems = (batchData.results || []).map(item => ({
-            id: item.id,
-            name: item.properties.name || 'Item',
-            price: parseFloat(item.properties.price) || 0,
-            quantity: parseInt(item.properties.quantity) || 1,
-            amount: parseFloat(item.properties.amount) || 0
-          }));
-        }
-      }
-    }
+    const lineItems = await getLineItems(dealId);
 
     // Get contacts — find payer (preferred) and primary contact
-    let primaryContact = null;
-    let payerContact = null;
-    const contactRes = await fetch(
-      `https://api.hubapi.com/crm/v4/objects/deals/${dealId}/associations/contacts`,
-      { headers }
-    );
-    if (contactRes.ok) {
-      const contactData = await contactRes.json();
-      const allAssocs = contactData.results || [];
-      const payerAssoc = allAssocs.find(r =>
-        (r.associationTypes || []).some(a => a.label === 'Payer')
-      );
-      const primaryAssoc = allAssocs.find(r =>
-        (r.associationTypes || []).some(a => a.label === 'Primary Contact')
-      ) || allAssocs[0];
-
-      // Fetch payer if exists
-      if (payerAssoc) {
-        const pRes = await fetch(
-          `https://api.hubapi.com/crm/v3/objects/contacts/${payerAssoc.toObjectId}?properties=firstname,lastname,email`,
-          { headers }
-        );
-        if (pRes.ok) {
-          const p = await pRes.json();
-          payerContact = {
-            id: p.id,
-            name: [p.properties.firstname, p.properties.lastname].filter(Boolean).join(' '),
-            email: p.properties.email
-          };
-        }
-      }
-
-      // Fetch primary contact
-      if (primaryAssoc) {
-        const cRes = await fetch(
-          `https://api.hubapi.com/crm/v3/objects/contacts/${primaryAssoc.toObjectId}?properties=firstname,lastname,email`,
-          { headers }
-        );
-        if (cRes.ok) {
-          const c = await cRes.json();
-          primaryContact = {
-            id: c.id,
-            name: [c.properties.firstname, c.properties.lastname].filter(Boolean).join(' '),
-            email: c.properties.email
-          };
-        }
-      }
-    }
+    const { payer: payerContact, primary: primaryContact } = await getDealContacts(dealId);
 
-    const total = lineItems.reduce((sum, item) => sum + (item.amount || item.price * item.quantity), 0);
+    const total = lineItemsTotal(lineItems);
+    const certificate = parsePricing(deal.properties[PRICING_PROPERTY]).exemptionCertificate;
 
-    // Parse verbiage JSON
-    let verbiage = {};
-    try {
-      verbiage = JSON.parse(deal.properties.po_quote_verbiage || '{}');
-    } catch (e) { /* default empty */ }
+    const verbiage = parseVerbiage(deal.properties.po_quote_verbiage);
+    const { sentDate, expirationDate } = quoteDates(verbiage);
 
-    // Calculate expiration (120 days from sent date, or from now if no sent date)
-    const rawSentDate = verbiage.sentDate || new Date().toISOString().split('T')[0];
-    const sentDate = rawSentDate.includes('T') ? rawSentDate.split('T')[0] : rawSentDate;
-    const expDate = new Date(sentDate + 'T12:00:00');
-    expDate.setDate(expDate.getDate() + 120);
+    // The review link itself can't upload; hand the page a short-lived upload token
+    const { token: uploadToken } = await issueLinkToken(deal.id, 'po-upload', { expiresInDays: 1 });
 
     return res.status(200).json({
       dealId: deal.id,
+      uploadToken,
       dealName: deal.properties.dealname || '',
       total,
+      pricing: dealPricing(deal.properties, total),
+      exemptionCertificate: certificate ? { name: certificate.name, uploadedAt: certificate.uploadedAt, status: certificate.status } : null,
       lineItems,
       primaryContact,
       payerContact,
       sentDate,
-      expirationDate: expDate.toISOString().split('T')[0],
+      expirationDate,
       poFields: {
         addressee: deal.properties.po_quote_addressee || '',
         title: deal.properties.po_quote_title || '',
@@ -177,12 +68,15 @@ export default async function handler(req, res) {
       poQuoteStatus: deal.properties.po_quote_status || null,
       poQuoteLink: deal.properties.po_quote_link || null,
       poDocumentUrl: deal.properties.po_document_url || null,
-      poReceivedDate: deal.properties.po_received_date || null
+      poReceivedDate: deal.properties.po_received_date || null,
+      poDocuments: dealPoDocuments(deal.properties).map(publicPoDocument),
+      changeRequests: customerChangeRequests(parseChangeRequests(deal.properties[CHANGE_REQUESTS_PROPERTY]))
     });
 
   } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
     console.error('Error fetching PO quote review data:', error.message);
-    await reportError('sketch-review', '/api/po-quote-review', error, dealId, dealName);
-    return res.status(500).json({ error: 'Failed to fetch data', details: error.message });
+    const report = await reportError('sketch-review', '/api/po-quote-review', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to fetch data', details: error.message, ...report });
   }
 }
@@ -1,16 +1,26 @@
-async function reportError(system, endpoint, error, dealId, dealName) {
+import { getDeal, findDealByNumber, getLineItems, lineItemsTotal, getDealQuote, getDealContacts, getSignedFileUrl } from './_lib/hubspot.js';
+import { isStaffRequest } from './_lib/auth.js';
+import { parseVerbiage } from './_lib/po-quote.js';
+import { PRICING_PROPERTY, PRICING_PROPERTIES, parsePricing, dealPricing, taxRateFor } from './_lib/pricing.js';
+import { CHANGE_REQUESTS_PROPERTY, parseChangeRequests } from './_lib/po-change-requests.js';
+import { PO_CHECK_PROPERTY } from './_lib/po-check.js';
+import { reportError } from './_lib/report-error.js';
+
+const DEAL_PROPERTIES = [
+  'dealname', 'amount', 'is_po_customer', 'po_quote_addressee', 'po_quote_title', 'po_quote_notes',
+  'po_quote_verbiage', 'po_quote_status', 'po_quote_link', 'po_document_url', 'po_received_date',
+  'po_team_size', 'sketch_public_url', CHANGE_REQUESTS_PROPERTY, PO_CHECK_PROPERTY, ...PRICING_PROPERTIES
+];
+
+// The school's exemption certificate with a link staff can open
+async function exemptionCertificate(properties) {
+  const certificate = parsePricing(properties[PRICING_PROPERTY]).exemptionCertificate;
+  if (!certificate) return null;
+  let url = null;
   try {
-    await fetch('https://showoffinc.app.n8n.cloud/webhook/error-alert', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        system, endpoint,
-        error: error.message || String(error),
-        dealId: dealName ? `${dealName} (${dealId})` : (dealId || 'unknown'),
-        timestamp: new Date().toISOString()
-      })
-    });
-  } catch (e) { /* silent */ }
+    url = await getSignedFileUrl(certificate.fileId);
+  } catch (e) { /* the name is still worth showing */ }
+  return { ...certificate, url };
 }
 
 export default async function handler(req, res) {
@@ -19,163 +29,45 @@ export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
   if (req.method === 'OPTIONS') return res.status(200).end();
 
-  // Admin authentication
-  const { adminKey } = req.query;
-  const ADMIN_KEY = process.env.PO_ADMIN_KEY;
-  if (!ADMIN_KEY || adminKey !== ADMIN_KEY) {
-    return res.status(403).json({ error: 'Access denied' });
-  }
+  if (!isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
 
   let { dealId, dealNumber } = req.query;
   if (!dealId && !dealNumber) return res.status(400).json({ error: 'dealId or dealNumber is required' });
 
-  const HUBSPOT_TOKEN = process.env.HUBSPOT_TOKEN;
-  if (!HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
-
-  const headers = {
-    'Authorization': `Bearer ${HUBSPOT_TOKEN}`,
-    'Content-Type': 'application/json'
-  };
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
 
   let dealName = null;
   try {
     // If dealNumber provided, search HubSpot by deal name to find the real ID
+    let deal;
     if (!dealId && dealNumber) {
-      const searchRes = await fetch(
-        'https://api.hubapi.com/crm/v3/objects/deals/search',
-        {
-          method: 'POST', headers,
-          body: JSON.stringify({
-            filterGroups: [{
-              filters: [{
-                propertyName: 'dealname',
-                operator: 'CONTAINS_TOKEN',
-                value: String(dealNumber)
-              }]
-            }],
-            properties: ['dealname'],
-            limit: 5
-          })
-        }
-      );
-      if (!searchRes.ok) return res.status(500).json({ error: 'Failed to search deals' });
-      const searchData = await searchRes.json();
-      const match = (searchData.results || []).find(d =>
-        (d.properties.dealname || '').startsWith(String(dealNumber))
-      );
-      if (!match) return res.status(404).json({ error: 'No deal found with number ' + dealNumber });
-      dealId = match.id;
+      deal = await findDealByNumber(dealNumber, DEAL_PROPERTIES);
+      if (!deal) return res.status(404).json({ error: 'No deal found with number ' + dealNumber });
+      dealId = deal.id;
+    } else {
+      deal = await getDeal(dealId, DEAL_PROPERTIES);
+      if (!deal) return res.status(404).json({ error: 'Deal not found' });
     }
-
-    // Fetch deal with PO properties
-    const dealRes = await fetch(
-      `https://api.hubapi.com/crm/v3/objects/deals/${dealId}?properties=dealname,amount,is_po_customer,po_quote_addressee,po_quote_title,po_quote_notes,po_quote_verbiage,po_quote_status,po_quote_link,po_document_url,po_received_date,po_team_size,sketch_public_url`,
-      { headers }
-    );
-    if (!dealRes.ok) return res.status(404).json({ error: 'Deal not found' });
-    const deal = await dealRes.json();
     dealName = deal.properties.dealname;
 
-    // Fetch line items
-    const assocRes = await fetch(
-      `https://api.hubapi.com/crm/v4/objects/deals/${dealId}/associations/line_items`,
-      { headers }
-    );
-    let lineItems = [];
-    if (assocRes.ok) {
-      const assocData = await assocRes.json();
-      const ids = (assocData.results || []).map(r => r.toObjectId);
-      if (ids.length > 0) {
-        const batchRes = await fetch(
-          'https://api.hubapi.com/crm/v3/objects/line_items/batch/read',
-          {
-            method: 'POST', headers,
-            body: JSON.stringify({
-              inputs: ids.map(id => ({ id })),
-              properties: ['name', 'price', 'quantity', 'amount', 'description']
-            })
-          }
-        );
-        if (batchRes.ok) {
-          const batchData = await batchRes.json();
-          lineItems = (batchData.results || []).map(item => ({
-            id: item.id,
-            name: item.properties.name || 'Item',
-            price: parseFloat(item.properties.price) || 0,
-            quantity: parseInt(item.properties.quantity) || 1,
-            amount: parseFloat(item.properties.amount) || 0
-          }));
-        }
-      }
-    }
-
-    // Fetch existing quote (if any)
-    let existingQuote = null;
-    const quoteAssocRes = await fetch(
-      `https://api.hubapi.com/crm/v4/objects/deals/${dealId}/associations/quotes`,
-      { headers }
-    );
-    if (quoteAssocRes.ok) {
-      const quoteAssocData = await quoteAssocRes.json();
-      const quoteIds = (quoteAssocData.results || []).map(r => r.toObjectId);
-      if (quoteIds.length > 0) {
-        const quoteRes = await fetch(
-          `https://api.hubapi.com/crm/v3/objects/quotes/${quoteIds[0]}?properties=hs_title,hs_status,hs_expiration_date,hs_quote_link`,
-          { headers }
-        );
-        if (quoteRes.ok) {
-          const q = await quoteRes.json();
-          existingQuote = {
-            id: q.id,
-            title: q.properties.hs_title,
-            status: q.properties.hs_status,
-            expirationDate: q.properties.hs_expiration_date,
-            quoteLink: q.properties.hs_quote_link
-          };
-        }
-      }
-    }
-
-    // Get primary contact
-    let primaryContact = null;
-    const contactRes = await fetch(
-      `https://api.hubapi.com/crm/v4/objects/deals/${dealId}/associations/contacts`,
-      { headers }
-    );
-    if (contactRes.ok) {
-      const contactData = await contactRes.json();
-      const primaryAssoc = (contactData.results || []).find(r =>
-        (r.associationTypes || []).some(a => a.label === 'Primary Contact')
-      ) || (contactData.results || [])[0];
-      if (primaryAssoc) {
-        const cRes = await fetch(
-          `https://api.hubapi.com/crm/v3/objects/contacts/${primaryAssoc.toObjectId}?properties=firstname,lastname,email`,
-          { headers }
-        );
-        if (cRes.ok) {
-          const c = await cRes.json();
-          primaryContact = {
-            id: c.id,
-            name: [c.properties.firstname, c.properties.lastname].filter(Boolean).join(' '),
-            email: c.properties.email
-          };
-        }
-      }
-    }
+    const lineItems = await getLineItems(dealId);
+    const existingQuote = await getDealQuote(dealId);
+    const { primary: primaryContact } = await getDealContacts(dealId);
 
-    const total = lineItems.reduce((sum, item) => sum + (item.amount || item.price * item.quantity), 0);
+    const total = lineItemsTotal(lineItems);
 
-    // Parse verbiage JSON
-    let verbiage = {};
-    try {
-      verbiage = JSON.parse(deal.properties.po_quote_verbiage || '{}');
-    } catch (e) { /* default empty */ }
+    const verbiage = parseVerbiage(deal.properties.po_quote_verbiage);
 
     return res.status(200).json({
       dealId: deal.id,
       dealName: deal.properties.dealname || '',
       amount: parseFloat(deal.properties.amount) || total,
       total,
+      pricing: dealPricing(deal.properties, total),
+      exemptionCertificate: await exemptionCertificate(deal.properties),
+      // The ship-to state's rate, for when staff take the exemption off
+      shippingState: deal.properties.shipping_state || '',
+      stateTaxRate: taxRateFor(deal.properties.shipping_state),
       lineItems,
       existingQuote,
       primaryContact,
@@ -191,12 +83,14 @@ export default async function handler(req, res) {
       poQuoteStatus: deal.properties.po_quote_status || null,
       poQuoteLink: deal.properties.po_quote_link || null,
       poDocumentUrl: deal.properties.po_document_url || null,
-      poReceivedDate: deal.properties.po_received_date || null
+      poReceivedDate: deal.properties.po_received_date || null,
+      poCheck: deal.properties[PO_CHECK_PROPERTY] || null,
+      changeRequests: parseChangeRequests(deal.properties[CHANGE_REQUESTS_PROPERTY])
     });
 
   } catch (error) {
     console.error('Error fetching PO quote data:', error.message);
-    await reportError('sketch-review', '/api/po-quote', error, dealId, dealName);
-    return res.status(500).json({ error: 'Failed to fetch data', details: error.message });
+    const report = await reportError('sketch-review', '/api/po-quote', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to fetch data', details: error.message, ...report });
   }
 }
@@ -0,0 +1,30 @@
+import { searchProducts } from './_lib/hubspot.js';
+import { isStaffRequest } from './_lib/auth.js';
+import { reportError } from './_lib/report-error.js';
+
+const MAX_LIMIT = 50;
+
+// Product catalog lookup for the designer's option picker.
+//   GET ?q=mesh&limit=20  -> { products: [{ id, name, sku, price, description, image }] }
+// `q` matches product names, SKUs and descriptions.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+  if (!isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
+
+  const q = String((req.query || {}).q || '').trim();
+  if (q.length < 2) return res.status(400).json({ error: 'q must be at least 2 characters' });
+  if (q.length > 100) return res.status(400).json({ error: 'q must be 100 characters or fewer' });
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LIMIT);
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  try {
+    const products = await searchProducts(q, { limit });
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    return res.status(200).json({ products });
+  } catch (error) {
+    console.error('Product search error:', error.message);
+    const report = await reportError('sketch-review', '/api/products', error);
+    return res.status(500).json({ error: 'Failed to search products', details: error.message, ...report });
+  }
+}
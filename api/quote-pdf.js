@@ -0,0 +1,61 @@
+import { isStaffRequest } from './_lib/auth.js';
+import { verifyLinkToken, LinkTokenError } from './_lib/link-token.js';
+import { ValidationError, text } from './_lib/validate.js';
+import { readVerbiage, readQuoteItems } from './_lib/po-quote.js';
+import { readPricing } from './_lib/pricing.js';
+import { loadQuote, renderQuotePdf, quotePdfFileName } from './_lib/quote-pdf.js';
+import { reportError } from './_lib/report-error.js';
+
+function readDraft(body) {
+  return {
+    items: readQuoteItems(body.items),
+    addressee: text(body.addressee, 'addressee', { max: 200 }),
+    quoteTitle: text(body.quoteTitle, 'quoteTitle', { max: 200 }),
+    quoteNotes: text(body.quoteNotes, 'quoteNotes', { max: 2000 }),
+    verbiage: readVerbiage(body.verbiage),
+    pricing: readPricing(body.pricing)
+  };
+}
+
+// The PO quote as a PDF.
+//   GET ?dealId=&token=   the saved quote, for the customer's po-review link (or staff)
+//   POST { dealId, items, addressee, quoteTitle, quoteNotes, verbiage, pricing }
+//                         staff preview of the po-quote.html form before it is saved
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'GET or POST only' });
+
+  const params = (req.method === 'GET' ? req.query : req.body) || {};
+  const { dealId } = params;
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  if (req.method === 'POST' && !isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  try {
+    if (!isStaffRequest(req)) {
+      if (!params.token) return res.status(403).json({ error: 'Access denied' });
+      await verifyLinkToken(params.token, { dealId, purpose: 'po-review' });
+    }
+
+    const draft = req.method === 'POST' ? readDraft(req.body) : {};
+    const quote = await loadQuote(dealId, draft);
+    if (!quote) return res.status(404).json({ error: 'Deal not found' });
+
+    const pdf = renderQuotePdf(quote);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${params.download ? 'attachment' : 'inline'}; filename="${quotePdfFileName(quote)}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).send(pdf);
+  } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Quote PDF error:', error.message);
+    const report = await reportError('sketch-review', '/api/quote-pdf', error, dealId);
+    return res.status(500).json({ error: 'Failed to render the quote', details: error.message, ...report });
+  }
+}
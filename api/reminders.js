@@ -0,0 +1,210 @@
+import { searchDeals, updateDeal, getDealContacts, dealRecordUrl } from './_lib/hubspot.js';
+import { isStaffRequest } from './_lib/auth.js';
+import { safeEqual } from './_lib/signing.js';
+import { issueLinkToken, linkUrl } from './_lib/link-token.js';
+import { sendMail } from './_lib/mail.js';
+import { PUBLIC_BASE_URL } from './_lib/config.js';
+import { viewFilterGroups } from './_lib/pipeline.js';
+import {
+  REMINDERS_PROPERTY, REMINDER_PROPERTIES, REMINDER_STAGES, reminderSettings, parseReminders, nextReminder,
+  reminderEmail, escalationEmail
+} from './_lib/reminders.js';
+import { recordAudit } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+const PAGE_SIZE = 100;
+// Limits per run so one run stays inside the function timeout and HubSpot's
+// rate limit; anything left over is picked up by the next run
+const MAX_EMAILS_PER_RUN = 50;
+const MAX_WRITES_PER_RUN = 150;
+const MAX_DEALS_PER_STAGE = 500;
+const SYSTEM_ACTOR = { type: 'system', email: null };
+
+// Vercel cron sends `Authorization: Bearer $CRON_SECRET`
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  const header = (req.headers && req.headers.authorization) || '';
+  return Boolean(secret) && safeEqual(header, `Bearer ${secret}`);
+}
+
+// Oldest first, so the deals that have waited longest are handled first
+async function dealsInView(view) {
+  const deals = [];
+  let after;
+  do {
+    const data = await searchDeals({
+      filterGroups: viewFilterGroups(view),
+      properties: REMINDER_PROPERTIES,
+      sorts: [{ propertyName: 'createdate', direction: 'ASCENDING' }],
+      limit: PAGE_SIZE,
+      after
+    });
+    deals.push(...((data && data.results) || []));
+    after = data && data.paging && data.paging.next && data.paging.next.after;
+  } while (after && deals.length < MAX_DEALS_PER_STAGE);
+  return { deals: deals.slice(0, MAX_DEALS_PER_STAGE), limited: Boolean(after) };
+}
+
+// The new state is saved before the email goes out, so a save that fails
+// can't lead to the same email again on the next run. If the email fails,
+// the old state is put back.
+async function saveThenSend(save, { before, after, mail }) {
+  await save(after);
+  try {
+    await sendMail(mail);
+  } catch (error) {
+    try {
+      await save(before);
+    } catch (e) {
+      console.error('Reminder state reset failed:', e.message);
+    }
+    throw error;
+  }
+}
+
+async function remind(req, { deal, stage, entry, contact, dryRun, save }) {
+  const config = REMINDER_STAGES[stage];
+  const dealName = deal.properties.dealname || '';
+  const link = await issueLinkToken(deal.id, config.purpose);
+  const url = linkUrl(deal.id, config.purpose, link.token);
+  const count = entry.count + 1;
+  if (dryRun) return { ...entry, count };
+
+  const sent = { ...entry, count, lastSentAt: new Date().toISOString() };
+  await saveThenSend(save, {
+    before: entry,
+    after: sent,
+    mail: { to: contact.email, ...reminderEmail(stage, { dealName, contactName: contact.name, url }) }
+  });
+  await recordAudit(req, {
+    dealId: deal.id,
+    dealName,
+    action: 'reminder.sent',
+    endpoint: '/api/reminders',
+    details: { stage, to: contact.email, count, expiresAt: link.expiresAt },
+    summary: `Reminder ${count} sent to ${contact.email} (${stage}).`,
+    actor: SYSTEM_ACTOR
+  });
+  return sent;
+}
+
+async function escalate(req, { deal, stage, entry, contact, escalateTo, dryRun, save }) {
+  const dealName = deal.properties.dealname || '';
+  if (dryRun) return entry;
+
+  const first = dealName.split(/\s/)[0];
+  const dashboardUrl = `${PUBLIC_BASE_URL}/dashboard.html?view=${REMINDER_STAGES[stage].view}` +
+    (/^\d+$/.test(first) ? `&q=${first}` : '');
+  const escalated = { ...entry, escalatedAt: new Date().toISOString() };
+  await saveThenSend(save, {
+    before: entry,
+    after: escalated,
+    mail: {
+      to: escalateTo,
+      ...escalationEmail(stage, {
+        dealName,
+        count: entry.count,
+        contactEmail: contact ? contact.email : null,
+        since: entry.since,
+        dashboardUrl,
+        hubspotUrl: dealRecordUrl(deal.id)
+      })
+    }
+  });
+  await recordAudit(req, {
+    dealId: deal.id,
+    dealName,
+    action: 'reminder.escalated',
+    endpoint: '/api/reminders',
+    details: { stage, to: escalateTo, count: entry.count },
+    summary: contact
+      ? `No response after ${entry.count} reminder(s) (${stage}); escalated to ${escalateTo}.`
+      : `No contact email to remind (${stage}); escalated to ${escalateTo}.`,
+    actor: SYSTEM_ACTOR
+  });
+  return escalated;
+}
+
+// Scheduled follow-ups for customers who have stalled (see _lib/reminders.js).
+//   GET             run now: Vercel cron (CRON_SECRET) or a signed-in staff member
+//   GET ?dryRun=1   report what would be sent without sending or saving anything
+// A deal is tracked the first time it's seen in a stage; each reminder has a
+// freshly issued customer link, and after REMINDER_MAX_ATTEMPTS the follow-up
+// goes to staff (REMINDER_ESCALATION_EMAIL) instead. Each run looks at no
+// more than MAX_DEALS_PER_STAGE deals a stage and stops emailing and saving
+// at MAX_EMAILS_PER_RUN / MAX_WRITES_PER_RUN; `limited` says work was left.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+  if (!isCronRequest(req) && !isStaffRequest(req)) return res.status(401).json({ error: 'Not authorized' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  const dryRun = Boolean((req.query || {}).dryRun);
+  const settings = reminderSettings();
+  const result = { sent: [], escalated: [], failed: [], tracked: 0, limited: false, dryRun };
+  // Reminder state per deal for this run, so a deal in two stages keeps both
+  const states = new Map();
+  let emails = 0;
+  let writes = 0;
+
+  try {
+    for (const [stage, config] of Object.entries(REMINDER_STAGES)) {
+      const { deals, limited } = await dealsInView(config.view);
+      if (limited) result.limited = true;
+      for (const deal of deals) {
+        const p = deal.properties;
+        if (!states.has(deal.id)) states.set(deal.id, parseReminders(p[REMINDERS_PROPERTY]));
+        const state = states.get(deal.id);
+        const due = nextReminder(state[stage], {
+          marker: config.marker(p),
+          since: config.since(p),
+          days: settings.days[stage],
+          maxAttempts: settings.maxAttempts
+        });
+        if (!due.action && !due.changed) continue;
+        if (writes >= MAX_WRITES_PER_RUN || (due.action && emails >= MAX_EMAILS_PER_RUN)) {
+          result.limited = true;
+          continue;
+        }
+        if (due.changed) result.tracked++;
+
+        const save = async (entry) => {
+          state[stage] = entry;
+          if (dryRun) return;
+          writes++;
+          await updateDeal(deal.id, { [REMINDERS_PROPERTY]: JSON.stringify(state) });
+        };
+        try {
+          const entry = due.entry;
+          if (due.action) {
+            const contacts = await getDealContacts(deal.id);
+            const contact = config.contact === 'payer' ? (contacts.payer || contacts.primary) : contacts.primary;
+            const reachable = contact && contact.email;
+            const action = due.action === 'remind' && reachable ? 'remind' : 'escalate';
+            const args = { deal, stage, entry, contact: reachable ? contact : null, escalateTo: settings.escalateTo, dryRun, save };
+            emails++;
+            const done = action === 'remind' ? await remind(req, args) : await escalate(req, args);
+            result[action === 'remind' ? 'sent' : 'escalated'].push({
+              dealId: deal.id,
+              dealName: p.dealname || '',
+              stage,
+              to: action === 'remind' ? contact.email : settings.escalateTo,
+              count: done.count
+            });
+          } else {
+            await save(entry);
+          }
+        } catch (error) {
+          console.error(`Reminder failed for deal ${deal.id}:`, error.message);
+          const report = await reportError('sketch-review', '/api/reminders', error, deal.id, p.dealname);
+          result.failed.push({ dealId: deal.id, stage, error: error.message, ...report });
+        }
+      }
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Reminders error:', error.message);
+    const report = await reportError('sketch-review', '/api/reminders', error);
+    return res.status(500).json({ error: 'Failed to run reminders', details: error.message, ...result, ...report });
+  }
+}
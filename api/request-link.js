@@ -0,0 +1,75 @@
+import { getDeal, findDealByNumber, getDealContacts, updateDeal } from './_lib/hubspot.js';
+import { issueLinkToken, linkUrl } from './_lib/link-token.js';
+import { postToN8n } from './_lib/n8n.js';
+import { reportError } from './_lib/report-error.js';
+
+// Deal property holding when a link was last emailed from here
+const REQUESTED_PROPERTY = 'link_requested_at';
+const COOLDOWN_MS = 15 * 60 * 1000;
+
+// Emails a fresh signed sketch-review link to the deal's contact. This is
+// how customers holding an old unsigned or expired link get back in; the
+// link only ever goes to the address on the deal, never to the requester.
+// Anyone can call it, so each deal gets at most one email per cooldown;
+// asking again sooner is a 429.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const { dealId } = req.body || {};
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    // Old links may carry the deal number instead of the HubSpot ID
+    const properties = ['dealname', REQUESTED_PROPERTY];
+    const deal = await getDeal(dealId, properties) || await findDealByNumber(dealId, properties);
+
+    // Same response whether or not the deal exists, so this can't be used to probe deals
+    if (!deal) return res.status(200).json({ success: true });
+    dealName = deal.properties.dealname;
+
+    const { primary, payer } = await getDealContacts(deal.id);
+    const contact = primary || payer;
+    if (!contact || !contact.email) return res.status(200).json({ success: true });
+
+    const lastSent = Date.parse(deal.properties[REQUESTED_PROPERTY] || '');
+    const wait = lastSent ? lastSent + COOLDOWN_MS - Date.now() : 0;
+    if (wait > 0) {
+      res.setHeader('Retry-After', String(Math.ceil(wait / 1000)));
+      return res.status(429).json({ error: 'A new link was just sent. Please check your email or try again in a few minutes.' });
+    }
+
+    // Claimed before sending so repeated requests can't slip in meanwhile
+    await updateDeal(deal.id, { [REQUESTED_PROPERTY]: new Date().toISOString() });
+    const { token } = await issueLinkToken(deal.id, 'sketch-approval');
+    try {
+      await postToN8n('sketch-link-request', {
+        dealId: deal.id,
+        dealName,
+        url: linkUrl(deal.id, 'sketch-approval', token),
+        contactEmail: contact.email,
+        contactName: contact.name
+      });
+    } catch (e) {
+      // Nothing went out, so the customer can try again straight away
+      try {
+        await updateDeal(deal.id, { [REQUESTED_PROPERTY]: deal.properties[REQUESTED_PROPERTY] || '' });
+      } catch (resetError) {
+        console.error('Link request reset failed:', resetError.message);
+      }
+      throw e;
+    }
+
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Request link error:', error.message);
+    const report = await reportError('sketch-review', '/api/request-link', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to send a new link', details: error.message, ...report });
+  }
+}
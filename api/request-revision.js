@@ -0,0 +1,165 @@
+import { getDeal, updateDeal, updateDealWhile } from './_lib/hubspot.js';
+import { authorizeDealRequest } from './_lib/auth.js';
+import { LinkTokenError } from './_lib/link-token.js';
+import { postToN8n } from './_lib/n8n.js';
+import { ValidationError, text, number, oneOf, list, url } from './_lib/validate.js';
+import { isApproved, REVISION_REQUESTED, parseSketchOptions } from './_lib/sketch-review.js';
+import { SKETCH_PROPERTIES, HISTORY_PROPERTY, parseSketchHistory, currentSketchSource, storeReferenceImages, addRevision } from './_lib/sketch-history.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+// Vercel rejects bodies over 4.5MB; keep the images comfortably under that
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+const ANNOTATION_TYPES = ['pin', 'rect'];
+
+function readImage(image, field, fallbackName) {
+  const type = text(image && image.type, `${field}.type`, { max: 100 });
+  const data = typeof (image && image.data) === 'string' ? image.data : '';
+  if (!type.startsWith('image/') || !data.startsWith('data:image/')) {
+    throw new ValidationError(`${field} must be an image`);
+  }
+  return { name: text(image.name, `${field}.name`, { max: 255 }) || fallbackName, type, data };
+}
+
+// The annotated sketch shares the size budget with the reference images
+function readImages(body) {
+  const referenceImages = list(body.referenceImages, 'referenceImages', { max: 10 })
+    .map((image, i) => readImage(image, `referenceImages[${i}]`, `image-${i + 1}`));
+  const annotatedSketch = body.annotatedSketch ? readImage(body.annotatedSketch, 'annotatedSketch', 'annotated-sketch.png') : null;
+
+  const totalBytes = [...referenceImages, annotatedSketch].filter(Boolean)
+    .reduce((sum, image) => sum + Math.floor(image.data.length * 3 / 4), 0);
+  if (totalBytes > MAX_IMAGE_BYTES) throw new ValidationError('Reference images are too large (max 4MB total)');
+  return { referenceImages, annotatedSketch };
+}
+
+// Pins and rectangles dropped on the sketch (the first page of a PDF).
+// Positions and sizes are fractions of the sketch's width and height.
+function readAnnotations(value) {
+  return list(value, 'annotations', { max: 30 }).map((a, i) => {
+    const field = `annotations[${i}]`;
+    if (!a || typeof a !== 'object') throw new ValidationError(`${field} must be an object`);
+    const type = oneOf(a.type, `${field}.type`, ANNOTATION_TYPES);
+    const annotation = {
+      number: i + 1,
+      type,
+      x: number(a.x, `${field}.x`, { max: 1 }),
+      y: number(a.y, `${field}.y`, { max: 1 })
+    };
+    if (type === 'rect') {
+      annotation.width = Math.min(number(a.width, `${field}.width`, { max: 1 }), 1 - annotation.x);
+      annotation.height = Math.min(number(a.height, `${field}.height`, { max: 1 }), 1 - annotation.y);
+    }
+    annotation.comment = text(a.comment, `${field}.comment`, { max: 1000, required: true });
+    return annotation;
+  });
+}
+
+// Customer revision request for a sketch, optionally with numbered
+// annotations and a flattened PNG of the annotated sketch. Once n8n has the
+// request, the current sketch goes into the deal's sketch history with the
+// notes, annotations and images, and multi-option choices are cleared so the
+// next review link shows the new sketch.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const { dealId } = req.body || {};
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    await authorizeDealRequest(req, dealId, 'sketch-approval');
+    const revisionNotes = text(req.body.revisionNotes, 'revisionNotes', { max: 5000, required: true });
+    const { referenceImages, annotatedSketch } = readImages(req.body);
+    const annotations = readAnnotations(req.body.annotations);
+    const originalSketchUrl = url(req.body.originalSketchUrl, 'originalSketchUrl');
+
+    const deal = await getDeal(dealId, ['dealname', 'sketch_approved', 'sketch_options', 'selected_sketch_option', ...SKETCH_PROPERTIES]);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname;
+
+    const status = deal.properties.sketch_approved;
+    if (isApproved(status)) return res.status(409).json({ error: 'This design has already been approved' });
+    if (status === REVISION_REQUESTED) {
+      return res.status(409).json({ error: 'A revision has already been requested for this design' });
+    }
+
+    const hasOptions = parseSketchOptions(deal.properties.sketch_options).length > 0;
+    const payload = {
+      dealId: deal.id,
+      orderName: dealName || 'Your Order',
+      action: 'revision_requested',
+      revisionNotes,
+      referenceImages,
+      originalSketchUrl,
+      submittedAt: new Date().toISOString()
+    };
+    if (hasOptions) payload.hasOptions = true;
+    if (annotations.length > 0) payload.annotations = annotations;
+    if (annotatedSketch) payload.annotatedSketch = annotatedSketch;
+
+    // Marked first so a double-click or retry can't send the request twice
+    await updateDealWhile(deal.id, { sketch_approved: REVISION_REQUESTED }, deal.properties, () => postToN8n('sketch-review', payload));
+
+    // Images are kept in HubSpot Files so the history and audit note can show them later
+    let storedImages = referenceImages.map(i => ({ fileId: null, name: i.name }));
+    let storedAnnotated = null;
+    try {
+      storedImages = await storeReferenceImages(deal.id, referenceImages);
+      if (annotatedSketch) [storedAnnotated] = await storeReferenceImages(deal.id, [annotatedSketch]);
+    } catch (e) {
+      console.error('Storing reference images failed:', e.message);
+    }
+
+    const revision = { notes: revisionNotes, referenceImages: storedImages, requestedAt: payload.submittedAt };
+    if (annotations.length > 0) revision.annotations = annotations;
+    if (storedAnnotated) revision.annotatedSketch = storedAnnotated;
+    const history = addRevision(parseSketchHistory(deal.properties[HISTORY_PROPERTY]), currentSketchSource(deal.properties), revision);
+    const sketchVersion = history[history.length - 1].version;
+
+    // Only what was saved goes in the audit diff; the history itself is
+    // summed up by sketchVersion in the details
+    let cleared = {};
+    try {
+      const options = hasOptions ? { sketch_options: '', selected_sketch_option: '' } : {};
+      await updateDeal(deal.id, { [HISTORY_PROPERTY]: JSON.stringify(history), ...options });
+      cleared = options;
+    } catch (e) {
+      console.error('Saving sketch history failed:', e.message);
+      // The request reached n8n; the designer can clear options by hand
+    }
+
+    await recordAudit(req, {
+      dealId: deal.id,
+      dealName,
+      action: 'sketch.revision_requested',
+      endpoint: '/api/request-revision',
+      changes: diffProperties(deal.properties, { sketch_approved: REVISION_REQUESTED, ...cleared }),
+      details: {
+        revisionNotes,
+        referenceImages: storedImages,
+        originalSketchUrl,
+        sketchVersion,
+        annotations
+      },
+      summary: `Revision requested: ${revisionNotes}` +
+        annotations.map(a => `\n${a.number}. ${a.comment}`).join(''),
+      attachmentIds: storedAnnotated ? [storedAnnotated.fileId] : []
+    });
+
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Revision request error:', error.message);
+    const report = await reportError('sketch-review', '/api/request-revision', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to submit your revision request', details: error.message, ...report });
+  }
+}
@@ -0,0 +1,140 @@
+import { getDeal, getDealContacts, getDealQuote, updateDeal, updateDealWhile } from './_lib/hubspot.js';
+import { getStaffSession } from './_lib/auth.js';
+import { issueLinkToken, linkUrl } from './_lib/link-token.js';
+import { postToN8n } from './_lib/n8n.js';
+import { ValidationError, text, oneOf, list } from './_lib/validate.js';
+import { isFinalized, readVerbiage, readQuoteItems } from './_lib/po-quote.js';
+import { PRICING_PROPERTY, PRICING_PROPERTIES, parsePricing, readPricing, priceQuote } from './_lib/pricing.js';
+import {
+  CHANGE_REQUESTS_PROPERTY, SENT_TO_CUSTOMER, parseChangeRequests, openChangeRequests, quoteSnapshot, resolveChangeRequests
+} from './_lib/po-change-requests.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+// Staff save of a PO quote draft, or send of the customer review link.
+//   { dealId, action: 'save' | 'send-review', items, deletedItems, addressee, quoteTitle, quoteNotes, verbiage, pricing }
+// The pricing terms (discount, shipping, tax exemption) are saved on the deal
+// here; n8n gets them with the resulting breakdown for the HubSpot quote.
+// Sending resolves the customer's open change requests, each with a list of
+// what the new quote changes so the review page and email can show it.
+// The deal is marked Sent to Customer before n8n emails the link, and the
+// old status is put back if that fails.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const session = getStaffSession(req);
+  if (!session) return res.status(401).json({ error: 'Staff login required' });
+
+  const { dealId } = req.body || {};
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    const action = oneOf(req.body.action, 'action', ['save', 'send-review']);
+    const items = readQuoteItems(req.body.items);
+    const deletedItems = list(req.body.deletedItems, 'deletedItems', { max: 100 })
+      .map((id, i) => text(id, `deletedItems[${i}]`, { max: 50, required: true }));
+    const fields = {
+      addressee: text(req.body.addressee, 'addressee', { max: 200 }),
+      quoteTitle: text(req.body.quoteTitle, 'quoteTitle', { max: 200 }),
+      quoteNotes: text(req.body.quoteNotes, 'quoteNotes', { max: 2000 }),
+      verbiage: readVerbiage(req.body.verbiage)
+    };
+    const pricingTerms = readPricing(req.body.pricing);
+
+    const deal = await getDeal(dealId, ['dealname', 'po_quote_status', CHANGE_REQUESTS_PROPERTY, ...PRICING_PROPERTIES]);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname;
+
+    if (isFinalized(deal.properties.po_quote_status)) {
+      return res.status(409).json({ error: `This quote is already ${deal.properties.po_quote_status.toLowerCase()} and can't be changed` });
+    }
+
+    const { primary } = await getDealContacts(deal.id);
+    if (action === 'send-review' && !(primary && primary.email)) {
+      return res.status(400).json({ error: 'The deal needs a primary contact with an email to send the review link' });
+    }
+    const existingQuote = await getDealQuote(deal.id);
+
+    // The certificate on file is kept; only /api/tax-exemption changes it
+    const savedTerms = parsePricing(deal.properties[PRICING_PROPERTY]);
+    const terms = pricingTerms ? { ...savedTerms, ...pricingTerms } : savedTerms;
+    const pricingProperties = pricingTerms ? { [PRICING_PROPERTY]: JSON.stringify(terms) } : {};
+    if (pricingTerms) await updateDeal(deal.id, pricingProperties);
+    const pricing = priceQuote(items.reduce((sum, item) => sum + item.price * item.quantity, 0), terms, deal.properties.shipping_state);
+
+    let reviewUrl = null;
+    let changeRequests = parseChangeRequests(deal.properties[CHANGE_REQUESTS_PROPERTY]);
+    const answered = action === 'send-review' ? openChangeRequests(changeRequests).map(r => r.id) : [];
+    if (action === 'send-review') {
+      const { token } = await issueLinkToken(deal.id, 'po-review');
+      reviewUrl = linkUrl(deal.id, 'po-review', token);
+      changeRequests = resolveChangeRequests(changeRequests, answered, {
+        by: session.email,
+        quote: quoteSnapshot({ items, pricing, ...fields })
+      });
+    }
+    const resolvedRequests = changeRequests
+      .filter(r => answered.includes(r.id))
+      .map(r => ({ id: r.id, message: r.message, changes: r.changes }));
+
+    const send = () => postToN8n('process-po-quote', {
+      action,
+      dealId: deal.id,
+      dealName: dealName || '',
+      items,
+      deletedItems,
+      existingQuoteId: existingQuote ? existingQuote.id : null,
+      ...fields,
+      quoteTitle: fields.quoteTitle || dealName,
+      pricing,
+      contactEmail: primary ? primary.email : null,
+      contactName: primary ? primary.name : null,
+      contactId: primary ? primary.id : null,
+      reviewUrl,
+      changeRequests: resolvedRequests,
+      staffEmail: session.email
+    });
+    const result = action === 'send-review'
+      ? await updateDealWhile(deal.id, { po_quote_status: SENT_TO_CUSTOMER }, deal.properties, send)
+      : await send();
+
+    if (answered.length > 0) await updateDeal(deal.id, { [CHANGE_REQUESTS_PROPERTY]: JSON.stringify(changeRequests) });
+
+    await recordAudit(req, {
+      dealId: deal.id,
+      dealName,
+      action: action === 'send-review' ? 'po_quote.sent' : 'po_quote.saved',
+      endpoint: '/api/save-po-quote',
+      changes: diffProperties(deal.properties, {
+        po_quote_status: action === 'send-review' ? SENT_TO_CUSTOMER : 'Draft',
+        ...pricingProperties
+      }),
+      details: {
+        items,
+        deletedItems,
+        ...fields,
+        pricing,
+        sentTo: action === 'send-review' ? primary.email : null,
+        ...(answered.length > 0 ? { changeRequests: resolvedRequests } : {})
+      },
+      summary: action === 'send-review'
+        ? `PO quote sent to ${primary.email} for review: ${items.length} line item(s), $${pricing.total.toFixed(2)}.` +
+          (answered.length > 0 ? ` Answers ${answered.length} change request(s).` : '')
+        : `PO quote draft saved: ${items.length} line item(s), $${pricing.total.toFixed(2)}.`
+    });
+
+    return res.status(200).json({ ...(result && typeof result === 'object' ? result : {}), success: true, reviewUrl });
+  } catch (error) {
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Save PO quote error:', error.message);
+    const report = await reportError('sketch-review', '/api/save-po-quote', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to save the PO quote', details: error.message, ...report });
+  }
+}
@@ -0,0 +1,69 @@
+import { getDeal, replaceLineItems, updateDeal } from './_lib/hubspot.js';
+import { authorizeDealRequest } from './_lib/auth.js';
+import { LinkTokenError } from './_lib/link-token.js';
+import { isApproved, parseSketchOptions, optionTotal } from './_lib/sketch-review.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+// Vercel serverless function to record the customer's chosen sketch option
+// and swap the deal's line items to that option's items
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  const { dealId, label } = req.body || {};
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+  if (!label) return res.status(400).json({ error: 'label is required' });
+
+  let dealName = null;
+  try {
+    await authorizeDealRequest(req, dealId, 'sketch-approval');
+
+    // Options are read from the deal, not the request, so the client can't change the pricing
+    const deal = await getDeal(dealId, ['dealname', 'sketch_options', 'sketch_approved', 'selected_sketch_option']);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname;
+
+    if (isApproved(deal.properties.sketch_approved)) {
+      return res.status(409).json({ error: 'This design has already been approved' });
+    }
+
+    const option = parseSketchOptions(deal.properties.sketch_options).find(o => o.label === label);
+    if (!option || !Array.isArray(option.items) || option.items.length === 0) {
+      return res.status(400).json({ error: `Option ${label} not found on this deal` });
+    }
+
+    // Swap the deal's line items for the selected option's items
+    await replaceLineItems(dealId, option.items);
+
+    const total = optionTotal(option);
+
+    await updateDeal(dealId, { selected_sketch_option: option.label });
+
+    await recordAudit(req, {
+      dealId,
+      dealName,
+      action: 'options.selected',
+      endpoint: '/api/select-option',
+      changes: diffProperties(deal.properties, { selected_sketch_option: option.label }),
+      details: { label: option.label, name: option.name || '', total, items: option.items },
+      summary: `Sketch option ${option.label}${option.name ? ` (${option.name})` : ''} selected, $${total.toFixed(2)}. Deal line items replaced with this option's items.`
+    });
+
+    return res.status(200).json({
+      success: true,
+      option: { label: option.label, name: option.name || '', total }
+    });
+  } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
+    console.error('Select option error:', error.message);
+    const report = await reportError('sketch-review', '/api/select-option', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to save your selection', details: error.message, ...report });
+  }
+}
@@ -1,4 +1,31 @@
-// Vercel serverless function to save sketch options to a HubSpot deal
+import { getDeal, updateDeal } from './_lib/hubspot.js';
+import { isStaffRequest, getStaffSession } from './_lib/auth.js';
+import { ValidationError } from './_lib/validate.js';
+import { readSketchOptions, optionsSummary, sketchOptionsVersion } from './_lib/sketch-review.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+const BEFORE_PROPERTIES = [
+  'dealname', 'sketch_options', 'selected_sketch_option', 'line_items_summary', 'sketch_options_saved_by',
+  'sketch_options_saved_at', 'sketch_options_viewed_at'
+];
+
+function conflictMessage(properties) {
+  const by = properties.sketch_options_saved_by;
+  const at = properties.sketch_options_saved_at;
+  const who = by ? ` by ${by}` : '';
+  const when = at ? ` at ${new Date(at).toUTCString()}` : '';
+  return `These options were changed${who}${when} after you loaded them. Load the latest options and make your changes again.`;
+}
+
+// Vercel serverless function to save sketch options to a HubSpot deal.
+// Options are validated and cleaned first; see readSketchOptions.
+// `expectedVersion` is the sketchOptionsVersion the designer loaded and is
+// required; a save made against older options is refused with a 409. HubSpot
+// has no conditional update, so two saves landing within the same moment can
+// still both go through, but a designer working from a stale page cannot.
+// Changed options clear the customer's selection, since it may no longer
+// exist or cost the same; they choose again from the new options.
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -7,60 +34,60 @@ export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
 
-  const HUBSPOT_TOKEN = process.env.HUBSPOT_TOKEN;
-  if (!HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+  // Options are set by the designer, never the customer
+  if (!isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
 
-  const { dealId, options } = req.body;
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
 
+  const { dealId, expectedVersion } = req.body || {};
   if (!dealId) return res.status(400).json({ error: 'dealId is required' });
-  if (!options || !Array.isArray(options) || options.length === 0) {
-    return res.status(400).json({ error: 'options array is required' });
+  if (typeof expectedVersion !== 'string' || !expectedVersion) {
+    return res.status(400).json({ error: 'expectedVersion is required; load the options before saving them' });
   }
 
-  // Build summary text for email display
-  const summaryLines = [];
-  options.forEach(opt => {
-    let optTotal = 0;
-    const itemLines = opt.items.map(item => {
-      const price = parseFloat(item.price) || 0;
-      const qty = parseInt(item.quantity) || 1;
-      const lineTotal = price * qty;
-      optTotal += lineTotal;
-      if (qty > 1) return `  ${item.name} (x${qty}): $${lineTotal.toFixed(2)}`;
-      return `  ${item.name}: $${price.toFixed(2)}`;
-    });
-    summaryLines.push(`Option ${opt.label}: $${optTotal.toFixed(2)}`);
-    itemLines.forEach(l => summaryLines.push(l));
-    summaryLines.push('');
-  });
-
-  const headers = {
-    'Authorization': `Bearer ${HUBSPOT_TOKEN}`,
-    'Content-Type': 'application/json'
-  };
-
   try {
-    const response = await fetch(
-      `https://api.hubapi.com/crm/v3/objects/deals/${dealId}`,
-      {
-        method: 'PATCH',
-        headers,
-        body: JSON.stringify({
-          properties: {
-            sketch_options: JSON.stringify(options),
-            line_items_summary: summaryLines.join('\n').trim()
-          }
-        })
-      }
-    );
-
-    if (!response.ok) {
-      const err = await response.json();
-      return res.status(response.status).json({ error: 'HubSpot update failed', details: err });
+    const options = readSketchOptions(req.body.options);
+    const before = await getDeal(dealId, BEFORE_PROPERTIES);
+    const previousVersion = sketchOptionsVersion(before && before.properties.sketch_options);
+    if (before && expectedVersion !== previousVersion) {
+      return res.status(409).json({
+        error: conflictMessage(before.properties),
+        currentVersion: previousVersion,
+        savedBy: before.properties.sketch_options_saved_by || null,
+        savedAt: before.properties.sketch_options_saved_at || null
+      });
     }
 
-    return res.status(200).json({ success: true });
+    const properties = {
+      sketch_options: JSON.stringify(options),
+      line_items_summary: optionsSummary(options),
+      sketch_options_saved_by: getStaffSession(req).email,
+      sketch_options_saved_at: new Date().toISOString(),
+      // New options have not been seen by the customer yet
+      sketch_options_viewed_at: ''
+    };
+    if (!before || properties.sketch_options !== before.properties.sketch_options) properties.selected_sketch_option = '';
+    await updateDeal(dealId, properties);
+    const version = sketchOptionsVersion(properties.sketch_options);
+
+    await recordAudit(req, {
+      dealId,
+      dealName: before ? before.properties.dealname : null,
+      action: 'options.saved',
+      endpoint: '/api/set-options',
+      changes: diffProperties(before && before.properties, properties),
+      details: { options, version, previousVersion },
+      summary: `Sketch options saved for customer review:\n${properties.line_items_summary}`
+    });
+
+    return res.status(200).json({ success: true, version });
   } catch (error) {
-    return res.status(500).json({ error: 'Failed to save options', details: error.message });
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Set options error:', error.message);
+    const report = await reportError('sketch-review', '/api/set-options', error, dealId);
+    if (error.status) {
+      return res.status(error.status).json({ error: 'HubSpot update failed', details: error.body, ...report });
+    }
+    return res.status(500).json({ error: 'Failed to save options', details: error.message, ...report });
   }
 }
@@ -0,0 +1,60 @@
+import { getDeal } from './_lib/hubspot.js';
+import { authorizeDealRequest } from './_lib/auth.js';
+import { LinkTokenError } from './_lib/link-token.js';
+import { SKETCH_PROPERTIES, currentSketchSource, resolveSketchUrl } from './_lib/sketch-history.js';
+import { reportError } from './_lib/report-error.js';
+
+// Sketches over this are not worth annotating in a browser
+const MAX_SKETCH_BYTES = 20 * 1024 * 1024;
+
+function sketchContentType(upstreamType, sketchUrl) {
+  const type = (upstreamType || '').split(';')[0].trim().toLowerCase();
+  if (type.startsWith('image/') || type === 'application/pdf') return type;
+  return new URL(sketchUrl).pathname.toLowerCase().endsWith('.pdf') ? 'application/pdf' : null;
+}
+
+// Same-origin copy of the deal's current sketch for the annotation layer.
+// Browsers won't export a canvas drawn from a cross-origin image, so the
+// review pages load the sketch through here before flattening annotations.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+
+  const { dealId } = req.query;
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    await authorizeDealRequest(req, dealId, 'sketch-approval');
+
+    const deal = await getDeal(dealId, ['dealname', ...SKETCH_PROPERTIES]);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname;
+
+    const sketchUrl = await resolveSketchUrl(currentSketchSource(deal.properties));
+    if (!sketchUrl) return res.status(404).json({ error: 'This deal has no sketch yet' });
+
+    const response = await fetch(sketchUrl);
+    if (!response.ok) throw new Error(`Sketch download failed: ${response.status}`);
+
+    const contentType = sketchContentType(response.headers.get('content-type'), sketchUrl);
+    if (!contentType) return res.status(415).json({ error: 'The sketch is not an image or PDF' });
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_SKETCH_BYTES) return res.status(413).json({ error: 'The sketch is too large to annotate' });
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    return res.status(200).send(buffer);
+  } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
+    console.error('Sketch file error:', error.message);
+    const report = await reportError('sketch-review', '/api/sketch-file', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to load the sketch', details: error.message, ...report });
+  }
+}
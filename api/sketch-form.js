@@ -0,0 +1,13 @@
+import { isStaffRequest } from './_lib/auth.js';
+
+// Old bookmarks and n8n emails link here; sketches are now submitted on
+// sketch-submit.html rather than the n8n upload form
+export default async function handler(req, res) {
+  if (!isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
+
+  const { dealNumber } = req.query;
+  if (!dealNumber) return res.status(400).json({ error: 'dealNumber is required' });
+
+  res.setHeader('Location', `/sketch-submit.html?deal=${encodeURIComponent(dealNumber)}`);
+  return res.status(302).end();
+}
@@ -0,0 +1,34 @@
+import { isStaffEmail, issueStaffLoginToken } from './_lib/auth.js';
+import { PUBLIC_BASE_URL } from './_lib/config.js';
+import { postToN8n } from './_lib/n8n.js';
+import { reportError } from './_lib/report-error.js';
+
+// Emails a one-click sign-in link to an allowed staff address.
+// The response is the same for any address so it can't be used to probe
+// who is on staff.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const { email, returnTo } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'email is required' });
+
+  if (!isStaffEmail(email)) return res.status(200).json({ success: true });
+
+  try {
+    const token = issueStaffLoginToken(email);
+    let url = `${PUBLIC_BASE_URL}/api/staff-session?token=${encodeURIComponent(token)}`;
+    if (returnTo) url += `&returnTo=${encodeURIComponent(returnTo)}`;
+
+    await postToN8n('staff-login-link', { email: email.trim().toLowerCase(), url, expiresInMinutes: 15 });
+
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Staff login error:', error.message);
+    const report = await reportError('sketch-review', '/api/staff-login', error);
+    return res.status(500).json({ error: 'Failed to send sign-in link', details: error.message, ...report });
+  }
+}
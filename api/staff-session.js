@@ -0,0 +1,48 @@
+import { getStaffSession, redeemStaffLoginToken, clearStaffSessionCookie } from './_lib/auth.js';
+
+const RETURN_BASE = 'https://staff.invalid';
+
+// Only same-site paths, so the login link can't bounce staff to another site.
+// Browsers read `/\evil.com` as `//evil.com`, so backslashes and control
+// characters are refused outright and the rest must resolve to our own origin.
+function safeReturnTo(returnTo) {
+  if (typeof returnTo !== 'string' || !returnTo.startsWith('/') || /[\\\x00-\x1f\x7f]/.test(returnTo)) {
+    return '/bookmark.html';
+  }
+  let url;
+  try {
+    url = new URL(returnTo, RETURN_BASE);
+  } catch {
+    return '/bookmark.html';
+  }
+  return url.origin === RETURN_BASE ? url.pathname + url.search + url.hash : '/bookmark.html';
+}
+
+// Staff session endpoint.
+//   GET ?token=&returnTo=  magic-link target: sets the session cookie and redirects
+//   GET                    -> { email } when signed in, 401 otherwise
+//   DELETE                 signs out
+export default async function handler(req, res) {
+  if (req.method === 'DELETE') {
+    res.setHeader('Set-Cookie', clearStaffSessionCookie());
+    return res.status(200).json({ success: true });
+  }
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { token, returnTo } = req.query;
+  if (token) {
+    const returnPath = safeReturnTo(returnTo);
+    const cookie = redeemStaffLoginToken(token);
+    if (!cookie) {
+      res.setHeader('Location', `/staff-login.html?expired=1&returnTo=${encodeURIComponent(returnPath)}`);
+      return res.status(302).end();
+    }
+    res.setHeader('Set-Cookie', cookie);
+    res.setHeader('Location', returnPath);
+    return res.status(302).end();
+  }
+
+  const session = getStaffSession(req);
+  if (!session) return res.status(401).json({ error: 'Staff login required' });
+  return res.status(200).json(session);
+}
@@ -0,0 +1,129 @@
+import { getDeal, updateDeal, uploadFile, getDealContacts } from './_lib/hubspot.js';
+import { isStaffRequest, getStaffSession } from './_lib/auth.js';
+import { issueLinkToken, linkUrl } from './_lib/link-token.js';
+import { postToN8n } from './_lib/n8n.js';
+import { ValidationError, text, number, oneOf, list, url } from './_lib/validate.js';
+import { COSTUME_COMPONENTS } from './_lib/sketch-review.js';
+import { SKETCH_PROPERTIES } from './_lib/sketch-history.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+// Base64 grows the file by a third; this keeps the body under Vercel's 4.5MB
+const MAX_SKETCH_BYTES = 3 * 1024 * 1024;
+const SKETCH_FOLDER = '/sketch-uploads';
+const SKETCH_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'application/pdf'];
+
+const BEFORE_PROPERTIES = [
+  'dealname', 'designer_notes', 'sketch_video_url', 'has_stoning', 'stoning_budget_low',
+  'stoning_budget_high', 'costume_components', 'sketch_approved', ...SKETCH_PROPERTIES
+];
+
+function readSketchFile(value) {
+  if (!value || typeof value !== 'object') throw new ValidationError('sketch is required');
+  const type = oneOf(value.type, 'sketch.type', SKETCH_TYPES);
+  const data = typeof value.data === 'string' ? value.data : '';
+  if (!data.startsWith(`data:${type};base64,`)) throw new ValidationError('sketch must be a base64 data URL');
+  const buffer = Buffer.from(data.split(',')[1], 'base64');
+  if (buffer.length === 0) throw new ValidationError('sketch is empty');
+  if (buffer.length > MAX_SKETCH_BYTES) throw new ValidationError('The sketch is too large (max 3MB)');
+  return { name: text(value.name, 'sketch.name', { max: 255 }) || 'sketch', type, buffer };
+}
+
+function readStoning(body) {
+  if (!body.hasStoning) return { has_stoning: 'No', stoning_budget_low: '', stoning_budget_high: '' };
+  const low = number(body.stoningBudgetLow, 'stoningBudgetLow', { min: 1 });
+  const high = number(body.stoningBudgetHigh, 'stoningBudgetHigh', { min: low });
+  return { has_stoning: 'Yes', stoning_budget_low: String(low), stoning_budget_high: String(high) };
+}
+
+// Designer sketch submission from sketch-submit.html. Uploads the sketch to
+// HubSpot Files, writes it and the review-page fields to the deal, and issues
+// the customer's review link, optionally emailing it through n8n. A new
+// sketch reopens the review, so any earlier revision request is cleared.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  if (!isStaffRequest(req)) return res.status(401).json({ error: 'Staff login required' });
+
+  const { dealId } = req.body || {};
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    const sketch = readSketchFile(req.body.sketch);
+    const components = list(req.body.components, 'components', { max: Object.keys(COSTUME_COMPONENTS).length })
+      .map((c, i) => oneOf(c, `components[${i}]`, Object.keys(COSTUME_COMPONENTS)));
+    const properties = {
+      designer_notes: text(req.body.designerNotes, 'designerNotes', { max: 2000 }),
+      sketch_video_url: url(req.body.zoomClipUrl, 'zoomClipUrl') || '',
+      costume_components: [...new Set(components)].join(';'),
+      ...readStoning(req.body),
+      sketch_approved: ''
+    };
+
+    const deal = await getDeal(dealId, BEFORE_PROPERTIES);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname;
+
+    const uploaded = await uploadFile({
+      buffer: sketch.buffer,
+      fileName: `${dealName || deal.id}-${Date.now()}-${sketch.name}`,
+      contentType: sketch.type,
+      folderPath: SKETCH_FOLDER
+    });
+    properties.sketch = String(uploaded.id);
+    await updateDeal(deal.id, properties);
+
+    const issued = await issueLinkToken(deal.id, 'sketch-approval');
+    const reviewUrl = linkUrl(deal.id, 'sketch-approval', issued.token);
+
+    let notified = false;
+    if (req.body.notifyCustomer) {
+      const { primary, payer } = await getDealContacts(deal.id);
+      const contact = primary || payer;
+      if (contact && contact.email) {
+        await postToN8n('sketch-ready', {
+          dealId: deal.id,
+          dealName,
+          url: reviewUrl,
+          contactEmail: contact.email,
+          contactName: contact.name,
+          designerNotes: properties.designer_notes || null,
+          designerEmail: getStaffSession(req).email
+        });
+        notified = true;
+      }
+    }
+
+    await recordAudit(req, {
+      dealId: deal.id,
+      dealName,
+      action: 'sketch.submitted',
+      endpoint: '/api/submit-sketch',
+      changes: diffProperties(deal.properties, properties),
+      details: { fileName: sketch.name, components, notified, linkExpiresAt: issued.expiresAt },
+      summary: `New sketch submitted for customer review: ${sketch.name}` +
+        (notified ? '\nThe review link was emailed to the customer.' : ''),
+      attachmentIds: [properties.sketch]
+    });
+
+    return res.status(200).json({
+      success: true,
+      fileId: properties.sketch,
+      reviewUrl,
+      expiresAt: issued.expiresAt,
+      notified
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Submit sketch error:', error.message);
+    const report = await reportError('sketch-review', '/api/submit-sketch', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to submit the sketch', details: error.message, ...report });
+  }
+}
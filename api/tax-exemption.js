@@ -0,0 +1,134 @@
+import { getDeal, getLineItems, lineItemsTotal, uploadFile, updateDeal } from './_lib/hubspot.js';
+import { getStaffSession } from './_lib/auth.js';
+import { verifyLinkToken, LinkTokenError } from './_lib/link-token.js';
+import { ValidationError, text, oneOf } from './_lib/validate.js';
+import { isFinalized } from './_lib/po-quote.js';
+import { PRICING_PROPERTY, PRICING_PROPERTIES, parsePricing, dealPricing } from './_lib/pricing.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
+
+const MAX_CERTIFICATE_BYTES = 3 * 1024 * 1024;
+const CERTIFICATE_FOLDER = '/tax-exemptions';
+const CERTIFICATE_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+
+function readCertificate(value) {
+  if (!value || typeof value !== 'object') throw new ValidationError('certificate is required');
+  const type = oneOf(value.type, 'certificate.type', CERTIFICATE_TYPES);
+  const data = typeof value.data === 'string' ? value.data : '';
+  if (!data.startsWith(`data:${type};base64,`)) throw new ValidationError('certificate must be a base64 data URL');
+  const buffer = Buffer.from(data.split(',')[1], 'base64');
+  if (buffer.length === 0) throw new ValidationError('certificate is empty');
+  if (buffer.length > MAX_CERTIFICATE_BYTES) throw new ValidationError('The certificate is too large (max 3MB)');
+  return { name: text(value.name, 'certificate.name', { max: 255 }) || 'certificate', type, buffer };
+}
+
+// What the school's page shows of the certificate (no file link)
+function publicCertificate(certificate) {
+  return { name: certificate.name, uploadedAt: certificate.uploadedAt, status: certificate.status };
+}
+
+// Staff have checked the school's certificate: the quote stops charging tax
+async function approveCertificate(req, res, deal, session) {
+  const saved = parsePricing(deal.properties[PRICING_PROPERTY]);
+  const certificate = saved.exemptionCertificate;
+  if (!certificate) return res.status(404).json({ error: 'No exemption certificate on file' });
+  if (certificate.status !== 'pending') return res.status(409).json({ error: 'This certificate is already approved' });
+
+  const approved = { ...certificate, status: 'approved', approvedBy: session.email, approvedAt: new Date().toISOString() };
+  const properties = { [PRICING_PROPERTY]: JSON.stringify({ ...saved, taxExempt: true, exemptionCertificate: approved }) };
+  await updateDeal(deal.id, properties);
+
+  await recordAudit(req, {
+    dealId: deal.id,
+    dealName: deal.properties.dealname,
+    action: 'tax_exemption.approved',
+    endpoint: '/api/tax-exemption',
+    changes: diffProperties(deal.properties, properties),
+    details: { fileId: certificate.fileId, fileName: certificate.name, uploadedBy: certificate.uploadedBy },
+    summary: `${session.email} approved the sales tax exemption certificate ${certificate.name}. Quote marked tax-exempt.`
+  });
+
+  const pricing = dealPricing({ ...deal.properties, ...properties }, lineItemsTotal(await getLineItems(deal.id)));
+  return res.status(200).json({ success: true, certificate: approved, pricing });
+}
+
+// Sales tax exemption certificate, uploaded by the school from
+// po-quote-review.html (with its review link) or by staff from po-quote.html.
+// The file is kept private in HubSpot Files and attached to the deal's audit
+// note. A school's certificate is `pending` and tax is still charged until
+// staff approve it in po-quote.html; one staff upload is approved at once.
+// Approving marks the quote tax-exempt, which staff can undo.
+//   POST { dealId, token?, certificate: { name, type, data } }
+//   POST { dealId, action: 'approve' }   (staff)
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  const { dealId, token } = req.body || {};
+  if (!dealId) return res.status(400).json({ error: 'dealId is required' });
+
+  const session = getStaffSession(req);
+  if (!session && !token) return res.status(403).json({ error: 'Access denied' });
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    if (!session) await verifyLinkToken(token, { dealId, purpose: 'po-review' });
+    const action = req.body.action === undefined ? 'upload' : oneOf(req.body.action, 'action', ['approve']);
+    if (action === 'approve' && !session) return res.status(401).json({ error: 'Staff login required' });
+    const certificate = action === 'upload' ? readCertificate(req.body.certificate) : null;
+
+    const deal = await getDeal(dealId, ['dealname', 'po_quote_status', ...PRICING_PROPERTIES]);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname;
+
+    if (isFinalized(deal.properties.po_quote_status)) {
+      return res.status(409).json({ error: `This quote is already ${deal.properties.po_quote_status.toLowerCase()} and can't be changed` });
+    }
+    if (action === 'approve') return approveCertificate(req, res, deal, session);
+
+    const uploaded = await uploadFile({
+      buffer: certificate.buffer,
+      fileName: `${deal.id}-${Date.now()}-${certificate.name}`,
+      contentType: certificate.type,
+      folderPath: CERTIFICATE_FOLDER
+    });
+    const fileId = String(uploaded.id);
+    const uploadedBy = session ? session.email : 'customer';
+
+    const saved = parsePricing(deal.properties[PRICING_PROPERTY]);
+    const uploadedAt = new Date().toISOString();
+    const exemptionCertificate = session
+      ? { fileId, name: certificate.name, uploadedAt, uploadedBy, status: 'approved', approvedBy: session.email, approvedAt: uploadedAt }
+      : { fileId, name: certificate.name, uploadedAt, uploadedBy, status: 'pending' };
+    const terms = { ...saved, taxExempt: session ? true : saved.taxExempt, exemptionCertificate };
+    const properties = { [PRICING_PROPERTY]: JSON.stringify(terms) };
+    await updateDeal(deal.id, properties);
+
+    await recordAudit(req, {
+      dealId: deal.id,
+      dealName,
+      action: 'tax_exemption.uploaded',
+      endpoint: '/api/tax-exemption',
+      changes: diffProperties(deal.properties, properties),
+      details: { fileId, fileName: certificate.name, size: certificate.buffer.length, uploadedBy },
+      summary: `Sales tax exemption certificate uploaded by ${uploadedBy}: ${certificate.name}. ` +
+        (session ? 'Quote marked tax-exempt.' : 'Tax is still charged until staff approve it.'),
+      attachmentIds: [fileId]
+    });
+
+    const updated = { ...deal.properties, ...properties };
+    const pricing = dealPricing(updated, lineItemsTotal(await getLineItems(deal.id)));
+    return res.status(200).json({ success: true, fileId, certificate: publicCertificate(exemptionCertificate), pricing });
+  } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
+    console.error('Tax exemption upload error:', error.message);
+    const report = await reportError('sketch-review', '/api/tax-exemption', error, dealId, dealName);
+    return res.status(500).json({ error: 'Failed to upload the certificate', details: error.message, ...report });
+  }
+}
@@ -1,223 +1,333 @@
-import crypto from 'crypto';
+import { createHash } from 'node:crypto';
+import {
+  getDeal, getDealContacts, getLineItems, lineItemsTotal, uploadFile, updateDeal, dealRecordUrl, getFileContent, deleteFile
+} from './_lib/hubspot.js';
+import { verifyLinkToken, LinkTokenError } from './_lib/link-token.js';
+import { ValidationError, number } from './_lib/validate.js';
+import {
+  PO_DOCUMENTS_PROPERTY, PO_FILE_TYPES, MAX_PO_BYTES, PO_CHUNK_BYTES, parsePoDocuments, dealPoDocuments, publicPoDocument,
+  readUploadKey, readFileType, readChunkedFile, readChunk, readPlacement, poFileName, addPoDocument, staleUploads
+} from './_lib/po-documents.js';
+import { PO_CHECK_PROPERTY, checkPoDocument, poCheckSummary } from './_lib/po-check.js';
+import { parseVerbiage } from './_lib/po-quote.js';
+import { PRICING_PROPERTIES, dealPricing } from './_lib/pricing.js';
+import { postToN8n } from './_lib/n8n.js';
+import { recordAudit, diffProperties } from './_lib/audit.js';
+import { reportError } from './_lib/report-error.js';
 
-async function reportError(system, endpoint, error, dealId, dealName) {
+const DEAL_PROPERTIES = [
+  'dealname', 'po_quote_title', 'po_quote_status', 'po_document_url', 'po_received_date', 'po', 'po_status', PO_DOCUMENTS_PROPERTY,
+  'po_quote_verbiage', PO_CHECK_PROPERTY, ...PRICING_PROPERTIES
+];
+const CHUNK_FOLDER = '/po-documents/uploads';
+// One-request uploads carry the whole file as base64 JSON
+const MAX_SINGLE_BYTES = 3 * 1024 * 1024;
+
+function uploadResponse(document, extra = {}) {
+  return { success: true, fileUrl: document.url, document: publicPoDocument(document), ...extra };
+}
+
+function received(upload) {
+  return upload.chunks.flatMap((fileId, i) => (fileId ? [i] : []));
+}
+
+// What the PO is checked against: the quote's total and the PO number the
+// customer typed when finalizing it
+async function quoteFor(deal) {
+  let quoteTotal = null;
   try {
-    await fetch('https://showoffinc.app.n8n.cloud/webhook/error-alert', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        system, endpoint,
-        error: error.message || String(error),
-        dealId: dealName ? `${dealName} (${dealId})` : (dealId || 'unknown'),
-        timestamp: new Date().toISOString()
-      })
-    });
-  } catch (e) { /* silent */ }
+    quoteTotal = dealPricing(deal.properties, lineItemsTotal(await getLineItems(deal.id))).total;
+  } catch (e) {
+    console.error('Quote total lookup failed:', e.message);
+  }
+  return { quoteTotal, quotePoNumber: parseVerbiage(deal.properties.po_quote_verbiage).poNumber || null };
 }
 
-function validateToken(dealId, token) {
-  const secret = process.env.PO_QUOTE_SECRET;
-  if (!secret || !token) return false;
-  const expected = crypto
-    .createHmac('sha256', secret)
-    .update(String(dealId))
-    .digest('hex')
-    .substring(0, 16);
-  return crypto.timingSafeEqual(
-    Buffer.from(expected, 'utf8'),
-    Buffer.from(String(token).substring(0, 16).padEnd(16, '0'), 'utf8')
-  );
+// Chunk files are scratch space; a leftover one is harmless
+async function deleteChunks(upload) {
+  for (const fileId of upload.chunks.filter(Boolean)) {
+    try {
+      await deleteFile(fileId);
+    } catch (e) {
+      console.error('PO chunk cleanup failed:', e.message);
+    }
+  }
 }
 
-export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') return res.status(200).end();
-  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+// Uploads nobody finished, dropped from `state` with their chunks deleted
+async function dropStaleUploads(state) {
+  for (const key of staleUploads(state.uploads)) {
+    await deleteChunks(state.uploads[key]);
+    delete state.uploads[key];
+  }
+}
 
-  const { dealId, token, fileName, fileType, fileData } = req.body || {};
+/**
+ * Store a complete PO: the file, the deal's PO properties and document list,
+ * an audit note with the file attached, and the staff notification.
+ */
+async function receivePo(req, { deal, state, uploadKey, placement, file }) {
+  const dealId = deal.id;
+  const dealName = deal.properties.dealname || dealId;
+  const quoteTitle = deal.properties.po_quote_title || dealName;
 
-  if (!dealId || !token) return res.status(400).json({ error: 'dealId and token are required' });
-  if (!validateToken(dealId, token)) return res.status(403).json({ error: 'Invalid or expired link' });
-  if (!fileData || !fileName) return res.status(400).json({ error: 'fileName and fileData are required' });
+  // Get payer + primary contacts for confirmation emails (both should receive)
+  let contactEmail = '';
+  let contactName = '';
+  let ccEmail = '';
+  let ccName = '';
+  try {
+    const { payer, primary } = await getDealContacts(dealId);
+    if (payer) {
+      contactEmail = payer.email;
+      contactName = payer.name;
+    }
+    if (primary) {
+      if (!contactEmail) {
+        // No payer — primary is the main recipient
+        contactEmail = primary.email;
+        contactName = primary.name;
+      } else if (primary.email && primary.email !== contactEmail) {
+        // Payer exists and is different — CC primary
+        ccEmail = primary.email;
+        ccName = primary.name;
+      }
+    }
+  } catch (e) { /* contact fetch is best-effort */ }
 
-  const allowedTypes = ['application/pdf', 'image/png', 'image/jpeg'];
-  if (fileType && !allowedTypes.includes(fileType)) {
-    return res.status(400).json({ error: 'File type not allowed. Please upload a PDF, PNG, or JPG.' });
+  // Upload file to HubSpot Files API
+  const uploadData = await uploadFile({
+    buffer: file.buffer,
+    fileName: poFileName(dealName, state.documents, placement.kind, file.fileName),
+    contentType: file.fileType,
+    folderPath: '/po-documents'
+  });
+  const fileId = uploadData.id;
+  const fileUrl = uploadData.url;
+
+  const check = await checkPoDocument(file.buffer, file.fileType, await quoteFor(deal));
+  const checkSummary = poCheckSummary(check);
+
+  const uploadedAt = new Date().toISOString();
+  const documents = addPoDocument(state.documents, {
+    uploadKey,
+    fileId: String(fileId),
+    fileName: file.fileName,
+    fileType: file.fileType,
+    size: file.buffer.length,
+    url: fileUrl,
+    kind: placement.kind,
+    uploadedAt,
+    replaces: placement.replaces ? placement.replaces.id : null,
+    check
+  });
+  const document = documents[documents.length - 1];
+
+  // Update deal properties (including the native PO file property Erica uses)
+  const poProperties = {
+    po_quote_status: 'PO Received',
+    po_document_url: fileUrl,
+    po_received_date: uploadedAt.split('T')[0],
+    po: String(fileId),
+    po_status: 'received',
+    [PO_DOCUMENTS_PROPERTY]: JSON.stringify({ documents, uploads: state.uploads }),
+    [PO_CHECK_PROPERTY]: checkSummary
+  };
+  let updated = true;
+  try {
+    await updateDeal(dealId, poProperties);
+  } catch (e) {
+    updated = false;
+    console.error('Deal property update failed:', e.message);
+    // File is uploaded and the audit note below records it — don't fail the whole request
   }
 
+  // Audit note on the deal with the file attached
+  const label = placement.kind === 'amendment' ? 'PO amendment' : 'Purchase Order';
+  await recordAudit(req, {
+    dealId,
+    dealName,
+    action: placement.replaces ? 'po.replaced' : (placement.kind === 'amendment' ? 'po.amended' : 'po.uploaded'),
+    endpoint: '/api/upload-po',
+    changes: updated ? diffProperties(deal.properties, poProperties) : {},
+    details: {
+      fileName: file.fileName, fileId: String(fileId), fileUrl, size: file.buffer.length,
+      kind: placement.kind, documentId: document.id, replaces: placement.replaces ? placement.replaces.fileName : undefined,
+      check: { poNumber: check.poNumber, total: check.total, vendor: check.vendor, mismatches: check.mismatches }
+    },
+    summary: `${label} received from customer: ${file.fileName}` +
+      (placement.replaces ? ` (replaces ${placement.replaces.fileName}, uploaded in error)` : '') +
+      `\n\n${checkSummary}`,
+    attachmentIds: [fileId]
+  });
+
+  // Fire n8n notification (must await — Vercel kills runtime after response)
+  const dealUrl = dealRecordUrl(dealId);
+  try {
+    await postToN8n('po-received-notification', {
+      dealId, dealName, fileName: file.fileName, dealUrl, fileUrl, contactEmail, contactName, ccEmail, ccName, quoteTitle,
+      kind: placement.kind, replacesFileName: placement.replaces ? placement.replaces.fileName : null,
+      poCheck: check, poCheckSummary: checkSummary
+    });
+  } catch (e) {
+    console.error('PO notification webhook failed:', e.message);
+  }
+
+  return document;
+}
+
+// The whole file in one request (small files, and older pages)
+async function uploadWhole(req, res, { deal, state }) {
+  const { fileName, fileData } = req.body;
+  if (!fileData || !fileName) return res.status(400).json({ error: 'fileName and fileData are required' });
+
   // Strip data URL prefix to get raw base64
   const base64Raw = fileData.includes(',') ? fileData.split(',')[1] : fileData;
-  const fileBuffer = Buffer.from(base64Raw, 'base64');
-  const maxSize = 3 * 1024 * 1024; // 3MB
-  if (fileBuffer.length > maxSize) {
+  const buffer = Buffer.from(base64Raw, 'base64');
+  if (buffer.length > MAX_SINGLE_BYTES) {
     return res.status(400).json({ error: 'File is too large (max 3MB). Please email your PO to support@showoffinc.com.' });
   }
 
-  const HUBSPOT_TOKEN = process.env.HUBSPOT_TOKEN;
-  if (!HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+  // Without a key from the page, the same file sent twice is the same upload
+  const uploadKey = req.body.uploadKey
+    ? readUploadKey(req.body.uploadKey)
+    : `sha256:${createHash('sha256').update(buffer).digest('hex')}`;
+  const existing = state.documents.find(d => d.uploadKey === uploadKey);
+  if (existing) return res.status(200).json(uploadResponse(existing, { duplicate: true }));
 
-  const hsHeaders = {
-    'Authorization': `Bearer ${HUBSPOT_TOKEN}`,
-    'Content-Type': 'application/json'
-  };
+  const placement = readPlacement(req.body, state.documents);
+  const file = { fileName: String(fileName), fileType: readFileType(req.body.fileType), buffer };
+  const document = await receivePo(req, { deal, state, uploadKey, placement, file });
+  return res.status(200).json(uploadResponse(document));
+}
 
-  let dealName = null;
+// One chunk of a larger file, kept as a private file until the rest arrive
+async function uploadChunk(req, res, { deal, state, uploadKey }) {
+  const done = state.documents.find(d => d.uploadKey === uploadKey);
+  if (done) return res.status(200).json(uploadResponse(done, { duplicate: true }));
+
+  const file = readChunkedFile(req.body);
+  let upload = state.uploads[uploadKey];
+  if (upload && (upload.fileName !== file.fileName || upload.size !== file.size)) {
+    return res.status(409).json({ error: 'This upload key belongs to a different file' });
+  }
+  if (!upload) upload = { ...file, chunks: Array(file.chunkCount).fill(null), startedAt: new Date().toISOString() };
+
+  const index = number(req.body.index, 'index', { min: 0, max: upload.chunkCount - 1, integer: true });
+  if (upload.chunks[index]) return res.status(200).json({ success: true, received: received(upload), chunkCount: upload.chunkCount });
+
+  const buffer = readChunk(req.body.data, index, upload);
+  const uploaded = await uploadFile({
+    buffer,
+    fileName: `${deal.id}_${uploadKey.replace(/:/g, '-')}_${index}.part`,
+    contentType: 'application/octet-stream',
+    folderPath: CHUNK_FOLDER,
+    overwrite: true
+  });
+  upload = { ...upload, chunks: upload.chunks.map((fileId, i) => (i === index ? String(uploaded.id) : fileId)) };
+
+  await dropStaleUploads(state);
+  state.uploads[uploadKey] = upload;
   try {
-    // Get deal name + quote title for file naming and notifications
-    const dealRes = await fetch(
-      `https://api.hubapi.com/crm/v3/objects/deals/${dealId}?properties=dealname,po_quote_title`,
-      { headers: hsHeaders }
-    );
-    if (!dealRes.ok) return res.status(404).json({ error: 'Deal not found' });
-    const deal = await dealRes.json();
-    dealName = deal.properties.dealname || dealId;
-    const quoteTitle = deal.properties.po_quote_title || dealName;
+    await updateDeal(deal.id, { [PO_DOCUMENTS_PROPERTY]: JSON.stringify(state) });
+  } catch (e) {
+    // Unrecorded, the chunk would never be used; the page sends it again
+    await deleteChunks({ chunks: [String(uploaded.id)] });
+    throw e;
+  }
+  return res.status(200).json({ success: true, received: received(upload), chunkCount: upload.chunkCount });
+}
 
-    // Get payer + primary contacts for confirmation emails (both should receive)
-    let contactEmail = '';
-    let contactName = '';
-    let ccEmail = '';
-    let ccName = '';
-    try {
-      const assocRes = await fetch(
-        `https://api.hubapi.com/crm/v4/objects/deals/${dealId}/associations/contacts`,
-        { headers: hsHeaders }
-      );
-      if (assocRes.ok) {
-        const assocData = await assocRes.json();
-        const allAssocs = assocData.results || [];
-
-        // Find payer and primary by association label
-        const payerAssoc = allAssocs.find(r =>
-          (r.associationTypes || []).some(a => a.label === 'Payer')
-        );
-        const primaryAssoc = allAssocs.find(r =>
-          (r.associationTypes || []).some(a => a.label === 'Primary Contact')
-        ) || allAssocs[0];
-
-        // Fetch payer contact details
-        if (payerAssoc) {
-          const pRes = await fetch(
-            `https://api.hubapi.com/crm/v3/objects/contacts/${payerAssoc.toObjectId}?properties=email,firstname,lastname`,
-            { headers: hsHeaders }
-          );
-          if (pRes.ok) {
-            const p = await pRes.json();
-            contactEmail = p.properties.email || '';
-            contactName = `${p.properties.firstname || ''} ${p.properties.lastname || ''}`.trim();
-          }
-        }
-
-        // Fetch primary contact details
-        if (primaryAssoc) {
-          const cRes = await fetch(
-            `https://api.hubapi.com/crm/v3/objects/contacts/${primaryAssoc.toObjectId}?properties=email,firstname,lastname`,
-            { headers: hsHeaders }
-          );
-          if (cRes.ok) {
-            const c = await cRes.json();
-            const primaryEmail = c.properties.email || '';
-            const primaryName = `${c.properties.firstname || ''} ${c.properties.lastname || ''}`.trim();
-
-            if (!contactEmail) {
-              // No payer — primary is the main recipient
-              contactEmail = primaryEmail;
-              contactName = primaryName;
-            } else if (primaryEmail && primaryEmail !== contactEmail) {
-              // Payer exists and is different — CC primary
-              ccEmail = primaryEmail;
-              ccName = primaryName;
-            }
-          }
-        }
-      }
-    } catch (e) { /* contact fetch is best-effort */ }
-
-    // Upload file to HubSpot Files API
-    const ext = fileName.split('.').pop() || 'pdf';
-    const hsFileName = `${dealName}_PO.${ext}`;
-
-    const formData = new FormData();
-    formData.append('file', new Blob([fileBuffer], { type: fileType || 'application/pdf' }), hsFileName);
-    formData.append('options', JSON.stringify({
-      access: 'PRIVATE',
-      overwrite: false
-    }));
-    formData.append('folderPath', '/po-documents');
-
-    const uploadRes = await fetch('https://api.hubapi.com/files/v3/files', {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${HUBSPOT_TOKEN}` },
-      body: formData
-    });
+// Join the chunks into the PO once they've all arrived
+async function finishUpload(req, res, { deal, state, uploadKey }) {
+  const done = state.documents.find(d => d.uploadKey === uploadKey);
+  if (done) return res.status(200).json(uploadResponse(done, { duplicate: true }));
 
-    if (!uploadRes.ok) {
-      const uploadErr = await uploadRes.text();
-      throw new Error(`HubSpot file upload failed: ${uploadRes.status} ${uploadErr.substring(0, 300)}`);
-    }
+  const upload = state.uploads[uploadKey];
+  if (!upload) return res.status(404).json({ error: 'Upload not found. Please choose the file and upload it again.' });
+  const missing = upload.chunks.filter(fileId => !fileId).length;
+  if (missing > 0) {
+    return res.status(409).json({ error: `${missing} of ${upload.chunkCount} parts haven't arrived yet`, received: received(upload), chunkCount: upload.chunkCount });
+  }
+  const placement = readPlacement(req.body, state.documents);
 
-    const uploadData = await uploadRes.json();
-    const fileId = uploadData.id;
-    const fileUrl = uploadData.url;
-
-    // Create Note engagement on deal with file attachment
-    const engRes = await fetch('https://api.hubapi.com/engagements/v1/engagements', {
-      method: 'POST',
-      headers: hsHeaders,
-      body: JSON.stringify({
-        engagement: { active: true, type: 'NOTE', timestamp: Date.now() },
-        associations: { dealIds: [Number(dealId)] },
-        metadata: { body: `Purchase Order received from customer: ${fileName}` },
-        attachments: [{ id: fileId }]
-      })
-    });
+  const parts = [];
+  for (const fileId of upload.chunks) parts.push(await getFileContent(fileId));
+  const buffer = Buffer.concat(parts);
+  if (buffer.length !== upload.size) throw new Error(`Joined upload is ${buffer.length} bytes, expected ${upload.size}`);
 
-    if (!engRes.ok) {
-      const engErr = await engRes.text();
-      console.error('Note creation failed:', engErr.substring(0, 300));
-      // Continue — file is uploaded, note is nice-to-have
-    }
+  delete state.uploads[uploadKey];
+  const document = await receivePo(req, {
+    deal, state, uploadKey, placement, file: { fileName: upload.fileName, fileType: upload.fileType, buffer }
+  });
+  await deleteChunks(upload);
+  return res.status(200).json(uploadResponse(document));
+}
 
-    // Update deal properties (including the native PO file property Erica uses)
-    const today = new Date().toISOString().split('T')[0];
-    const patchRes = await fetch(`https://api.hubapi.com/crm/v3/objects/deals/${dealId}`, {
-      method: 'PATCH',
-      headers: hsHeaders,
-      body: JSON.stringify({
-        properties: {
-          po_quote_status: 'PO Received',
-          po_document_url: fileUrl,
-          po_received_date: today,
-          po: String(fileId),
-          po_status: 'received'
-        }
-      })
-    });
-    if (!patchRes.ok) {
-      const patchErr = await patchRes.text();
-      console.error('Deal property update failed:', patchErr.substring(0, 300));
-      // File is uploaded and Note is created — don't fail the whole request
-    }
+// Customer's purchase orders, on the short-lived upload token that
+// po-quote-review.js hands the review page.
+//   GET ?dealId=&token=&uploadKey=   documents so far; with uploadKey, which
+//                                    chunks of that upload have arrived
+//   POST { dealId, token, fileName, fileType, fileData, uploadKey?, kind?, replaces? }
+//                                    the whole file (up to 3MB) in one go
+//   POST { dealId, token, uploadKey, fileName, fileType, size, index, data }
+//                                    chunk `index` of a file up to 25MB
+//   POST { dealId, token, uploadKey, complete: true, kind?, replaces? }
+//                                    join the chunks and record the PO
+// `kind` is 'po' (default) or 'amendment'; `replaces` is the ID of a
+// document uploaded in error. Resending a request with the same uploadKey
+// never stores a file twice: it answers with `duplicate: true`.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'GET or POST only' });
 
-    // Fire n8n notification (must await — Vercel kills runtime after response)
-    const dealUrl = `https://app.hubspot.com/contacts/46092307/record/0-3/${dealId}`;
-    try {
-      await fetch('https://showoffinc.app.n8n.cloud/webhook/po-received-notification', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ dealId, dealName, fileName, dealUrl, fileUrl, contactEmail, contactName, ccEmail, ccName, quoteTitle })
+  const params = (req.method === 'GET' ? req.query : req.body) || {};
+  const { dealId, token } = params;
+
+  if (!dealId || !token) return res.status(400).json({ error: 'dealId and token are required' });
+  if (req.method === 'POST' && params.fileType && !PO_FILE_TYPES.includes(params.fileType)) {
+    return res.status(400).json({ error: 'File type not allowed. Please upload a PDF, PNG, or JPG.' });
+  }
+
+  if (!process.env.HUBSPOT_TOKEN) return res.status(500).json({ error: 'HubSpot token not configured' });
+
+  let dealName = null;
+  try {
+    await verifyLinkToken(token, { dealId, purpose: 'po-upload' });
+
+    // Get deal name + quote title for file naming and notifications
+    const deal = await getDeal(dealId, DEAL_PROPERTIES);
+    if (!deal) return res.status(404).json({ error: 'Deal not found' });
+    dealName = deal.properties.dealname || dealId;
+    // A PO from before the document list joins it with the next upload
+    const state = { ...parsePoDocuments(deal.properties[PO_DOCUMENTS_PROPERTY]), documents: dealPoDocuments(deal.properties) };
+
+    if (req.method === 'GET') {
+      const uploadKey = params.uploadKey ? readUploadKey(params.uploadKey) : null;
+      const upload = uploadKey ? state.uploads[uploadKey] : null;
+      const done = uploadKey ? state.documents.find(d => d.uploadKey === uploadKey) : null;
+      return res.status(200).json({
+        documents: state.documents.map(publicPoDocument),
+        maxSize: MAX_PO_BYTES,
+        chunkSize: PO_CHUNK_BYTES,
+        upload: upload ? { received: received(upload), chunkCount: upload.chunkCount } : null,
+        document: done ? publicPoDocument(done) : null
       });
-    } catch (e) {
-      console.error('PO notification webhook failed:', e.message);
     }
 
-    return res.status(200).json({ success: true, fileUrl });
+    if (params.fileData !== undefined || params.uploadKey === undefined) return await uploadWhole(req, res, { deal, state });
+    const uploadKey = readUploadKey(params.uploadKey);
+    if (params.complete) return await finishUpload(req, res, { deal, state, uploadKey });
+    return await uploadChunk(req, res, { deal, state, uploadKey });
 
   } catch (error) {
+    if (error instanceof LinkTokenError) return res.status(403).json({ error: error.message });
+    if (error instanceof ValidationError) return res.status(400).json({ error: error.message });
     console.error('PO upload error:', error.message);
-    await reportError('sketch-review', '/api/upload-po', error, dealId, dealName);
-    return res.status(500).json({ error: 'Upload failed. Please try again or email your PO to support@showoffinc.com.', details: error.message });
+    const report = await reportError('sketch-review', '/api/upload-po', error, dealId, dealName);
+    return res.status(500).json({ error: 'Upload failed. Please try again or email your PO to support@showoffinc.com.', details: error.message, ...report });
   }
 }
@@ -0,0 +1,74 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken } from '../helpers/tokens.js';
+import handler from '../../api/addons.js';
+import approve from '../../api/approve.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+function useHubSpotCatalog(t) {
+  process.env.ADDON_CATALOG_SOURCE = 'hubspot';
+  t.after(() => { delete process.env.ADDON_CATALOG_SOURCE; });
+}
+
+test('serves the config file catalog by default', async () => {
+  const res = await callHandler(handler, { method: 'GET' });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.addOns.map(a => [a.id, a.price, a.per]), [
+    ['hairpiece', 30, 'costume'],
+    ['bra-cups', 21.5, 'costume']
+  ]);
+  assert.match(res.body.addOns[1].disclaimer, /fitting/);
+  assert.equal(hs.requests.length, 0);
+});
+
+test('reads flagged HubSpot products when configured', async (t) => {
+  useHubSpotCatalog(t);
+  hs.addObject('products', {
+    name: 'Hair Bow', price: '12.5', hs_sku: 'hair-bow', sketch_addon: 'true',
+    addon_pricing: 'per_order', hs_images: 'https://cdn.example/bow.png'
+  });
+  hs.addObject('products', { name: 'Old Gloves', price: '9', hs_sku: 'gloves', sketch_addon: 'true', addon_active: 'false' });
+  hs.addObject('products', { name: 'Costume', price: '200', hs_sku: 'costume' });
+
+  const res = await callHandler(handler, { method: 'GET' });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.addOns, [{
+    id: 'hair-bow', name: 'Hair Bow', description: '', price: 12.5, per: 'order',
+    image: 'https://cdn.example/bow.png', disclaimer: ''
+  }]);
+});
+
+test('approval uses HubSpot prices and refuses retired add-ons', async (t) => {
+  useHubSpotCatalog(t);
+  hs.addObject('products', { name: 'Hair Bow', price: '12.5', hs_sku: 'hair-bow', sketch_addon: 'true', addon_pricing: 'per_order' });
+  hs.addObject('products', { name: 'Old Gloves', price: '9', hs_sku: 'gloves', sketch_addon: 'true', addon_active: 'false' });
+  const dealId = hs.addDeal({ dealname: 'x', ofcostumes: '8' });
+  const token = await linkToken(dealId, 'sketch-approval');
+
+  const retired = await callHandler(approve, { method: 'POST', body: { dealId, token, addOns: ['gloves'] } });
+  assert.equal(retired.statusCode, 400);
+  assert.match(retired.body.error, /no longer available/);
+
+  const res = await callHandler(approve, { method: 'POST', body: { dealId, token, addOns: ['hair-bow'] } });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(hs.webhooks('sketch-review')[0].body.addOns, [
+    { id: 'hair-bow', name: 'Hair Bow', price: 12.5, per: 'order', quantity: 1, amount: 12.5 }
+  ]);
+});
+
+test('reports when the HubSpot catalog cannot be read', async (t) => {
+  useHubSpotCatalog(t);
+  hs.failOn({ path: '/__hubspot/crm/v3/objects/products/search', status: 400 });
+
+  const res = await callHandler(handler, { method: 'GET' });
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(hs.webhooks('error-alert')[0].body.endpoint, '/api/addons');
+});
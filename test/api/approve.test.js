@@ -0,0 +1,168 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken } from '../helpers/tokens.js';
+import handler from '../../api/approve.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+const OPTIONS = [
+  { label: 'A', name: 'Classic', items: [{ name: 'Classic Costume', price: 150, quantity: 10 }] },
+  { label: 'B', name: 'Deluxe', items: [{ name: 'Deluxe Costume', price: 210, quantity: 10 }] }
+];
+
+async function approve(dealId, body = {}) {
+  const token = await linkToken(dealId, 'sketch-approval');
+  return callHandler(handler, { method: 'POST', body: { dealId, token, addOns: [], ...body } });
+}
+
+test('forwards an approval built from the deal to n8n', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes', is_po_customer: 'true', ofcostumes: '12' });
+
+  const res = await approve(dealId, { addOns: ['hairpiece'], isPoCustomer: false });
+
+  assert.equal(res.statusCode, 200);
+  const [sent] = hs.webhooks('sketch-review');
+  assert.equal(sent.body.action, 'approved');
+  assert.equal(sent.body.dealId, dealId);
+  assert.equal(sent.body.orderName, '10722 Tigerettes');
+  assert.equal(sent.body.isPoCustomer, true);
+  assert.deepEqual(sent.body.addOns, [
+    { id: 'hairpiece', name: 'Hairpiece', price: 30, per: 'costume', quantity: 12, amount: 360 }
+  ]);
+  assert.equal(sent.body.addOnsTotal, 360);
+  assert.equal(sent.body.hasOptions, undefined);
+});
+
+test('needs a link token', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  const res = await callHandler(handler, { method: 'POST', body: { dealId } });
+  assert.equal(res.statusCode, 403);
+  assert.equal(hs.webhooks('sketch-review').length, 0);
+});
+
+test('refuses a second approval', async () => {
+  const dealId = hs.addDeal({ dealname: 'x', sketch_approved: 'Approved' });
+  const res = await approve(dealId);
+  assert.equal(res.statusCode, 409);
+  assert.equal(hs.webhooks('sketch-review').length, 0);
+});
+
+test('marks the design approved before n8n, so a double-click approves once', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+
+  const first = await approve(dealId);
+  const second = await approve(dealId);
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(second.statusCode, 409);
+  assert.equal(hs.webhooks('sketch-review').length, 1);
+  assert.equal(hs.deal(dealId).properties.sketch_approved, 'Approved');
+});
+
+test('puts the status back when n8n fails, so the customer can try again', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  hs.setWebhookResponse('sketch-review', 502, null);
+
+  assert.equal((await approve(dealId)).statusCode, 500);
+  assert.equal(hs.deal(dealId).properties.sketch_approved, '');
+
+  hs.setWebhookResponse('sketch-review', 200, null);
+  assert.equal((await approve(dealId)).statusCode, 200);
+});
+
+test('refuses approval while a revision is pending', async () => {
+  const dealId = hs.addDeal({ dealname: 'x', sketch_approved: 'Revision Requested' });
+  assert.equal((await approve(dealId)).statusCode, 409);
+});
+
+test('requires the stoning budget to be acknowledged', async () => {
+  const dealId = hs.addDeal({ dealname: 'x', has_stoning: 'Yes', stoning_budget_low: '400', stoning_budget_high: '650' });
+
+  assert.equal((await approve(dealId)).statusCode, 400);
+
+  const res = await approve(dealId, { stoningBudgetApproved: true });
+  assert.equal(res.statusCode, 200);
+  const [sent] = hs.webhooks('sketch-review');
+  assert.equal(sent.body.stoningBudgetLow, 400);
+  assert.equal(sent.body.stoningBudgetHigh, 650);
+});
+
+test('reprices add-ons from the catalog, ignoring prices sent by the page', async () => {
+  const dealId = hs.addDeal({ dealname: 'x', ofcostumes: '2' });
+
+  const res = await approve(dealId, { addOns: [{ name: 'Bra Cups', price: 0.01 }, 'bra-cups'] });
+
+  assert.equal(res.statusCode, 200);
+  const [sent] = hs.webhooks('sketch-review');
+  assert.deepEqual(sent.body.addOns.map(a => [a.id, a.price, a.amount]), [['bra-cups', 21.5, 43]]);
+});
+
+test('rejects add-ons that are not in the catalog', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  const res = await approve(dealId, { addOns: ['gold-lame-cape'] });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /Unknown add-on/);
+  assert.equal(hs.webhooks('sketch-review').length, 0);
+});
+
+test('approves the selected option with server-side items and total', async () => {
+  const dealId = hs.addDeal({ dealname: 'x', sketch_options: JSON.stringify(OPTIONS), selected_sketch_option: 'B' });
+
+  const res = await approve(dealId, { label: 'B', selectedOption: { label: 'B', total: 1 } });
+
+  assert.equal(res.statusCode, 200);
+  const [sent] = hs.webhooks('sketch-review');
+  assert.equal(sent.body.hasOptions, true);
+  assert.deepEqual(sent.body.selectedOption, { label: 'B', name: 'Deluxe', total: 2100, items: OPTIONS[1].items });
+});
+
+test('prices the approved items and add-ons with the deal discount, shipping and tax', async () => {
+  const dealId = hs.addDeal({
+    dealname: 'x',
+    ofcostumes: '10',
+    shipping_state: 'GA',
+    sketch_options: JSON.stringify(OPTIONS),
+    selected_sketch_option: 'A',
+    quote_pricing: JSON.stringify({ discountType: 'percent', discountValue: 10, shipping: 50 })
+  });
+
+  await approve(dealId, { addOns: ['hairpiece'] });
+
+  const { pricing } = hs.webhooks('sketch-review')[0].body;
+  assert.deepEqual(
+    { subtotal: pricing.subtotal, discount: pricing.discount, shipping: pricing.shipping, tax: pricing.tax, total: pricing.total },
+    { subtotal: 1800, discount: 180, shipping: 50, tax: 64.8, total: 1734.8 }
+  );
+});
+
+test('an options deal needs a saved selection that matches', async () => {
+  const dealId = hs.addDeal({ dealname: 'x', sketch_options: JSON.stringify(OPTIONS) });
+  assert.equal((await approve(dealId, { label: 'A' })).statusCode, 400);
+
+  hs.deal(dealId).properties.selected_sketch_option = 'B';
+  assert.equal((await approve(dealId, { label: 'A' })).statusCode, 409);
+});
+
+test('reports when n8n fails', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  hs.setWebhookResponse('sketch-review', 500, { message: 'workflow error' });
+
+  const res = await approve(dealId);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(hs.webhooks('error-alert')[0].body.endpoint, '/api/approve');
+});
+
+test('signs webhook calls when a secret is configured', async (t) => {
+  process.env.N8N_WEBHOOK_SECRET = 'shh';
+  t.after(() => { delete process.env.N8N_WEBHOOK_SECRET; });
+  const dealId = hs.addDeal({ dealname: 'x' });
+
+  await approve(dealId);
+
+  assert.equal(hs.webhooks('sketch-review')[0].headers['x-webhook-secret'], 'shh');
+});
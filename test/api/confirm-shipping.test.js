@@ -0,0 +1,191 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, staffCookie } from '../helpers/tokens.js';
+import handler from '../../api/confirm-shipping.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+function seedDeal() {
+  return hs.addDeal({
+    dealname: '10722 Tigerettes',
+    shipping_street_address__deal_: '250 River Road',
+    shipping_street_address_2__deal_: 'Suite 4',
+    shipping_city: 'Athens',
+    shipping_state: 'GA',
+    shipping_zip_code: '30602'
+  });
+}
+
+test('confirms the existing address and writes an audit note', async () => {
+  const dealId = seedDeal();
+
+  const token = await linkToken(dealId, 'sketch-approval');
+  const res = await callHandler(handler, { method: 'POST', body: { dealId, token } });
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(hs.deal(dealId).properties.shipping_address_confirmed_date);
+  const [note] = hs.dealNotes(dealId);
+  assert.match(note.properties.hs_note_body, /250 River Road, Suite 4, Athens, GA, 30602/);
+});
+
+test('updates the address when one is provided', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, {
+    method: 'POST',
+    body: { dealId, token: await linkToken(dealId, 'sketch-approval'), address: { street: '1 Main St', city: 'Macon', state: 'GA', zip: '31201' } }
+  });
+
+  assert.equal(res.statusCode, 200);
+  const props = hs.deal(dealId).properties;
+  assert.equal(props.shipping_street_address__deal_, '1 Main St');
+  assert.equal(props.shipping_city, 'Macon');
+});
+
+test('normalizes a new address, keeps street2 when it is not sent and notes the old and new address', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, {
+    method: 'POST',
+    body: {
+      dealId,
+      token: await linkToken(dealId, 'sketch-approval'),
+      address: { street: '12 Lumpkin Street', city: 'Athens', state: 'georgia', zip: '30601 ' }
+    }
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.address, {
+    street: '12 Lumpkin St', street2: 'Suite 4', city: 'Athens', state: 'GA', zip: '30601', country: 'US'
+  });
+  const props = hs.deal(dealId).properties;
+  assert.equal(props.shipping_street_address__deal_, '12 Lumpkin St');
+  assert.equal(props.shipping_street_address_2__deal_, 'Suite 4');
+  assert.equal(props.shipping_country, 'US');
+  const body = hs.dealNotes(dealId)[0].properties.hs_note_body;
+  assert.match(body, /Old address: 250 River Road, Suite 4, Athens, GA, 30602/);
+  assert.match(body, /New address: 12 Lumpkin St, Suite 4, Athens, GA, 30601/);
+});
+
+test('saves a Canadian address', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, {
+    method: 'POST',
+    body: {
+      dealId,
+      token: await linkToken(dealId, 'sketch-approval'),
+      address: { street: '200 Bay St', street2: '', city: 'Toronto', state: 'ON', zip: 'm5j 2j5', country: 'Canada' }
+    }
+  });
+
+  assert.equal(res.statusCode, 200);
+  const props = hs.deal(dealId).properties;
+  assert.equal(props.shipping_zip_code, 'M5J 2J5');
+  assert.equal(props.shipping_country, 'CA');
+  assert.equal(props.shipping_street_address_2__deal_, '');
+});
+
+test('rejects an address whose ZIP is in another state with a message per field', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, {
+    method: 'POST',
+    body: { dealId, token: await linkToken(dealId, 'sketch-approval'), address: { street: '1 Main St', city: 'Macon', state: 'IL', zip: '31201' } }
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.fields, { zip: 'ZIP code 31201 is in Georgia, not Illinois.' });
+  const props = hs.deal(dealId).properties;
+  assert.equal(props.shipping_city, 'Athens');
+  assert.equal(props.shipping_address_confirmed_date, undefined);
+});
+
+test('splits the order into shipment groups with a note for each', async () => {
+  const dealId = seedDeal();
+  hs.deal(dealId).properties.ofcostumes = '10';
+
+  const res = await callHandler(handler, {
+    method: 'POST',
+    body: {
+      dealId,
+      token: await linkToken(dealId, 'sketch-approval'),
+      shipments: [
+        { recipient: 'Coach Kim', quantity: 6, address: { street: '250 River Road', street2: 'Suite 4', city: 'Athens', state: 'GA', zip: '30602' } },
+        { recipient: 'Jo Lee', quantity: 4, address: { street: '77 Lake Shore Drive', city: 'Chicago', state: 'IL', zip: '60611' } }
+      ]
+    }
+  });
+
+  assert.equal(res.statusCode, 200);
+  const props = hs.deal(dealId).properties;
+  const groups = JSON.parse(props.shipping_groups);
+  assert.deepEqual(groups.map(g => [g.recipient, g.quantity, g.address.street]), [
+    ['Coach Kim', 6, '250 River Rd'],
+    ['Jo Lee', 4, '77 Lake Shore Dr']
+  ]);
+  assert.ok(groups.every(g => g.id && g.confirmedAt));
+  assert.equal(props.shipping_street_address__deal_, '250 River Rd');
+  assert.ok(props.shipping_address_confirmed_date);
+
+  const notes = hs.dealNotes(dealId).map(n => n.properties.hs_note_body);
+  assert.equal(notes.length, 2);
+  assert.ok(notes.some(b => /Shipment 1 of 2 .*6 costumes to Coach Kim/.test(b) && /Address: 250 River Rd, Ste 4, Athens, GA, 30602/.test(b)));
+  assert.ok(notes.some(b => /Shipment 2 of 2 .*4 costumes to Jo Lee/.test(b) && /Address: 77 Lake Shore Dr, Chicago, IL, 60611/.test(b)));
+
+  // Confirming a single address afterwards drops the groups
+  await callHandler(handler, {
+    method: 'POST',
+    body: { dealId, token: await linkToken(dealId, 'sketch-approval'), address: { street: '1 Main St', city: 'Macon', state: 'GA', zip: '31201' } }
+  });
+  assert.equal(hs.deal(dealId).properties.shipping_groups, '');
+});
+
+test('rejects shipment groups that do not cover the order', async () => {
+  const dealId = seedDeal();
+  hs.deal(dealId).properties.ofcostumes = '10';
+
+  const res = await callHandler(handler, {
+    method: 'POST',
+    body: {
+      dealId,
+      token: await linkToken(dealId, 'sketch-approval'),
+      shipments: [
+        { recipient: 'Coach Kim', quantity: 6, address: { street: '250 River Road', city: 'Athens', state: 'GA', zip: '30602' } },
+        { recipient: '', quantity: 3, address: { street: '77 Lake Shore Drive', city: 'Chicago', state: 'IL', zip: '30602' } }
+      ]
+    }
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.groups, [{}, { recipient: 'Recipient name is required.', zip: 'ZIP code 30602 is in Georgia, not Illinois.' }]);
+  assert.equal(hs.deal(dealId).properties.shipping_groups, undefined);
+  assert.equal(hs.dealNotes(dealId).length, 0);
+});
+
+test('refuses to change the address without a link token', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, {
+    method: 'POST',
+    body: { dealId, address: { street: '1 Main St', city: 'Macon', state: 'GA', zip: '31201' } }
+  });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(hs.deal(dealId).properties.shipping_city, 'Athens');
+});
+
+test('requires dealId and POST', async () => {
+  assert.equal((await callHandler(handler, { method: 'POST', body: {} })).statusCode, 400);
+  assert.equal((await callHandler(handler, { method: 'GET', body: {} })).statusCode, 405);
+});
+
+test('returns 500 and reports when the deal does not exist', async () => {
+  const res = await callHandler(handler, { method: 'POST', body: { dealId: '404404' }, headers: { cookie: staffCookie() } });
+  assert.equal(res.statusCode, 500);
+  assert.equal(hs.webhooks('error-alert')[0].body.endpoint, '/api/confirm-shipping');
+});
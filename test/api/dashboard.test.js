@@ -0,0 +1,89 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { staffCookie } from '../helpers/tokens.js';
+import handler from '../../api/dashboard.js';
+
+let hs, staff;
+before(async () => {
+  hs = await startHubSpotMock();
+  staff = { cookie: staffCookie() };
+});
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+function dashboard(query = {}) {
+  return callHandler(handler, { headers: staff, query });
+}
+
+test('is staff only', async () => {
+  const res = await callHandler(handler, { query: {} });
+  assert.equal(res.statusCode, 401);
+});
+
+test('lists deals awaiting sketch review, oldest first, with links', async () => {
+  const newer = hs.addDeal({ dealname: '10761 Newer', sketch: '91', createdate: '2026-10-10T00:00:00Z' });
+  const older = hs.addDeal({ dealname: '10760 Older', sketch_public_url: 'https://cdn/s.png', createdate: '2026-09-01T00:00:00Z' });
+  hs.addDeal({ dealname: '10762 Approved', sketch: '92', sketch_approved: 'Approved' });
+  hs.addDeal({ dealname: '10763 Revising', sketch: '93', sketch_approved: 'Revision Requested' });
+  hs.addDeal({ dealname: '10764 No sketch yet' });
+
+  const res = await dashboard();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['cache-control'], 'no-store');
+  assert.deepEqual(res.body.deals.map(d => d.id), [older, newer]);
+  const [row] = res.body.deals;
+  assert.equal(row.dealNumber, '10760');
+  assert.ok(row.ageDays > 30);
+  assert.equal(row.links.designer, '/designer.html?deal=10760');
+  assert.equal(row.links.poQuote, `/po-quote.html?dealId=${older}`);
+  assert.match(row.links.hubspot, new RegExp(`/record/0-3/${older}$`));
+
+  const newest = await dashboard({ sort: 'newest' });
+  assert.deepEqual(newest.body.deals.map(d => d.id), [newer, older]);
+});
+
+test('lists PO quotes by status and deals with an unconfirmed shipping address', async () => {
+  const sent = hs.addDeal({ dealname: '10770 Sent', po_quote_status: 'Sent to Customer' });
+  const changes = hs.addDeal({ dealname: '10771 Changes', po_quote_status: 'Changes Requested' });
+  const finalized = hs.addDeal({ dealname: '10772 Final', po_quote_status: 'Finalized' });
+  const approved = hs.addDeal({ dealname: '10773 Approved', sketch_approved: 'Yes' });
+  hs.addDeal({ dealname: '10774 Confirmed', sketch_approved: 'Approved', shipping_address_confirmed_date: '2026-10-01T00:00:00Z' });
+
+  assert.deepEqual((await dashboard({ view: 'po-sent' })).body.deals.map(d => d.id), [sent]);
+  assert.deepEqual((await dashboard({ view: 'po-changes-requested' })).body.deals.map(d => d.id), [changes]);
+  assert.deepEqual((await dashboard({ view: 'po-missing' })).body.deals.map(d => d.id), [finalized]);
+  assert.deepEqual((await dashboard({ view: 'shipping-unconfirmed' })).body.deals.map(d => d.id).sort(), [finalized, approved].sort());
+});
+
+test('filters by search text and pages through results', async () => {
+  for (let i = 0; i < 3; i++) hs.addDeal({ dealname: `1078${i} Tigerettes`, po_quote_status: 'Draft' });
+  hs.addDeal({ dealname: '10790 Majorettes', po_quote_status: 'Draft' });
+
+  const first = await dashboard({ view: 'po-draft', q: 'tigerettes', limit: '2' });
+  assert.equal(first.body.total, 3);
+  assert.equal(first.body.deals.length, 2);
+  assert.ok(first.body.after);
+
+  const second = await dashboard({ view: 'po-draft', q: 'tigerettes', limit: '2', after: first.body.after });
+  assert.equal(second.body.deals.length, 1);
+  assert.equal(second.body.after, null);
+});
+
+test('counts the deals in every view', async () => {
+  hs.addDeal({ dealname: '10800 A', sketch: '1' });
+  hs.addDeal({ dealname: '10801 B', po_quote_status: 'PO Received', shipping_address_confirmed_date: '2026-10-01T00:00:00Z' });
+
+  const res = await dashboard({ counts: '1' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.counts['awaiting-review'], 1);
+  assert.equal(res.body.counts['po-received'], 1);
+  assert.equal(res.body.counts['shipping-unconfirmed'], 0);
+});
+
+test('rejects an unknown view or sort', async () => {
+  assert.equal((await dashboard({ view: 'everything' })).statusCode, 400);
+  assert.equal((await dashboard({ sort: 'random' })).statusCode, 400);
+});
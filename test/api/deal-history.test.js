@@ -0,0 +1,121 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { rm } from 'node:fs/promises';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, staffCookie } from '../helpers/tokens.js';
+import { auditLogPath } from '../../api/_lib/audit.js';
+import history from '../../api/deal-history.js';
+import approve from '../../api/approve.js';
+import selectOption from '../../api/select-option.js';
+import setOptions from '../../api/set-options.js';
+import { sketchOptionsVersion } from '../../api/_lib/sketch-review.js';
+import confirmShipping from '../../api/confirm-shipping.js';
+import requestRevision from '../../api/request-revision.js';
+
+let hs, staff;
+before(async () => {
+  hs = await startHubSpotMock();
+  staff = { cookie: staffCookie() };
+});
+after(() => hs.close());
+beforeEach(async () => {
+  hs.reset();
+  await rm(auditLogPath(), { force: true });
+});
+
+const OPTIONS = [
+  { label: 'A', name: 'Classic', items: [{ name: 'Classic Costume', price: 150, quantity: 10 }] },
+  { label: 'B', name: 'Deluxe', items: [{ name: 'Deluxe Costume', price: 210, quantity: 10 }] }
+];
+const BROWSER = { 'x-forwarded-for': '203.0.113.9, 10.0.0.1', 'user-agent': 'Mozilla/5.0 (iPhone)' };
+
+async function customerCall(handler, dealId, body) {
+  const token = await linkToken(dealId, 'sketch-approval');
+  return callHandler(handler, { method: 'POST', headers: BROWSER, body: { dealId, token, ...body } });
+}
+
+test('is staff only', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  const res = await callHandler(history, { query: { dealId } });
+  assert.equal(res.statusCode, 401);
+});
+
+test('records the customer flow as a timeline with actor, diff and a note on the deal', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-18T15:00:00Z') });
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes', ofcostumes: '10' });
+
+  await callHandler(setOptions, { method: 'POST', headers: staff, body: { dealId, options: OPTIONS, expectedVersion: sketchOptionsVersion('') } });
+  t.mock.timers.setTime(Date.parse('2026-10-18T16:00:00Z'));
+  await customerCall(selectOption, dealId, { label: 'B' });
+  t.mock.timers.setTime(Date.parse('2026-10-18T16:01:00Z'));
+  assert.equal((await customerCall(approve, dealId, { label: 'B', addOns: ['hairpiece'] })).statusCode, 200);
+  t.mock.timers.setTime(Date.parse('2026-10-18T16:02:00Z'));
+  await customerCall(confirmShipping, dealId, { address: { street: '250 River Road', city: 'Athens', state: 'GA', zip: '30602' } });
+
+  const res = await callHandler(history, { query: { dealId: '10722' }, headers: staff });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.dealId, dealId);
+  const entries = res.body.entries;
+  assert.deepEqual(entries.map(e => e.action), ['options.saved', 'options.selected', 'sketch.approved', 'shipping.confirmed']);
+
+  assert.deepEqual(entries[0].actor, { type: 'staff', email: 'erica@showoffinc.com' });
+  assert.deepEqual(entries[1].changes, { selected_sketch_option: { from: null, to: 'B' } });
+
+  const approval = entries[2];
+  assert.deepEqual(approval.actor, { type: 'customer', email: null });
+  assert.equal(approval.ip, '203.0.113.9');
+  assert.equal(approval.userAgent, 'Mozilla/5.0 (iPhone)');
+  assert.equal(approval.timestamp, '2026-10-18T16:01:00.000Z');
+  assert.equal(approval.details.selectedOption.label, 'B');
+  assert.equal(approval.details.addOns[0].amount, 300);
+
+  assert.equal(entries[3].changes.shipping_city.to, 'Athens');
+
+  const notes = hs.dealNotes(dealId).map(n => n.properties.hs_note_body);
+  assert.equal(notes.length, 4);
+  assert.match(notes[2], /^Sketch approved: Option B \(Deluxe\), \$2100\.00 with Hairpiece\./);
+  assert.match(notes[2], /IP 203\.0\.113\.9/);
+});
+
+test('rebuilds the timeline from deal notes when the local log is gone', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes', sketch_options: JSON.stringify(OPTIONS) });
+  await customerCall(selectOption, dealId, { label: 'A' });
+  await rm(auditLogPath(), { force: true });
+
+  const res = await callHandler(history, { query: { dealId }, headers: staff });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.entries.map(e => [e.action, e.details.label]), [['options.selected', 'A']]);
+});
+
+test('reads back a note whose customer text contains the audit marker', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  const revisionNotes = 'Change the tag to "[audit] {}" please [audit] ';
+  assert.equal((await customerCall(requestRevision, dealId, { revisionNotes })).statusCode, 200);
+  await rm(auditLogPath(), { force: true });
+
+  const res = await callHandler(history, { query: { dealId }, headers: staff });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.entries.map(e => [e.action, e.details.revisionNotes]), [['sketch.revision_requested', revisionNotes.trim()]]);
+});
+
+test('the action still succeeds when the audit note cannot be written', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  hs.failOn({ method: 'POST', path: '/__hubspot/crm/v3/objects/notes', status: 500 });
+
+  const res = await customerCall(approve, dealId, {});
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(hs.webhooks('sketch-review').length, 1);
+  assert.equal(hs.webhooks('error-alert')[0].body.endpoint, '/api/approve');
+
+  const list = await callHandler(history, { query: { dealId }, headers: staff });
+  assert.deepEqual(list.body.entries.map(e => e.action), ['sketch.approved']);
+});
+
+test('404s for an unknown deal', async () => {
+  const res = await callHandler(history, { query: { dealId: '99999' }, headers: staff });
+  assert.equal(res.statusCode, 404);
+});
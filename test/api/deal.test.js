@@ -0,0 +1,267 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, staffCookie } from '../helpers/tokens.js';
+import handler from '../../api/deal.js';
+import { sketchOptionsVersion } from '../../api/_lib/sketch-review.js';
+
+let hs, staff;
+before(async () => {
+  hs = await startHubSpotMock();
+  staff = { cookie: staffCookie() };
+});
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+
+async function getSigned(dealId) {
+  return callHandler(handler, { query: { dealId, token: await linkToken(dealId, 'sketch-approval') } });
+}
+
+function seedDeal(props = {}) {
+  const dealId = hs.addDeal({
+    dealname: '10722 Tigerettes - Home Uniform',
+    designer_notes: 'Gold trim on the cuffs',
+    ofcostumes: '12',
+    has_stoning: 'Yes',
+    stoning_budget_low: '400',
+    stoning_budget_high: '650',
+    shipping_street_address__deal_: '250 River Road',
+    shipping_city: 'Athens',
+    shipping_state: 'GA',
+    shipping_zip_code: '30602',
+    ...props
+  });
+  hs.addLineItem(dealId, { name: 'Majorette Costume', price: '185', quantity: '12', amount: '2220', description: 'Sequin bodice' });
+  hs.addLineItem(dealId, { name: 'Setup Fee', price: '50', quantity: '1' });
+  return dealId;
+}
+
+test('returns the deal, line items and totals by HubSpot ID', async () => {
+  const dealId = seedDeal();
+  hs.addContact({ firstname: 'Ann', lastname: 'Payer', email: 'ap@school.edu' }, { dealId, label: 'Payer' });
+
+  const res = await getSigned(dealId);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.dealId, dealId);
+  assert.equal(res.body.dealName, '10722 Tigerettes - Home Uniform');
+  assert.equal(res.body.lineItems.length, 2);
+  assert.equal(res.body.total, 2270);
+  assert.equal(res.body.hasPayer, true);
+  assert.equal(res.body.hasStoning, true);
+  assert.equal(res.body.ofcostumes, 12);
+  assert.equal(res.body.shippingAddress.city, 'Athens');
+  assert.equal(res.body.shippingConfirmed, false);
+  const costume = res.body.lineItems.find(i => i.name === 'Majorette Costume');
+  assert.equal(costume.description, 'Sequin bodice');
+});
+
+test('staff can look up by deal number via a dealname CONTAINS_TOKEN search', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, { query: { dealId: '10722' }, headers: staff });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.dealId, dealId);
+  const search = hs.requests.find(r => r.path.endsWith('/deals/search'));
+  assert.equal(search.body.filterGroups[0].filters[0].operator, 'CONTAINS_TOKEN');
+  assert.equal(search.body.filterGroups[0].filters[0].value, '10722');
+});
+
+test('ignores a search hit whose name does not start with the number', async () => {
+  hs.addDeal({ dealname: '10999 Replacement for 10722' });
+
+  const res = await callHandler(handler, { query: { dealId: '10722' }, headers: staff });
+
+  assert.equal(res.statusCode, 404);
+});
+
+test('returns 404 when neither lookup finds the deal', async () => {
+  const res = await callHandler(handler, { query: { dealId: '99999' }, headers: staff });
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.error, 'Deal not found');
+});
+
+test('rejects a request with no link token', async () => {
+  const dealId = seedDeal();
+  const res = await callHandler(handler, { query: { dealId } });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'Invalid or expired link');
+});
+
+test('rejects a link token issued for another purpose', async () => {
+  const dealId = seedDeal();
+  const res = await callHandler(handler, { query: { dealId, token: await linkToken(dealId, 'po-review') } });
+  assert.equal(res.statusCode, 403);
+});
+
+test('signed links never fall back to a deal number search', async () => {
+  const dealId = seedDeal();
+  const token = await linkToken(dealId, 'sketch-approval');
+  hs.reset();
+  hs.addDeal({ dealname: `${dealId} Someone Else` });
+
+  const res = await callHandler(handler, { query: { dealId, token } });
+
+  assert.equal(res.statusCode, 404);
+  assert.ok(!hs.requests.some(r => r.path.endsWith('/deals/search')));
+});
+
+test('unsigned links work during the legacy window only', async (t) => {
+  const dealId = seedDeal();
+  t.after(() => { delete process.env.LEGACY_SKETCH_LINKS_UNTIL; });
+
+  process.env.LEGACY_SKETCH_LINKS_UNTIL = new Date(Date.now() + 86400000).toISOString();
+  assert.equal((await callHandler(handler, { query: { dealId: '10722' } })).statusCode, 200);
+
+  process.env.LEGACY_SKETCH_LINKS_UNTIL = new Date(Date.now() - 86400000).toISOString();
+  assert.equal((await callHandler(handler, { query: { dealId: '10722' } })).statusCode, 403);
+});
+
+test('requires dealId', async () => {
+  const res = await callHandler(handler, { query: {} });
+  assert.equal(res.statusCode, 400);
+});
+
+test('resolves the sketch from a signed file URL first', async () => {
+  const fileId = hs.addFile({ name: 'sketch.png' });
+  const dealId = seedDeal({ sketch: fileId, sketch_public_url: 'https://example.com/public.png' });
+
+  const res = await getSigned(dealId);
+
+  assert.match(res.body.sketchUrl, /signed=1$/);
+});
+
+test('falls back to sketch_public_url when the file lookup fails', async () => {
+  const dealId = seedDeal({ sketch: '424242', sketch_public_url: 'https://example.com/public.png' });
+
+  const res = await getSigned(dealId);
+
+  assert.equal(res.body.sketchUrl, 'https://example.com/public.png');
+});
+
+test('returns earlier sketch versions once the designer uploads a new sketch', async () => {
+  const v1 = hs.addFile({ name: 'v1.png' });
+  const ref = hs.addFile({ name: 'ref.png' });
+  const v2 = hs.addFile({ name: 'v2.png' });
+  const history = [{ version: 1, fileId: v1, url: null, revisions: [
+    { notes: 'Longer sleeves', requestedAt: '2026-03-01T12:00:00.000Z', referenceImages: [{ fileId: ref, name: 'ref.png' }] }
+  ] }];
+  const dealId = seedDeal({ sketch: v2, sketch_history: JSON.stringify(history) });
+
+  const res = await getSigned(dealId);
+
+  assert.equal(res.body.sketchVersion, 2);
+  assert.equal(res.body.sketchVersions.length, 1);
+  const [earlier] = res.body.sketchVersions;
+  assert.match(earlier.url, new RegExp(`/${v1}/v1\\.png\\?signed=1$`));
+  assert.equal(earlier.revisions[0].notes, 'Longer sleeves');
+  assert.match(earlier.revisions[0].referenceImages[0].url, /ref\.png\?signed=1$/);
+});
+
+test('does not list the current sketch as an earlier version', async () => {
+  const v1 = hs.addFile({ name: 'v1.png' });
+  const history = [{ version: 1, fileId: v1, url: null, revisions: [{ notes: 'x', referenceImages: [] }] }];
+  const dealId = seedDeal({ sketch: v1, sketch_history: JSON.stringify(history) });
+
+  const res = await getSigned(dealId);
+
+  assert.equal(res.body.sketchVersion, 1);
+  assert.deepEqual(res.body.sketchVersions, []);
+});
+
+test('parses sketch options and the selected option', async () => {
+  const options = [{ label: 'A', items: [{ name: 'Look A', price: 100, quantity: 1 }] }];
+  const dealId = seedDeal({ sketch_options: JSON.stringify(options), selected_sketch_option: 'A' });
+
+  const res = await getSigned(dealId);
+
+  assert.deepEqual(res.body.sketchOptions, options);
+  assert.equal(res.body.selectedSketchOption, 'A');
+});
+
+test('prices the line items with the saved discount, shipping and ship-to sales tax', async () => {
+  const dealId = seedDeal({ quote_pricing: JSON.stringify({ discountType: 'fixed', discountValue: 70, shipping: 30 }) });
+
+  const res = await getSigned(dealId);
+
+  const { subtotal, discount, shipping, taxState, tax, total } = res.body.pricing;
+  assert.deepEqual({ subtotal, discount, shipping, taxState, tax, total },
+    { subtotal: 2270, discount: 70, shipping: 30, taxState: 'GA', tax: 88, total: 2318 });
+  assert.equal(res.body.total, 2270);
+});
+
+test('prices each sketch option the same way', async () => {
+  const options = [
+    { label: 'A', items: [{ name: 'Look A', price: 100, quantity: 1 }] },
+    { label: 'B', items: [{ name: 'Look B', price: 150, quantity: 2 }] }
+  ];
+  const dealId = seedDeal({ sketch_options: JSON.stringify(options), quote_pricing: JSON.stringify({ taxExempt: true, shipping: 25 }) });
+
+  const res = await getSigned(dealId);
+
+  assert.equal(res.body.sketchOptionPricing.A.total, 125);
+  assert.equal(res.body.sketchOptionPricing.B.subtotal, 300);
+  assert.equal(res.body.sketchOptionPricing.B.taxExempt, true);
+  assert.equal(res.body.sketchOptionPricing.B.total, 325);
+});
+
+test('records the first time a customer opens the options', async () => {
+  const options = [{ label: 'A', items: [{ name: 'Look A', price: 100, quantity: 1 }] }];
+  const dealId = seedDeal({ sketch_options: JSON.stringify(options) });
+
+  await getSigned(dealId);
+  const viewedAt = hs.deal(dealId).properties.sketch_options_viewed_at;
+  await getSigned(dealId);
+
+  assert.ok(Date.parse(viewedAt));
+  assert.equal(hs.deal(dealId).properties.sketch_options_viewed_at, viewedAt);
+});
+
+test('gives staff the options version and status but does not mark them viewed', async () => {
+  const raw = JSON.stringify([{ label: 'A', items: [{ name: 'Look A', price: 100, quantity: 1 }] }]);
+  const dealId = seedDeal({
+    sketch_options: raw,
+    sketch_options_saved_by: 'erica@showoffinc.com',
+    sketch_options_saved_at: '2026-10-18T15:00:00.000Z'
+  });
+
+  const res = await callHandler(handler, { query: { dealId }, headers: staff });
+
+  assert.equal(res.body.sketchOptionsVersion, sketchOptionsVersion(raw));
+  assert.equal(res.body.sketchOptionsSavedBy, 'erica@showoffinc.com');
+  assert.equal(res.body.sketchOptionsViewedAt, null);
+  assert.equal(hs.deal(dealId).properties.sketch_options_viewed_at, undefined);
+});
+
+test('keeps designer details off the customer response', async () => {
+  const dealId = seedDeal({ sketch_options_saved_by: 'erica@showoffinc.com' });
+
+  const res = await getSigned(dealId);
+
+  assert.equal(res.body.sketchOptionsSavedBy, undefined);
+  assert.equal(res.body.sketchOptionsVersion, undefined);
+});
+
+test('retries a rate-limited line item read', async () => {
+  const dealId = seedDeal();
+  hs.failOn({ path: '/__hubspot/crm/v3/objects/line_items/batch/read', status: 429, times: 2 });
+
+  const res = await getSigned(dealId);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.lineItems.length, 2);
+});
+
+test('reports and returns 500 when HubSpot keeps failing', async () => {
+  const dealId = seedDeal();
+  hs.failOn({ path: `/__hubspot/crm/v4/objects/deals/${dealId}/associations/line_items`, status: 500, times: 10 });
+
+  const res = await getSigned(dealId);
+
+  assert.equal(res.statusCode, 500);
+  const alert = hs.webhooks('error-alert')[0];
+  assert.equal(alert.body.endpoint, '/api/deal');
+  assert.equal(alert.body.status, 500);
+});
@@ -0,0 +1,122 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { staffCookie } from '../helpers/tokens.js';
+import products from '../../api/products.js';
+import optionTemplates from '../../api/option-templates.js';
+import optionImage from '../../api/option-image.js';
+
+let hs, erica, dana;
+before(async () => {
+  hs = await startHubSpotMock();
+  erica = { cookie: staffCookie('erica@showoffinc.com') };
+  dana = { cookie: staffCookie('dana@showoffinc.com') };
+});
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+const OPTION = {
+  label: 'B',
+  name: 'Full Stoning',
+  description: 'Every seam stoned.',
+  items: [{ name: 'Stoned Costume', price: 325, quantity: 10, productId: '8801', sku: 'TS-STONE' }]
+};
+
+test('products searches the catalog by name or SKU', async () => {
+  hs.addObject('products', { name: 'Stoned Costume', hs_sku: 'TS-STONE', price: '325', hs_images: 'https://img.example/a.png;https://img.example/b.png' });
+  hs.addObject('products', { name: 'Mesh Insert', hs_sku: 'TS-MESH', price: '40' });
+
+  const byName = await callHandler(products, { query: { q: 'stoned' }, headers: erica });
+  const bySku = await callHandler(products, { query: { q: 'ts-mesh' }, headers: erica });
+
+  assert.equal(byName.statusCode, 200);
+  assert.equal(byName.body.products.length, 1);
+  assert.equal(byName.body.products[0].price, 325);
+  assert.equal(byName.body.products[0].sku, 'TS-STONE');
+  assert.equal(byName.body.products[0].image, 'https://img.example/a.png');
+  assert.deepEqual(bySku.body.products.map(p => p.name), ['Mesh Insert']);
+});
+
+test('products is staff only and needs a query', async () => {
+  assert.equal((await callHandler(products, { query: { q: 'mesh' } })).statusCode, 401);
+  assert.equal((await callHandler(products, { query: { q: 'm' }, headers: erica })).statusCode, 400);
+});
+
+test('option templates are saved per designer', async () => {
+  const saved = await callHandler(optionTemplates, { method: 'POST', body: { name: 'Stoning upgrade', option: OPTION }, headers: erica });
+
+  assert.equal(saved.statusCode, 200);
+  assert.equal(saved.body.template.option.label, undefined);
+
+  const mine = await callHandler(optionTemplates, { headers: erica });
+  const theirs = await callHandler(optionTemplates, { headers: dana });
+  assert.deepEqual(mine.body.templates.map(t => t.name), ['Stoning upgrade']);
+  assert.equal(mine.body.templates[0].option.items[0].sku, 'TS-STONE');
+  assert.deepEqual(theirs.body.templates, []);
+  assert.equal(hs.objects('contacts').length, 1);
+});
+
+test('saving a template with the same name replaces it', async () => {
+  await callHandler(optionTemplates, { method: 'POST', body: { name: 'Stoning upgrade', option: OPTION }, headers: erica });
+  const replaced = { ...OPTION, items: [{ name: 'Stoned Costume', price: 350 }] };
+  await callHandler(optionTemplates, { method: 'POST', body: { name: 'stoning UPGRADE', option: replaced }, headers: erica });
+
+  const res = await callHandler(optionTemplates, { headers: erica });
+
+  assert.equal(res.body.templates.length, 1);
+  assert.equal(res.body.templates[0].option.items[0].price, 350);
+});
+
+test('option templates are validated like sketch options', async () => {
+  const res = await callHandler(optionTemplates, {
+    method: 'POST',
+    body: { name: 'Broken', option: { items: [{ name: 'Cape', price: -1 }] } },
+    headers: erica
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(hs.objects('contacts').length, 0);
+});
+
+test('option templates can be deleted', async () => {
+  await callHandler(optionTemplates, { method: 'POST', body: { name: 'Stoning upgrade', option: OPTION }, headers: erica });
+
+  const res = await callHandler(optionTemplates, { method: 'POST', body: { action: 'delete', name: 'Stoning upgrade' }, headers: erica });
+  const missing = await callHandler(optionTemplates, { method: 'POST', body: { action: 'delete', name: 'Stoning upgrade' }, headers: erica });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(missing.statusCode, 404);
+  assert.deepEqual((await callHandler(optionTemplates, { headers: erica })).body.templates, []);
+});
+
+test('option templates are staff only', async () => {
+  assert.equal((await callHandler(optionTemplates, {})).statusCode, 401);
+});
+
+test('option-image uploads a public image and returns its URL', async () => {
+  const data = 'data:image/png;base64,' + Buffer.from('png bytes').toString('base64');
+
+  const res = await callHandler(optionImage, {
+    method: 'POST',
+    body: { dealId: '77', image: { name: 'stoning.png', type: 'image/png', data } },
+    headers: erica
+  });
+
+  assert.equal(res.statusCode, 200);
+  const file = hs.files[0];
+  assert.equal(res.body.url, file.url);
+  assert.equal(file.folderPath, '/sketch-options');
+  assert.equal(file.options.access, 'PUBLIC_NOT_INDEXABLE');
+  assert.equal(file.buffer.toString(), 'png bytes');
+});
+
+test('option-image rejects non-images and anonymous callers', async () => {
+  const pdf = { name: 'x.pdf', type: 'application/pdf', data: 'data:application/pdf;base64,JVBERg==' };
+
+  const wrongType = await callHandler(optionImage, { method: 'POST', body: { dealId: '77', image: pdf }, headers: erica });
+  const anonymous = await callHandler(optionImage, { method: 'POST', body: { dealId: '77', image: pdf } });
+
+  assert.equal(wrongType.statusCode, 400);
+  assert.equal(anonymous.statusCode, 401);
+  assert.equal(hs.files.length, 0);
+});
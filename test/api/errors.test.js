@@ -0,0 +1,67 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { rm } from 'node:fs/promises';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, staffCookie } from '../helpers/tokens.js';
+import { errorLogPath } from '../../api/_lib/error-log.js';
+import errorsHandler from '../../api/errors.js';
+import dealHandler from '../../api/deal.js';
+import setOptions from '../../api/set-options.js';
+import { sketchOptionsVersion } from '../../api/_lib/sketch-review.js';
+
+let hs, staff;
+before(async () => {
+  hs = await startHubSpotMock();
+  staff = { cookie: staffCookie() };
+});
+after(() => hs.close());
+beforeEach(async () => {
+  hs.reset();
+  await rm(errorLogPath(), { force: true });
+});
+
+test('is staff only', async () => {
+  const res = await callHandler(errorsHandler, { method: 'GET' });
+  assert.equal(res.statusCode, 401);
+});
+
+test('a failed request returns a request ID that staff can look up by deal number', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  hs.addLineItem(dealId, { name: 'Costume', price: '150', quantity: '10' });
+  const token = await linkToken(dealId, 'sketch-approval');
+  hs.failOn({ method: 'POST', path: '/__hubspot/crm/v3/objects/line_items/batch/read', status: 400, body: { message: 'Invalid input' } });
+
+  const failed = await callHandler(dealHandler, { query: { dealId, token } });
+
+  assert.equal(failed.statusCode, 500);
+  assert.equal(failed.body.code, 'HUBSPOT_ERROR');
+  assert.ok(failed.body.requestId);
+
+  const res = await callHandler(errorsHandler, { query: { deal: '10722' }, headers: staff });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.count, 1);
+  const [record] = res.body.errors;
+  assert.equal(record.requestId, failed.body.requestId);
+  assert.equal(record.endpoint, '/api/deal');
+  assert.match(record.responseBody, /Invalid input/);
+});
+
+test('set-options failures are reported too', async () => {
+  const res = await callHandler(setOptions, {
+    method: 'POST',
+    headers: staff,
+    body: { dealId: '5150', options: [{ label: 'A', items: [{ name: 'Costume', price: 100, quantity: 1 }] }], expectedVersion: sketchOptionsVersion('') }
+  });
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.code, 'HUBSPOT_NOT_FOUND');
+
+  const list = await callHandler(errorsHandler, { query: { endpoint: '/api/set-options' }, headers: staff });
+  assert.equal(list.body.errors[0].requestId, res.body.requestId);
+});
+
+test('rejects an unreadable since date', async () => {
+  const res = await callHandler(errorsHandler, { query: { since: 'yesterday' }, headers: staff });
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,58 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler, TEST_ENV } from '../helpers/harness.js';
+import { verifyLinkToken, NONCE_PROPERTY } from '../../api/_lib/link-token.js';
+import handler from '../../api/link-token.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+function post(body) {
+  return callHandler(handler, { method: 'POST', body: { adminKey: TEST_ENV.PO_ADMIN_KEY, ...body } });
+}
+
+test('requires the admin key', async () => {
+  const res = await post({ adminKey: 'nope', dealId: '1', purpose: 'po-review' });
+  assert.equal(res.statusCode, 403);
+  assert.equal((await post({ adminKey: { length: 1 }, dealId: '1', purpose: 'po-review' })).statusCode, 403);
+});
+
+test('validates the purpose', async () => {
+  const res = await post({ dealId: '1', purpose: 'anything' });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /po-review, po-upload, sketch-approval/);
+});
+
+test('issues a verifiable token and the customer link', async () => {
+  const dealId = hs.addDeal({ dealname: '10760 Fenn' });
+
+  const res = await post({ dealId, purpose: 'po-review', expiresInDays: 30 });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.url, `https://sketch-review.vercel.app/po-quote-review.html?dealId=${dealId}&token=${res.body.token}`);
+  const claims = await verifyLinkToken(res.body.token, { dealId, purpose: 'po-review' });
+  assert.equal(claims.exp - claims.iat, 30 * 86400);
+});
+
+test('upload tokens have no page link', async () => {
+  const dealId = hs.addDeal({ dealname: '10760 Fenn' });
+  const res = await post({ dealId, purpose: 'po-upload' });
+  assert.equal(res.body.url, null);
+});
+
+test('revokes by bumping the deal nonce', async () => {
+  const dealId = hs.addDeal({ dealname: '10760 Fenn', [NONCE_PROPERTY]: '2' });
+
+  const res = await post({ dealId, action: 'revoke' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.nonce, 3);
+  assert.equal(hs.deal(dealId).properties[NONCE_PROPERTY], '3');
+});
+
+test('returns 404 for an unknown deal', async () => {
+  assert.equal((await post({ dealId: '404', purpose: 'po-review' })).statusCode, 404);
+  assert.equal((await post({ dealId: '404', action: 'revoke' })).statusCode, 404);
+});
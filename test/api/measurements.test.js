@@ -0,0 +1,95 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, staffCookie } from '../helpers/tokens.js';
+import handler from '../../api/measurements.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+function seedDeal() {
+  return hs.addDeal({ dealname: '10722 Tigerettes', ofcostumes: '3', sketch_approved: 'Approved' });
+}
+
+async function save(dealId, body) {
+  return callHandler(handler, { method: 'POST', body: { dealId, token: await linkToken(dealId, 'sketch-approval'), ...body } });
+}
+
+test('starts with a blank row per costume', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, { query: { dealId, token: await linkToken(dealId, 'sketch-approval') } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.costumeCount, 3);
+  assert.equal(res.body.rows.length, 3);
+  assert.equal(res.body.complete, 0);
+  assert.equal(res.body.submittedAt, null);
+});
+
+test('saves partial progress and submits once every costume is complete', async () => {
+  const dealId = seedDeal();
+
+  const partial = await save(dealId, { rows: [{ name: 'Ava', size: 'AM' }, { name: 'Mia', bust: '30' }] });
+  assert.equal(partial.statusCode, 200);
+  assert.equal(partial.body.complete, 1);
+  assert.equal(partial.body.rows.length, 3);
+  const saved = JSON.parse(hs.deal(dealId).properties.costume_measurements);
+  assert.equal(saved.updatedBy, 'customer');
+  assert.match(hs.dealNotes(dealId)[0].properties.hs_note_body, /Measurements saved: 1 of 3 costumes complete/);
+
+  const early = await save(dealId, { rows: partial.body.rows, submit: true });
+  assert.equal(early.statusCode, 400);
+  assert.equal(early.body.rows.length, 3);
+  assert.equal(early.body.rows[2].name, 'Name is required.');
+
+  const rows = [{ name: 'Ava', size: 'AM' }, { name: 'Mia', size: 'AS' }, { name: 'Zoe', bust: 34, waist: 28, hip: 36, girth: 62, height: 65 }];
+  const done = await save(dealId, { rows, submit: true });
+  assert.equal(done.statusCode, 200);
+  assert.equal(done.body.complete, 3);
+  assert.ok(done.body.submittedAt);
+  assert.match(hs.dealNotes(dealId).at(-1).properties.hs_note_body, /Measurements submitted for all 3 costumes/);
+});
+
+test('imports a CSV file and exports the saved rows for staff', async () => {
+  const dealId = seedDeal();
+
+  const imported = await save(dealId, { csv: 'Name,Size,Bust\nAva,AM,\nMia,,31\n' });
+  assert.equal(imported.statusCode, 200);
+  assert.deepEqual(imported.body.rows.map(r => r.name), ['Ava', 'Mia', '']);
+  assert.equal(imported.body.rows[1].bust, 31);
+
+  const csv = await callHandler(handler, { query: { dealId, format: 'csv' }, headers: { cookie: staffCookie() } });
+  assert.equal(csv.statusCode, 200);
+  assert.equal(csv.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.match(csv.headers['content-disposition'], /filename="10722-Tigerettes-measurements\.csv"/);
+  assert.deepEqual(csv.body.trim().split('\r\n').slice(1), ['1,Ava,AM,,,,,,', '2,Mia,,31,,,,,', '3,,,,,,,,']);
+
+  const tooMany = await save(dealId, { csv: 'Name\nA\nB\nC\nD\n' });
+  assert.equal(tooMany.statusCode, 400);
+  assert.match(tooMany.body.error, /lists 4 dancers, but the order has 3 costumes/);
+});
+
+test('records the staff member who saves', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, {
+    method: 'POST',
+    body: { dealId, rows: [{ name: 'Ava', size: 'AM' }] },
+    headers: { cookie: staffCookie() }
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.updatedBy, 'erica@showoffinc.com');
+});
+
+test('needs the deal link or a staff login', async () => {
+  const dealId = seedDeal();
+  const otherDeal = seedDeal();
+
+  const res = await callHandler(handler, { query: { dealId, token: await linkToken(otherDeal, 'sketch-approval') } });
+  assert.equal(res.statusCode, 403);
+  assert.equal((await callHandler(handler, { query: {} })).statusCode, 400);
+});
@@ -0,0 +1,248 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, staffCookie } from '../helpers/tokens.js';
+import setOptions from '../../api/set-options.js';
+import clearOptions from '../../api/clear-options.js';
+import selectOption from '../../api/select-option.js';
+import { sketchOptionsVersion } from '../../api/_lib/sketch-review.js';
+
+let hs, staff;
+before(async () => {
+  hs = await startHubSpotMock();
+  staff = { cookie: staffCookie() };
+});
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+
+const OPTIONS = [
+  { label: 'A', name: 'Classic', items: [{ name: 'Classic Costume', price: 150, quantity: 10 }] },
+  { label: 'B', name: 'Deluxe', items: [{ name: 'Deluxe Costume', price: 210, quantity: 10 }, { name: 'Cape', price: 40, quantity: 10 }] }
+];
+// The version of a deal with no options saved yet
+const NONE = sketchOptionsVersion('');
+
+test('set-options saves the options and a summary', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+
+  const res = await callHandler(setOptions, { method: 'POST', body: { dealId, options: OPTIONS, expectedVersion: NONE }, headers: staff });
+
+  assert.equal(res.statusCode, 200);
+  const props = hs.deal(dealId).properties;
+  assert.deepEqual(JSON.parse(props.sketch_options), OPTIONS);
+  assert.match(props.line_items_summary, /Option A: \$1500\.00/);
+  assert.match(props.line_items_summary, /Option B: \$2500\.00/);
+});
+
+test('set-options requires a non-empty options array', async () => {
+  const res = await callHandler(setOptions, { method: 'POST', body: { dealId: '1', options: [], expectedVersion: NONE }, headers: staff });
+  assert.equal(res.statusCode, 400);
+});
+
+test('set-options keeps names, descriptions, images, catalog products and $0 items', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  const options = [
+    ...OPTIONS,
+    {
+      label: 'C',
+      name: ' Full Stoning ',
+      description: 'Every seam stoned in AB crystal.',
+      image: 'https://files.hubspot.example/9/stoning.png',
+      items: [
+        { name: 'Stoned Costume', price: '325.499', quantity: '10', productId: '8801', sku: 'TS-STONE' },
+        { name: 'Garment bag', price: 0 }
+      ]
+    }
+  ];
+
+  const res = await callHandler(setOptions, { method: 'POST', body: { dealId, options, expectedVersion: NONE }, headers: staff });
+
+  assert.equal(res.statusCode, 200);
+  const saved = JSON.parse(hs.deal(dealId).properties.sketch_options)[2];
+  assert.deepEqual(saved, {
+    label: 'C',
+    name: 'Full Stoning',
+    description: 'Every seam stoned in AB crystal.',
+    image: 'https://files.hubspot.example/9/stoning.png',
+    items: [
+      { name: 'Stoned Costume', quantity: 10, price: 325.5, productId: '8801', sku: 'TS-STONE' },
+      { name: 'Garment bag', quantity: 1, price: 0 }
+    ]
+  });
+  assert.match(hs.deal(dealId).properties.line_items_summary, /Garment bag: \$0\.00/);
+});
+
+test('set-options takes more than three options', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  const options = 'ABCDEF'.split('').map(label => ({ label, items: [{ name: `Costume ${label}`, price: 100 }] }));
+
+  const res = await callHandler(setOptions, { method: 'POST', body: { dealId, options, expectedVersion: NONE }, headers: staff });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(JSON.parse(hs.deal(dealId).properties.sketch_options).length, 6);
+});
+
+test('set-options rejects malformed options without saving', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  const bad = [
+    [OPTIONS[0], { ...OPTIONS[1], label: 'A' }],
+    [OPTIONS[0], { ...OPTIONS[1], items: [] }],
+    [OPTIONS[0], { ...OPTIONS[1], items: [{ name: '', price: 10 }] }],
+    [OPTIONS[0], { ...OPTIONS[1], items: [{ name: 'Cape', price: -5 }] }],
+    [OPTIONS[0], { ...OPTIONS[1], items: [{ name: 'Cape', price: 5, quantity: 1.5 }] }],
+    [OPTIONS[0], { ...OPTIONS[1], image: 'javascript:alert(1)' }],
+    [OPTIONS[0], { ...OPTIONS[1], label: undefined }]
+  ];
+
+  for (const options of bad) {
+    const res = await callHandler(setOptions, { method: 'POST', body: { dealId, options, expectedVersion: NONE }, headers: staff });
+    assert.equal(res.statusCode, 400, JSON.stringify(options[1]));
+    assert.ok(res.body.error);
+  }
+  assert.equal(hs.deal(dealId).properties.sketch_options, undefined);
+});
+
+test('set-options records who saved and returns the new version', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes', sketch_options_viewed_at: '2026-10-18T15:00:00.000Z' });
+
+  const res = await callHandler(setOptions, { method: 'POST', body: { dealId, options: OPTIONS, expectedVersion: NONE }, headers: staff });
+
+  const props = hs.deal(dealId).properties;
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.version, sketchOptionsVersion(props.sketch_options));
+  assert.equal(props.sketch_options_saved_by, 'erica@showoffinc.com');
+  assert.ok(Date.parse(props.sketch_options_saved_at));
+  assert.equal(props.sketch_options_viewed_at, '');
+});
+
+test('set-options refuses to overwrite options changed since they were loaded', async () => {
+  const theirs = JSON.stringify([{ label: 'A', items: [{ name: 'Their Costume', price: 99, quantity: 1 }] }]);
+  const dealId = hs.addDeal({
+    dealname: '10722 Tigerettes',
+    sketch_options: theirs,
+    sketch_options_saved_by: 'dana@showoffinc.com',
+    sketch_options_saved_at: '2026-10-18T15:00:00.000Z'
+  });
+
+  const stale = await callHandler(setOptions, { method: 'POST', body: { dealId, options: OPTIONS, expectedVersion: NONE }, headers: staff });
+
+  assert.equal(stale.statusCode, 409);
+  assert.match(stale.body.error, /changed by dana@showoffinc\.com/);
+  assert.equal(stale.body.currentVersion, sketchOptionsVersion(theirs));
+  assert.equal(hs.deal(dealId).properties.sketch_options, theirs);
+
+  const fresh = await callHandler(setOptions, { method: 'POST', body: { dealId, options: OPTIONS, expectedVersion: stale.body.currentVersion }, headers: staff });
+  assert.equal(fresh.statusCode, 200);
+});
+
+test('set-options requires the version the options were loaded at', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+
+  for (const expectedVersion of [undefined, '', null, 7]) {
+    const res = await callHandler(setOptions, { method: 'POST', body: { dealId, options: OPTIONS, expectedVersion }, headers: staff });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /expectedVersion is required/);
+  }
+  assert.equal(hs.deal(dealId).properties.sketch_options, undefined);
+});
+
+test('set-options clears the selected option when the options change', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  const first = await callHandler(setOptions, { method: 'POST', body: { dealId, options: OPTIONS, expectedVersion: NONE }, headers: staff });
+  hs.deal(dealId).properties.selected_sketch_option = 'B';
+
+  const same = await callHandler(setOptions, { method: 'POST', body: { dealId, options: OPTIONS, expectedVersion: first.body.version }, headers: staff });
+  assert.equal(same.statusCode, 200);
+  assert.equal(hs.deal(dealId).properties.selected_sketch_option, 'B');
+
+  const changed = [OPTIONS[0], { ...OPTIONS[1], items: [{ name: 'Deluxe Costume', price: 230, quantity: 10 }] }];
+  const res = await callHandler(setOptions, { method: 'POST', body: { dealId, options: changed, expectedVersion: same.body.version }, headers: staff });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(hs.deal(dealId).properties.selected_sketch_option, '');
+});
+
+test('set-options passes through HubSpot errors', async () => {
+  const res = await callHandler(setOptions, { method: 'POST', body: { dealId: '5150', options: OPTIONS, expectedVersion: NONE }, headers: staff });
+  assert.equal(res.statusCode, 404);
+});
+
+test('set-options is staff only', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  const token = await linkToken(dealId, 'sketch-approval');
+
+  const res = await callHandler(setOptions, { method: 'POST', body: { dealId, token, options: OPTIONS } });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(hs.deal(dealId).properties.sketch_options, undefined);
+});
+
+test('clear-options needs a staff login', async () => {
+  const dealId = hs.addDeal({ sketch_options: JSON.stringify(OPTIONS) });
+  const token = await linkToken(dealId, 'sketch-approval');
+
+  for (const body of [{ dealId }, { dealId, token }]) {
+    const res = await callHandler(clearOptions, { method: 'POST', body });
+    assert.equal(res.statusCode, 401);
+  }
+  assert.equal(hs.deal(dealId).properties.sketch_options, JSON.stringify(OPTIONS));
+});
+
+test('clear-options empties both option properties', async () => {
+  const dealId = hs.addDeal({ sketch_options: JSON.stringify(OPTIONS), selected_sketch_option: 'B' });
+
+  const res = await callHandler(clearOptions, { method: 'POST', body: { dealId }, headers: staff });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(hs.deal(dealId).properties.sketch_options, '');
+  assert.equal(hs.deal(dealId).properties.selected_sketch_option, '');
+});
+
+test('select-option swaps the line items to the chosen option', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes', sketch_options: JSON.stringify(OPTIONS) });
+  hs.addLineItem(dealId, { name: 'Placeholder', price: '1', quantity: '1' });
+
+  const res = await callHandler(selectOption, { method: 'POST', body: { dealId, token: await linkToken(dealId, 'sketch-approval'), label: 'B' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.option.total, 2500);
+  assert.equal(hs.deal(dealId).properties.selected_sketch_option, 'B');
+  const names = hs.dealLineItems(dealId).map(li => li.properties.name).sort();
+  assert.deepEqual(names, ['Cape', 'Deluxe Costume']);
+});
+
+test('select-option links line items to their catalog product', async () => {
+  const options = [{ label: 'A', items: [{ name: 'Stoned Costume', price: 325, quantity: 10, productId: '8801', sku: 'TS-STONE' }] }];
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes', sketch_options: JSON.stringify(options) });
+
+  const res = await callHandler(selectOption, { method: 'POST', body: { dealId, token: await linkToken(dealId, 'sketch-approval'), label: 'A' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(hs.dealLineItems(dealId)[0].properties.hs_product_id, '8801');
+});
+
+test('select-option rejects an unknown label', async () => {
+  const dealId = hs.addDeal({ sketch_options: JSON.stringify(OPTIONS) });
+  const res = await callHandler(selectOption, { method: 'POST', body: { dealId, token: await linkToken(dealId, 'sketch-approval'), label: 'Z' } });
+  assert.equal(res.statusCode, 400);
+});
+
+test('select-option refuses an already approved design', async () => {
+  const dealId = hs.addDeal({ sketch_options: JSON.stringify(OPTIONS), sketch_approved: 'Approved' });
+  const res = await callHandler(selectOption, { method: 'POST', body: { dealId, token: await linkToken(dealId, 'sketch-approval'), label: 'A' } });
+  assert.equal(res.statusCode, 409);
+});
+
+test('select-option needs a link token for that deal', async () => {
+  const dealId = hs.addDeal({ sketch_options: JSON.stringify(OPTIONS) });
+  const otherId = hs.addDeal({ sketch_options: JSON.stringify(OPTIONS) });
+
+  const res = await callHandler(selectOption, {
+    method: 'POST',
+    body: { dealId, token: await linkToken(otherId, 'sketch-approval'), label: 'A' }
+  });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(hs.deal(dealId).properties.selected_sketch_option, undefined);
+});
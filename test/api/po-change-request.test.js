@@ -0,0 +1,114 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, staffCookie } from '../helpers/tokens.js';
+import handler from '../../api/po-change-request.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+function seedDeal(props = {}) {
+  const dealId = hs.addDeal({ dealname: '10760 Fenn', po_quote_status: 'Sent to Customer', po_quote_title: 'UGA', ...props });
+  hs.addContact({ firstname: 'Coach', lastname: 'Kim', email: 'kim@school.edu' }, { dealId, label: 'Primary Contact' });
+  hs.addLineItem(dealId, { name: 'Costume', price: '200', quantity: '10' });
+  return dealId;
+}
+
+async function requestChanges(dealId, body = {}) {
+  return callHandler(handler, {
+    method: 'POST',
+    body: { dealId, token: await linkToken(dealId, 'po-review'), message: 'Can we get 12 instead of 10?', ...body }
+  });
+}
+
+function staffAction(dealId, body) {
+  return callHandler(handler, { method: 'POST', headers: { cookie: staffCookie() }, body: { dealId, ...body } });
+}
+
+test('a customer change request is saved, flags the quote and notifies staff', async () => {
+  const dealId = seedDeal();
+
+  const res = await requestChanges(dealId);
+
+  assert.equal(res.statusCode, 200);
+  const props = hs.deal(dealId).properties;
+  assert.equal(props.po_quote_status, 'Changes Requested');
+  const [saved] = JSON.parse(props.po_change_requests);
+  assert.equal(saved.status, 'open');
+  assert.equal(saved.message, 'Can we get 12 instead of 10?');
+  assert.deepEqual(saved.snapshot.items.map(i => [i.name, i.quantity]), [['Costume', 10]]);
+  assert.equal(res.body.changeRequests[0].snapshot, undefined);
+
+  const [hook] = hs.webhooks('po-change-request');
+  assert.equal(hook.body.action, 'requested');
+  assert.equal(hook.body.contactEmail, 'kim@school.edu');
+  assert.match(hook.body.quoteUrl, /\/po-quote\.html\?dealId=/);
+  assert.match(hs.dealNotes(dealId)[0].properties.hs_note_body, /12 instead of 10/);
+});
+
+test('the request is kept when the staff notification fails', async () => {
+  const dealId = seedDeal();
+  hs.setWebhookResponse('po-change-request', 502, null);
+
+  const res = await requestChanges(dealId);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(hs.deal(dealId).properties.po_quote_status, 'Changes Requested');
+});
+
+test('customers need a review link and a message, and cannot change a finalized quote', async () => {
+  const dealId = seedDeal();
+
+  assert.equal((await callHandler(handler, { method: 'POST', body: { dealId, message: 'x' } })).statusCode, 403);
+  assert.equal((await requestChanges(dealId, { token: await linkToken(dealId, 'po-upload') })).statusCode, 403);
+  assert.equal((await requestChanges(dealId, { message: ' ' })).statusCode, 400);
+
+  const finalized = seedDeal({ po_quote_status: 'Finalized' });
+  assert.equal((await requestChanges(finalized)).statusCode, 409);
+});
+
+test('staff replies are saved and emailed to the customer', async () => {
+  const dealId = seedDeal();
+  const requestId = (await requestChanges(dealId)).body.changeRequests[0].id;
+
+  const res = await staffAction(dealId, { action: 'reply', requestId, message: 'Yes — updating now.' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.notified, true);
+  const [saved] = JSON.parse(hs.deal(dealId).properties.po_change_requests);
+  assert.deepEqual(saved.replies.map(r => [r.by, r.message]), [['erica@showoffinc.com', 'Yes — updating now.']]);
+  assert.equal(saved.status, 'open');
+  assert.equal(hs.deal(dealId).properties.po_quote_status, 'Changes Requested');
+
+  const reply = hs.webhooks('po-change-request')[1].body;
+  assert.equal(reply.action, 'replied');
+  assert.equal(reply.contactEmail, 'kim@school.edu');
+  assert.match(reply.reviewUrl, /\/po-quote-review\.html\?dealId=/);
+});
+
+test('resolving the last open request puts the quote back to sent', async () => {
+  const dealId = seedDeal();
+  const requestId = (await requestChanges(dealId)).body.changeRequests[0].id;
+
+  const res = await staffAction(dealId, { action: 'resolve', requestId });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.poQuoteStatus, 'Sent to Customer');
+  const [saved] = JSON.parse(hs.deal(dealId).properties.po_change_requests);
+  assert.equal(saved.status, 'resolved');
+  assert.equal(saved.resolvedBy, 'erica@showoffinc.com');
+  assert.equal(hs.webhooks('po-change-request').length, 1);
+
+  assert.equal((await staffAction(dealId, { action: 'resolve', requestId })).statusCode, 409);
+});
+
+test('staff actions need a session and an existing request', async () => {
+  const dealId = seedDeal();
+
+  const anonymous = await callHandler(handler, { method: 'POST', body: { dealId, action: 'resolve', requestId: 'x' } });
+  assert.equal(anonymous.statusCode, 401);
+  assert.equal((await staffAction(dealId, { action: 'resolve', requestId: 'missing' })).statusCode, 404);
+  assert.equal((await staffAction(dealId, { action: 'reply', requestId: 'missing' })).statusCode, 400);
+});
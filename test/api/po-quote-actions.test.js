@@ -0,0 +1,231 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, staffCookie } from '../helpers/tokens.js';
+import { verifyLinkToken } from '../../api/_lib/link-token.js';
+import savePoQuote from '../../api/save-po-quote.js';
+import finalizePoQuote from '../../api/finalize-po-quote.js';
+
+let hs, staff;
+before(async () => {
+  hs = await startHubSpotMock();
+  staff = { cookie: staffCookie() };
+});
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+function seedDeal(props = {}) {
+  const dealId = hs.addDeal({ dealname: '10760 Fenn', po_quote_status: 'Draft', ...props });
+  hs.addContact({ firstname: 'Coach', lastname: 'Kim', email: 'kim@school.edu' }, { dealId, label: 'Primary Contact' });
+  return dealId;
+}
+
+function save(dealId, body = {}) {
+  return callHandler(savePoQuote, {
+    method: 'POST',
+    headers: staff,
+    body: {
+      dealId,
+      action: 'save',
+      items: [{ id: '1', name: 'Costume', quantity: '14', price: '200' }],
+      deletedItems: [],
+      quoteTitle: 'UGA Majorettes',
+      verbiage: { schoolName: 'UGA', purchaseTerms: 'Net 30', injected: 'dropped' },
+      ...body
+    }
+  });
+}
+
+test('save-po-quote needs a staff session', async () => {
+  const dealId = seedDeal();
+  const res = await callHandler(savePoQuote, { method: 'POST', body: { dealId, action: 'save' } });
+  assert.equal(res.statusCode, 401);
+});
+
+test('save-po-quote forwards a validated draft', async () => {
+  const dealId = seedDeal();
+  hs.addQuote(dealId, { hs_title: 'Quote', hs_status: 'DRAFT' });
+
+  const res = await save(dealId);
+
+  assert.equal(res.statusCode, 200);
+  const [sent] = hs.webhooks('process-po-quote');
+  assert.equal(sent.body.action, 'save');
+  assert.deepEqual(sent.body.items, [{ id: '1', name: 'Costume', quantity: 14, price: 200 }]);
+  assert.deepEqual(sent.body.verbiage, { schoolName: 'UGA', purchaseTerms: 'Net 30' });
+  assert.equal(sent.body.contactEmail, 'kim@school.edu');
+  assert.ok(sent.body.existingQuoteId);
+  assert.equal(sent.body.staffEmail, 'erica@showoffinc.com');
+  assert.equal(sent.body.reviewUrl, null);
+});
+
+test('save-po-quote saves the pricing terms and forwards the breakdown', async () => {
+  const certificate = { fileId: '99', name: 'st5.pdf' };
+  const dealId = seedDeal({ shipping_state: 'GA', quote_pricing: JSON.stringify({ taxExempt: true, exemptionCertificate: certificate }) });
+
+  const res = await save(dealId, {
+    pricing: { discountType: 'percent', discountValue: '5', discountLabel: 'Returning team', shipping: '60', taxExempt: false }
+  });
+
+  assert.equal(res.statusCode, 200);
+  const saved = JSON.parse(hs.deal(dealId).properties.quote_pricing);
+  assert.equal(saved.discountLabel, 'Returning team');
+  assert.equal(saved.taxExempt, false);
+  assert.deepEqual(saved.exemptionCertificate, { ...certificate, status: 'approved' });
+  const { pricing } = hs.webhooks('process-po-quote')[0].body;
+  assert.deepEqual(
+    { subtotal: pricing.subtotal, discount: pricing.discount, shipping: pricing.shipping, tax: pricing.tax, total: pricing.total },
+    { subtotal: 2800, discount: 140, shipping: 60, tax: 106.4, total: 2826.4 }
+  );
+  assert.match(hs.dealNotes(dealId)[0].properties.hs_note_body, /\$2826\.40/);
+});
+
+test('save-po-quote keeps the saved pricing when the form sends none', async () => {
+  const dealId = seedDeal({ quote_pricing: JSON.stringify({ shipping: 25 }) });
+
+  await save(dealId);
+
+  assert.equal(JSON.parse(hs.deal(dealId).properties.quote_pricing).shipping, 25);
+  assert.equal(hs.webhooks('process-po-quote')[0].body.pricing.total, 2825);
+  assert.equal((await save(dealId, { pricing: { discountType: 'percent', discountValue: 150 } })).statusCode, 400);
+});
+
+test('send-review issues the customer review link', async () => {
+  const dealId = seedDeal();
+
+  const res = await save(dealId, { action: 'send-review' });
+
+  assert.equal(res.statusCode, 200);
+  const url = new URL(res.body.reviewUrl);
+  assert.equal(url.pathname, '/po-quote-review.html');
+  await verifyLinkToken(url.searchParams.get('token'), { dealId, purpose: 'po-review' });
+  assert.equal(hs.webhooks('process-po-quote')[0].body.reviewUrl, res.body.reviewUrl);
+});
+
+test('send-review answers open change requests with what changed', async () => {
+  const snapshot = {
+    items: [{ id: '1', name: 'Costume', quantity: 10, price: 200 }],
+    discount: 0, shipping: 0, tax: 0, taxExempt: false, total: 2000, addressee: '', quoteTitle: 'UGA Majorettes', quoteNotes: ''
+  };
+  const dealId = seedDeal({
+    po_quote_status: 'Changes Requested',
+    po_change_requests: JSON.stringify([{ id: 'r1', message: 'Four more please', status: 'open', replies: [], snapshot }])
+  });
+
+  assert.equal((await save(dealId)).statusCode, 200);
+  assert.equal(JSON.parse(hs.deal(dealId).properties.po_change_requests)[0].status, 'open');
+
+  const res = await save(dealId, { action: 'send-review' });
+
+  assert.equal(res.statusCode, 200);
+  const [request] = JSON.parse(hs.deal(dealId).properties.po_change_requests);
+  assert.equal(request.status, 'resolved');
+  assert.deepEqual(request.changes, ['Costume: quantity 10 → 14', 'Total: $2000.00 → $2800.00']);
+  assert.deepEqual(hs.webhooks('process-po-quote')[1].body.changeRequests, [
+    { id: 'r1', message: 'Four more please', changes: request.changes }
+  ]);
+});
+
+test('send-review marks the quote sent before n8n and puts the status back if it fails', async () => {
+  const dealId = seedDeal();
+  hs.setWebhookResponse('process-po-quote', 502, null);
+
+  assert.equal((await save(dealId, { action: 'send-review' })).statusCode, 500);
+  assert.equal(hs.deal(dealId).properties.po_quote_status, 'Draft');
+
+  hs.setWebhookResponse('process-po-quote', 200, null);
+  assert.equal((await save(dealId, { action: 'send-review' })).statusCode, 200);
+  assert.equal(hs.deal(dealId).properties.po_quote_status, 'Sent to Customer');
+});
+
+test('save-po-quote validates items and action', async () => {
+  const dealId = seedDeal();
+  assert.equal((await save(dealId, { action: 'publish' })).statusCode, 400);
+  assert.equal((await save(dealId, { items: [] })).statusCode, 400);
+  assert.equal((await save(dealId, { items: [{ name: 'Costume', quantity: 0, price: 10 }] })).statusCode, 400);
+  assert.equal((await save(dealId, { items: [{ name: '', quantity: 1, price: 10 }] })).statusCode, 400);
+  assert.equal(hs.webhooks('process-po-quote').length, 0);
+});
+
+test('save-po-quote refuses a finalized quote', async () => {
+  const dealId = seedDeal({ po_quote_status: 'Finalized' });
+  const res = await save(dealId);
+  assert.equal(res.statusCode, 409);
+  assert.equal(hs.webhooks('process-po-quote').length, 0);
+});
+
+function finalize(dealId, body = {}, purpose = 'po-review') {
+  return linkToken(dealId, purpose).then(token => callHandler(finalizePoQuote, {
+    method: 'POST',
+    body: { dealId, token, quoteTitle: 'UGA Majorettes', poNumber: 'PO-77', ccEmails: 'a@uga.edu; b@uga.edu', ...body }
+  }));
+}
+
+test('finalize-po-quote forwards with the contact from the deal', async () => {
+  const dealId = seedDeal({ po_quote_status: 'Sent to Customer' });
+  hs.setWebhookResponse('finalize-po-quote', 200, { success: true, quoteLink: 'https://quotes.example/q' });
+
+  const res = await finalize(dealId, { contactEmail: 'ap@district.org', contactId: 'spoofed' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.quoteLink, 'https://quotes.example/q');
+  const [sent] = hs.webhooks('finalize-po-quote');
+  assert.equal(sent.body.contactEmail, 'ap@district.org');
+  assert.notEqual(sent.body.contactId, 'spoofed');
+  assert.equal(sent.body.contactName, 'Coach Kim');
+  assert.equal(sent.body.ccEmails, 'a@uga.edu, b@uga.edu');
+  assert.equal(sent.body.token, undefined);
+});
+
+test('finalize-po-quote attaches the quote PDF to the deal', async () => {
+  const dealId = seedDeal({ po_quote_status: 'Sent to Customer' });
+  hs.addLineItem(dealId, { name: 'Costume', price: '200', quantity: '14' });
+
+  const res = await finalize(dealId);
+
+  assert.equal(res.statusCode, 200);
+  const [file] = hs.files;
+  assert.equal(file.folderPath, '/po-quotes');
+  assert.equal(file.buffer.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(res.body.quotePdfFileId, file.id);
+  assert.equal(hs.deal(dealId).properties.po_quote_pdf, file.id);
+  assert.equal(hs.webhooks('finalize-po-quote')[0].body.quotePdfFileId, file.id);
+  assert.equal(hs.dealNotes(dealId)[0].properties.hs_attachment_ids, file.id);
+});
+
+test('finalize-po-quote returns the existing quote instead of finalizing twice', async () => {
+  const dealId = seedDeal({ po_quote_status: 'Finalized', po_quote_link: 'https://quotes.example/q' });
+
+  const res = await finalize(dealId);
+
+  assert.deepEqual(res.body, { success: true, alreadyFinalized: true, quoteLink: 'https://quotes.example/q' });
+  assert.equal(hs.webhooks('finalize-po-quote').length, 0);
+});
+
+test('finalize-po-quote marks the quote finalized first, so a second call is refused', async () => {
+  const dealId = seedDeal({ po_quote_status: 'Sent to Customer' });
+
+  const first = await finalize(dealId);
+  const second = await finalize(dealId);
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(second.statusCode, 409);
+  assert.equal(hs.webhooks('finalize-po-quote').length, 1);
+  assert.equal(hs.files.length, 1);
+  assert.equal(hs.deal(dealId).properties.po_quote_status, 'Finalized');
+});
+
+test('finalize-po-quote puts the status back when n8n fails', async () => {
+  const dealId = seedDeal({ po_quote_status: 'Sent to Customer' });
+  hs.setWebhookResponse('finalize-po-quote', 502, null);
+
+  assert.equal((await finalize(dealId)).statusCode, 500);
+  assert.equal(hs.deal(dealId).properties.po_quote_status, 'Sent to Customer');
+});
+
+test('finalize-po-quote needs a review token and valid emails', async () => {
+  const dealId = seedDeal();
+  assert.equal((await finalize(dealId, {}, 'po-upload')).statusCode, 403);
+  assert.equal((await finalize(dealId, { ccEmails: 'not-an-email' })).statusCode, 400);
+  assert.equal((await finalize(dealId, { contactEmail: 'nope' })).statusCode, 400);
+});
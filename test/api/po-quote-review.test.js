@@ -0,0 +1,121 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, legacyToken } from '../helpers/tokens.js';
+import handler from '../../api/po-quote-review.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+function seedDeal(props = {}) {
+  const dealId = hs.addDeal({
+    dealname: '10760 Fenn - showoff inc',
+    po_quote_status: 'Sent to Customer',
+    po_quote_verbiage: JSON.stringify({ sentDate: '2026-01-10T15:00:00Z', purchaseTerms: 'Net 45' }),
+    ...props
+  });
+  hs.addLineItem(dealId, { name: 'Costume', price: '200', quantity: '3' });
+  hs.addContact({ firstname: 'Pat', lastname: 'Payer', email: 'ap@district.org' }, { dealId, label: 'Payer' });
+  hs.addContact({ firstname: 'Coach', lastname: 'Kim', email: 'kim@school.edu' }, { dealId, label: 'Primary Contact' });
+  return dealId;
+}
+
+test('rejects a missing token', async () => {
+  const res = await callHandler(handler, { query: { dealId: '1' } });
+  assert.equal(res.statusCode, 403);
+});
+
+test('rejects a token issued for another deal', async () => {
+  const dealId = seedDeal();
+  const otherId = hs.addDeal({ dealname: '10761 Other' });
+  const res = await callHandler(handler, { query: { dealId, token: await linkToken(otherId, 'po-review') } });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'Invalid or expired link');
+});
+
+test('rejects a token issued for another purpose', async () => {
+  const dealId = seedDeal();
+  const res = await callHandler(handler, { query: { dealId, token: await linkToken(dealId, 'sketch-approval') } });
+  assert.equal(res.statusCode, 403);
+});
+
+test('still accepts a legacy link token', async () => {
+  const dealId = seedDeal();
+  const res = await callHandler(handler, { query: { dealId, token: legacyToken(dealId) } });
+  assert.equal(res.statusCode, 200);
+});
+
+test('returns the quote with payer, primary contact and a 120-day expiration', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, { query: { dealId, token: await linkToken(dealId, 'po-review') } });
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.uploadToken);
+  assert.equal(res.body.total, 600);
+  assert.equal(res.body.payerContact.email, 'ap@district.org');
+  assert.equal(res.body.primaryContact.email, 'kim@school.edu');
+  assert.equal(res.body.sentDate, '2026-01-10');
+  assert.equal(res.body.expirationDate, '2026-05-10');
+});
+
+test('returns the pricing breakdown and names the exemption certificate on file', async () => {
+  const certificate = { fileId: '99', name: 'st5.pdf', uploadedAt: '2026-01-11T00:00:00Z', uploadedBy: 'customer' };
+  const exemptId = seedDeal({
+    shipping_state: 'IL',
+    quote_pricing: JSON.stringify({ discountType: 'percent', discountValue: 10, taxExempt: true, exemptionCertificate: certificate })
+  });
+  const taxedId = seedDeal({ shipping_state: 'IL', quote_pricing: JSON.stringify({ shipping: 20 }) });
+
+  const exempt = await callHandler(handler, { query: { dealId: exemptId, token: await linkToken(exemptId, 'po-review') } });
+  const taxed = await callHandler(handler, { query: { dealId: taxedId, token: await linkToken(taxedId, 'po-review') } });
+
+  assert.equal(exempt.body.pricing.discount, 60);
+  assert.equal(exempt.body.pricing.tax, 0);
+  assert.equal(exempt.body.pricing.total, 540);
+  assert.deepEqual(exempt.body.exemptionCertificate, { name: 'st5.pdf', uploadedAt: '2026-01-11T00:00:00Z', status: 'approved' });
+  assert.equal(taxed.body.pricing.tax, 37.5);
+  assert.equal(taxed.body.pricing.total, 657.5);
+  assert.equal(taxed.body.exemptionCertificate, null);
+});
+
+test('returns the change requests without staff-only details', async () => {
+  const dealId = seedDeal({
+    po_change_requests: JSON.stringify([{
+      id: 'r1', message: 'Four more please', status: 'resolved', resent: true, changes: ['Costume: quantity 3 → 7'],
+      replies: [{ message: 'Done', by: 'erica@showoffinc.com', at: '2026-01-12T10:00:00Z' }],
+      resolvedBy: 'erica@showoffinc.com', snapshot: { items: [] }
+    }])
+  });
+
+  const res = await callHandler(handler, { query: { dealId, token: await linkToken(dealId, 'po-review') } });
+
+  const [request] = res.body.changeRequests;
+  assert.deepEqual(request.changes, ['Costume: quantity 3 → 7']);
+  assert.deepEqual(request.replies, [{ message: 'Done', at: '2026-01-12T10:00:00Z' }]);
+  assert.equal(request.snapshot, undefined);
+  assert.equal(request.resolvedBy, undefined);
+});
+
+test('lists the uploaded POs without their file links', async () => {
+  const dealId = seedDeal({
+    po_document_url: 'https://files.hubspot.example/9/10760 Fenn_PO.pdf',
+    po_documents: JSON.stringify({
+      documents: [{ id: 'd1', uploadKey: 'k1', fileId: '9', fileName: 'po.pdf', url: 'https://files.hubspot.example/9/x', kind: 'po', uploadedAt: '2026-01-15T10:00:00Z' }],
+      uploads: {}
+    })
+  });
+
+  const res = await callHandler(handler, { query: { dealId, token: await linkToken(dealId, 'po-review') } });
+
+  assert.deepEqual(res.body.poDocuments, [{
+    id: 'd1', fileName: 'po.pdf', kind: 'po', size: null, uploadedAt: '2026-01-15T10:00:00Z', replaces: null, replacedAt: null
+  }]);
+});
+
+test('returns 404 when the deal is gone', async () => {
+  const res = await callHandler(handler, { query: { dealId: '31337', token: legacyToken('31337') } });
+  assert.equal(res.statusCode, 404);
+});
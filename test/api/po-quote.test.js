@@ -0,0 +1,89 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { staffCookie } from '../helpers/tokens.js';
+import handler from '../../api/po-quote.js';
+
+let hs, staff;
+before(async () => {
+  hs = await startHubSpotMock();
+  staff = { cookie: staffCookie() };
+});
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+function seedDeal(props = {}) {
+  const dealId = hs.addDeal({
+    dealname: '10760 Fenn - showoff inc',
+    is_po_customer: 'true',
+    po_quote_title: 'UGA Majorettes 2026',
+    po_quote_status: 'Draft',
+    po_quote_verbiage: JSON.stringify({ schoolName: 'UGA', mailingCity: 'Athens' }),
+    po_team_size: '14',
+    ...props
+  });
+  hs.addLineItem(dealId, { name: 'Costume', price: '200', quantity: '14', amount: '2800' });
+  hs.addContact({ firstname: 'Ashley', lastname: 'Clark', email: 'ashley@uga.edu' }, { dealId, label: 'Primary Contact' });
+  hs.addQuote(dealId, { hs_title: 'Quote', hs_status: 'DRAFT', hs_quote_link: 'https://quotes.example/1' });
+  return dealId;
+}
+
+
+test('requires a staff session', async () => {
+  const res = await callHandler(handler, { query: { dealNumber: '10760' } });
+  assert.equal(res.statusCode, 401);
+});
+
+test('ignores the retired adminKey query parameter', async () => {
+  const res = await callHandler(handler, { query: { dealNumber: '10760', adminKey: 'test-admin-key' } });
+  assert.equal(res.statusCode, 401);
+});
+
+test('rejects a session for an address no longer on the staff list', async (t) => {
+  process.env.STAFF_EMAILS = 'someone@showoffinc.com';
+  t.after(() => { delete process.env.STAFF_EMAILS; });
+  const res = await callHandler(handler, { query: { dealNumber: '10760' }, headers: staff });
+  assert.equal(res.statusCode, 401);
+});
+
+test('looks up a deal by number and returns the PO quote data', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, { query: { dealNumber: '10760' }, headers: staff });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.dealId, dealId);
+  assert.equal(res.body.total, 2800);
+  assert.equal(res.body.primaryContact.email, 'ashley@uga.edu');
+  assert.equal(res.body.existingQuote.status, 'DRAFT');
+  assert.equal(res.body.verbiage.schoolName, 'UGA');
+  assert.equal(res.body.poFields.teamSize, 14);
+  assert.equal(res.body.poQuoteStatus, 'Draft');
+});
+
+test('gives staff the pricing terms, the ship-to tax rate and a link to the certificate', async () => {
+  const certificate = hs.addFile({ name: 'st5.pdf', type: 'application/pdf', content: '%PDF-1.4' });
+  const dealId = seedDeal({
+    shipping_state: 'Georgia',
+    quote_pricing: JSON.stringify({ shipping: 50, taxExempt: true, exemptionCertificate: { fileId: certificate, name: 'st5.pdf', uploadedBy: 'customer' } })
+  });
+
+  const res = await callHandler(handler, { query: { dealId }, headers: staff });
+
+  assert.equal(res.body.pricing.shipping, 50);
+  assert.equal(res.body.pricing.tax, 0);
+  assert.equal(res.body.pricing.total, 2850);
+  assert.equal(res.body.stateTaxRate, 4);
+  assert.equal(res.body.exemptionCertificate.name, 'st5.pdf');
+  assert.match(res.body.exemptionCertificate.url, /signed=1$/);
+});
+
+test('returns 404 for an unknown deal number', async () => {
+  const res = await callHandler(handler, { query: { dealNumber: '12345' }, headers: staff });
+  assert.equal(res.statusCode, 404);
+});
+
+test('returns 404 for an unknown deal ID', async () => {
+  const res = await callHandler(handler, { query: { dealId: '777' }, headers: staff });
+  assert.equal(res.statusCode, 404);
+});
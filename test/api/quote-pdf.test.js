@@ -0,0 +1,164 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, staffCookie } from '../helpers/tokens.js';
+import { checkStructure, pageTexts, imageCount, samplePng } from '../helpers/pdf.js';
+import handler from '../../api/quote-pdf.js';
+
+let hs, staff;
+before(async () => {
+  hs = await startHubSpotMock();
+  staff = { cookie: staffCookie() };
+});
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+const VERBIAGE = {
+  schoolName: 'University of Georgia',
+  mailingCity: 'Athens',
+  mailingState: 'GA',
+  mailingZip: '30602',
+  purchaseTerms: 'Net 45 from delivery',
+  sentDate: '2026-03-02'
+};
+
+function seedDeal(props = {}) {
+  const dealId = hs.addDeal({
+    dealname: '10760 Fenn',
+    po_quote_title: 'UGA Majorettes 2026',
+    po_quote_addressee: 'Attn: Accounts Payable',
+    po_quote_verbiage: JSON.stringify(VERBIAGE),
+    ...props
+  });
+  hs.addContact({ firstname: 'Coach', lastname: 'Kim', email: 'kim@school.edu' }, { dealId, label: 'Primary Contact' });
+  hs.addLineItem(dealId, { name: 'Majorette Costume', price: '185', quantity: '12', description: 'Sequin bodice' });
+  hs.addLineItem(dealId, { name: 'Setup Fee', price: '50', quantity: '1' });
+  return dealId;
+}
+
+async function getPdf(dealId, query = {}) {
+  return callHandler(handler, { query: { dealId, token: await linkToken(dealId, 'po-review'), ...query } });
+}
+
+function allText(pdf) {
+  return pageTexts(pdf).flat().join('\n');
+}
+
+test('renders the saved quote for the customer review link', async () => {
+  const dealId = seedDeal();
+
+  const res = await getPdf(dealId);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'application/pdf');
+  assert.equal(res.headers['content-disposition'], 'inline; filename="Quote-10760.pdf"');
+  assert.equal(checkStructure(res.body), 1);
+  const text = allText(res.body);
+  for (const expected of [
+    'UGA Majorettes 2026', 'Quote #10760', 'University of Georgia', 'Attn: Accounts Payable', 'Athens, GA 30602',
+    'Majorette Costume', 'Sequin bodice', '$2,220.00', '$2,270.00', 'Net 45 from delivery', 'Expires: Jun 30, 2026'
+  ]) {
+    assert.ok(text.includes(expected), `missing "${expected}"`);
+  }
+});
+
+test('shows the discount, shipping and sales tax lines', async () => {
+  const dealId = seedDeal({
+    shipping_state: 'GA',
+    quote_pricing: JSON.stringify({ discountType: 'fixed', discountValue: 70, discountLabel: 'Booster club', shipping: 35 })
+  });
+
+  const text = allText((await getPdf(dealId)).body);
+
+  for (const expected of ['Subtotal', '$2,270.00', 'Booster club', '-$70.00', 'Shipping', '$35.00', 'Sales tax (GA 4%)', '$88.00', '$2,323.00']) {
+    assert.ok(text.includes(expected), `missing "${expected}"`);
+  }
+});
+
+test('download=1 asks the browser to save the file', async () => {
+  const res = await getPdf(seedDeal(), { download: '1' });
+  assert.equal(res.headers['content-disposition'], 'attachment; filename="Quote-10760.pdf"');
+});
+
+test('includes the current sketch as a thumbnail', async () => {
+  const sketch = hs.addFile({ name: 'sketch.png', type: 'image/png', content: samplePng(40, 60) });
+  const dealId = seedDeal({ sketch });
+
+  const res = await getPdf(dealId);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(imageCount(res.body), { images: 1, masked: 1 });
+});
+
+test('leaves off a sketch it cannot draw', async () => {
+  const sketch = hs.addFile({ name: 'sketch.pdf', type: 'application/pdf', content: '%PDF-1.4 sketch' });
+
+  const res = await getPdf(seedDeal({ sketch }));
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(imageCount(res.body), { images: 0, masked: 0 });
+});
+
+test('long quotes continue onto numbered pages', async () => {
+  const dealId = seedDeal();
+  for (let i = 1; i <= 40; i++) hs.addLineItem(dealId, { name: `Costume size ${i}`, price: '10', quantity: '1' });
+
+  const res = await getPdf(dealId);
+
+  const pages = checkStructure(res.body);
+  assert.ok(pages > 1);
+  assert.ok(allText(res.body).includes(`Page ${pages} of ${pages}`));
+});
+
+test('staff can preview an unsaved draft without storing anything', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, {
+    method: 'POST',
+    headers: staff,
+    body: {
+      dealId,
+      items: [{ name: 'Twirl Skirt', quantity: '3', price: '99.5' }],
+      quoteTitle: 'Draft Title',
+      verbiage: { schoolName: 'Georgia Tech', purchaseTerms: 'Due on receipt', injected: 'dropped' },
+      pricing: { shipping: '12' }
+    }
+  });
+
+  assert.equal(res.statusCode, 200);
+  const text = allText(res.body);
+  assert.ok(text.includes('Draft Title'));
+  assert.ok(text.includes('Georgia Tech'));
+  assert.ok(text.includes('Athens, GA 30602'));
+  assert.ok(text.includes('$298.50'));
+  assert.ok(text.includes('$310.50'));
+  assert.ok(!text.includes('Majorette Costume'));
+  assert.equal(hs.files.length, 0);
+  assert.equal(hs.deal(dealId).properties.po_quote_pdf, undefined);
+});
+
+test('quote-pdf checks access', async () => {
+  const dealId = seedDeal();
+
+  const anonymous = await callHandler(handler, { query: { dealId } });
+  const wrongPurpose = await callHandler(handler, { query: { dealId, token: await linkToken(dealId, 'po-upload') } });
+  const customerPost = await callHandler(handler, { method: 'POST', body: { dealId, items: [] } });
+  const staffGet = await callHandler(handler, { query: { dealId }, headers: staff });
+
+  assert.equal(anonymous.statusCode, 403);
+  assert.equal(wrongPurpose.statusCode, 403);
+  assert.equal(customerPost.statusCode, 401);
+  assert.equal(staffGet.statusCode, 200);
+});
+
+test('quote-pdf validates the draft and the deal', async () => {
+  const badItem = await callHandler(handler, {
+    method: 'POST',
+    headers: staff,
+    body: { dealId: seedDeal(), items: [{ name: 'Costume', quantity: 0, price: 10 }] }
+  });
+  const missing = await callHandler(handler, { query: { dealId: '404404' }, headers: staff });
+
+  assert.equal(badItem.statusCode, 400);
+  assert.equal(missing.statusCode, 404);
+});
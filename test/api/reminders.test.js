@@ -0,0 +1,215 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { startSmtpServer, messagePart, messageHeader } from '../helpers/smtp-server.js';
+import { staffCookie } from '../helpers/tokens.js';
+import { decodeLinkToken } from '../../api/_lib/link-token.js';
+import handler from '../../api/reminders.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ENV = ['MAIL_TRANSPORT', 'SMTP_HOST', 'SMTP_PORT', 'CRON_SECRET', 'REMINDER_MAX_ATTEMPTS'];
+
+let hs, smtp;
+before(async () => {
+  hs = await startHubSpotMock();
+  smtp = await startSmtpServer();
+});
+after(async () => {
+  for (const key of ENV) delete process.env[key];
+  await smtp.close();
+  await hs.close();
+});
+beforeEach(() => {
+  hs.reset();
+  smtp.reset();
+  process.env.MAIL_TRANSPORT = 'smtp';
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtp.port);
+  process.env.CRON_SECRET = 'cron-secret';
+  delete process.env.REMINDER_MAX_ATTEMPTS;
+});
+
+function runReminders(query = {}) {
+  return callHandler(handler, { query, headers: { authorization: 'Bearer cron-secret' } });
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+function reminders(dealId) {
+  return JSON.parse(hs.deal(dealId).properties.customer_reminders || '{}');
+}
+
+// A deal whose sketch has been waiting for review since `since`
+function staleSketch({ since = daysAgo(4), count = 0, lastSentAt = null } = {}) {
+  const dealId = hs.addDeal({
+    dealname: '10760 Tigerettes',
+    sketch: '91',
+    customer_reminders: JSON.stringify({ 'sketch-review': { marker: '91', since, count, lastSentAt, escalatedAt: null } })
+  });
+  hs.addContact({ firstname: 'Coach', lastname: 'Kim', email: 'kim@school.edu' }, { dealId, label: 'Primary Contact' });
+  return dealId;
+}
+
+test('runs for Vercel cron or staff only', async () => {
+  assert.equal((await callHandler(handler, {})).statusCode, 401);
+  assert.equal((await callHandler(handler, { headers: { authorization: 'Bearer wrong' } })).statusCode, 401);
+  assert.equal((await callHandler(handler, { headers: { cookie: staffCookie() } })).statusCode, 200);
+  assert.equal((await runReminders()).statusCode, 200);
+});
+
+test('starts tracking a deal the first time it is seen, without emailing', async () => {
+  const dealId = hs.addDeal({ dealname: '10761 Starlets', sketch: '92' });
+  hs.addContact({ email: 'coach@school.edu' }, { dealId, label: 'Primary Contact' });
+
+  const res = await runReminders();
+
+  assert.equal(res.body.tracked, 1);
+  assert.deepEqual(res.body.sent, []);
+  assert.equal(smtp.messages.length, 0);
+  const entry = reminders(dealId)['sketch-review'];
+  assert.equal(entry.marker, '92');
+  assert.equal(entry.count, 0);
+});
+
+test('emails the customer a fresh link once the threshold passes, then waits again', async () => {
+  const dealId = staleSketch();
+
+  const res = await runReminders();
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.sent.map(s => [s.dealId, s.stage, s.to, s.count]), [[dealId, 'sketch-review', 'kim@school.edu', 1]]);
+  const [message] = smtp.messages;
+  assert.deepEqual(message.to, ['kim@school.edu']);
+  assert.match(messageHeader(message, 'Subject'), /10760 Tigerettes is ready for review/);
+  const body = messagePart(message);
+  assert.match(body, /^Hi Coach,/);
+  const link = new URL(body.match(/https?:\/\/\S+/)[0]);
+  assert.equal(link.searchParams.get('dealId'), dealId);
+  assert.equal(decodeLinkToken(link.searchParams.get('token'), { dealId, purpose: 'sketch-approval' }).d, dealId);
+
+  const entry = reminders(dealId)['sketch-review'];
+  assert.equal(entry.count, 1);
+  assert.ok(entry.lastSentAt);
+  const [note] = hs.dealNotes(dealId);
+  assert.match(note.properties.hs_note_body, /Reminder 1 sent to kim@school.edu/);
+  assert.match(note.properties.hs_note_body, /By: system/);
+
+  // The next one waits for the threshold from the last reminder
+  const again = await runReminders();
+  assert.deepEqual(again.body.sent, []);
+  assert.equal(smtp.messages.length, 1);
+});
+
+test('escalates to staff after the maximum number of reminders and then stops', async () => {
+  process.env.REMINDER_MAX_ATTEMPTS = '2';
+  const dealId = staleSketch({ since: daysAgo(12), count: 2, lastSentAt: daysAgo(4) });
+
+  const res = await runReminders();
+
+  assert.deepEqual(res.body.sent, []);
+  assert.deepEqual(res.body.escalated.map(e => [e.dealId, e.to]), [[dealId, 'support@showoffinc.com']]);
+  const [message] = smtp.messages;
+  assert.deepEqual(message.to, ['support@showoffinc.com']);
+  assert.match(messageHeader(message, 'Subject'), /Follow up needed: 10760 Tigerettes/);
+  const body = messagePart(message);
+  assert.match(body, /kim@school\.edu\) has not reviewed their sketch/);
+  assert.match(body, /after 2 reminder\(s\)/);
+  assert.match(body, /\/dashboard\.html\?view=awaiting-review&q=10760/);
+  assert.ok(reminders(dealId)['sketch-review'].escalatedAt);
+
+  await runReminders();
+  assert.equal(smtp.messages.length, 1);
+});
+
+test('escalates right away when the deal has no contact email', async () => {
+  const dealId = hs.addDeal({
+    dealname: '10762 Finalized',
+    po_quote_status: 'Finalized',
+    po_quote_link: 'https://quote/1',
+    customer_reminders: JSON.stringify({ 'po-missing': { marker: 'https://quote/1', since: daysAgo(8), count: 0 } })
+  });
+
+  const res = await runReminders();
+
+  assert.deepEqual(res.body.escalated.map(e => [e.dealId, e.stage]), [[dealId, 'po-missing']]);
+  assert.match(messagePart(smtp.messages[0]), /no contact email to remind/);
+});
+
+test('reminds the payer about a sent PO quote and starts over when it is sent again', async () => {
+  const dealId = hs.addDeal({
+    dealname: '10763 Dazzlers',
+    po_quote_status: 'Sent to Customer',
+    po_quote_verbiage: JSON.stringify({ sentDate: daysAgo(6).split('T')[0] })
+  });
+  hs.addContact({ email: 'coach@school.edu' }, { dealId, label: 'Primary Contact' });
+  hs.addContact({ firstname: 'Ann', email: 'ap@district.org' }, { dealId, label: 'Payer' });
+
+  const res = await runReminders();
+
+  assert.deepEqual(res.body.sent.map(s => [s.stage, s.to]), [['po-review', 'ap@district.org']]);
+  assert.match(messagePart(smtp.messages[0]), /\/po-quote-review\.html\?dealId=/);
+
+  hs.deal(dealId).properties.po_quote_verbiage = JSON.stringify({ sentDate: new Date().toISOString().split('T')[0] });
+  const resent = await runReminders();
+  assert.deepEqual(resent.body.sent, []);
+  assert.equal(reminders(dealId)['po-review'].count, 0);
+});
+
+test('a dry run reports what is due without sending or saving', async () => {
+  const dealId = staleSketch();
+  const before = hs.deal(dealId).properties.customer_reminders;
+
+  const res = await runReminders({ dryRun: '1' });
+
+  assert.equal(res.body.dryRun, true);
+  assert.deepEqual(res.body.sent.map(s => [s.dealId, s.count]), [[dealId, 1]]);
+  assert.equal(smtp.messages.length, 0);
+  assert.equal(hs.deal(dealId).properties.customer_reminders, before);
+  assert.equal(hs.dealNotes(dealId).length, 0);
+});
+
+test('records a failed send and carries on with the other deals', async () => {
+  const failing = staleSketch();
+  smtp.rejectRecipient = 'kim@school.edu';
+  const other = hs.addDeal({
+    dealname: '10764 Rockettes',
+    sketch: '94',
+    customer_reminders: JSON.stringify({ 'sketch-review': { marker: '94', since: daysAgo(4), count: 0 } })
+  });
+  hs.addContact({ email: 'lee@school.edu' }, { dealId: other, label: 'Primary Contact' });
+
+  const res = await runReminders();
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.failed.map(f => [f.dealId, f.code]), [[failing, 'MAIL_ERROR']]);
+  assert.deepEqual(res.body.sent.map(s => s.dealId), [other]);
+  assert.equal(reminders(failing)['sketch-review'].count, 0);
+});
+
+test('saves the reminder before emailing, so a failed save sends nothing', async () => {
+  const dealId = staleSketch();
+  hs.failOn({ method: 'PATCH', path: `/__hubspot/crm/v3/objects/deals/${dealId}`, status: 400, times: 5 });
+
+  const res = await runReminders();
+
+  assert.deepEqual(res.body.failed.map(f => f.dealId), [dealId]);
+  assert.equal(smtp.messages.length, 0);
+  assert.equal(reminders(dealId)['sketch-review'].count, 0);
+});
+
+test('stops saving at the per-run limit and leaves the rest for the next run', async () => {
+  const dealIds = [];
+  for (let i = 0; i < 151; i++) dealIds.push(hs.addDeal({ dealname: `${10800 + i} Team`, sketch: String(i + 1) }));
+
+  const first = await runReminders();
+  assert.equal(first.body.tracked, 150);
+  assert.equal(first.body.limited, true);
+  assert.equal(hs.deal(dealIds[150]).properties.customer_reminders, undefined);
+
+  const second = await runReminders();
+  assert.equal(second.body.tracked, 1);
+  assert.equal(second.body.limited, false);
+  assert.equal(reminders(dealIds[150])['sketch-review'].marker, '151');
+});
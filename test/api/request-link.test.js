@@ -0,0 +1,70 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { verifyLinkToken } from '../../api/_lib/link-token.js';
+import handler from '../../api/request-link.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+test('emails a fresh signed link to the primary contact', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  hs.addContact({ firstname: 'Coach', lastname: 'Kim', email: 'kim@school.edu' }, { dealId, label: 'Primary Contact' });
+
+  // Old links may carry the deal number
+  const res = await callHandler(handler, { method: 'POST', body: { dealId: '10722' } });
+
+  assert.equal(res.statusCode, 200);
+  const [sent] = hs.webhooks('sketch-link-request');
+  assert.equal(sent.body.contactEmail, 'kim@school.edu');
+  assert.equal(sent.body.dealId, dealId);
+  const url = new URL(sent.body.url);
+  assert.equal(url.searchParams.get('dealId'), dealId);
+  await verifyLinkToken(url.searchParams.get('token'), { dealId, purpose: 'sketch-approval' });
+});
+
+test('answers the same for unknown deals and sends nothing', async () => {
+  const res = await callHandler(handler, { method: 'POST', body: { dealId: '55555' } });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { success: true });
+  assert.equal(hs.webhooks('sketch-link-request').length, 0);
+});
+
+test('reports a failed email webhook', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  hs.addContact({ firstname: 'Coach', lastname: 'Kim', email: 'kim@school.edu' }, { dealId, label: 'Primary Contact' });
+  hs.setWebhookResponse('sketch-link-request', 500, { message: 'down' });
+
+  const res = await callHandler(handler, { method: 'POST', body: { dealId } });
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(hs.webhooks('error-alert')[0].body.endpoint, '/api/request-link');
+});
+
+test('sends at most one link per deal in the cooldown', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  hs.addContact({ firstname: 'Coach', lastname: 'Kim', email: 'kim@school.edu' }, { dealId, label: 'Primary Contact' });
+
+  assert.equal((await callHandler(handler, { method: 'POST', body: { dealId } })).statusCode, 200);
+  const again = await callHandler(handler, { method: 'POST', body: { dealId } });
+
+  assert.equal(again.statusCode, 429);
+  assert.ok(Number(again.headers['retry-after']) > 0);
+  assert.equal(hs.webhooks('sketch-link-request').length, 1);
+
+  hs.deal(dealId).properties.link_requested_at = new Date(Date.now() - 16 * 60 * 1000).toISOString();
+  assert.equal((await callHandler(handler, { method: 'POST', body: { dealId } })).statusCode, 200);
+  assert.equal(hs.webhooks('sketch-link-request').length, 2);
+});
+
+test('a failed send does not start the cooldown', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  hs.addContact({ firstname: 'Coach', lastname: 'Kim', email: 'kim@school.edu' }, { dealId, label: 'Primary Contact' });
+  hs.setWebhookResponse('sketch-link-request', 500, { message: 'down' });
+
+  assert.equal((await callHandler(handler, { method: 'POST', body: { dealId } })).statusCode, 500);
+
+  assert.equal(hs.deal(dealId).properties.link_requested_at, '');
+});
@@ -0,0 +1,184 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken } from '../helpers/tokens.js';
+import handler from '../../api/request-revision.js';
+import { parseAuditNote } from '../../api/_lib/audit.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+const IMAGE = { name: 'ref.png', type: 'image/png', data: 'data:image/png;base64,iVBORw0KGgo=' };
+
+async function requestRevision(dealId, body = {}) {
+  const token = await linkToken(dealId, 'sketch-approval');
+  return callHandler(handler, { method: 'POST', body: { dealId, token, revisionNotes: 'Longer sleeves', ...body } });
+}
+
+function auditEntry(dealId) {
+  return parseAuditNote(hs.dealNotes(dealId).at(-1).properties.hs_note_body);
+}
+
+test('forwards the revision request to n8n', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+
+  const res = await requestRevision(dealId, { referenceImages: [IMAGE], originalSketchUrl: 'https://cdn.example/s.png' });
+
+  assert.equal(res.statusCode, 200);
+  const [sent] = hs.webhooks('sketch-review');
+  assert.equal(sent.body.action, 'revision_requested');
+  assert.equal(sent.body.revisionNotes, 'Longer sleeves');
+  assert.deepEqual(sent.body.referenceImages, [IMAGE]);
+  assert.equal(sent.body.originalSketchUrl, 'https://cdn.example/s.png');
+});
+
+test('clears sketch options once n8n has the request', async () => {
+  const dealId = hs.addDeal({ dealname: 'x', sketch_options: '[{"label":"A","items":[]}]', selected_sketch_option: 'A' });
+
+  const res = await requestRevision(dealId);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(hs.webhooks('sketch-review')[0].body.hasOptions, true);
+  assert.equal(hs.deal(dealId).properties.sketch_options, '');
+  assert.deepEqual(auditEntry(dealId).changes, {
+    sketch_approved: { from: null, to: 'Revision Requested' },
+    sketch_options: { from: '[{"label":"A","items":[]}]', to: null },
+    selected_sketch_option: { from: 'A', to: null }
+  });
+});
+
+test('records only the status when saving the history fails or there were no options', async () => {
+  const failed = hs.addDeal({ dealname: 'x', sketch_options: '[{"label":"A","items":[]}]', selected_sketch_option: 'A' });
+  hs.failOn({
+    method: 'PATCH',
+    path: `/__hubspot/crm/v3/objects/deals/${failed}`,
+    status: 400,
+    times: 5,
+    match: body => body.properties.sketch_history !== undefined
+  });
+  const unreadable = hs.addDeal({ dealname: 'y', sketch_options: 'not json', selected_sketch_option: 'A' });
+
+  assert.equal((await requestRevision(failed)).statusCode, 200);
+  assert.equal((await requestRevision(unreadable)).statusCode, 200);
+
+  const status = { sketch_approved: { from: null, to: 'Revision Requested' } };
+  assert.deepEqual(auditEntry(failed).changes, status);
+  assert.deepEqual(auditEntry(unreadable).changes, status);
+  assert.equal(hs.deal(unreadable).properties.selected_sketch_option, 'A');
+});
+
+test('keeps sketch options when n8n fails', async () => {
+  const dealId = hs.addDeal({ dealname: 'x', sketch_options: '[{"label":"A","items":[]}]' });
+  hs.setWebhookResponse('sketch-review', 502, null);
+
+  const res = await requestRevision(dealId);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(hs.deal(dealId).properties.sketch_options, '[{"label":"A","items":[]}]');
+  assert.equal(hs.deal(dealId).properties.sketch_approved, '');
+});
+
+test('marks the revision requested before n8n, so a second request is refused', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+
+  const first = await requestRevision(dealId);
+  const second = await requestRevision(dealId);
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(second.statusCode, 409);
+  assert.equal(hs.webhooks('sketch-review').length, 1);
+  assert.equal(hs.deal(dealId).properties.sketch_approved, 'Revision Requested');
+});
+
+test('refuses a duplicate or post-approval request', async () => {
+  const pending = hs.addDeal({ dealname: 'x', sketch_approved: 'Revision Requested' });
+  const approved = hs.addDeal({ dealname: 'y', sketch_approved: 'Yes' });
+
+  assert.equal((await requestRevision(pending)).statusCode, 409);
+  assert.equal((await requestRevision(approved)).statusCode, 409);
+  assert.equal(hs.webhooks('sketch-review').length, 0);
+});
+
+test('validates notes and images', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+
+  assert.equal((await requestRevision(dealId, { revisionNotes: '   ' })).statusCode, 400);
+  assert.equal((await requestRevision(dealId, { referenceImages: [{ ...IMAGE, type: 'text/html', data: 'data:text/html,<b>' }] })).statusCode, 400);
+  assert.equal((await requestRevision(dealId, { originalSketchUrl: 'javascript:alert(1)' })).statusCode, 400);
+
+  const huge = { ...IMAGE, data: 'data:image/png;base64,' + 'A'.repeat(6 * 1024 * 1024) };
+  const res = await requestRevision(dealId, { referenceImages: [huge] });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /too large/);
+});
+
+test('records the current sketch in the history with the notes and stored images', async () => {
+  const sketch = hs.addFile({ name: 'v1.png' });
+  const dealId = hs.addDeal({ dealname: 'x', sketch });
+
+  const res = await requestRevision(dealId, { referenceImages: [IMAGE] });
+
+  assert.equal(res.statusCode, 200);
+  const [stored] = hs.files.filter(f => f.folderPath === '/sketch-revisions');
+  assert.match(stored.name, /ref\.png$/);
+  const [version] = JSON.parse(hs.deal(dealId).properties.sketch_history);
+  assert.equal(version.version, 1);
+  assert.equal(version.fileId, sketch);
+  assert.deepEqual(version.revisions[0].referenceImages, [{ fileId: String(stored.id), name: 'ref.png' }]);
+  assert.equal(version.revisions[0].notes, 'Longer sleeves');
+});
+
+test('adds a second request against the same sketch to its history entry', async () => {
+  const sketch = hs.addFile({ name: 'v1.png' });
+  const dealId = hs.addDeal({ dealname: 'x', sketch });
+  await requestRevision(dealId);
+  hs.deal(dealId).properties.sketch_approved = '';
+
+  await requestRevision(dealId, { revisionNotes: 'Shorter skirt' });
+
+  const history = JSON.parse(hs.deal(dealId).properties.sketch_history);
+  assert.equal(history.length, 1);
+  assert.deepEqual(history[0].revisions.map(r => r.notes), ['Longer sleeves', 'Shorter skirt']);
+});
+
+test('forwards numbered annotations and stores the annotated sketch', async () => {
+  const dealId = hs.addDeal({ dealname: 'x', sketch: hs.addFile({ name: 'v1.png' }) });
+  const annotations = [
+    { type: 'pin', x: 0.2, y: 0.6, comment: 'Move the hip applique up' },
+    { type: 'rect', x: 0.5, y: 0.1, width: 0.7, height: 0.2, comment: 'Wider collar' }
+  ];
+
+  const res = await requestRevision(dealId, { annotations, annotatedSketch: { ...IMAGE, name: 'annotated-sketch.png' } });
+
+  assert.equal(res.statusCode, 200);
+  const [sent] = hs.webhooks('sketch-review');
+  assert.deepEqual(sent.body.annotations.map(a => [a.number, a.type, a.comment]), [
+    [1, 'pin', 'Move the hip applique up'],
+    [2, 'rect', 'Wider collar']
+  ]);
+  assert.equal(sent.body.annotations[1].width, 0.5);
+  assert.equal(sent.body.annotatedSketch.name, 'annotated-sketch.png');
+
+  const stored = hs.files.find(f => f.name.endsWith('annotated-sketch.png'));
+  assert.equal(stored.folderPath, '/sketch-revisions');
+  const [version] = JSON.parse(hs.deal(dealId).properties.sketch_history);
+  assert.deepEqual(version.revisions[0].annotatedSketch, { fileId: String(stored.id), name: 'annotated-sketch.png' });
+  assert.equal(version.revisions[0].annotations.length, 2);
+});
+
+test('rejects malformed annotations', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+
+  for (const annotation of [
+    { type: 'arrow', x: 0.1, y: 0.1, comment: 'x' },
+    { type: 'pin', x: 1.5, y: 0.1, comment: 'x' },
+    { type: 'pin', x: 0.1, y: 0.1, comment: ' ' },
+    { type: 'rect', x: 0.1, y: 0.1, comment: 'x' }
+  ]) {
+    assert.equal((await requestRevision(dealId, { annotations: [annotation] })).statusCode, 400, JSON.stringify(annotation));
+  }
+  assert.equal((await requestRevision(dealId, { annotatedSketch: { name: 'a.svg', type: 'text/html', data: 'data:text/html,x' } })).statusCode, 400);
+  assert.equal(hs.webhooks('sketch-review').length, 0);
+});
@@ -0,0 +1,50 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken } from '../helpers/tokens.js';
+import handler from '../../api/sketch-file.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+async function getSketch(dealId) {
+  return callHandler(handler, { query: { dealId, token: await linkToken(dealId, 'sketch-approval') } });
+}
+
+test('serves the current sketch from HubSpot Files', async () => {
+  const sketch = hs.addFile({ name: 'sketch.pdf', type: 'application/pdf', content: '%PDF-1.4 sketch' });
+  const dealId = hs.addDeal({ dealname: 'x', sketch });
+
+  const res = await getSketch(dealId);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'application/pdf');
+  assert.equal(res.body.toString(), '%PDF-1.4 sketch');
+});
+
+test('returns 404 when the deal has no sketch', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+
+  const res = await getSketch(dealId);
+
+  assert.equal(res.statusCode, 404);
+});
+
+test('refuses files that are not images or PDFs', async () => {
+  const sketch = hs.addFile({ name: 'notes.html', type: 'text/html', content: '<b>hi</b>' });
+  const dealId = hs.addDeal({ dealname: 'x', sketch });
+
+  const res = await getSketch(dealId);
+
+  assert.equal(res.statusCode, 415);
+});
+
+test('requires a sketch-approval link', async () => {
+  const dealId = hs.addDeal({ dealname: 'x', sketch: hs.addFile() });
+
+  const res = await callHandler(handler, { query: { dealId, token: await linkToken(dealId, 'po-review') } });
+
+  assert.equal(res.statusCode, 403);
+});
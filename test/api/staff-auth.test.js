@@ -0,0 +1,103 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { staffCookie } from '../helpers/tokens.js';
+import { issueStaffLoginToken, getStaffSession, isStaffEmail } from '../../api/_lib/auth.js';
+import staffLogin from '../../api/staff-login.js';
+import staffSession from '../../api/staff-session.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+test('only @showoffinc.com addresses, narrowed by STAFF_EMAILS when set', (t) => {
+  assert.equal(isStaffEmail('Erica@ShowOffInc.com'), true);
+  assert.equal(isStaffEmail('erica@showoffinc.com.evil.io'), false);
+  assert.equal(isStaffEmail('a@b.com@showoffinc.com'), false);
+  assert.equal(isStaffEmail('coach@school.edu'), false);
+
+  process.env.STAFF_EMAILS = 'erica@showoffinc.com, design@showoffinc.com';
+  t.after(() => { delete process.env.STAFF_EMAILS; });
+  assert.equal(isStaffEmail('design@showoffinc.com'), true);
+  assert.equal(isStaffEmail('intern@showoffinc.com'), false);
+});
+
+test('staff-login emails a magic link to staff addresses', async () => {
+  const res = await callHandler(staffLogin, {
+    method: 'POST',
+    body: { email: 'Erica@showoffinc.com', returnTo: '/po-quote.html?dealNumber=10760' }
+  });
+
+  assert.equal(res.statusCode, 200);
+  const [sent] = hs.webhooks('staff-login-link');
+  assert.equal(sent.body.email, 'erica@showoffinc.com');
+  const url = new URL(sent.body.url);
+  assert.equal(url.pathname, '/api/staff-session');
+  assert.equal(url.searchParams.get('returnTo'), '/po-quote.html?dealNumber=10760');
+});
+
+test('staff-login answers the same for outsiders and sends nothing', async () => {
+  const res = await callHandler(staffLogin, { method: 'POST', body: { email: 'coach@school.edu' } });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { success: true });
+  assert.equal(hs.webhooks('staff-login-link').length, 0);
+});
+
+test('the magic link sets an HttpOnly session cookie and redirects', async () => {
+  const token = issueStaffLoginToken('erica@showoffinc.com');
+
+  const res = await callHandler(staffSession, { query: { token, returnTo: '/designer.html?deal=10722' } });
+
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/designer.html?deal=10722');
+  const cookie = res.headers['set-cookie'];
+  assert.match(cookie, /^staff_session=[^;]+; Path=\/; Max-Age=604800; HttpOnly; Secure; SameSite=Lax$/);
+  assert.deepEqual(getStaffSession({ headers: { cookie: cookie.split(';')[0] } }), { email: 'erica@showoffinc.com' });
+});
+
+test('the magic link never redirects off-site', async () => {
+  const token = issueStaffLoginToken('erica@showoffinc.com');
+  const res = await callHandler(staffSession, { query: { token, returnTo: '//evil.example/phish' } });
+  assert.equal(res.headers.location, '/bookmark.html');
+});
+
+test('the magic link refuses paths browsers read as another site', async () => {
+  for (const returnTo of ['/\\evil.example/phish', '/\t/evil.example/phish']) {
+    const token = issueStaffLoginToken('erica@showoffinc.com');
+    const res = await callHandler(staffSession, { query: { token, returnTo } });
+    assert.equal(res.headers.location, '/bookmark.html');
+  }
+});
+
+test('an expired magic link goes back to the login page', async (t) => {
+  const token = issueStaffLoginToken('erica@showoffinc.com');
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 16 * 60 * 1000 });
+
+  const res = await callHandler(staffSession, { query: { token, returnTo: '/po-quote.html' } });
+
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/staff-login.html?expired=1&returnTo=%2Fpo-quote.html');
+  assert.equal(res.headers['set-cookie'], undefined);
+});
+
+test('a session cookie cannot be used as a magic link or vice versa', async () => {
+  const session = staffCookie().split('=')[1];
+  const res = await callHandler(staffSession, { query: { token: session } });
+  assert.equal(res.statusCode, 302);
+  assert.match(res.headers.location, /expired=1/);
+
+  const loginToken = issueStaffLoginToken('erica@showoffinc.com');
+  assert.equal(getStaffSession({ headers: { cookie: `staff_session=${loginToken}` } }), null);
+});
+
+test('GET reports the session and DELETE signs out', async () => {
+  const signedIn = await callHandler(staffSession, { headers: { cookie: `other=1; ${staffCookie()}` } });
+  assert.deepEqual(signedIn.body, { email: 'erica@showoffinc.com' });
+
+  const signedOut = await callHandler(staffSession, {});
+  assert.equal(signedOut.statusCode, 401);
+
+  const logout = await callHandler(staffSession, { method: 'DELETE' });
+  assert.match(logout.headers['set-cookie'], /^staff_session=; Path=\/; Max-Age=0/);
+});
@@ -0,0 +1,87 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { staffCookie } from '../helpers/tokens.js';
+import { verifyLinkToken } from '../../api/_lib/link-token.js';
+import handler from '../../api/submit-sketch.js';
+
+let hs, staff;
+before(async () => {
+  hs = await startHubSpotMock();
+  staff = { cookie: staffCookie() };
+});
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+const SKETCH = { name: 'tigerettes.png', type: 'image/png', data: 'data:image/png;base64,' + Buffer.from('png bytes').toString('base64') };
+
+function submit(body, headers = staff) {
+  return callHandler(handler, { method: 'POST', body, headers });
+}
+
+test('uploads the sketch, updates the deal and returns a signed review link', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes', sketch_approved: 'Revision Requested' });
+
+  const res = await submit({
+    dealId,
+    sketch: SKETCH,
+    components: ['one_piece', 'sleeves'],
+    designerNotes: 'Gold trim on the cuffs',
+    zoomClipUrl: 'https://zoom.us/clips/abc',
+    hasStoning: true,
+    stoningBudgetLow: '400',
+    stoningBudgetHigh: '650'
+  });
+
+  assert.equal(res.statusCode, 200);
+  const [file] = hs.files;
+  assert.equal(file.folderPath, '/sketch-uploads');
+  assert.equal(file.buffer.toString(), 'png bytes');
+
+  const props = hs.deal(dealId).properties;
+  assert.equal(props.sketch, String(file.id));
+  assert.equal(props.designer_notes, 'Gold trim on the cuffs');
+  assert.equal(props.sketch_video_url, 'https://zoom.us/clips/abc');
+  assert.equal(props.costume_components, 'one_piece;sleeves');
+  assert.equal(props.has_stoning, 'Yes');
+  assert.equal(props.stoning_budget_high, '650');
+  assert.equal(props.sketch_approved, '');
+
+  const url = new URL(res.body.reviewUrl);
+  await verifyLinkToken(url.searchParams.get('token'), { dealId, purpose: 'sketch-approval' });
+  assert.equal(res.body.notified, false);
+  assert.equal(hs.webhooks('sketch-ready').length, 0);
+});
+
+test('emails the review link to the deal contact when asked', async () => {
+  const dealId = hs.addDeal({ dealname: '10722 Tigerettes' });
+  hs.addContact({ firstname: 'Coach', lastname: 'Kim', email: 'kim@school.edu' }, { dealId, label: 'Primary Contact' });
+
+  const res = await submit({ dealId, sketch: SKETCH, notifyCustomer: true });
+
+  assert.equal(res.body.notified, true);
+  const [sent] = hs.webhooks('sketch-ready');
+  assert.equal(sent.body.contactEmail, 'kim@school.edu');
+  assert.equal(sent.body.url, res.body.reviewUrl);
+  assert.equal(sent.body.designerEmail, 'erica@showoffinc.com');
+});
+
+test('validates the sketch, components and stoning budget', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+
+  assert.equal((await submit({ dealId })).statusCode, 400);
+  assert.equal((await submit({ dealId, sketch: { ...SKETCH, type: 'text/html' } })).statusCode, 400);
+  assert.equal((await submit({ dealId, sketch: { ...SKETCH, data: 'data:image/png;base64,' + 'A'.repeat(5 * 1024 * 1024) } })).statusCode, 400);
+  assert.equal((await submit({ dealId, sketch: SKETCH, components: ['cape'] })).statusCode, 400);
+  assert.equal((await submit({ dealId, sketch: SKETCH, hasStoning: true, stoningBudgetLow: 600, stoningBudgetHigh: 400 })).statusCode, 400);
+  assert.equal(hs.files.length, 0);
+});
+
+test('is staff only', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+
+  const res = await submit({ dealId, sketch: SKETCH }, {});
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(hs.files.length, 0);
+});
@@ -0,0 +1,140 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, staffCookie } from '../helpers/tokens.js';
+import handler from '../../api/tax-exemption.js';
+import { dealPricing } from '../../api/_lib/pricing.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+const CERTIFICATE = {
+  name: 'st5.pdf',
+  type: 'application/pdf',
+  data: 'data:application/pdf;base64,' + Buffer.from('%PDF-1.4 certificate').toString('base64')
+};
+
+function seedDeal(props = {}) {
+  const dealId = hs.addDeal({
+    dealname: '10760 Fenn',
+    po_quote_status: 'Sent to Customer',
+    shipping_state: 'GA',
+    quote_pricing: JSON.stringify({ shipping: 40 }),
+    ...props
+  });
+  hs.addLineItem(dealId, { name: 'Costume', price: '200', quantity: '10' });
+  return dealId;
+}
+
+async function upload(dealId, overrides = {}) {
+  return callHandler(handler, {
+    method: 'POST',
+    body: { dealId, token: await linkToken(dealId, 'po-review'), certificate: CERTIFICATE, ...overrides }
+  });
+}
+
+test('stores a customer certificate privately as pending, still charging tax', async () => {
+  const dealId = seedDeal();
+  const before = dealPricing(hs.deal(dealId).properties, 2000);
+
+  const res = await upload(dealId);
+
+  assert.equal(res.statusCode, 200);
+  const [file] = hs.files;
+  assert.equal(file.folderPath, '/tax-exemptions');
+  assert.equal(file.options.access, 'PRIVATE');
+  assert.equal(file.buffer.toString(), '%PDF-1.4 certificate');
+
+  const saved = JSON.parse(hs.deal(dealId).properties.quote_pricing);
+  assert.equal(saved.taxExempt, false);
+  assert.equal(saved.shipping, 40);
+  assert.equal(saved.exemptionCertificate.fileId, file.id);
+  assert.equal(saved.exemptionCertificate.uploadedBy, 'customer');
+  assert.equal(saved.exemptionCertificate.status, 'pending');
+
+  assert.ok(before.tax > 0);
+  assert.deepEqual(res.body.pricing, before);
+  assert.deepEqual(dealPricing(hs.deal(dealId).properties, 2000), before);
+  assert.equal(res.body.certificate.status, 'pending');
+  assert.equal(hs.dealNotes(dealId)[0].properties.hs_attachment_ids, file.id);
+});
+
+test('staff approve a pending certificate and the quote becomes tax-exempt', async () => {
+  const dealId = seedDeal();
+  await upload(dealId);
+
+  const res = await callHandler(handler, { method: 'POST', headers: { cookie: staffCookie() }, body: { dealId, action: 'approve' } });
+
+  assert.equal(res.statusCode, 200);
+  const saved = JSON.parse(hs.deal(dealId).properties.quote_pricing);
+  assert.equal(saved.taxExempt, true);
+  assert.equal(saved.exemptionCertificate.status, 'approved');
+  assert.equal(saved.exemptionCertificate.approvedBy, 'erica@showoffinc.com');
+  assert.equal(res.body.pricing.tax, 0);
+  assert.equal(res.body.pricing.total, 2040);
+  assert.match(hs.dealNotes(dealId).at(-1).properties.hs_note_body, /approved the sales tax exemption certificate st5\.pdf/);
+
+  const again = await callHandler(handler, { method: 'POST', headers: { cookie: staffCookie() }, body: { dealId, action: 'approve' } });
+  assert.equal(again.statusCode, 409);
+});
+
+test('only staff can approve, and only a certificate on file', async () => {
+  const dealId = seedDeal();
+
+  const none = await callHandler(handler, { method: 'POST', headers: { cookie: staffCookie() }, body: { dealId, action: 'approve' } });
+  await upload(dealId);
+  const customer = await upload(dealId, { action: 'approve' });
+
+  assert.equal(none.statusCode, 404);
+  assert.equal(customer.statusCode, 401);
+  assert.equal(JSON.parse(hs.deal(dealId).properties.quote_pricing).taxExempt, false);
+});
+
+test('staff can upload without a link, are named as the uploader and mark the quote tax-exempt', async () => {
+  const dealId = seedDeal();
+
+  const res = await callHandler(handler, {
+    method: 'POST',
+    headers: { cookie: staffCookie() },
+    body: { dealId, certificate: CERTIFICATE }
+  });
+
+  assert.equal(res.statusCode, 200);
+  const saved = JSON.parse(hs.deal(dealId).properties.quote_pricing);
+  assert.equal(saved.exemptionCertificate.uploadedBy, 'erica@showoffinc.com');
+  assert.equal(saved.exemptionCertificate.status, 'approved');
+  assert.equal(saved.taxExempt, true);
+  assert.equal(res.body.pricing.total, 2040);
+});
+
+test('needs a review link for this deal', async () => {
+  const dealId = seedDeal();
+
+  const anonymous = await callHandler(handler, { method: 'POST', body: { dealId, certificate: CERTIFICATE } });
+  const wrongPurpose = await upload(dealId, { token: await linkToken(dealId, 'po-upload') });
+
+  assert.equal(anonymous.statusCode, 403);
+  assert.equal(wrongPurpose.statusCode, 403);
+  assert.equal(hs.files.length, 0);
+});
+
+test('accepts only PDF and image certificates', async () => {
+  const dealId = seedDeal();
+  const html = { name: 'cert.html', type: 'text/html', data: 'data:text/html;base64,PGI+' };
+
+  assert.equal((await upload(dealId, { certificate: html })).statusCode, 400);
+  assert.equal((await upload(dealId, { certificate: { ...CERTIFICATE, data: 'not a data url' } })).statusCode, 400);
+  assert.equal((await upload(dealId, { certificate: undefined })).statusCode, 400);
+  assert.equal(hs.files.length, 0);
+});
+
+test('leaves a finalized quote alone', async () => {
+  const dealId = seedDeal({ po_quote_status: 'Finalized' });
+
+  const res = await upload(dealId);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(hs.files.length, 0);
+});
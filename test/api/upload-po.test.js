@@ -0,0 +1,275 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock, callHandler } from '../helpers/harness.js';
+import { linkToken, legacyToken } from '../helpers/tokens.js';
+import { revokeLinkTokens } from '../../api/_lib/link-token.js';
+import { PdfDocument } from '../../api/_lib/pdf.js';
+import { PO_CHUNK_BYTES } from '../../api/_lib/po-documents.js';
+import handler from '../../api/upload-po.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+const PDF = 'data:application/pdf;base64,' + Buffer.from('%PDF-1.4 test').toString('base64');
+
+function seedDeal() {
+  const dealId = hs.addDeal({ dealname: '10760 Fenn', po_quote_title: 'UGA Majorettes', po_quote_status: 'Finalized' });
+  hs.addContact({ firstname: 'Pat', lastname: 'Payer', email: 'ap@district.org' }, { dealId, label: 'Payer' });
+  hs.addContact({ firstname: 'Coach', lastname: 'Kim', email: 'kim@school.edu' }, { dealId, label: 'Primary Contact' });
+  return dealId;
+}
+
+async function upload(dealId, overrides = {}) {
+  const token = overrides.token || await linkToken(dealId, 'po-upload');
+  return callHandler(handler, {
+    method: 'POST',
+    body: { dealId, fileName: 'po.pdf', fileType: 'application/pdf', fileData: PDF, ...overrides, token }
+  });
+}
+
+test('rejects a malformed token before touching HubSpot', async () => {
+  const dealId = seedDeal();
+  const res = await upload(dealId, { token: 'not-a-token' });
+  assert.equal(res.statusCode, 403);
+  assert.equal(hs.requests.length, 0);
+});
+
+test('rejects the review token; uploads need their own purpose', async () => {
+  const dealId = seedDeal();
+  const res = await upload(dealId, { token: await linkToken(dealId, 'po-review') });
+  assert.equal(res.statusCode, 403);
+  assert.equal(hs.files.length, 0);
+});
+
+test('rejects a token after the deal links are revoked', async () => {
+  const dealId = seedDeal();
+  const token = await linkToken(dealId, 'po-upload');
+  await revokeLinkTokens(dealId);
+
+  const res = await upload(dealId, { token });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(hs.files.length, 0);
+});
+
+test('accepts a legacy token until the deal links are first revoked', async () => {
+  const dealId = seedDeal();
+  assert.equal((await upload(dealId, { token: legacyToken(dealId) })).statusCode, 200);
+
+  await revokeLinkTokens(dealId);
+  assert.equal((await upload(dealId, { token: legacyToken(dealId) })).statusCode, 403);
+});
+
+test('rejects disallowed file types', async () => {
+  const dealId = seedDeal();
+  const res = await upload(dealId, { fileType: 'text/html' });
+  assert.equal(res.statusCode, 400);
+});
+
+test('uploads the file, notes the deal, marks the PO received and notifies staff', async () => {
+  const dealId = seedDeal();
+
+  const res = await upload(dealId);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  const [file] = hs.files;
+  assert.equal(file.name, '10760 Fenn_PO.pdf');
+  assert.equal(file.folderPath, '/po-documents');
+  assert.equal(res.body.fileUrl, file.url);
+
+  const [note] = hs.dealNotes(dealId);
+  assert.match(note.properties.hs_note_body, /Purchase Order received from customer: po.pdf/);
+  assert.equal(note.properties.hs_attachment_ids, file.id);
+
+  const deal = hs.deal(dealId);
+  assert.equal(deal.properties.po_quote_status, 'PO Received');
+  assert.equal(deal.properties.po, file.id);
+
+  const [notification] = hs.webhooks('po-received-notification');
+  assert.equal(notification.body.contactEmail, 'ap@district.org');
+  assert.equal(notification.body.ccEmail, 'kim@school.edu');
+});
+
+test('still succeeds when note creation fails after the upload', async () => {
+  const dealId = seedDeal();
+  hs.failOn({ method: 'POST', path: '/__hubspot/crm/v3/objects/notes', status: 500 });
+
+  const res = await upload(dealId);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(hs.files.length, 1);
+  assert.equal(hs.dealNotes(dealId).length, 0);
+  assert.equal(hs.deal(dealId).properties.po_quote_status, 'PO Received');
+  assert.equal(hs.webhooks('po-received-notification').length, 1);
+});
+
+test('still succeeds when the deal update fails after the upload', async () => {
+  const dealId = seedDeal();
+  hs.failOn({ method: 'PATCH', path: `/__hubspot/crm/v3/objects/deals/${dealId}`, status: 400, times: 5 });
+
+  const res = await upload(dealId);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(hs.deal(dealId).properties.po_quote_status, 'Finalized');
+});
+
+test('fails and reports when the file upload fails', async () => {
+  const dealId = seedDeal();
+  hs.failOn({ method: 'POST', path: '/__hubspot/files/v3/files', status: 500 });
+
+  const res = await upload(dealId);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(hs.files.length, 0);
+  assert.equal(hs.webhooks('error-alert')[0].body.endpoint, '/api/upload-po');
+  assert.equal(hs.webhooks('po-received-notification').length, 0);
+});
+
+test('a retried upload with the same key stores the file and note only once', async () => {
+  const dealId = seedDeal();
+
+  const first = await upload(dealId, { uploadKey: 'retry-key-1' });
+  const second = await upload(dealId, { uploadKey: 'retry-key-1' });
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.body.duplicate, true);
+  assert.equal(second.body.document.id, first.body.document.id);
+  assert.equal(hs.files.length, 1);
+  assert.equal(hs.dealNotes(dealId).length, 1);
+  assert.equal(hs.webhooks('po-received-notification').length, 1);
+});
+
+test('uploads a large file in chunks, resuming and ignoring resent chunks', async () => {
+  const dealId = seedDeal();
+  const token = await linkToken(dealId, 'po-upload');
+  const content = Buffer.alloc(PO_CHUNK_BYTES * 2 + 10, 'x');
+  content.write('%PDF-1.4', 0);
+  const chunk = index => callHandler(handler, {
+    method: 'POST',
+    body: {
+      dealId, token, uploadKey: 'chunked-key-1', fileName: 'big-po.pdf', fileType: 'application/pdf', size: content.length, index,
+      data: content.subarray(index * PO_CHUNK_BYTES, (index + 1) * PO_CHUNK_BYTES).toString('base64')
+    }
+  });
+  const finish = () => callHandler(handler, { method: 'POST', body: { dealId, token, uploadKey: 'chunked-key-1', complete: true } });
+
+  assert.deepEqual((await chunk(2)).body.received, [2]);
+  assert.deepEqual((await chunk(0)).body.received, [0, 2]);
+  const early = await finish();
+  assert.equal(early.statusCode, 409);
+  assert.deepEqual(early.body.received, [0, 2]);
+
+  const status = await callHandler(handler, { method: 'GET', query: { dealId, token, uploadKey: 'chunked-key-1' } });
+  assert.deepEqual(status.body.upload, { received: [0, 2], chunkCount: 3 });
+
+  await chunk(1);
+  await chunk(1);
+  assert.equal(hs.files.length, 3);
+
+  const res = await finish();
+  assert.equal(res.statusCode, 200);
+  const [file] = hs.files;
+  assert.equal(hs.files.length, 1);
+  assert.equal(file.name, '10760 Fenn_PO.pdf');
+  assert.ok(file.buffer.equals(content));
+  assert.equal(hs.dealNotes(dealId).length, 1);
+
+  const again = await finish();
+  assert.equal(again.body.duplicate, true);
+  assert.equal(hs.files.length, 1);
+  assert.deepEqual(JSON.parse(hs.deal(dealId).properties.po_documents).uploads, {});
+});
+
+test('rejects files over 25MB and chunks of the wrong size', async () => {
+  const dealId = seedDeal();
+  const token = await linkToken(dealId, 'po-upload');
+  const body = { dealId, token, uploadKey: 'chunked-key-2', fileName: 'po.pdf', fileType: 'application/pdf', index: 0 };
+
+  const tooBig = await callHandler(handler, { method: 'POST', body: { ...body, size: 26 * 1024 * 1024, data: 'eA==' } });
+  assert.equal(tooBig.statusCode, 400);
+  assert.match(tooBig.body.error, /max 25MB/);
+
+  const short = await callHandler(handler, { method: 'POST', body: { ...body, size: PO_CHUNK_BYTES + 1, data: 'eA==' } });
+  assert.equal(short.statusCode, 400);
+  assert.equal(hs.files.length, 0);
+});
+
+test('replaces a PO uploaded in error and lists both', async () => {
+  const dealId = seedDeal();
+  const first = await upload(dealId);
+
+  const res = await upload(dealId, {
+    fileName: 'right-po.pdf', replaces: first.body.document.id,
+    fileData: 'data:application/pdf;base64,' + Buffer.from('%PDF-1.4 right').toString('base64')
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.document.replaces, first.body.document.id);
+  assert.equal(hs.files[1].name, '10760 Fenn_PO_2.pdf');
+  assert.match(hs.dealNotes(dealId).at(-1).properties.hs_note_body, /right-po.pdf \(replaces po.pdf, uploaded in error\)/);
+  assert.equal(hs.deal(dealId).properties.po, hs.files[1].id);
+
+  const token = await linkToken(dealId, 'po-upload');
+  const list = await callHandler(handler, { method: 'GET', query: { dealId, token } });
+  const [original, replacement] = list.body.documents;
+  assert.ok(original.replacedAt);
+  assert.equal(replacement.replacedAt, null);
+
+  const twice = await upload(dealId, {
+    replaces: first.body.document.id, fileData: 'data:application/pdf;base64,' + Buffer.from('%PDF-1.4 again').toString('base64')
+  });
+  assert.equal(twice.statusCode, 400);
+});
+
+test('adds amendments alongside the PO, including one received before the document list', async () => {
+  const dealId = seedDeal();
+  hs.deal(dealId).properties.po_document_url = 'https://files.hubspot.example/1/old_PO.pdf';
+  hs.deal(dealId).properties.po_received_date = '2026-09-01';
+
+  const res = await upload(dealId, { kind: 'amendment', fileName: 'amendment.pdf' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(hs.files[0].name, '10760 Fenn_PO_Amendment.pdf');
+  assert.match(hs.dealNotes(dealId)[0].properties.hs_note_body, /PO amendment received from customer: amendment.pdf/);
+  const { documents } = JSON.parse(hs.deal(dealId).properties.po_documents);
+  assert.deepEqual(documents.map(d => [d.kind, d.uploadedAt.slice(0, 10) === '2026-09-01']), [['po', true], ['amendment', false]]);
+});
+
+function poPdf(lines) {
+  const doc = new PdfDocument();
+  lines.forEach((line, i) => doc.text(line, 48, 60 + i * 16));
+  return 'data:application/pdf;base64,' + doc.toBuffer().toString('base64');
+}
+
+test('reads the PO and flags a total that differs from the quote', async () => {
+  const dealId = seedDeal();
+  hs.addLineItem(dealId, { name: 'Costume', price: '201.25', quantity: '12' });
+  hs.deal(dealId).properties.po_quote_verbiage = JSON.stringify({ poNumber: '24-00871' });
+
+  const res = await upload(dealId, {
+    fileData: poPdf(['PURCHASE ORDER', 'PO Number: 24-00871', 'Vendor: Show Off Inc.', 'Total $2,340.00'])
+  });
+
+  assert.equal(res.statusCode, 200);
+  const summary = 'PO check found mismatches: PO total $2,340.00 vs quote $2,415.00';
+  assert.equal(hs.deal(dealId).properties.po_check, summary);
+  assert.match(hs.dealNotes(dealId)[0].properties.hs_note_body, /PO total \$2,340\.00 vs quote \$2,415\.00/);
+  const [notification] = hs.webhooks('po-received-notification');
+  assert.equal(notification.body.poCheckSummary, summary);
+  assert.equal(notification.body.poCheck.poNumber, '24-00871');
+  assert.equal(notification.body.poCheck.vendor, 'Show Off Inc.');
+  const [document] = JSON.parse(hs.deal(dealId).properties.po_documents).documents;
+  assert.equal(document.check.total, 2340);
+});
+
+test('notes when a PO could not be read', async () => {
+  const dealId = seedDeal();
+
+  await upload(dealId, { fileName: 'po.png', fileType: 'image/png', fileData: 'data:image/png;base64,' + Buffer.from('png').toString('base64') });
+
+  assert.equal(hs.deal(dealId).properties.po_check, 'PO not checked: Images are not read (no OCR set up)');
+});
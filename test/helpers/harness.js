@@ -0,0 +1,87 @@
+// Test harness for the api/ handlers. Starts the HubSpot mock, points every
+// outbound fetch to api.hubapi.com, the HubSpot file CDN and the n8n cloud at
+// it, and calls handlers with minimal Vercel-style req/res objects.
+//
+// Run the suite from the repo root with Node 22+:  node --test
+import os from 'node:os';
+import { rm } from 'node:fs/promises';
+import path from 'node:path';
+import { createHubSpotMock } from './hubspot-mock.js';
+
+const REDIRECTS = {
+  'api.hubapi.com': '/__hubspot',
+  'files.hubspot.example': '/__files',
+  'showoffinc.app.n8n.cloud': '/__n8n'
+};
+
+export const TEST_ENV = {
+  HUBSPOT_TOKEN: 'test-hubspot-token',
+  HUBSPOT_RETRY_BASE_MS: '1',
+  PO_QUOTE_SECRET: 'test-po-quote-secret',
+  PO_ADMIN_KEY: 'test-admin-key',
+  ERROR_LOG_PATH: path.join(os.tmpdir(), `sketch-review-errors-test-${process.pid}.jsonl`),
+  AUDIT_LOG_PATH: path.join(os.tmpdir(), `sketch-review-audit-test-${process.pid}.jsonl`)
+};
+
+/**
+ * Start the mock and install the fetch redirect. Returns the mock with a
+ * `close()` that restores the real fetch and environment.
+ */
+export async function startHubSpotMock() {
+  const mock = createHubSpotMock();
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${mock.server.address().port}`;
+
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = (input, init) => {
+    const url = new URL(typeof input === 'string' || input instanceof URL ? input : input.url);
+    const prefix = REDIRECTS[url.host];
+    if (prefix === undefined) {
+      return Promise.reject(new Error(`Test harness blocked network request to ${url.host}`));
+    }
+    return realFetch(`${origin}${prefix}${url.pathname}${url.search}`, init);
+  };
+
+  const savedEnv = {};
+  for (const [k, v] of Object.entries(TEST_ENV)) {
+    savedEnv[k] = process.env[k];
+    process.env[k] = v;
+  }
+
+  mock.origin = origin;
+  mock.close = async () => {
+    globalThis.fetch = realFetch;
+    for (const [k, v] of Object.entries(savedEnv)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    await rm(TEST_ENV.ERROR_LOG_PATH, { force: true });
+    await rm(TEST_ENV.AUDIT_LOG_PATH, { force: true });
+    await new Promise(resolve => mock.server.close(resolve));
+  };
+  return mock;
+}
+
+/** Invoke a handler the way Vercel would and capture the response. */
+export async function callHandler(handler, { method = 'GET', query = {}, body, headers = {} } = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    ended: false,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    getHeader(name) { return this.headers[name.toLowerCase()]; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; this.ended = true; return this; },
+    send(data) { this.body = data; this.ended = true; return this; },
+    end(data) { if (data !== undefined) this.body = data; this.ended = true; return this; }
+  };
+  const req = {
+    method,
+    query,
+    body,
+    headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]))
+  };
+  await handler(req, res);
+  return res;
+}
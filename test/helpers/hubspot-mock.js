@@ -0,0 +1,378 @@
+// Local stand-in for the HubSpot endpoints the api/ handlers use (CRM v3/v4,
+// Files v3 and its file CDN, Engagements v1) plus the n8n webhooks they post
+// to. State is kept in memory so each test can seed exactly the deal it needs.
+import http from 'node:http';
+
+const TYPE_ALIASES = { '0-3': 'deals', '0-1': 'contacts' };
+
+// Default association labels by type ID, mirroring HubSpot's defined types
+const DEFAULT_TYPE_IDS = {
+  'line_items:deals': 20, 'deals:line_items': 19,
+  'notes:deals': 214, 'deals:notes': 213,
+  'quotes:deals': 64, 'deals:quotes': 63,
+  'contacts:deals': 4, 'deals:contacts': 3
+};
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readRaw(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function tokens(value) {
+  return String(value || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function matchesFilter(obj, f) {
+  const raw = obj.properties[f.propertyName];
+  const has = raw !== undefined && raw !== null && raw !== '';
+  switch (f.operator) {
+    case 'EQ': return has && String(raw) === String(f.value);
+    case 'NEQ': return !has || String(raw) !== String(f.value);
+    case 'IN': return has && (f.values || []).map(String).includes(String(raw));
+    case 'NOT_IN': return !has || !(f.values || []).map(String).includes(String(raw));
+    case 'HAS_PROPERTY': return has;
+    case 'NOT_HAS_PROPERTY': return !has;
+    case 'CONTAINS_TOKEN': return tokens(raw).includes(String(f.value).toLowerCase());
+    case 'LT': return has && compare(raw, f.value) < 0;
+    case 'LTE': return has && compare(raw, f.value) <= 0;
+    case 'GT': return has && compare(raw, f.value) > 0;
+    case 'GTE': return has && compare(raw, f.value) >= 0;
+    default: throw new Error(`Mock: unsupported filter operator ${f.operator}`);
+  }
+}
+
+function compare(a, b) {
+  const na = Number(a), nb = Number(b);
+  if (!isNaN(na) && !isNaN(nb)) return na - nb;
+  const da = Date.parse(a), db = Date.parse(b);
+  if (!isNaN(da) && !isNaN(db)) return da - db;
+  return String(a).localeCompare(String(b));
+}
+
+export function createHubSpotMock() {
+  let nextId = 1000;
+  let state;
+  let failures;
+
+  function reset() {
+    state = {
+      objects: { deals: new Map(), contacts: new Map(), line_items: new Map(), quotes: new Map(), notes: new Map(), products: new Map() },
+      associations: [],
+      files: new Map(),
+      engagements: [],
+      webhooks: [],
+      webhookResponses: {},
+      requests: []
+    };
+    failures = [];
+  }
+  reset();
+
+  function newId() {
+    return String(nextId++);
+  }
+
+  function store(type) {
+    if (!state.objects[type]) state.objects[type] = new Map();
+    return state.objects[type];
+  }
+
+  function createObject(type, properties = {}, id = newId()) {
+    const now = new Date().toISOString();
+    const obj = {
+      id: String(id),
+      properties: { hs_object_id: String(id), createdate: now, hs_lastmodifieddate: now, ...stringify(properties) },
+      createdAt: now,
+      updatedAt: now
+    };
+    store(type).set(obj.id, obj);
+    return obj;
+  }
+
+  function stringify(properties) {
+    const out = {};
+    for (const [k, v] of Object.entries(properties)) {
+      out[k] = v === null || v === undefined ? '' : String(v);
+    }
+    return out;
+  }
+
+  function associate(fromType, fromId, toType, toId, { typeId, label = null, category = 'HUBSPOT_DEFINED' } = {}) {
+    const id = typeId || DEFAULT_TYPE_IDS[`${fromType}:${toType}`] || 1;
+    const reverseId = DEFAULT_TYPE_IDS[`${toType}:${fromType}`] || id;
+    state.associations.push({ fromType, fromId: String(fromId), toType, toId: String(toId), types: [{ category, typeId: id, label }] });
+    state.associations.push({ fromType: toType, fromId: String(toId), toType: fromType, toId: String(fromId), types: [{ category, typeId: reverseId, label }] });
+  }
+
+  function removeAssociationsOf(type, id) {
+    state.associations = state.associations.filter(a =>
+      !((a.fromType === type && a.fromId === id) || (a.toType === type && a.toId === id)));
+  }
+
+  function view(obj, requested) {
+    if (!requested || requested.length === 0) return obj;
+    const properties = { hs_object_id: obj.properties.hs_object_id };
+    for (const p of requested) {
+      if (p in obj.properties) properties[p] = obj.properties[p];
+      else properties[p] = null;
+    }
+    return { ...obj, properties };
+  }
+
+  function applyInlineAssociations(type, obj, associations) {
+    for (const a of associations || []) {
+      const toId = String(a.to.id);
+      const toType = ['deals', 'contacts', 'quotes', 'line_items', 'notes'].find(t => store(t).has(toId)) || 'deals';
+      const t = (a.types || [])[0] || {};
+      associate(type, obj.id, toType, toId, { typeId: t.associationTypeId, category: t.associationCategory });
+    }
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://mock');
+    const path = url.pathname;
+    const raw = await readRaw(req);
+    const contentType = req.headers['content-type'] || '';
+    let body = null;
+    if (raw.length > 0 && contentType.includes('application/json')) body = JSON.parse(raw.toString('utf8'));
+
+    state.requests.push({ method: req.method, path, query: Object.fromEntries(url.searchParams), body, headers: req.headers });
+
+    const failure = failures.find(f => f.times > 0 && (!f.method || f.method === req.method) &&
+      (f.path instanceof RegExp ? f.path.test(path) : path.startsWith(f.path)) && (!f.match || f.match(body)));
+    if (failure) {
+      failure.times--;
+      return json(res, failure.status, failure.body || { status: 'error', message: 'Injected failure' }, failure.headers);
+    }
+
+    // n8n webhooks
+    if (path.startsWith('/__n8n/webhook/')) {
+      const name = path.slice('/__n8n/webhook/'.length);
+      state.webhooks.push({ name, body, headers: req.headers });
+      const configured = state.webhookResponses[name];
+      if (configured) return json(res, configured.status || 200, configured.body);
+      return json(res, 200, { success: true });
+    }
+
+    // File CDN behind the URLs Files v3 hands out
+    if (path.startsWith('/__files/') && req.method === 'GET') {
+      const f = state.files.get(path.split('/')[2]);
+      if (!f) return json(res, 404, { message: 'File not found' });
+      res.writeHead(200, { 'Content-Type': f.type });
+      return res.end(f.buffer);
+    }
+
+    if (!path.startsWith('/__hubspot/')) return json(res, 404, { message: 'Unknown mock host' });
+    const hsPath = path.slice('/__hubspot'.length);
+
+    if (req.headers.authorization !== `Bearer ${process.env.HUBSPOT_TOKEN}`) {
+      return json(res, 401, { status: 'error', category: 'INVALID_AUTHENTICATION' });
+    }
+
+    let m;
+
+    // Files v3
+    if (req.method === 'POST' && hsPath === '/files/v3/files') {
+      const form = await new Response(raw, { headers: { 'content-type': contentType } }).formData();
+      const file = form.get('file');
+      const options = JSON.parse(form.get('options') || '{}');
+      const id = newId();
+      const buffer = Buffer.from(await file.arrayBuffer());
+      const record = {
+        id, name: file.name, size: buffer.length, type: file.type, buffer,
+        folderPath: form.get('folderPath'), options,
+        url: `https://files.hubspot.example/${id}/${encodeURIComponent(file.name)}`
+      };
+      state.files.set(id, record);
+      return json(res, 201, { id, name: record.name, size: record.size, url: record.url });
+    }
+    if ((m = hsPath.match(/^\/files\/v3\/files\/([^/]+)\/signed-url$/)) && req.method === 'GET') {
+      const f = state.files.get(m[1]);
+      if (!f) return json(res, 404, { message: 'File not found' });
+      return json(res, 200, { url: `${f.url}?signed=1`, name: f.name });
+    }
+
+    if ((m = hsPath.match(/^\/files\/v3\/files\/([^/]+)$/)) && req.method === 'DELETE') {
+      if (!state.files.delete(m[1])) return json(res, 404, { message: 'File not found' });
+      return json(res, 204);
+    }
+
+    // Engagements v1 (legacy notes)
+    if (req.method === 'POST' && hsPath === '/engagements/v1/engagements') {
+      const eng = { id: newId(), ...body };
+      state.engagements.push(eng);
+      return json(res, 200, { engagement: { id: eng.id } });
+    }
+
+    // CRM v4 associations
+    if ((m = hsPath.match(/^\/crm\/v4\/objects\/([^/]+)\/([^/]+)\/associations\/([^/]+)$/)) && req.method === 'GET') {
+      const fromType = TYPE_ALIASES[m[1]] || m[1];
+      const results = state.associations
+        .filter(a => a.fromType === fromType && a.fromId === m[2] && a.toType === (TYPE_ALIASES[m[3]] || m[3]))
+        .map(a => ({ toObjectId: Number(a.toId), associationTypes: a.types.map(t => ({ category: t.category, typeId: t.typeId, label: t.label })) }));
+      return json(res, 200, { results });
+    }
+    if ((m = hsPath.match(/^\/crm\/v4\/objects\/([^/]+)\/([^/]+)\/associations\/([^/]+)\/([^/]+)$/)) && req.method === 'PUT') {
+      const t = (body || [])[0] || {};
+      associate(m[1], m[2], m[3], m[4], { typeId: t.associationTypeId, category: t.associationCategory });
+      return json(res, 200, { fromObjectId: Number(m[2]), toObjectId: Number(m[4]) });
+    }
+
+    // CRM v3 search
+    if ((m = hsPath.match(/^\/crm\/v3\/objects\/([^/]+)\/search$/)) && req.method === 'POST') {
+      const type = m[1];
+      let results = [...store(type).values()].filter(obj => {
+        const groups = body.filterGroups || [];
+        if (groups.length === 0) return true;
+        return groups.some(g => (g.filters || []).every(f => matchesFilter(obj, f)));
+      });
+      if (body.query) {
+        const q = String(body.query).toLowerCase();
+        results = results.filter(o => Object.values(o.properties).some(v => String(v).toLowerCase().includes(q)));
+      }
+      for (const s of [...(body.sorts || [])].reverse()) {
+        const prop = typeof s === 'string' ? s : s.propertyName;
+        const dir = typeof s === 'string' || s.direction !== 'DESCENDING' ? 1 : -1;
+        results.sort((a, b) => dir * compare(a.properties[prop] || '', b.properties[prop] || ''));
+      }
+      const start = parseInt(body.after) || 0;
+      const limit = body.limit || 10;
+      const page = results.slice(start, start + limit).map(o => view(o, body.properties));
+      const next = start + limit < results.length ? { next: { after: String(start + limit) } } : undefined;
+      return json(res, 200, { total: results.length, results: page, ...(next ? { paging: next } : {}) });
+    }
+
+    // CRM v3 batch
+    if ((m = hsPath.match(/^\/crm\/v3\/objects\/([^/]+)\/batch\/(read|create|archive|update)$/)) && req.method === 'POST') {
+      const [, type, op] = m;
+      if (op === 'read') {
+        const results = body.inputs.map(i => store(type).get(String(i.id))).filter(Boolean).map(o => view(o, body.properties));
+        return json(res, 200, { status: 'COMPLETE', results });
+      }
+      if (op === 'create') {
+        const results = body.inputs.map(input => {
+          const obj = createObject(type, input.properties);
+          applyInlineAssociations(type, obj, input.associations);
+          return obj;
+        });
+        return json(res, 201, { status: 'COMPLETE', results });
+      }
+      if (op === 'update') {
+        const results = body.inputs.map(input => {
+          const obj = store(type).get(String(input.id));
+          if (!obj) return null;
+          Object.assign(obj.properties, stringify(input.properties));
+          return obj;
+        }).filter(Boolean);
+        return json(res, 200, { status: 'COMPLETE', results });
+      }
+      for (const i of body.inputs) {
+        store(type).delete(String(i.id));
+        removeAssociationsOf(type, String(i.id));
+      }
+      return json(res, 204);
+    }
+
+    // CRM v3 single objects
+    if ((m = hsPath.match(/^\/crm\/v3\/objects\/([^/]+)$/)) && req.method === 'POST') {
+      const obj = createObject(m[1], body.properties);
+      applyInlineAssociations(m[1], obj, body.associations);
+      return json(res, 201, obj);
+    }
+    if ((m = hsPath.match(/^\/crm\/v3\/objects\/([^/]+)\/([^/]+)$/))) {
+      const [, type, id] = m;
+      const obj = store(type).get(id);
+      if (!obj) return json(res, 404, { status: 'error', message: 'resource not found', category: 'OBJECT_NOT_FOUND' });
+      if (req.method === 'GET') {
+        const props = url.searchParams.get('properties');
+        return json(res, 200, view(obj, props ? props.split(',') : null));
+      }
+      if (req.method === 'PATCH') {
+        Object.assign(obj.properties, stringify(body.properties || {}));
+        obj.updatedAt = obj.properties.hs_lastmodifieddate = new Date().toISOString();
+        return json(res, 200, obj);
+      }
+      if (req.method === 'DELETE') {
+        store(type).delete(id);
+        removeAssociationsOf(type, id);
+        return json(res, 204);
+      }
+    }
+
+    return json(res, 404, { message: `Mock: no route for ${req.method} ${hsPath}` });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(err => json(res, 500, { message: `Mock error: ${err.message}` }));
+  });
+
+  return {
+    server,
+    reset,
+
+    // ── Seeding ──
+    addDeal(properties = {}, id) {
+      return createObject('deals', properties, id).id;
+    },
+    addContact(properties = {}, { dealId, label } = {}) {
+      const c = createObject('contacts', properties);
+      if (dealId) associate('deals', dealId, 'contacts', c.id, { typeId: label === 'Payer' ? 102 : 3, label: label || null, category: label ? 'USER_DEFINED' : 'HUBSPOT_DEFINED' });
+      return c.id;
+    },
+    addLineItem(dealId, properties = {}) {
+      const li = createObject('line_items', properties);
+      associate('line_items', li.id, 'deals', dealId);
+      return li.id;
+    },
+    addQuote(dealId, properties = {}) {
+      const q = createObject('quotes', properties);
+      associate('deals', dealId, 'quotes', q.id);
+      return q.id;
+    },
+    addObject(type, properties = {}) {
+      return createObject(type, properties).id;
+    },
+    addFile({ name = 'file.png', type = 'image/png', content = 'file' } = {}) {
+      const id = newId();
+      state.files.set(id, { id, name, type, buffer: Buffer.from(content), size: content.length, url: `https://files.hubspot.example/${id}/${name}` });
+      return id;
+    },
+
+    // ── Behaviour ──
+    /** Make the next `times` matching requests fail with `status`; `match` also tests the request body. */
+    failOn({ method, path, status = 500, body, headers, times = 1, match }) {
+      failures.push({ method, path, status, body, headers, times, match });
+    },
+    setWebhookResponse(name, status, body) {
+      state.webhookResponses[name] = { status, body };
+    },
+
+    // ── Inspection ──
+    deal(id) { return store('deals').get(String(id)); },
+    object(type, id) { return store(type).get(String(id)); },
+    objects(type) { return [...store(type).values()]; },
+    dealLineItems(dealId) {
+      return state.associations
+        .filter(a => a.fromType === 'deals' && a.fromId === String(dealId) && a.toType === 'line_items')
+        .map(a => store('line_items').get(a.toId)).filter(Boolean);
+    },
+    dealNotes(dealId) {
+      return state.associations
+        .filter(a => a.fromType === 'deals' && a.fromId === String(dealId) && a.toType === 'notes')
+        .map(a => store('notes').get(a.toId)).filter(Boolean);
+    },
+    get files() { return [...state.files.values()]; },
+    get engagements() { return state.engagements; },
+    get requests() { return state.requests; },
+    webhooks(name) { return state.webhooks.filter(w => !name || w.name === name); }
+  };
+}
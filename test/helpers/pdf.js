@@ -0,0 +1,77 @@
+// Reads back the PDFs api/_lib/pdf.js writes, so tests can check what a
+// rendered document says without a PDF library
+import zlib from 'node:zlib';
+
+const CP1252 = new TextDecoder('windows-1252');
+
+/** Check the xref table points at every object and return the page count. */
+export function checkStructure(buffer) {
+  const pdf = buffer.toString('latin1');
+  if (!pdf.startsWith('%PDF-1.')) throw new Error('Missing PDF header');
+  const startxref = parseInt(pdf.slice(pdf.lastIndexOf('startxref') + 9));
+  const xref = pdf.slice(startxref).split('\n');
+  if (xref[0] !== 'xref') throw new Error('startxref does not point at the xref table');
+  const count = parseInt(xref[1].split(' ')[1]);
+  for (let i = 1; i < count; i++) {
+    const offset = parseInt(xref[2 + i].slice(0, 10));
+    if (!pdf.startsWith(`${i} 0 obj`, offset)) throw new Error(`xref entry ${i} is off`);
+  }
+  return parseInt(pdf.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+}
+
+/** The text drawn on each page, one string per text operation. */
+export function pageTexts(buffer) {
+  const pdf = buffer.toString('latin1');
+  const pages = [];
+  for (const m of pdf.matchAll(/<< \/Filter \/FlateDecode \/Length (\d+) >>\nstream\n/g)) {
+    const start = m.index + m[0].length;
+    const content = zlib.inflateSync(buffer.subarray(start, start + parseInt(m[1]))).toString('latin1');
+    pages.push([...content.matchAll(/<([0-9a-f]*)> Tj/g)].map(t => CP1252.decode(Buffer.from(t[1], 'hex'))));
+  }
+  return pages;
+}
+
+/** Number of embedded images, and how many carry an alpha mask. */
+export function imageCount(buffer) {
+  const pdf = buffer.toString('latin1');
+  const images = pdf.match(/\/Subtype \/Image/g) || [];
+  const masked = pdf.match(/\/SMask \d+ 0 R/g) || [];
+  return { images: images.length - masked.length, masked: masked.length };
+}
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) {
+    c ^= b;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** A small RGBA PNG, with each row using a different filter type. */
+export function samplePng(width = 4, height = 5) {
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const out = Buffer.alloc(body.length + 8);
+    out.writeUInt32BE(data.length, 0);
+    body.copy(out, 4);
+    out.writeUInt32BE(crc32(body), body.length + 4);
+    return out;
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    rows.push(y % 5);
+    for (let x = 0; x < width * 4; x++) rows.push((x * 37 + y * 11) & 255);
+  }
+  return Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(Buffer.from(rows))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
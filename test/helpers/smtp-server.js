@@ -0,0 +1,89 @@
+// SMTP stand-in for the mail tests. Speaks just enough SMTP for the smtp
+// transport in api/_lib/mail.js (no STARTTLS) and keeps every accepted
+// message. `rejectRecipient` makes RCPT TO fail for one address.
+import net from 'node:net';
+
+/** Decode the text/plain (or, with `type`, another) part of a captured message. */
+export function messagePart(message, type = 'text/plain') {
+  const parts = message.data.split(/\r\n--[^\r\n]+\r\n/);
+  const part = parts.find(p => p.includes(`Content-Type: ${type}`));
+  if (!part) return null;
+  const body = part.split('\r\n\r\n').slice(1).join('\r\n\r\n').split('\r\n--')[0];
+  return Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
+
+/** The value of a header of a captured message. */
+export function messageHeader(message, name) {
+  const match = message.data.match(new RegExp(`^${name}: (.*)$`, 'mi'));
+  return match ? match[1] : null;
+}
+
+export async function startSmtpServer({ auth = false } = {}) {
+  const smtp = { messages: [], commands: [], rejectRecipient: null };
+
+  smtp.server = net.createServer(socket => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+    const send = line => socket.write(`${line}\r\n`);
+    send('220 smtp.test ESMTP ready');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.substring(0, index);
+        buffer = buffer.substring(index + 2);
+        if (data !== null) {
+          if (line === '.') {
+            smtp.messages.push({ ...envelope, data: data.join('\r\n') });
+            envelope = { from: null, to: [] };
+            data = null;
+            send('250 2.0.0 Queued');
+          } else {
+            data.push(line.startsWith('..') ? line.substring(1) : line);
+          }
+          continue;
+        }
+        smtp.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === 'EHLO') {
+          send('250-smtp.test');
+          send(auth ? '250 AUTH PLAIN' : '250 8BITMIME');
+        } else if (verb === 'AUTH') {
+          send('235 2.7.0 Authenticated');
+        } else if (verb === 'MAIL') {
+          envelope.from = line.match(/<(.*)>/)[1];
+          send('250 OK');
+        } else if (verb === 'RCPT') {
+          const to = line.match(/<(.*)>/)[1];
+          if (to === smtp.rejectRecipient) {
+            send('550 5.1.1 No such user');
+          } else {
+            envelope.to.push(to);
+            send('250 OK');
+          }
+        } else if (verb === 'DATA') {
+          data = [];
+          send('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'QUIT') {
+          send('221 Bye');
+          socket.end();
+        } else {
+          send('502 Command not implemented');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  await new Promise(resolve => smtp.server.listen(0, '127.0.0.1', resolve));
+  smtp.port = smtp.server.address().port;
+  smtp.reset = () => {
+    smtp.messages.length = 0;
+    smtp.commands.length = 0;
+    smtp.rejectRecipient = null;
+  };
+  smtp.close = () => new Promise(resolve => smtp.server.close(resolve));
+  return smtp;
+}
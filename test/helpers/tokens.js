@@ -0,0 +1,20 @@
+// Link tokens and staff sessions for the handlers that check them
+import crypto from 'node:crypto';
+import { TEST_ENV } from './harness.js';
+import { issueLinkToken } from '../../api/_lib/link-token.js';
+import { staffSessionCookie } from '../../api/_lib/auth.js';
+
+/** A current signed token; needs the HubSpot mock running to read the deal nonce. */
+export async function linkToken(dealId, purpose, options) {
+  return (await issueLinkToken(dealId, purpose, options)).token;
+}
+
+/** The pre-signed-token format: first 16 hex chars of an HMAC of the deal ID. */
+export function legacyToken(dealId) {
+  return crypto.createHmac('sha256', TEST_ENV.PO_QUOTE_SECRET).update(String(dealId)).digest('hex').substring(0, 16);
+}
+
+/** Cookie header for a signed-in staff member. */
+export function staffCookie(email = 'erica@showoffinc.com') {
+  return staffSessionCookie(email).split(';')[0];
+}
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAddress, abbreviateStreet, normalizeCountry, formatAddress, AddressError } from '../../api/_lib/address.js';
+
+function fieldErrors(input) {
+  try {
+    normalizeAddress(input);
+  } catch (e) {
+    assert.ok(e instanceof AddressError);
+    return e.fields;
+  }
+  assert.fail('expected an AddressError');
+}
+
+test('abbreviateStreet uses USPS suffixes, directionals and unit designators', () => {
+  assert.equal(abbreviateStreet('100 North Main Street Suite 4'), '100 N Main St Ste 4');
+  assert.equal(abbreviateStreet('250 River Road  Southwest'), '250 River Rd SW');
+  assert.equal(abbreviateStreet('9 Park Avenue Apartment 12B'), '9 Park Ave Apt 12B');
+  assert.equal(abbreviateStreet('Suite 300'), 'Ste 300');
+  // A directional or suffix that is the street's name stays as it is
+  assert.equal(abbreviateStreet('12 North Street'), '12 North St');
+  assert.equal(abbreviateStreet('40 Broadway'), '40 Broadway');
+});
+
+test('a US address gets a state code, a normalized ZIP and abbreviations', () => {
+  const address = normalizeAddress({
+    street: ' 1  Main   Street ', street2: 'building 2', city: 'Macon', state: 'georgia', zip: '312019876', country: 'USA'
+  });
+  assert.deepEqual(address, {
+    street: '1 Main St', street2: 'Bldg 2', city: 'Macon', state: 'GA', zip: '31201-9876', country: 'US'
+  });
+  assert.equal(formatAddress(address), '1 Main St, Bldg 2, Macon, GA, 31201-9876');
+});
+
+test('a ZIP code has to belong to the state', () => {
+  assert.deepEqual(fieldErrors({ street: '1 Main St', city: 'Macon', state: 'IL', zip: '31201' }), {
+    zip: 'ZIP code 31201 is in Georgia, not Illinois.'
+  });
+  assert.deepEqual(fieldErrors({ street: '', city: '', state: 'Gorgia', zip: '3120' }), {
+    street: 'Street address is required.',
+    city: 'City is required.',
+    state: '"Gorgia" isn\'t a US state.',
+    zip: 'ZIP code must be 5 digits (or ZIP+4).'
+  });
+  // Territories and military mail share prefixes with the table
+  assert.equal(normalizeAddress({ street: 'Unit 2050 Box 4190', city: 'APO', state: 'AP', zip: '96278' }).state, 'AP');
+});
+
+test('Canadian postal codes are formatted and matched to the province', () => {
+  const address = normalizeAddress({ street: '200 Bay St', city: 'Toronto', state: 'Ontario', zip: 'm5j2j5', country: 'Canada' });
+  assert.equal(address.state, 'ON');
+  assert.equal(address.zip, 'M5J 2J5');
+  assert.equal(address.country, 'CA');
+  assert.equal(formatAddress(address), '200 Bay St, Toronto, ON, M5J 2J5, CA');
+
+  assert.deepEqual(fieldErrors({ street: '200 Bay St', city: 'Toronto', state: 'BC', zip: 'M5J 2J5', country: 'CA' }), {
+    zip: 'Postal code M5J 2J5 is in Ontario, not British Columbia.'
+  });
+  assert.equal(fieldErrors({ street: '200 Bay St', city: 'Toronto', state: 'ON', zip: 'D5J 2J5', country: 'CA' }).zip,
+    'Postal code must look like A1A 1A1.');
+});
+
+test('international addresses need a street and city; region and postal code are kept as entered', () => {
+  const address = normalizeAddress({ street: '10 Downing Street', city: 'London', state: '', zip: 'SW1A 2AA', country: 'gb' });
+  assert.deepEqual(address, { street: '10 Downing Street', street2: undefined, city: 'London', state: '', zip: 'SW1A 2AA', country: 'GB' });
+  assert.equal(normalizeCountry('United Kingdom'), 'United Kingdom');
+  assert.equal(normalizeCountry(''), 'US');
+  assert.deepEqual(fieldErrors({ street: '1 Rue de Rivoli', country: 'France' }), { city: 'City is required.' });
+});
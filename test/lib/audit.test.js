@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffProperties, parseAuditNote } from '../../api/_lib/audit.js';
+
+test('diffProperties lists only changed properties, treating blanks as empty', () => {
+  assert.deepEqual(
+    diffProperties({ a: '1', b: '', c: 'same', d: 'old' }, { a: 1, b: null, c: 'same', d: '', e: 'new' }),
+    { d: { from: 'old', to: null }, e: { from: null, to: 'new' } }
+  );
+  assert.deepEqual(diffProperties(null, { a: 'x' }), { a: { from: null, to: 'x' } });
+});
+
+test('parseAuditNote reads the entry back from HubSpot-formatted note HTML', () => {
+  const entry = { id: 'e1', action: 'sketch.revision_requested', details: { revisionNotes: 'Use <b>gold</b> & "silver"' } };
+  const json = JSON.stringify(entry).replace(/</g, '\\u003c').replace(/>/g, '\\u003e').replace(/&/g, '\\u0026');
+  const html = `<div><p>Revision requested</p><p>[audit] ${json.replace(/"/g, '&quot;')}</p></div>`;
+
+  assert.deepEqual(parseAuditNote(html), entry);
+  assert.equal(parseAuditNote('Called the coach'), null);
+  assert.equal(parseAuditNote('[audit] {not json'), null);
+});
+
+test('parseAuditNote skips the marker when it is quoted in the text above the entry', () => {
+  const entry = { id: 'e1', action: 'po.change_requested', details: { message: 'Use [audit] as the tag' } };
+  // Notes written before the marker was escaped in the JSON
+  const html = `<p>Customer requested changes: Use [audit] as the tag</p><p>[audit] ${JSON.stringify(entry).replace(/"/g, '&quot;')}</p>`;
+  assert.deepEqual(parseAuditNote(html), entry);
+});
@@ -0,0 +1,86 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock } from '../helpers/harness.js';
+import {
+  hubspotRequest, getDeal, updateDeal, replaceLineItems, HubSpotError, HubSpotNotFoundError, HubSpotRateLimitError, HubSpotConfigError
+} from '../../api/_lib/hubspot.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+test('getDeal resolves null for a missing deal', async () => {
+  assert.equal(await getDeal('123', ['dealname']), null);
+});
+
+test('429s are retried until they succeed', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  hs.failOn({ path: `/__hubspot/crm/v3/objects/deals/${dealId}`, status: 429, times: 3 });
+
+  const deal = await getDeal(dealId, ['dealname']);
+
+  assert.equal(deal.properties.dealname, 'x');
+  assert.equal(hs.requests.length, 4);
+});
+
+test('persistent 429s surface as HubSpotRateLimitError', async () => {
+  hs.failOn({ path: '/__hubspot/crm/v3/objects/deals/1', status: 429, times: 10 });
+  await assert.rejects(hubspotRequest('/crm/v3/objects/deals/1'), HubSpotRateLimitError);
+});
+
+test('5xx on a create is not retried', async () => {
+  hs.failOn({ method: 'POST', path: '/__hubspot/crm/v3/objects/notes', status: 502, times: 1 });
+
+  await assert.rejects(
+    hubspotRequest('/crm/v3/objects/notes', { method: 'POST', json: { properties: {} } }),
+    err => err instanceof HubSpotError && err.status === 502
+  );
+  assert.equal(hs.requests.length, 1);
+});
+
+test('5xx on an update is retried', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  hs.failOn({ method: 'PATCH', path: `/__hubspot/crm/v3/objects/deals/${dealId}`, status: 503, times: 1 });
+
+  await updateDeal(dealId, { dealname: 'y' });
+
+  assert.equal(hs.deal(dealId).properties.dealname, 'y');
+});
+
+test('replaceLineItems swaps the line items on a deal', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  hs.addLineItem(dealId, { name: 'Placeholder', price: '1', quantity: '1' });
+
+  const created = await replaceLineItems(dealId, [{ name: 'Deluxe Costume', price: 210, quantity: 10 }]);
+
+  assert.deepEqual(created.map(li => li.name), ['Deluxe Costume']);
+  assert.deepEqual(hs.dealLineItems(dealId).map(li => li.properties.name), ['Deluxe Costume']);
+});
+
+test('replaceLineItems keeps the old line items when the create fails', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  hs.addLineItem(dealId, { name: 'Placeholder', price: '1', quantity: '1' });
+  hs.failOn({ method: 'POST', path: '/__hubspot/crm/v3/objects/line_items/batch/create', status: 502, times: 1 });
+
+  await assert.rejects(replaceLineItems(dealId, [{ name: 'Deluxe Costume', price: 210, quantity: 10 }]), HubSpotError);
+
+  assert.deepEqual(hs.dealLineItems(dealId).map(li => li.properties.name), ['Placeholder']);
+});
+
+test('errors carry the status and parsed HubSpot body', async () => {
+  const err = await hubspotRequest('/crm/v3/objects/deals/1').catch(e => e);
+  assert.ok(err instanceof HubSpotNotFoundError);
+  assert.equal(err.status, 404);
+  assert.equal(err.body.category, 'OBJECT_NOT_FOUND');
+});
+
+test('a missing token is a config error', async () => {
+  const token = process.env.HUBSPOT_TOKEN;
+  delete process.env.HUBSPOT_TOKEN;
+  try {
+    await assert.rejects(getDeal('1', ['dealname']), HubSpotConfigError);
+  } finally {
+    process.env.HUBSPOT_TOKEN = token;
+  }
+});
@@ -0,0 +1,89 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock } from '../helpers/harness.js';
+import { legacyToken } from '../helpers/tokens.js';
+import {
+  issueLinkToken, verifyLinkToken, decodeLinkToken, revokeLinkTokens, LinkTokenError, NONCE_PROPERTY
+} from '../../api/_lib/link-token.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(() => hs.reset());
+
+function reason(expected) {
+  return err => err instanceof LinkTokenError && err.reason === expected;
+}
+
+test('issued tokens carry deal, purpose, issue time, expiry and nonce', async () => {
+  const dealId = hs.addDeal({ dealname: 'x', [NONCE_PROPERTY]: '4' });
+
+  const { token, expiresAt } = await issueLinkToken(dealId, 'sketch-approval', { expiresInDays: 10 });
+  const claims = await verifyLinkToken(token, { dealId, purpose: 'sketch-approval' });
+
+  assert.equal(claims.d, dealId);
+  assert.equal(claims.p, 'sketch-approval');
+  assert.equal(claims.n, 4);
+  assert.equal(claims.exp - claims.iat, 10 * 86400);
+  assert.equal(new Date(expiresAt).getTime(), claims.exp * 1000);
+});
+
+test('lifetimes are capped at a year', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  const { token } = await issueLinkToken(dealId, 'po-review', { expiresInDays: 5000 });
+  const claims = decodeLinkToken(token, { dealId, purpose: 'po-review' });
+  assert.equal(claims.exp - claims.iat, 365 * 86400);
+});
+
+test('issuing for a missing deal resolves null and unknown purposes throw', async () => {
+  assert.equal(await issueLinkToken('123', 'po-review'), null);
+  await assert.rejects(issueLinkToken('123', 'everything'), /Unknown link purpose/);
+});
+
+test('expired tokens are rejected', async (t) => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  const { token } = await issueLinkToken(dealId, 'po-review', { expiresInDays: 1 });
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 2 * 86400 * 1000 });
+  assert.throws(() => decodeLinkToken(token, { dealId, purpose: 'po-review' }), reason('expired'));
+  assert.throws(() => decodeLinkToken(token, { dealId, purpose: 'po-review' }), { message: 'This link has expired' });
+});
+
+test('tampered, foreign and wrong-purpose tokens are rejected', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  const { token } = await issueLinkToken(dealId, 'po-review');
+  const [payload, signature] = token.split('.');
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  const forged = Buffer.from(JSON.stringify({ ...claims, p: 'po-upload' })).toString('base64url');
+
+  assert.throws(() => decodeLinkToken(`${forged}.${signature}`, { dealId, purpose: 'po-upload' }), reason('signature'));
+  assert.throws(() => decodeLinkToken(token, { dealId: '999', purpose: 'po-review' }), reason('deal'));
+  assert.throws(() => decodeLinkToken(token, { dealId, purpose: 'po-upload' }), reason('purpose'));
+  assert.throws(() => decodeLinkToken('abc', { dealId, purpose: 'po-review' }), reason('malformed'));
+  assert.throws(() => decodeLinkToken('', { dealId, purpose: 'po-review' }), reason('missing'));
+});
+
+test('bumping the nonce revokes earlier tokens but not new ones', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+  const { token: oldToken } = await issueLinkToken(dealId, 'po-review');
+
+  assert.equal(await revokeLinkTokens(dealId), 1);
+  assert.equal(hs.deal(dealId).properties[NONCE_PROPERTY], '1');
+
+  await assert.rejects(verifyLinkToken(oldToken, { dealId, purpose: 'po-review' }), reason('revoked'));
+  const { token: newToken } = await issueLinkToken(dealId, 'po-review');
+  await verifyLinkToken(newToken, { dealId, purpose: 'po-review' });
+});
+
+test('legacy tokens only work for PO links on never-revoked deals', async () => {
+  const dealId = hs.addDeal({ dealname: 'x' });
+
+  const claims = await verifyLinkToken(legacyToken(dealId), { dealId, purpose: 'po-review' });
+  assert.equal(claims.legacy, true);
+  assert.throws(() => decodeLinkToken(legacyToken(dealId), { dealId, purpose: 'sketch-approval' }), reason('signature'));
+  assert.throws(() => decodeLinkToken(legacyToken('1'), { dealId, purpose: 'po-review' }), reason('signature'));
+
+  await revokeLinkTokens(dealId);
+  await assert.rejects(verifyLinkToken(legacyToken(dealId), { dealId, purpose: 'po-review' }), reason('revoked'));
+});
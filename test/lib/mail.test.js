@@ -0,0 +1,80 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHubSpotMock } from '../helpers/harness.js';
+import { startSmtpServer, messagePart, messageHeader } from '../helpers/smtp-server.js';
+import { sendMail, MailError } from '../../api/_lib/mail.js';
+
+let hs, smtp;
+before(async () => {
+  hs = await startHubSpotMock();
+  smtp = await startSmtpServer();
+});
+after(async () => {
+  await smtp.close();
+  await hs.close();
+});
+beforeEach(() => {
+  hs.reset();
+  smtp.reset();
+  process.env.MAIL_TRANSPORT = 'smtp';
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtp.port);
+  delete process.env.SMTP_USER;
+});
+after(() => {
+  for (const key of ['MAIL_TRANSPORT', 'SMTP_HOST', 'SMTP_PORT', 'SMTP_USER']) delete process.env[key];
+});
+
+test('smtp delivers a text and HTML message to every recipient', async () => {
+  const result = await sendMail({
+    to: 'Coach Kim <kim@school.edu>',
+    cc: ['ap@district.org'],
+    subject: 'Your design is ready — take a look',
+    text: 'Hi Coach,\n.\nReview it here.',
+    html: '<p>Hi Coach</p>'
+  });
+
+  assert.equal(result.transport, 'smtp');
+  const [message] = smtp.messages;
+  assert.equal(message.from, 'support@showoffinc.com');
+  assert.deepEqual(message.to, ['kim@school.edu', 'ap@district.org']);
+  assert.equal(messageHeader(message, 'To'), 'Coach Kim <kim@school.edu>');
+  assert.match(messageHeader(message, 'Subject'), /^=\?UTF-8\?B\?/);
+  assert.equal(messagePart(message), 'Hi Coach,\n.\nReview it here.');
+  assert.equal(messagePart(message, 'text/html'), '<p>Hi Coach</p>');
+});
+
+test('smtp signs in when SMTP_USER is set', async () => {
+  process.env.SMTP_USER = 'mailer';
+
+  await sendMail({ to: 'kim@school.edu', subject: 'Hi', text: 'Hello' });
+
+  const authLine = smtp.commands.find(c => c.startsWith('AUTH PLAIN '));
+  assert.equal(Buffer.from(authLine.split(' ')[2], 'base64').toString(), '\0mailer\0');
+});
+
+test('a rejected recipient is a MailError with the server reply', async () => {
+  smtp.rejectRecipient = 'gone@school.edu';
+
+  await assert.rejects(
+    sendMail({ to: 'gone@school.edu', subject: 'Hi', text: 'Hello' }),
+    e => e instanceof MailError && e.status === 550 && /No such user/.test(e.message)
+  );
+  assert.equal(smtp.messages.length, 0);
+});
+
+test('the n8n transport posts the message to the send-email webhook', async () => {
+  process.env.MAIL_TRANSPORT = 'n8n';
+
+  await sendMail({ to: 'kim@school.edu', subject: 'Hi', text: 'Hello' });
+
+  const [hook] = hs.webhooks('send-email');
+  assert.deepEqual(hook.body.to, ['kim@school.edu']);
+  assert.equal(hook.body.subject, 'Hi');
+});
+
+test('refuses an unknown transport or a message with no recipient', async () => {
+  await assert.rejects(sendMail({ to: [], subject: 'Hi', text: 'Hello' }), /No recipient/);
+  process.env.MAIL_TRANSPORT = 'pigeon';
+  await assert.rejects(sendMail({ to: 'kim@school.edu', subject: 'Hi', text: 'Hello' }), /Unknown MAIL_TRANSPORT/);
+});
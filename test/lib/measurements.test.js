@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  readMeasurementRows, rowsForCostumes, measurementsCsv, parseMeasurementsCsv, isComplete, MeasurementsError
+} from '../../api/_lib/measurements.js';
+
+function rowErrors(value, options) {
+  try {
+    readMeasurementRows(value, options);
+  } catch (e) {
+    assert.ok(e instanceof MeasurementsError);
+    return e;
+  }
+  assert.fail('expected a MeasurementsError');
+}
+
+test('readMeasurementRows cleans rows and accepts partly filled ones', () => {
+  const rows = readMeasurementRows([
+    { name: ' Ava  Cole ', size: 'AM' },
+    { name: 'Mia Diaz', bust: '32"', waist: '26 in', hip: 35, girth: '60.5', height: '62 inches' },
+    { name: 'Zoe' }
+  ], { costumeCount: 4 });
+
+  assert.equal(rows[0].name, 'Ava Cole');
+  assert.deepEqual([rows[1].bust, rows[1].waist, rows[1].hip, rows[1].girth, rows[1].height], [32, 26, 35, 60.5, 62]);
+  assert.deepEqual(rows.map(isComplete), [true, true, false]);
+  assert.equal(rowsForCostumes(rows, 4).length, 4);
+});
+
+test('out-of-range measurements and more rows than costumes are rejected', () => {
+  const error = rowErrors([{ name: 'Ava', waist: '260' }], { costumeCount: 2 });
+  assert.deepEqual(error.rows, [{ waist: 'Waist must be in inches, from 10 to 100.' }]);
+  assert.throws(() => readMeasurementRows([{}, {}, {}], { costumeCount: 2 }), /at most 2/);
+});
+
+test('submitting needs a complete row for every costume', () => {
+  const error = rowErrors([{ name: 'Ava', size: 'AM' }, { size: 'AL' }], { costumeCount: 3, submit: true });
+  assert.equal(error.message, '2 of 3 costumes still need a name and a size or measurements.');
+  assert.deepEqual(error.rows, [
+    {},
+    { name: 'Name is required.' },
+    { name: 'Name is required.', size: 'Enter a size or all five measurements.' }
+  ]);
+});
+
+test('CSV export and import round-trip, with quoting and formula guarding', () => {
+  const rows = rowsForCostumes(readMeasurementRows([
+    { name: 'Cole, Ava', size: 'AM', notes: 'Wears "petite"' },
+    { name: '=HYPERLINK("x")', bust: 30, waist: 24, hip: 32, girth: 55, height: 58 }
+  ], { costumeCount: 3 }), 3);
+
+  const csv = measurementsCsv(rows);
+  assert.equal(csv.split('\r\n')[0], 'Costume,Name,Size,Bust (in),Waist (in),Hip (in),Girth (in),Height (in),Notes');
+  assert.match(csv, /^1,"Cole, Ava",AM,,,,,,"Wears ""petite"""$/m);
+  assert.match(csv, /^2,"'=HYPERLINK\(""x""\)",,30,24,32,55,58,$/m);
+
+  const imported = parseMeasurementsCsv(csv);
+  assert.equal(imported.length, 3);
+  assert.equal(imported[0].name, 'Cole, Ava');
+  assert.equal(imported[0].notes, 'Wears "petite"');
+  assert.equal(imported[1].name, '=HYPERLINK("x")');
+  assert.equal(imported[1].girth, '55');
+});
+
+test('CSV import maps a coach spreadsheet by its headings', () => {
+  const rows = parseMeasurementsCsv('﻿Dancer Name,Height,Hips,Team\nAva,60,34,Varsity\n\nMia,62,36,JV\n');
+  assert.deepEqual(rows, [{ name: 'Ava', height: '60', hip: '34' }, { name: 'Mia', height: '62', hip: '36' }]);
+  assert.throws(() => parseMeasurementsCsv('Size,Bust\nAM,30\n'), /needs a Name column/);
+});
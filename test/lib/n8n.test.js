@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { n8nWebhookUrl } from '../../api/_lib/config.js';
+
+test('webhook URLs come from N8N_WEBHOOK_BASE_URL when set', (t) => {
+  assert.equal(n8nWebhookUrl('sketch-review'), 'https://showoffinc.app.n8n.cloud/webhook/sketch-review');
+
+  process.env.N8N_WEBHOOK_BASE_URL = 'https://staging.n8n.example/webhook-test/';
+  t.after(() => { delete process.env.N8N_WEBHOOK_BASE_URL; });
+  assert.equal(n8nWebhookUrl('sketch-review'), 'https://staging.n8n.example/webhook-test/sketch-review');
+});
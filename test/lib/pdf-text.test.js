@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { PdfDocument } from '../../api/_lib/pdf.js';
+import { extractPdfText, PdfTooLargeError } from '../../api/_lib/pdf-text.js';
+
+function rawPdf(content, dict = '') {
+  return Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Length ${content.length}${dict} >>\nstream\n${content}\nendstream\nendobj\n%%EOF\n`, 'latin1');
+}
+
+test('reads back the text of a compressed PDF, a line per baseline', () => {
+  const doc = new PdfDocument();
+  doc.text('PURCHASE ORDER', 48, 60, { size: 16, bold: true });
+  doc.text('PO Number:', 48, 90);
+  doc.text('4471-B', 160, 90);
+  doc.text('“Total” – café', 48, 120);
+  doc.text('$2,340.00', 400, 120);
+  doc.addPage();
+  doc.text('Page two', 48, 60);
+
+  assert.equal(extractPdfText(doc.toBuffer()), 'PURCHASE ORDER\nPO Number: 4471-B\n“Total” – café $2,340.00\nPage two');
+});
+
+test('handles escapes, hex strings, TJ arrays and line operators', () => {
+  const pdf = rawPdf(
+    'BT /F1 12 Tf 72 700 Td (Purchase Order \\(copy\\) \\101) Tj 0 -14 Td [(Gra) -20 (nd) -300 (Total)] TJ ' +
+    'T* <24312C323030> Tj (next) \' ET'
+  );
+
+  assert.equal(extractPdfText(pdf), 'Purchase Order (copy) A\nGrand Total\n$1,200\nnext');
+});
+
+test('finds no text in images or unsupported filters', () => {
+  assert.equal(extractPdfText(rawPdf('BT (hidden) Tj ET', ' /Subtype /Image')), '');
+  assert.equal(extractPdfText(rawPdf('BT (hidden) Tj ET', ' /Filter /LZWDecode')), '');
+  assert.equal(extractPdfText(Buffer.from('not a pdf')), '');
+});
+
+// A small Flate stream that expands to `bytes` of spaces
+function bombStream(n, bytes) {
+  const data = zlib.deflateSync(Buffer.alloc(bytes, ' ')).toString('latin1');
+  return `${n} 0 obj\n<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n${data}\nendstream\nendobj\n`;
+}
+
+test('stops decoding streams that expand too far', () => {
+  const MB = 1024 * 1024;
+  const oneBig = Buffer.from(`%PDF-1.4\n${bombStream(1, 11 * MB)}%%EOF\n`, 'latin1');
+  const manySmall = Buffer.from(`%PDF-1.4\n${[1, 2, 3, 4, 5, 6].map(n => bombStream(n, 9 * MB)).join('')}%%EOF\n`, 'latin1');
+
+  assert.ok(oneBig.length < 100 * 1024);
+  assert.throws(() => extractPdfText(oneBig), PdfTooLargeError);
+  assert.throws(() => extractPdfText(manySmall), PdfTooLargeError);
+  assert.equal(extractPdfText(Buffer.from(`%PDF-1.4\n${bombStream(1, 9 * MB)}%%EOF\n`, 'latin1')), '');
+});
+
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PdfDocument, readImage } from '../../api/_lib/pdf.js';
+import { checkStructure, pageTexts, imageCount, samplePng } from '../helpers/pdf.js';
+
+const JPEG_HEADER = Buffer.from([
+  0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+  0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x10, 0x00, 0x20, 0x03, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1,
+  0xff, 0xd9
+]);
+
+test('writes a valid document with text on every page', () => {
+  const doc = new PdfDocument();
+  doc.text('First page', 48, 60);
+  doc.addPage();
+  doc.text('Second page', 48, 60, { bold: true, align: 'right', width: 200 });
+
+  const pdf = doc.toBuffer();
+
+  assert.equal(checkStructure(pdf), 2);
+  assert.deepEqual(pageTexts(pdf), [['First page'], ['Second page']]);
+});
+
+test('encodes curly quotes, dashes and accents as WinAnsi', () => {
+  const doc = new PdfDocument();
+  doc.text('“Señora” – café — 10 • ok ✓', 48, 60);
+
+  // pageTexts reads the string bytes as Latin-1, where WinAnsi puts these at 0x93-0x97
+  assert.deepEqual(pageTexts(doc.toBuffer()), [['\x93Señora\x94 \x96 café \x97 10 \x95 ok ?']]);
+});
+
+test('wraps text to a width and keeps line breaks', () => {
+  const doc = new PdfDocument();
+  const lines = doc.wrap('one two three four five six\nseven', doc.textWidth('one two three', 10));
+
+  assert.deepEqual(lines, ['one two three', 'four five six', 'seven']);
+  assert.deepEqual(doc.wrap('0123456789', doc.textWidth('0000', 10)), ['0123', '4567', '89']);
+});
+
+test('measures text with the Helvetica widths', () => {
+  const doc = new PdfDocument();
+  assert.equal(doc.textWidth('Hi', 10), 9.44);
+  assert.equal(doc.textWidth('Hi', 10, { bold: true }), 10);
+});
+
+test('reads JPEG and PNG headers and ignores other files', () => {
+  assert.deepEqual(
+    (({ width, height, colorSpace }) => ({ width, height, colorSpace }))(readImage(JPEG_HEADER)),
+    { width: 32, height: 16, colorSpace: '/DeviceRGB' }
+  );
+  const png = readImage(samplePng(4, 5));
+  assert.equal(png.width, 4);
+  assert.equal(png.height, 5);
+  assert.ok(png.alpha);
+  assert.equal(readImage(Buffer.from('%PDF-1.4 not an image at all')), null);
+});
+
+test('embeds images scaled to fit their box, with PNG transparency as a mask', () => {
+  const doc = new PdfDocument();
+  const jpeg = doc.image(JPEG_HEADER, 48, 48, 100, 100);
+  const png = doc.image(samplePng(4, 5), 200, 48, 100, 100);
+  const none = doc.image(Buffer.from('not an image, but long enough'), 300, 48, 100, 100);
+
+  const pdf = doc.toBuffer();
+
+  assert.deepEqual(jpeg, { width: 100, height: 50 });
+  assert.deepEqual(png, { width: 80, height: 100 });
+  assert.equal(none, null);
+  checkStructure(pdf);
+  assert.deepEqual(imageCount(pdf), { images: 2, masked: 1 });
+});
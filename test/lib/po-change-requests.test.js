@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  quoteChanges, quoteSnapshot, addChangeRequest, resolveChangeRequests, parseChangeRequests, customerChangeRequests
+} from '../../api/_lib/po-change-requests.js';
+
+const pricing = (total, extra = {}) => ({ discount: 0, shipping: 0, tax: 0, taxExempt: false, total, ...extra });
+
+const before = quoteSnapshot({
+  items: [{ id: '1', name: 'Costume', quantity: 10, price: 200 }, { id: '2', name: 'Setup Fee', quantity: 1, price: 50 }],
+  pricing: pricing(2050),
+  quoteTitle: 'UGA Majorettes'
+});
+
+test('quoteChanges lists item, pricing and detail changes with the new total', () => {
+  const after = quoteSnapshot({
+    items: [{ id: '1', name: 'Costume', quantity: 12, price: 185 }, { name: 'Gloves', quantity: 12, price: 10 }],
+    pricing: pricing(2380, { shipping: 40 }),
+    quoteTitle: 'UGA Majorettes 2026'
+  });
+
+  assert.deepEqual(quoteChanges(before, after), [
+    'Costume: quantity 10 → 12',
+    'Costume: price $200.00 → $185.00 each',
+    'Added Gloves (12 × $10.00)',
+    'Removed Setup Fee',
+    'Shipping: $0.00 → $40.00',
+    'Updated the quote title',
+    'Total: $2050.00 → $2380.00'
+  ]);
+});
+
+test('quoteChanges is empty when nothing changed', () => {
+  assert.deepEqual(quoteChanges(before, { ...before, items: before.items.map(i => ({ ...i, id: null })) }), []);
+});
+
+test('resolving on resend records what changed since each request', () => {
+  let requests = addChangeRequest([], { message: 'Two more costumes please', snapshot: before });
+  const after = { ...before, items: [{ ...before.items[0], quantity: 12 }, before.items[1]], total: 2450 };
+
+  requests = resolveChangeRequests(requests, [requests[0].id], { by: 'erica@showoffinc.com', quote: after });
+
+  assert.equal(requests[0].status, 'resolved');
+  assert.equal(requests[0].resent, true);
+  assert.deepEqual(requests[0].changes, ['Costume: quantity 10 → 12', 'Total: $2050.00 → $2450.00']);
+
+  const [shown] = customerChangeRequests(requests);
+  assert.equal(shown.snapshot, undefined);
+  assert.equal(shown.resolvedBy, undefined);
+});
+
+test('addChangeRequest drops the oldest resolved requests to stay within the property limit', () => {
+  let requests = [];
+  for (let i = 0; i < 20; i++) {
+    requests = addChangeRequest(requests, { message: 'x'.repeat(5000), snapshot: before });
+    requests = resolveChangeRequests(requests, [requests[requests.length - 1].id], { by: 'staff' });
+  }
+  requests = addChangeRequest(requests, { message: 'latest', snapshot: before });
+
+  assert.ok(JSON.stringify(requests).length <= 60000);
+  assert.equal(requests[requests.length - 1].message, 'latest');
+  assert.equal(requests[requests.length - 1].status, 'open');
+});
+
+test('parseChangeRequests ignores malformed values', () => {
+  assert.deepEqual(parseChangeRequests(''), []);
+  assert.deepEqual(parseChangeRequests('{oops'), []);
+  assert.deepEqual(parseChangeRequests('[{"message":"no id"}]'), []);
+});
@@ -0,0 +1,70 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { readPoFields, checkPo, checkPoDocument, poCheckSummary } from '../../api/_lib/po-check.js';
+
+afterEach(() => { delete process.env.PO_OCR_COMMAND; });
+
+const PO_TEXT = [
+  'Jefferson County Schools',
+  'PURCHASE ORDER',
+  'P.O. No.: 24-00871',
+  'Vendor:',
+  'Show Off Inc.',
+  'Majorette costumes 12 @ 180.00 2,160.00',
+  'Subtotal $2,160.00',
+  'Tax $180.00',
+  'Total $2,340.00'
+].join('\n');
+
+test('reads the PO number, grand total and vendor', () => {
+  assert.deepEqual(readPoFields(PO_TEXT), { poNumber: '24-00871', total: 2340, vendor: 'Show Off Inc.' });
+  assert.deepEqual(readPoFields('Purchase Order #\nA-118\nGrand Total\n$615\nSupplier Name: Acme Uniforms'), {
+    poNumber: 'A-118', total: 615, vendor: 'Acme Uniforms'
+  });
+  assert.deepEqual(readPoFields('Purchase Order\nThank you'), { poNumber: null, total: null, vendor: null });
+});
+
+test('flags a total, PO number or vendor that differs from the quote', () => {
+  const check = checkPo({ poNumber: 'PO-24-00871', total: 2340, vendor: 'Acme Uniforms' }, { quoteTotal: 2415, quotePoNumber: '24-00817' });
+  assert.deepEqual(check.mismatches, [
+    'PO number PO-24-00871 vs 24-00817 entered on the quote',
+    'PO total $2,340.00 vs quote $2,415.00',
+    'Vendor Acme Uniforms, not Show Off Inc.'
+  ]);
+  assert.match(poCheckSummary(check), /^PO check found mismatches: PO number/);
+});
+
+test('matches PO numbers however they are written', () => {
+  const check = checkPo({ poNumber: 'PO#24-00871', total: 2415, vendor: 'SHOWOFF INC' }, { quoteTotal: 2415, quotePoNumber: '2400871' });
+  assert.deepEqual(check.mismatches, []);
+  assert.equal(poCheckSummary(check),
+    'PO check found no mismatches: PO number PO#24-00871 matches the quote; PO total $2,415.00 matches the quote; Vendor SHOWOFF INC');
+});
+
+test('a PDF that expands too far is recorded as unreadable', async () => {
+  const data = zlib.deflateSync(Buffer.alloc(11 * 1024 * 1024, ' ')).toString('latin1');
+  const bomb = Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n${data}\nendstream\nendobj\n%%EOF\n`, 'latin1');
+
+  const check = await checkPoDocument(bomb, 'application/pdf', { quoteTotal: 2340 });
+
+  assert.equal(check.method, 'pdf');
+  assert.deepEqual(check.mismatches, []);
+  assert.match(poCheckSummary(check), /^PO not checked: Unreadable: PDF content expands past 10MB/);
+});
+
+test('reads images only with an OCR command set up', async () => {
+  const image = Buffer.from(PO_TEXT);
+  const unread = await checkPoDocument(image, 'image/png', { quoteTotal: 2340 });
+  assert.equal(poCheckSummary(unread), 'PO not checked: Images are not read (no OCR set up)');
+
+  // `cat` hands back the "image" as its text
+  process.env.PO_OCR_COMMAND = 'cat';
+  const read = await checkPoDocument(image, 'image/png', { quoteTotal: 2340, quotePoNumber: '24-00871' });
+  assert.equal(read.method, 'ocr');
+  assert.deepEqual(read.mismatches, []);
+
+  process.env.PO_OCR_COMMAND = 'no-such-ocr-command';
+  const failed = await checkPoDocument(image, 'image/jpeg', { quoteTotal: 2340 });
+  assert.match(poCheckSummary(failed), /^PO not checked: Could not read the document/);
+});
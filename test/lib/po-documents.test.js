@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationError } from '../../api/_lib/validate.js';
+import {
+  PO_CHUNK_BYTES, dealPoDocuments, readChunkedFile, readChunk, readPlacement, poFileName, addPoDocument, staleUploads
+} from '../../api/_lib/po-documents.js';
+
+test('lists a PO received before the document list from the deal properties', () => {
+  const [doc] = dealPoDocuments({ po: '12', po_document_url: 'https://files.example/12', po_received_date: '2026-03-02' });
+  assert.equal(doc.fileId, '12');
+  assert.equal(doc.kind, 'po');
+  assert.equal(doc.uploadedAt, '2026-03-02');
+  assert.deepEqual(dealPoDocuments({}), []);
+  assert.deepEqual(dealPoDocuments({ po_documents: 'not json' }), []);
+});
+
+test('splits a file into chunks and checks each chunk is the expected size', () => {
+  const upload = readChunkedFile({ fileName: 'po.pdf', fileType: 'application/pdf', size: PO_CHUNK_BYTES + 5 });
+  assert.equal(upload.chunkCount, 2);
+  assert.equal(readChunk(Buffer.from('12345').toString('base64'), 1, upload).length, 5);
+  assert.throws(() => readChunk(Buffer.from('1234').toString('base64'), 1, upload), /should be 5 bytes/);
+  assert.throws(() => readChunkedFile({ fileName: 'po.pdf', fileType: 'text/html', size: 10 }), ValidationError);
+  assert.throws(() => readChunkedFile({ fileName: 'po.pdf', size: 30 * 1024 * 1024 }), /max 25MB/);
+});
+
+test('replacing marks the old document and keeps its kind', () => {
+  const documents = addPoDocument([], { fileName: 'a.pdf', kind: 'amendment', uploadedAt: '2026-03-01T00:00:00Z' });
+  const placement = readPlacement({ replaces: documents[0].id }, documents);
+  assert.equal(placement.kind, 'amendment');
+
+  const next = addPoDocument(documents, { fileName: 'b.pdf', kind: placement.kind, uploadedAt: '2026-03-02T00:00:00Z', replaces: documents[0].id });
+  assert.equal(next[0].replacedBy, next[1].id);
+  assert.equal(next[0].replacedAt, '2026-03-02T00:00:00Z');
+  assert.throws(() => readPlacement({ replaces: documents[0].id }, next), /already been replaced/);
+  assert.throws(() => readPlacement({ replaces: 'nope' }, next), /not found/);
+  assert.throws(() => readPlacement({ kind: 'invoice' }, next), ValidationError);
+});
+
+test('numbers file names per kind', () => {
+  const documents = [{ kind: 'po' }, { kind: 'amendment' }];
+  assert.equal(poFileName('10760 Fenn', [], 'po', 'scan.PDF'), '10760 Fenn_PO.PDF');
+  assert.equal(poFileName('10760 Fenn', documents, 'po', 'scan.png'), '10760 Fenn_PO_2.png');
+  assert.equal(poFileName('10760 Fenn', documents, 'amendment', 'a.pdf'), '10760 Fenn_PO_Amendment_2.pdf');
+});
+
+test('finds uploads older than a day', () => {
+  const now = Date.parse('2026-03-05T12:00:00Z');
+  const uploads = { old: { startedAt: '2026-03-04T11:00:00Z' }, fresh: { startedAt: '2026-03-05T11:00:00Z' } };
+  assert.deepEqual(staleUploads(uploads, now), ['old']);
+});
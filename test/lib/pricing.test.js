@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePricing, readPricing, priceQuote, taxRateFor, stateCode, discountDescription, taxDescription } from '../../api/_lib/pricing.js';
+import { ValidationError } from '../../api/_lib/validate.js';
+
+const terms = overrides => ({ ...parsePricing(null), ...overrides });
+
+test('priceQuote applies a percentage discount, shipping and tax on the discounted goods', () => {
+  const pricing = priceQuote(1000, terms({ discountType: 'percent', discountValue: 10, shipping: 45 }), 'GA');
+
+  assert.deepEqual(
+    (({ subtotal, discount, shipping, taxState, taxRate, tax, total }) => ({ subtotal, discount, shipping, taxState, taxRate, tax, total }))(pricing),
+    { subtotal: 1000, discount: 100, shipping: 45, taxState: 'GA', taxRate: 4, tax: 36, total: 981 }
+  );
+});
+
+test('a fixed discount never takes the subtotal below zero', () => {
+  const pricing = priceQuote(80, terms({ discountType: 'fixed', discountValue: 100 }), 'OR');
+  assert.equal(pricing.discount, 80);
+  assert.equal(pricing.total, 0);
+});
+
+test('amounts are rounded to cents', () => {
+  const pricing = priceQuote(333.33, terms({ discountType: 'percent', discountValue: 12.5 }), 'MN');
+  assert.equal(pricing.discount, 41.67);
+  assert.equal(pricing.tax, 20.05);
+  assert.equal(pricing.total, 311.71);
+});
+
+test('tax-exempt quotes and unknown states pay no tax', () => {
+  assert.equal(priceQuote(500, terms({ taxExempt: true }), 'CA').tax, 0);
+  assert.equal(priceQuote(500, terms({ taxExempt: true }), 'CA').taxRate, 0);
+  assert.equal(priceQuote(500, null, 'Ontario').tax, 0);
+  assert.equal(priceQuote(500, null, '').total, 500);
+});
+
+test('states are matched by code or full name', () => {
+  assert.equal(stateCode('ga'), 'GA');
+  assert.equal(stateCode(' new york '), 'NY');
+  assert.equal(stateCode('Narnia'), null);
+  assert.equal(taxRateFor('California'), 7.25);
+  assert.equal(taxRateFor('DE'), 0);
+});
+
+test('TAX_COLLECTION_STATES limits tax to the listed states', (t) => {
+  process.env.TAX_COLLECTION_STATES = 'ga, il';
+  t.after(() => { delete process.env.TAX_COLLECTION_STATES; });
+
+  assert.equal(taxRateFor('GA'), 4);
+  assert.equal(taxRateFor('Illinois'), 6.25);
+  assert.equal(taxRateFor('CA'), 0);
+});
+
+test('readPricing validates staff input and leaves out the certificate', () => {
+  assert.equal(readPricing(undefined), null);
+  assert.deepEqual(
+    readPricing({ discountType: 'fixed', discountValue: '25.555', discountLabel: ' Returning team ', shipping: '40', taxExempt: 'true', exemptionCertificate: { fileId: 'x' } }),
+    { discountType: 'fixed', discountValue: 25.56, discountLabel: 'Returning team', shipping: 40, taxExempt: true }
+  );
+  assert.deepEqual(readPricing({ discountValue: 50 }), { discountType: '', discountValue: 0, discountLabel: '', shipping: 0, taxExempt: false });
+  assert.throws(() => readPricing({ discountType: 'bogo' }), ValidationError);
+  assert.throws(() => readPricing({ discountType: 'percent', discountValue: 120 }), ValidationError);
+  assert.throws(() => readPricing({ shipping: -5 }), ValidationError);
+  assert.throws(() => readPricing('10%'), ValidationError);
+});
+
+test('parsePricing tolerates missing or unreadable JSON', () => {
+  assert.deepEqual(parsePricing('{oops'), parsePricing(''));
+  assert.equal(parsePricing(JSON.stringify({ discountType: 'half-off', discountValue: 50 })).discountValue, 0);
+  assert.equal(parsePricing(JSON.stringify({ exemptionCertificate: { name: 'no id' } })).exemptionCertificate, null);
+});
+
+test('describes the discount and tax lines', () => {
+  assert.equal(discountDescription({ discountType: 'percent', discountValue: 10, discountLabel: '' }), 'Discount (10%)');
+  assert.equal(discountDescription({ discountType: 'fixed', discountValue: 10, discountLabel: 'Booster club' }), 'Booster club');
+  assert.equal(taxDescription(priceQuote(100, null, 'GA')), 'Sales tax (GA 4%)');
+  assert.equal(taxDescription(priceQuote(100, terms({ taxExempt: true }), 'GA')), 'Sales tax (exempt)');
+});
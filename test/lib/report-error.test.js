@@ -0,0 +1,73 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { rm } from 'node:fs/promises';
+import { startHubSpotMock } from '../helpers/harness.js';
+import { reportError, errorCode } from '../../api/_lib/report-error.js';
+import { readErrorRecords, errorLogPath } from '../../api/_lib/error-log.js';
+import { HubSpotError, HubSpotNotFoundError, HubSpotRateLimitError, HubSpotConfigError } from '../../api/_lib/hubspot.js';
+import { N8nError } from '../../api/_lib/n8n.js';
+
+let hs;
+before(async () => { hs = await startHubSpotMock(); });
+after(() => hs.close());
+beforeEach(async () => {
+  hs.reset();
+  await rm(errorLogPath(), { force: true });
+});
+
+test('assigns an error code by failure type', () => {
+  assert.equal(errorCode(new HubSpotConfigError('no token')), 'CONFIG_MISSING');
+  assert.equal(errorCode(new HubSpotNotFoundError('gone', {})), 'HUBSPOT_NOT_FOUND');
+  assert.equal(errorCode(new HubSpotRateLimitError('slow down', {})), 'HUBSPOT_RATE_LIMITED');
+  assert.equal(errorCode(new HubSpotError('bad', { status: 400 })), 'HUBSPOT_ERROR');
+  assert.equal(errorCode(new N8nError('n8n down', { status: 502 })), 'N8N_ERROR');
+  assert.equal(errorCode(new Error('boom')), 'INTERNAL_ERROR');
+});
+
+test('records the error with the HubSpot response body and alerts n8n', async () => {
+  const error = new HubSpotError('HubSpot PATCH failed', {
+    status: 400, path: '/crm/v3/objects/deals/42', body: { category: 'VALIDATION_ERROR', message: 'Property values were not valid' }
+  });
+
+  const report = await reportError('sketch-review', '/api/select-option', error, '42', '10722 Tigerettes');
+
+  assert.equal(report.code, 'HUBSPOT_ERROR');
+  assert.match(report.requestId, /^[0-9a-f-]{36}$/);
+
+  const [record] = await readErrorRecords();
+  assert.equal(record.requestId, report.requestId);
+  assert.equal(record.dealId, '42');
+  assert.equal(record.status, 400);
+  assert.equal(record.path, '/crm/v3/objects/deals/42');
+  assert.match(record.responseBody, /Property values were not valid/);
+  assert.equal(record.alerted, true);
+
+  const [alert] = hs.webhooks('error-alert');
+  assert.equal(alert.body.requestId, report.requestId);
+  assert.equal(alert.body.dealId, '10722 Tigerettes (42)');
+});
+
+test('keeps the record when the n8n alert fails', async () => {
+  hs.setWebhookResponse('error-alert', 500, null);
+
+  const report = await reportError('sketch-review', '/api/deal', new Error('boom'), '42');
+
+  const [record] = await readErrorRecords();
+  assert.equal(record.requestId, report.requestId);
+  assert.equal(record.alerted, false);
+});
+
+test('filters records by deal number, endpoint and date, newest first', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-17T12:00:00Z') });
+  await reportError('sketch-review', '/api/deal', new Error('old'), '42', '10722 Tigerettes');
+  t.mock.timers.setTime(Date.parse('2026-10-18T12:00:00Z'));
+  await reportError('sketch-review', '/api/deal', new Error('first'), '42', '10722 Tigerettes');
+  await reportError('sketch-review', '/api/approve', new Error('second'), '42', '10722 Tigerettes');
+  await reportError('sketch-review', '/api/deal', new Error('other deal'), '77', '10760 Fenn');
+
+  const forDeal = await readErrorRecords({ deal: '10722', since: new Date('2026-10-18') });
+  assert.deepEqual(forDeal.map(r => r.message), ['second', 'first']);
+
+  const byEndpoint = await readErrorRecords({ deal: '42', endpoint: '/api/deal' });
+  assert.deepEqual(byEndpoint.map(r => r.message), ['first', 'old']);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readShipments, parseShipments, shipmentLabel, ShipmentsError } from '../../api/_lib/shipments.js';
+import { ValidationError } from '../../api/_lib/validate.js';
+
+const group = (recipient, quantity, address = {}) => ({
+  recipient,
+  quantity,
+  address: { street: '1 Main Street', city: 'Macon', state: 'GA', zip: '31201', ...address }
+});
+
+function shipmentsError(value, costumeCount) {
+  try {
+    readShipments(value, { costumeCount });
+  } catch (e) {
+    assert.ok(e instanceof ShipmentsError);
+    return e;
+  }
+  assert.fail('expected a ShipmentsError');
+}
+
+test('readShipments normalizes each group and gives it an id', () => {
+  const groups = readShipments([group('Jo Lee', 4), group(' Sam Ortiz ', '6', { street: '9 Oak Avenue', country: 'USA' })], { costumeCount: 10 });
+
+  assert.equal(groups.length, 2);
+  assert.ok(groups[0].id && groups[0].id !== groups[1].id);
+  assert.deepEqual(
+    groups.map(g => [g.recipient, g.quantity, g.address.street, g.address.street2, g.address.country]),
+    [['Jo Lee', 4, '1 Main St', '', 'US'], ['Sam Ortiz', 6, '9 Oak Ave', '', 'US']]
+  );
+  assert.equal(shipmentLabel(groups[0]), '4 costumes to Jo Lee');
+});
+
+test('the groups have to add up to the costumes on the order', () => {
+  const error = shipmentsError([group('Jo Lee', 4), group('Sam Ortiz', 5)], 10);
+  assert.equal(error.message, 'The shipments add up to 9 costumes, but the order has 10.');
+});
+
+test('problems are reported per group and field', () => {
+  const error = shipmentsError([group('Jo Lee', 4), group('', 0, { zip: '60601' })], 4);
+  assert.deepEqual(error.groups, [{}, {
+    recipient: 'Recipient name is required.',
+    quantity: 'Number of costumes must be a whole number, at least 1.',
+    zip: 'ZIP code 60601 is in Illinois, not Georgia.'
+  }]);
+});
+
+test('shipments must be a non-empty list of objects', () => {
+  assert.throws(() => readShipments([], { costumeCount: 1 }), ValidationError);
+  assert.throws(() => readShipments(['x'], { costumeCount: 1 }), ValidationError);
+  assert.deepEqual(parseShipments('not json'), []);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addRevision, parseSketchHistory } from '../../api/_lib/sketch-history.js';
+
+const revision = notes => ({ notes, referenceImages: [], requestedAt: '2026-03-01T12:00:00.000Z' });
+
+test('addRevision starts a new version when the sketch changes', () => {
+  let history = addRevision([], { fileId: '1', url: null }, revision('a'));
+  history = addRevision(history, { fileId: '1', url: null }, revision('b'));
+  history = addRevision(history, { fileId: '2', url: null }, revision('c'));
+
+  assert.deepEqual(history.map(v => [v.version, v.fileId, v.revisions.length]), [[1, '1', 2], [2, '2', 1]]);
+});
+
+test('addRevision drops the oldest versions to stay within the property limit', () => {
+  let history = [];
+  for (let i = 1; i <= 20; i++) history = addRevision(history, { fileId: String(i), url: null }, revision('x'.repeat(5000)));
+
+  assert.ok(JSON.stringify(history).length <= 60000);
+  assert.equal(history[history.length - 1].version, 20);
+  assert.ok(history[0].version > 1);
+});
+
+test('parseSketchHistory ignores malformed values', () => {
+  assert.deepEqual(parseSketchHistory(''), []);
+  assert.deepEqual(parseSketchHistory('{oops'), []);
+  assert.deepEqual(parseSketchHistory('{"version":1}'), []);
+});